@@ -2,33 +2,93 @@
  * DBA Noise Meter Application
  * Main entry point - coordinates all modules
  * 
- * @version 2.0.0 (Refactored)
+ * @version 2.1.0
  */
 
-import { CAMERA_CONFIG, MESSAGES } from './modules/constants.js';
+import {
+    CAMERA_CONFIG, MESSAGES, STATISTICS_CONFIG, CALIBRATION_CONFIG, HISTORY_CONFIG, BAND_CONFIG,
+    SPECTROGRAM_CONFIG, TIME_WEIGHTING_CONFIG, UI_CONFIG, OVERLAY_LAYOUT_CONFIG, STANDARDS_CONFIG, WEIGHTING_CONFIG,
+    FILE_ANALYSIS_CONFIG
+} from './modules/constants.js';
 import { AudioAnalyzer } from './modules/AudioAnalyzer.js';
 import { Visualizer } from './modules/Visualizer.js';
+import { HistoryChart } from './modules/HistoryChart.js';
 import { GeolocationManager } from './modules/GeolocationManager.js';
 import { MediaCapture } from './modules/MediaCapture.js';
 import { UIController } from './modules/UIController.js';
-import { installRoundRectPolyfill } from './utils/helpers.js';
+import { NoiseStatistics } from './modules/NoiseStatistics.js';
+import { LevelHistory } from './modules/LevelHistory.js';
+import { OctaveBandAnalyzer } from './modules/OctaveBandAnalyzer.js';
+import { Spectrogram } from './modules/Spectrogram.js';
+import { CalibrationManager } from './modules/CalibrationManager.js';
+import { DeviceManager } from './modules/DeviceManager.js';
+import { SessionStore } from './modules/SessionStore.js';
+import { SessionRecorder } from './modules/SessionRecorder.js';
+import { SessionExporter } from './modules/SessionExporter.js';
+import { AlarmManager } from './modules/AlarmManager.js';
+import { EventRecorder } from './modules/EventRecorder.js';
+import { FileAnalyzer } from './modules/FileAnalyzer.js';
+import { ReplayPlayer } from './modules/ReplayPlayer.js';
+import { OverlayLayoutManager } from './modules/OverlayLayoutManager.js';
+import { LayoutEditor } from './modules/LayoutEditor.js';
+import { OverlayPreview } from './modules/OverlayPreview.js';
+import { I18n } from './modules/I18n.js';
+import { StandardsManager } from './modules/StandardsManager.js';
+import { NoiseDosimeter } from './modules/NoiseDosimeter.js';
+import { EnvironmentalIndicators } from './modules/EnvironmentalIndicators.js';
+import { ReportBuilder } from './modules/ReportBuilder.js';
+import { parseLevelTrack } from './modules/LevelTrack.js';
+import { installRoundRectPolyfill, formatOffset, formatDuration, formatDateTime } from './utils/helpers.js';
 
 class DBNoiseMeter {
     constructor() {
         // Install polyfills
         installRoundRectPolyfill();
 
-        // Initialize modules
+        // Initialize modules (the language first, it fills MESSAGES and the level names)
+        this.i18n = new I18n();
         this.ui = new UIController();
         this.audioAnalyzer = new AudioAnalyzer();
         this.visualizer = null;  // Will be initialized after UI
+        this.historyChart = null;
+        this.analysisChart = null;
+        this.replayPlayer = null;
+        this.layoutEditor = null;
+        this.overlayPreview = null;
         this.geolocation = new GeolocationManager();
         this.mediaCapture = new MediaCapture();
+        this.eventRecorder = new EventRecorder();
+        this.statistics = new NoiseStatistics();
+        this.levelHistory = new LevelHistory();
+        this.bandAnalyzer = new OctaveBandAnalyzer();
+        this.spectrogram = new Spectrogram();
+        this.calibration = new CalibrationManager();
+        this.devices = new DeviceManager();
+        this.sessionStore = new SessionStore();
+        this.sessionRecorder = new SessionRecorder(this.sessionStore);
+        this.sessionExporter = new SessionExporter();
+        this.reportBuilder = new ReportBuilder();
+        this.fileAnalyzer = new FileAnalyzer();
+        this.alarms = new AlarmManager();
+        this.standards = new StandardsManager();
+        this.dosimeter = new NoiseDosimeter();
+        this.indicators = new EnvironmentalIndicators();
+        this.overlayLayouts = new OverlayLayoutManager();
 
         // State
         this.stream = null;
         this.facingMode = CAMERA_CONFIG.defaultFacingMode;
+        this.audioOnly = this.loadAudioOnly();   // Measure without the camera
         this.animationFrame = null;
+        this.statsWindow = STATISTICS_CONFIG.defaultWindow;
+        this.lastStatsUpdate = 0;
+        this.historySpan = HISTORY_CONFIG.defaultSpan;
+        this.historyInOverlay = false;
+        this.lastBandUpdate = 0;
+        this.lastSpectrogramUpdate = 0;
+        this.analysisSessionId = null;   // Session of the last analyzed file
+        this.indicatorsSessionId = null; // Session shown in the day-evening-night indicators
+        this.selectedWidget = null;      // Widget selected in the layout editor
 
         // Initialize
         this.init();
@@ -37,18 +97,125 @@ class DBNoiseMeter {
     async init() {
         // Initialize UI
         this.ui.init();
+        this.ui.setLanguages(this.i18n.getLocales(), this.i18n.getLocale());
+        this.ui.translatePage((key) => this.i18n.lookup(key));
 
         // Setup visualizer with canvas element
         this.visualizer = new Visualizer(this.ui.getElement('visualizer'));
+        this.historyChart = new HistoryChart(this.ui.getElement('historyChart'));
+        this.analysisChart = new HistoryChart(this.ui.getElement('analysisChart'));
+
+        // Setup replay of exported videos with their level sidecar
+        this.replayPlayer = new ReplayPlayer(this.ui.getElement('replayVideo'), this.ui.getElement('replayChart'));
+        this.replayPlayer.setCallbacks({
+            onUpdate: (sample, time, duration) => {
+                const level = sample ? sample.level : null;
+                const color = level !== null ? this.audioAnalyzer.getDBALevel(level).color : null;
+                this.ui.updateReplay(level, color, time, duration);
+            }
+        });
+
+        // Photos, videos, event clips, the live preview, the layout editor and the on-screen
+        // overlay share one overlay layout
+        const layout = this.overlayLayouts.getLayout();
+        this.mediaCapture.setOverlayLayout(layout);
+        this.eventRecorder.setOverlayLayout(layout);
+        this.overlayPreview = new OverlayPreview(this.ui.getElement('overlayPreview'));
+        this.overlayPreview.setLayout(layout);
+        this.layoutEditor = new LayoutEditor(this.ui.getElement('layoutPreview'));
+        this.layoutEditor.setLayout(layout);
+        this.layoutEditor.setCallbacks({
+            onSelect: (id) => this.selectLayoutWidget(id),
+            onChange: (id, changes) => this.overlayLayouts.updateWidget(id, changes),
+            onCommit: () => {
+                this.renderLayoutWidgets();
+                this.applyOverlayLayout();
+            }
+        });
 
         // Setup media capture
         this.mediaCapture.setRecordCanvas(this.ui.getElement('recordCanvas'));
         this.mediaCapture.setCallbacks({
             onRecordingStart: () => this.ui.setRecordingState(true),
             onRecordingStop: () => this.ui.setRecordingState(false),
+            onImageCaptured: (blob, filename) => this.storePhoto(blob, filename),
             onToast: (msg, type) => this.ui.showToast(msg, type)
         });
 
+        // Feed every measured block into the statistics, the history chart, the alarms, the noise dose,
+        // the session log and the sidecar of a recording video
+        this.audioAnalyzer.setBlockCallback((block) => {
+            this.statistics.addSample(block);
+            this.levelHistory.add(block.time, block.level);
+            this.alarms.update(block.time, {
+                level: block.level,
+                leq1m: this.statistics.getLeq('1m')
+            });
+            this.eventRecorder.update(block.time, block.level);
+            this.dosimeter.addBlock(block, this.audioAnalyzer.getWeighting());
+            this.sessionRecorder.addBlock(block);
+            this.mediaCapture.addBlock(block);
+        });
+
+        // Setup armed event recording, marking each clip in the session log
+        this.eventRecorder.setCallbacks({
+            onStateChange: (armed, capturing) => this.ui.setEventRecorderState(armed, capturing),
+            onEventStart: (time, level) => this.sessionRecorder.addEvent({
+                time, type: 'recording', state: 'start', description: MESSAGES.eventRecording.event, value: level
+            }),
+            onEventStop: (time, lmax, filename) => this.sessionRecorder.addEvent({
+                time, type: 'recording', state: 'end', description: filename, value: lmax
+            }),
+            onToast: (msg, type) => this.ui.showToast(msg, type)
+        });
+        this.ui.setEventSettings(this.eventRecorder.getSettings());
+        this.ui.setEventRecorderState(false, false);
+
+        // Setup alarms, logging each alarm start/end as a session event
+        this.alarms.setCallbacks({
+            onToast: (msg, type) => this.ui.showToast(msg, type),
+            onAlarm: (rule, event) => this.handleAlarm(rule, 'start', event.time, event.value),
+            onClear: (rule, event) => this.handleAlarm(rule, 'end', event.time, event.peak)
+        });
+        this.alarms.setUnit(this.audioAnalyzer.getUnitLabel());
+        this.ui.setAlarmActions(this.alarms.getActions());
+
+        // Level bands and alarm limits follow the noise standard and switch with the time of day
+        this.ui.setStandards(this.standards.getProfiles(), this.standards.getProfile().id);
+        this.applyStandard();
+        setInterval(() => this.applyStandard(), STANDARDS_CONFIG.updateInterval);
+
+        // Noise dose keeps integrating across page reloads until it is stopped
+        this.ui.setDoseSettings(this.dosimeter.getSettings(), this.dosimeter.getPreset());
+        this.ui.setDoseRunning(this.dosimeter.isRunning());
+        this.updateDose();
+        if (this.dosimeter.isRunning()) {
+            this.ui.showToast(MESSAGES.dose.resumed);
+        }
+
+        // Setup session logging
+        this.sessionRecorder.setContextProvider(() => ({
+            weighting: this.audioAnalyzer.getWeighting(),
+            ...this.geolocation.getCoordinates()
+        }));
+        this.ui.setSessionActive(false, this.sessionRecorder.getSampleInterval());
+        window.addEventListener('pagehide', () => {
+            this.sessionRecorder.flush();
+            this.dosimeter.flush();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'hidden') return;
+            this.sessionRecorder.flush();
+            this.dosimeter.flush();
+        });
+        if (this.sessionRecorder.getInterruptedSessionId() !== null) {
+            this.ui.showToast(MESSAGES.session.interrupted);
+        }
+
+        // Day-evening-night indicators of logged sessions, shown per session and exported
+        this.sessionExporter.setIndicatorSettings(this.indicators.getSettings());
+        this.ui.setIndicatorSettings(this.indicators.getSettings());
+
         // Setup geolocation
         this.geolocation.setUpdateCallback((text) => this.ui.updateLocation(text));
         this.geolocation.start();
@@ -56,12 +223,106 @@ class DBNoiseMeter {
         // Setup event listeners
         this.ui.setupEventListeners({
             onGrant: () => this.requestPermissions(),
+            onGrantAudioOnly: () => {
+                this.setAudioOnlyPreference(true);
+                this.requestPermissions();
+            },
+            onAudioOnlyChange: (enabled) => this.setAudioOnly(enabled),
+            onMicrophoneChange: (deviceId) => this.setMicrophone(deviceId),
+            onCameraChange: (deviceId) => this.setCamera(deviceId),
+            onCameraFormatChange: (format) => this.setCameraFormat(format),
             onCapture: () => this.captureImage(),
             onRecord: () => this.toggleRecording(),
             onSwitch: () => this.switchCamera(),
             onBuy: () => window.open('https://s.shopee.vn/an_redir?origin_link=https%3A%2F%2Fshopee.vn%2Fproduct%2F126607696%2F26808440653%3Fgads_t_sig%3DVTJGc2RHVmtYMTlxTFVSVVRrdENkUm9yWVZMbGw0Q214S0d1TzNEZmUwN2ZxdFJrNE1JZEhVRnJ3YTJ6YmhvNHdjQXNQdGxXdnQ5eEdCMFhNck1DQ0ViSEU3dlIweFBwMnp3RUlIdUtrdk1zbitNQnNZZkM3eW8yU1BPM3d5ZUFYYlRJNmJ6Vmg5R0haaE05b0g2bkx3PT0&sm=fb_partner&affiliate_id=17370240207', '_blank'),
-            onResize: () => this.visualizer.resize()
+            onResize: () => {
+                this.visualizer.resize();
+                this.historyChart.resize();
+            },
+            onWeightingChange: (type) => this.setWeighting(type),
+            onTimeWeightingChange: (type) => this.audioAnalyzer.setTimeWeighting(type),
+            onStatsWindowChange: (windowId) => this.setStatsWindow(windowId),
+            onStatsReset: () => this.resetStatistics(),
+            onCalibrate: () => this.calibrate(),
+            onCalibrationReset: () => this.resetCalibration(),
+            onSessionsOpen: () => this.refreshSessions(),
+            onSessionToggle: () => this.toggleSession(),
+            onLogIntervalChange: (interval) => this.sessionRecorder.setSampleInterval(interval),
+            onFileAnalyze: (file) => this.analyzeFile(file),
+            onAnalysisExport: (format) => {
+                if (this.analysisSessionId !== null) this.exportSession(this.analysisSessionId, format);
+            },
+            onIndicatorSettingsChange: (settings) => this.setIndicatorSettings(settings),
+            onIndicatorsExport: (format) => {
+                if (this.indicatorsSessionId !== null) this.exportSession(this.indicatorsSessionId, format);
+            },
+            onVisualizerModeChange: (mode) => this.setVisualizerMode(mode),
+            onSpectrogramSettingsChange: (settings) => this.setSpectrogramSettings(settings),
+            onHistorySpanChange: (spanId) => this.setHistorySpan(spanId),
+            onHistoryOverlayChange: (enabled) => { this.historyInOverlay = enabled; },
+            onAlarmsOpen: () => this.renderAlarmRules(),
+            onAlarmRuleAdd: () => {
+                this.alarms.addRule();
+                this.renderAlarmRules();
+            },
+            onAlarmActionChange: (name, enabled) => this.alarms.setAction(name, enabled),
+            onEventToggle: () => this.toggleEventRecording(),
+            onSidecarFormatChange: (format) => this.mediaCapture.setSidecarFormat(format),
+            onReplayFiles: (files) => this.openReplay(files),
+            onReplaySeek: (fraction) => this.replayPlayer.seek(fraction),
+            onReplayClose: () => this.replayPlayer.close(),
+            onLayoutOpen: () => this.openLayoutEditor(),
+            onLayoutClose: () => this.layoutEditor.close(),
+            onOverlayPreviewChange: (enabled) => this.setOverlayPreview(enabled),
+            onLanguageChange: (code) => this.setLanguage(code),
+            onStandardChange: (id) => this.setStandard(id),
+            onStandardsOpen: () => this.openStandards(),
+            onStandardSave: (form) => this.saveStandard(form),
+            onStandardDelete: () => this.deleteStandard(),
+            onDoseOpen: () => this.updateDose(),
+            onDosePresetChange: (id) => {
+                this.dosimeter.usePreset(id);
+                this.applyDoseSettings();
+            },
+            onDoseSettingsChange: (settings) => {
+                if (!this.dosimeter.configure(settings)) this.ui.showToast(MESSAGES.dose.invalid, 'error');
+                this.applyDoseSettings();
+            },
+            onDoseToggle: () => this.toggleDose(),
+            onDoseReset: () => this.resetDose(),
+            onDoseExport: (format) => this.exportDose(format),
+            onLayoutPresetSelect: (name) => this.loadLayoutPreset(name),
+            onLayoutPresetSave: (name) => this.saveLayoutPreset(name),
+            onLayoutPresetDelete: (name) => this.deleteLayoutPreset(name),
+            onLayoutReset: () => {
+                this.overlayLayouts.reset();
+                this.renderLayoutWidgets();
+                this.applyOverlayLayout();
+                this.ui.showToast(MESSAGES.layout.reset, 'success');
+            },
+            onEventSettingsChange: (settings) => {
+                this.eventRecorder.configure(settings);
+                this.ui.setEventSettings(this.eventRecorder.getSettings());
+            }
         });
+        this.ui.setWeighting(this.audioAnalyzer.getWeighting(), this.audioAnalyzer.getUnitLabel());
+        this.ui.setTimeWeighting(this.audioAnalyzer.getTimeWeighting());
+        this.ui.setStatsWindow(this.statsWindow);
+        this.ui.setHistorySpan(this.historySpan);
+        this.ui.setVisualizerMode(this.visualizer.getMode());
+        this.ui.setSidecarFormat(this.mediaCapture.getSidecarFormat());
+        this.ui.setSpectrogramSettings({ colorMap: this.spectrogram.getColorMap(), ...this.spectrogram.getRange() });
+        this.ui.setAudioOnly(this.audioOnly);
+        this.ui.setMicrophoneWarning([]);
+        this.ui.setCameraFormat(this.devices.getFormat());
+        this.applyVideoFormat();
+        this.applyOverlayLayout();
+        this.applyOverlayPreview(this.loadOverlayPreview());
+
+        // Keep the microphone list current as devices are plugged in or removed
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.refreshDevices());
+        }
 
         // Check if permissions already granted
         await this.checkPermissions();
@@ -69,12 +330,18 @@ class DBNoiseMeter {
 
     async checkPermissions() {
         try {
-            const cameraPermission = await navigator.permissions.query({ name: 'camera' });
             const micPermission = await navigator.permissions.query({ name: 'microphone' });
+            if (micPermission.state !== 'granted') return;
+
+            // The camera permission only matters when the camera is used
+            const cameraState = this.audioOnly ? null : (await navigator.permissions.query({ name: 'camera' })).state;
+            if (cameraState === 'denied') {
+                this.applyAudioOnly(true);
+            }
 
-            if (cameraPermission.state === 'granted' && micPermission.state === 'granted') {
+            if (this.audioOnly || cameraState === 'granted') {
                 this.ui.setPermissionModalVisible(false);
-                await this.startMedia();
+                await this.startMeasurement();
             }
         } catch (e) {
             // Permissions API not supported, show modal
@@ -84,7 +351,7 @@ class DBNoiseMeter {
 
     async requestPermissions() {
         try {
-            await this.startMedia();
+            await this.startMeasurement();
             this.ui.setPermissionModalVisible(false);
         } catch (error) {
             console.error('Permission denied:', error);
@@ -92,30 +359,68 @@ class DBNoiseMeter {
         }
     }
 
+    /**
+     * Start media, falling back to audio-only measurement when the camera is missing or refused
+     */
+    async startMeasurement() {
+        try {
+            await this.startMedia();
+        } catch (error) {
+            if (this.audioOnly) throw error;
+
+            console.warn('Camera unavailable, measuring audio only:', error);
+            this.applyAudioOnly(true);
+            try {
+                await this.startMedia();
+            } catch (audioError) {
+                // The microphone failed too, the camera was not the problem
+                this.applyAudioOnly(false);
+                throw audioError;
+            }
+            this.ui.showToast(MESSAGES.camera.unavailable);
+        }
+    }
+
     async startMedia() {
         try {
+            // Armed recording holds the old tracks
+            this.eventRecorder.disarm();
+
             // Stop existing stream
             if (this.stream) {
                 this.stream.getTracks().forEach(track => track.stop());
             }
 
-            // Get camera and microphone
-            this.stream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    facingMode: this.facingMode,
-                    width: { ideal: CAMERA_CONFIG.idealWidth },
-                    height: { ideal: CAMERA_CONFIG.idealHeight }
-                },
-                audio: true
-            });
+            // Get camera and microphone (microphone only in audio-only mode)
+            this.stream = await this.openStream();
 
-            this.ui.setCameraStream(this.stream);
+            this.ui.setCameraStream(this.audioOnly ? null : this.stream);
+
+            // Use the calibration profile of this microphone
+            const audioTrack = this.stream.getAudioTracks()[0];
+            this.calibration.setDevice(audioTrack);
+            this.applyCalibration();
+
+            // Echo cancellation, noise suppression and gain control distort the levels
+            const activeProcessing = this.devices.getActiveProcessing(audioTrack);
+            this.ui.setMicrophoneWarning(activeProcessing);
+            if (activeProcessing.length) {
+                this.ui.showToast(MESSAGES.devices.processingActive, 'error');
+            }
+            this.refreshDevices();
 
             // Setup audio analysis
-            this.audioAnalyzer.setup(this.stream);
+            await this.audioAnalyzer.setup(this.stream);
+            this.reportWeightingIssues();
+            this.bandAnalyzer.configure(this.audioAnalyzer.getSampleRate(), this.audioAnalyzer.getBandFFTSize());
+            this.spectrogram.configure(this.audioAnalyzer.getSampleRate(), this.audioAnalyzer.getBandFFTSize());
 
             // Start visualization
             this.visualizer.resize();
+            this.historyChart.resize();
+            if (this.animationFrame) {
+                cancelAnimationFrame(this.animationFrame);
+            }
             this.animate();
 
         } catch (error) {
@@ -124,6 +429,127 @@ class DBNoiseMeter {
         }
     }
 
+    /**
+     * Warn when a weighting filter leaves the IEC 61672 class 1 limits at the
+     * sample rate of the microphone, since its readings are off
+     * @private
+     */
+    reportWeightingIssues() {
+        const issues = this.audioAnalyzer.getWeightingIssues();
+        if (issues.length === 0) return;
+
+        const details = issues
+            .map(({ weighting, frequencies }) => `${WEIGHTING_CONFIG.types[weighting].label}: ${frequencies.join(', ')} Hz`)
+            .join('; ');
+        this.ui.showToast(`${MESSAGES.weighting.outOfTolerance} (${this.audioAnalyzer.getSampleRate()} Hz, ${details})`, 'error');
+    }
+
+    /**
+     * Request camera and microphone. A selected microphone that is no longer
+     * connected falls back to the default one.
+     * @private
+     * @returns {Promise<MediaStream>}
+     */
+    async openStream() {
+        const getConstraints = () => ({
+            video: this.audioOnly ? false : this.devices.getVideoConstraints(this.facingMode),
+            audio: this.devices.getAudioConstraints()
+        });
+
+        try {
+            return await navigator.mediaDevices.getUserMedia(getConstraints());
+        } catch (error) {
+            // Only the exact device ids can overconstrain, the format is ideal
+            if (error.name !== 'OverconstrainedError') throw error;
+
+            const dropped = this.devices.dropMissing(await this.devices.listDevices());
+            if (dropped.length === 0) throw error;
+
+            console.warn('Selected device unavailable:', dropped, error);
+            if (dropped.includes('microphone')) this.ui.showToast(MESSAGES.devices.microphoneMissing, 'error');
+            if (dropped.includes('camera')) this.ui.showToast(MESSAGES.devices.cameraMissing, 'error');
+            return navigator.mediaDevices.getUserMedia(getConstraints());
+        }
+    }
+
+    /**
+     * Update the microphone and camera lists in the settings
+     */
+    async refreshDevices() {
+        try {
+            const { microphones, cameras } = await this.devices.listDevices();
+            this.ui.setMicrophones(microphones, this.devices.getMicrophoneId());
+            this.ui.setCameras(cameras, this.devices.getCameraId());
+        } catch (error) {
+            console.warn('Could not list devices:', error);
+        }
+    }
+
+    /**
+     * Pass the selected capture format to the recorders
+     * @private
+     */
+    applyVideoFormat() {
+        const format = this.devices.getFormat();
+        this.mediaCapture.setVideoFormat(format);
+        this.eventRecorder.setVideoFormat(format);
+    }
+
+    /**
+     * Measure with another camera
+     * @param {string} deviceId - Device id, or '' to follow the facing mode
+     */
+    async setCamera(deviceId) {
+        this.devices.setCamera(deviceId);
+        await this.restartCamera();
+    }
+
+    /**
+     * Select the camera resolution and framerate (also used for recordings)
+     * @param {Object} format
+     * @param {string} format.resolution - Key of CAMERA_CONFIG.resolutions
+     * @param {number} format.frameRate - Frames per second
+     */
+    async setCameraFormat({ resolution, frameRate }) {
+        this.devices.setFormat(resolution, frameRate);
+        this.ui.setCameraFormat(this.devices.getFormat());
+        this.applyVideoFormat();
+        await this.restartCamera();
+    }
+
+    /**
+     * Reopen the camera with the current selection
+     * @private
+     */
+    async restartCamera() {
+        if (!this.stream || this.audioOnly) return;
+
+        try {
+            await this.startMedia();
+            this.ui.showToast(MESSAGES.devices.cameraChanged, 'success');
+        } catch (error) {
+            console.error('Error opening camera:', error);
+            this.ui.showToast(MESSAGES.camera.error, 'error');
+        }
+    }
+
+    /**
+     * Measure with another microphone
+     * @param {string} deviceId - Device id, or '' for the browser default
+     */
+    async setMicrophone(deviceId) {
+        this.devices.setMicrophone(deviceId);
+        if (!this.stream) return;
+
+        try {
+            await this.startMeasurement();
+            this.ui.showToast(MESSAGES.devices.microphoneChanged, 'success');
+        } catch (error) {
+            console.error('Error opening microphone:', error);
+            this.ui.showToast(MESSAGES.devices.microphoneError, 'error');
+        }
+    }
+
     animate() {
         // Calculate DBA
         this.audioAnalyzer.calculateDBA();
@@ -135,32 +561,947 @@ class DBNoiseMeter {
         // Update UI
         this.ui.updateDBADisplay(displayDBA, level);
 
+        const now = Date.now();
+        if (now - this.lastStatsUpdate >= STATISTICS_CONFIG.displayUpdateInterval) {
+            this.ui.updateStats(this.statistics.getSummary(this.statsWindow));
+            this.lastStatsUpdate = now;
+
+            const session = this.sessionRecorder.getSession();
+            if (session) {
+                this.ui.updateLoggingElapsed((now - session.startTime) / 1000);
+            }
+            if (this.dosimeter.isRunning()) {
+                this.updateDose();
+            }
+        }
+
+        // Update octave bands (only while a band mode is shown)
+        if (this.isBandMode() && now - this.lastBandUpdate >= BAND_CONFIG.updateInterval) {
+            const spectrum = this.audioAnalyzer.getBandSpectrum();
+            if (spectrum) {
+                this.bandAnalyzer.process(
+                    spectrum,
+                    this.audioAnalyzer.getCalibrationOffset(),
+                    this.audioAnalyzer.getAudioTime()
+                );
+            }
+            this.lastBandUpdate = now;
+        }
+
+        // Add a spectrogram column (only while the spectrogram is shown)
+        if (this.visualizer.getMode() === 'spectrogram' &&
+            now - this.lastSpectrogramUpdate >= SPECTROGRAM_CONFIG.updateInterval) {
+            const spectrum = this.audioAnalyzer.getBandSpectrum();
+            if (spectrum) {
+                this.spectrogram.process(spectrum, this.audioAnalyzer.getCalibrationOffset());
+            }
+            this.lastSpectrogramUpdate = now;
+        }
+
         // Draw visualizer
         this.visualizer.draw(
             this.audioAnalyzer.getTimeDomainData(),
             this.audioAnalyzer.getFrequencyData(),
-            this.audioAnalyzer.getVisualizerColor()
+            this.audioAnalyzer.getVisualizerColor(),
+            this.getBands(),
+            this.getSpectrogram()
         );
 
+        // Draw level history
+        if (this.historySpan !== 'off') {
+            this.historyChart.draw(
+                this.levelHistory,
+                HISTORY_CONFIG.spans[this.historySpan],
+                this.ui.getHistorySpanLabel()
+            );
+        }
+
         // Continue animation
         this.animationFrame = requestAnimationFrame(() => this.animate());
     }
 
+    /**
+     * Switch the active frequency weighting
+     * @param {string} type - Weighting ('A', 'C' or 'Z')
+     */
+    setWeighting(type) {
+        this.audioAnalyzer.setWeighting(type);
+        this.ui.setWeighting(this.audioAnalyzer.getWeighting(), this.audioAnalyzer.getUnitLabel());
+        this.alarms.setUnit(this.audioAnalyzer.getUnitLabel());
+        this.applyStandard();
+
+        // Levels of different weightings must not be mixed
+        this.resetStatistics();
+        if (this.dosimeter.isRunning() && this.dosimeter.hasData() && this.dosimeter.getWeighting() !== type) {
+            this.dosimeter.stop();
+            this.ui.setDoseRunning(false);
+            this.ui.showToast(MESSAGES.dose.weightingStopped, 'error');
+        }
+        this.updateDose();
+    }
+
+    /**
+     * Select the statistics window shown in the panel and overlay
+     * @param {string} windowId - 'session' or a rolling window id
+     */
+    setStatsWindow(windowId) {
+        this.statsWindow = windowId;
+        this.ui.setStatsWindow(windowId);
+        this.ui.updateStats(this.statistics.getSummary(windowId));
+    }
+
+    /**
+     * Switch the interface language. The page and the texts set from code are
+     * refreshed; lists in the other dialogs are rebuilt when they are opened.
+     * @param {string} code - Locale code from I18N_CONFIG.locales
+     */
+    setLanguage(code) {
+        if (!this.i18n.setLocale(code)) return;
+
+        this.ui.translatePage((key) => this.i18n.lookup(key));
+        this.ui.updateDateTime();
+        this.ui.setStatsWindow(this.statsWindow);
+        this.ui.setSessionActive(this.sessionRecorder.isActive(), this.sessionRecorder.getSampleInterval());
+        this.ui.setEventRecorderState(this.eventRecorder.isArmed(), this.eventRecorder.isCapturing());
+        this.ui.setMicrophoneWarning(this.stream ? this.devices.getActiveProcessing(this.stream.getAudioTracks()[0]) : []);
+        this.ui.updateCalibration(this.calibration.getProfile(), this.calibration.getDeviceLabel());
+        this.ui.setStandards(this.standards.getProfiles(), this.standards.getProfile().id);
+        this.applyStandard();
+        this.ui.setDoseRunning(this.dosimeter.isRunning());
+        this.updateDose();
+        this.refreshDevices();
+    }
+
+    /**
+     * Use the level bands and limit of the active noise standard for the current
+     * time of day, and show the period and limit in the settings
+     */
+    applyStandard() {
+        const { period, limit } = this.standards.applyLevels(new Date());
+        this.alarms.setLimit(limit);
+        this.updateAlarmIndicator();
+        this.ui.setStandardStatus(limit !== null
+            ? `${MESSAGES.standards.periods[period]} · ${MESSAGES.standards.limit} ${limit} ${this.audioAnalyzer.getUnitLabel()}`
+            : MESSAGES.standards.noLimit);
+    }
+
+    /**
+     * Select the noise standard
+     * @param {string} id - Profile id
+     */
+    setStandard(id) {
+        if (this.standards.setActive(id)) this.applyStandard();
+    }
+
+    /**
+     * Show the custom standard form, filled from the active standard
+     * (or example values when it has no limit)
+     */
+    openStandards() {
+        const profile = this.standards.getProfile();
+        const hasLimit = Object.values(profile.limits).some(Number.isFinite);
+        const values = hasLimit ? profile : STANDARDS_CONFIG.customDefaults;
+        this.ui.setStandardForm({
+            name: profile.custom ? profile.name : '',
+            periods: values.periods,
+            limits: values.limits
+        }, profile.custom);
+    }
+
+    /**
+     * Save the custom standard form and use it
+     * @param {{name: string, periods: Object, limits: Object}} form - Form values
+     */
+    saveStandard({ name, periods, limits }) {
+        const id = this.standards.saveCustom(name, periods, limits);
+        if (!id) {
+            this.ui.showToast(MESSAGES.standards.invalid, 'error');
+            return;
+        }
+
+        this.ui.setStandards(this.standards.getProfiles(), id);
+        this.applyStandard();
+        this.openStandards();
+        this.ui.showToast(MESSAGES.standards.saved, 'success');
+    }
+
+    /**
+     * Delete the active standard when it is a custom one
+     */
+    deleteStandard() {
+        const profile = this.standards.getProfile();
+        if (!profile.custom) return;
+
+        this.standards.deleteCustom(profile.id);
+        this.ui.setStandards(this.standards.getProfiles(), this.standards.getProfile().id);
+        this.applyStandard();
+        this.openStandards();
+        this.ui.showToast(`${MESSAGES.standards.deleted}: ${profile.name}`, 'success');
+    }
+
+    /**
+     * Show the noise dose results
+     */
+    updateDose() {
+        const results = this.dosimeter.getResults();
+        const unit = results.weighting
+            ? WEIGHTING_CONFIG.types[results.weighting].label
+            : this.audioAnalyzer.getUnitLabel();
+        this.ui.updateDose(results, unit);
+    }
+
+    /**
+     * Show the dose settings after a change; the dose is recomputed for them
+     * @private
+     */
+    applyDoseSettings() {
+        this.ui.setDoseSettings(this.dosimeter.getSettings(), this.dosimeter.getPreset());
+        this.updateDose();
+    }
+
+    /**
+     * Start or pause the noise dose measurement. A paused measurement only
+     * continues with the weighting it was measured with.
+     */
+    toggleDose() {
+        if (this.dosimeter.isRunning()) {
+            this.dosimeter.stop();
+            this.ui.showToast(MESSAGES.dose.stopped, 'success');
+        } else if (this.dosimeter.hasData() && this.dosimeter.getWeighting() !== this.audioAnalyzer.getWeighting()) {
+            this.ui.showToast(MESSAGES.dose.weightingMismatch, 'error');
+            return;
+        } else {
+            this.dosimeter.start();
+            this.ui.showToast(MESSAGES.dose.started, 'success');
+        }
+        this.ui.setDoseRunning(this.dosimeter.isRunning());
+        this.updateDose();
+    }
+
+    /**
+     * Clear the noise dose measurement after confirmation
+     */
+    resetDose() {
+        if (this.dosimeter.hasData() && !window.confirm(MESSAGES.dose.confirmReset)) return;
+
+        this.dosimeter.reset();
+        this.updateDose();
+    }
+
+    /**
+     * Download the noise dose measurement as CSV or JSON
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportDose(format) {
+        if (!this.dosimeter.hasData()) {
+            this.ui.showToast(MESSAGES.dose.empty, 'error');
+            return;
+        }
+
+        const filename = this.sessionExporter.downloadDose(this.dosimeter.getReport(), {
+            calibration: this.getCalibrationInfo(),
+            device: this.getDeviceInfo(),
+            ...this.geolocation.getCoordinates()
+        }, format);
+        this.ui.showToast(`${MESSAGES.session.exported}: ${filename}`, 'success');
+    }
+
+    /**
+     * Select the visualizer mode (FFT bars, octave bands or spectrogram)
+     * @param {string} mode - 'bars', 'octave', 'third' or 'spectrogram'
+     */
+    setVisualizerMode(mode) {
+        this.visualizer.setMode(mode);
+        if (this.isBandMode()) {
+            this.bandAnalyzer.setResolution(mode);
+        }
+        this.ui.setVisualizerMode(mode);
+    }
+
+    /**
+     * Check whether an octave band mode is shown
+     * @returns {boolean}
+     */
+    isBandMode() {
+        return Boolean(BAND_CONFIG.labels[this.visualizer.getMode()]);
+    }
+
+    /**
+     * Octave band levels when a band mode is shown
+     * @returns {Object[]|null}
+     */
+    getBands() {
+        return this.isBandMode() ? this.bandAnalyzer.getBands() : null;
+    }
+
+    /**
+     * The spectrogram when the spectrogram mode is shown
+     * @returns {Spectrogram|null}
+     */
+    getSpectrogram() {
+        return this.visualizer.getMode() === 'spectrogram' ? this.spectrogram : null;
+    }
+
+    /**
+     * Apply spectrogram color map and level range
+     * @param {Object} settings - { colorMap, min, max } from the settings
+     */
+    setSpectrogramSettings({ colorMap, min, max }) {
+        this.spectrogram.setColorMap(colorMap);
+        if (!this.spectrogram.setRange(min, max)) {
+            this.ui.showToast(MESSAGES.spectrogram.invalidRange, 'error');
+        }
+        this.ui.setSpectrogramSettings({ colorMap: this.spectrogram.getColorMap(), ...this.spectrogram.getRange() });
+    }
+
+    /**
+     * Select the history chart span
+     * @param {string} spanId - Span id from HISTORY_CONFIG.spans, or 'off'
+     */
+    setHistorySpan(spanId) {
+        this.historySpan = spanId;
+        this.ui.setHistorySpan(spanId);
+
+        // The canvas has no size while hidden
+        if (spanId !== 'off') this.historyChart.resize();
+    }
+
+    resetStatistics() {
+        this.statistics.reset();
+        this.levelHistory.reset();
+        this.bandAnalyzer.reset();
+
+        // Pending alarm durations and Leq,1min restart with the statistics
+        this.alarms.reset();
+        this.ui.updateStats(this.statistics.getSummary(this.statsWindow));
+    }
+
+    /**
+     * Log an alarm start/end into the session and update the indicator
+     * @param {Object} rule - Alarm rule
+     * @param {string} state - 'start' or 'end'
+     * @param {number} time - Timestamp (ms since epoch)
+     * @param {number} value - Level at the trigger (start) or highest level during the alarm (end)
+     */
+    handleAlarm(rule, state, time, value) {
+        this.sessionRecorder.addEvent({
+            time,
+            type: 'alarm',
+            state,
+            description: this.alarms.describe(rule),
+            metric: rule.metric,
+            threshold: this.alarms.getThreshold(rule),
+            value
+        });
+        this.updateAlarmIndicator();
+    }
+
+    updateAlarmIndicator() {
+        const active = this.alarms.getActiveRules().map(rule => this.alarms.describe(rule));
+        this.ui.setAlarmActive(active.length > 0 ? active.join(' · ') : null);
+    }
+
+    /**
+     * Show the alarm rule editor
+     */
+    renderAlarmRules() {
+        this.ui.renderAlarmRules(this.alarms.getRules(), {
+            onChange: (id, changes) => {
+                this.alarms.updateRule(id, changes);
+                this.updateAlarmIndicator();
+            },
+            onDelete: (id) => {
+                this.alarms.removeRule(id);
+                this.renderAlarmRules();
+                this.updateAlarmIndicator();
+            }
+        });
+    }
+
+    /**
+     * Show the overlay layout editor with a live preview
+     */
+    openLayoutEditor() {
+        this.ui.setLayoutPresets(this.overlayLayouts.getPresetNames());
+        this.renderLayoutWidgets();
+        this.layoutEditor.open(() => ({
+            camera: this.getCamera(),
+            format: this.devices.getFormat(),
+            data: this.getLayoutPreviewData()
+        }));
+    }
+
+    /**
+     * Overlay data for the editor preview: every optional widget is shown so it can be placed
+     * @returns {Object}
+     */
+    getLayoutPreviewData() {
+        const data = this.getOverlayData();
+        return {
+            ...data,
+            isRecording: true,
+            history: data.history || {
+                levels: this.levelHistory,
+                span: HISTORY_CONFIG.spans[HISTORY_CONFIG.defaultSpan],
+                label: ''
+            }
+        };
+    }
+
+    /**
+     * Show the widget list of the layout editor
+     */
+    renderLayoutWidgets() {
+        this.ui.renderLayoutWidgets(this.overlayLayouts.getLayout(), this.selectedWidget, {
+            onChange: (id, changes) => {
+                this.overlayLayouts.updateWidget(id, changes);
+                this.renderLayoutWidgets();
+                this.applyOverlayLayout();
+            },
+            onSelect: (id) => this.selectLayoutWidget(id)
+        });
+    }
+
+    /**
+     * Lay out the on-screen overlay like the captured one
+     */
+    applyOverlayLayout() {
+        this.ui.applyOverlayLayout(this.overlayLayouts.getLayout());
+
+        // The chart and visualizer change size with the layout
+        this.visualizer.resize();
+        this.historyChart.resize();
+    }
+
+    /**
+     * Read the stored preview preference
+     * @private
+     */
+    loadOverlayPreview() {
+        try {
+            return localStorage.getItem(OVERLAY_LAYOUT_CONFIG.previewKey) === 'true';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Turn the live preview of the captured overlay on or off and store the choice
+     * @param {boolean} enabled - Whether the screen shows the captured overlay
+     */
+    setOverlayPreview(enabled) {
+        try {
+            localStorage.setItem(OVERLAY_LAYOUT_CONFIG.previewKey, String(enabled));
+        } catch (e) {
+            console.warn('Could not store overlay preview preference:', e);
+        }
+        this.applyOverlayPreview(enabled);
+    }
+
+    /**
+     * @private
+     */
+    applyOverlayPreview(enabled) {
+        this.ui.setOverlayPreview(enabled);
+        if (enabled) {
+            this.overlayPreview.start(() => ({
+                camera: this.getCamera(),
+                format: this.devices.getFormat(),
+                data: this.getOverlayData()
+            }));
+        } else {
+            this.overlayPreview.stop();
+            // Shown again after being hidden by the preview
+            this.visualizer.resize();
+            this.historyChart.resize();
+        }
+    }
+
+    /**
+     * Select a widget in the preview and in the list
+     * @param {string|null} id - Widget id
+     */
+    selectLayoutWidget(id) {
+        this.selectedWidget = id;
+        this.layoutEditor.select(id);
+        this.ui.setLayoutSelection(id);
+    }
+
+    /**
+     * @param {string} name - Preset name
+     */
+    loadLayoutPreset(name) {
+        if (!this.overlayLayouts.loadPreset(name)) return;
+        this.ui.setLayoutPresets(this.overlayLayouts.getPresetNames(), name);
+        this.renderLayoutWidgets();
+        this.applyOverlayLayout();
+        this.ui.showToast(`${MESSAGES.layout.loaded}: ${name}`, 'success');
+    }
+
+    /**
+     * @param {string} name - Preset name
+     */
+    saveLayoutPreset(name) {
+        if (!this.overlayLayouts.savePreset(name)) {
+            this.ui.showToast(MESSAGES.layout.invalidName, 'error');
+            return;
+        }
+        this.ui.setLayoutPresets(this.overlayLayouts.getPresetNames(), name.trim());
+        this.ui.showToast(`${MESSAGES.layout.saved}: ${name.trim()}`, 'success');
+    }
+
+    /**
+     * @param {string} name - Preset name
+     */
+    deleteLayoutPreset(name) {
+        this.overlayLayouts.deletePreset(name);
+        this.ui.setLayoutPresets(this.overlayLayouts.getPresetNames());
+        this.ui.showToast(`${MESSAGES.layout.deleted}: ${name}`, 'success');
+    }
+
+    /**
+     * Apply the current device's calibration offset
+     */
+    applyCalibration() {
+        this.audioAnalyzer.setCalibrationOffset(this.calibration.getOffset());
+        this.ui.updateCalibration(this.calibration.getProfile(), this.calibration.getDeviceLabel());
+    }
+
+    /**
+     * Calibrate the current microphone against the entered reference level
+     */
+    async calibrate() {
+        const reference = this.ui.getCalibrationReference();
+        if (!Number.isFinite(reference) ||
+            reference < CALIBRATION_CONFIG.minReferenceLevel ||
+            reference > CALIBRATION_CONFIG.maxReferenceLevel) {
+            this.ui.showToast(MESSAGES.calibration.invalidReference, 'error');
+            return;
+        }
+
+        if (!this.audioAnalyzer.isReady()) {
+            this.ui.showToast(MESSAGES.calibration.notReady, 'error');
+            return;
+        }
+
+        this.ui.setCalibrationBusy(true);
+        this.ui.showToast(MESSAGES.calibration.started);
+
+        try {
+            const measured = await this.audioAnalyzer.measureFullScaleLevel(CALIBRATION_CONFIG.measureDuration);
+            if (!Number.isFinite(measured)) {
+                throw new Error('No signal during calibration');
+            }
+
+            const profile = this.calibration.calibrate(reference, measured);
+            this.applyCalibration();
+
+            // Earlier values used the old offset
+            this.resetStatistics();
+            this.ui.showToast(`${MESSAGES.calibration.done}: ${formatOffset(profile.offset)}`, 'success');
+        } catch (error) {
+            console.error('Calibration failed:', error);
+            this.ui.showToast(MESSAGES.calibration.failed, 'error');
+        } finally {
+            this.ui.setCalibrationBusy(false);
+        }
+    }
+
+    resetCalibration() {
+        this.calibration.reset();
+        this.applyCalibration();
+        this.resetStatistics();
+        this.ui.showToast(MESSAGES.calibration.reset, 'success');
+    }
+
+    /**
+     * Start or stop logging a session
+     */
+    async toggleSession() {
+        try {
+            if (this.sessionRecorder.isActive()) {
+                await this.sessionRecorder.stop();
+                this.ui.showToast(MESSAGES.session.stopped, 'success');
+            } else {
+                await this.sessionRecorder.start(this.getSessionMetadata());
+                this.ui.showToast(MESSAGES.session.started, 'success');
+            }
+        } catch (error) {
+            console.error('Session logging error:', error);
+            this.ui.showToast(MESSAGES.session.error, 'error');
+        }
+
+        this.ui.setSessionActive(this.sessionRecorder.isActive(), this.sessionRecorder.getSampleInterval());
+        await this.refreshSessions();
+    }
+
+    /**
+     * Continue logging into a stored session
+     * @param {number} id - Session id
+     */
+    async resumeSession(id) {
+        try {
+            await this.sessionRecorder.resume(id);
+            this.ui.setSessionActive(true, this.sessionRecorder.getSampleInterval());
+            this.ui.showToast(MESSAGES.session.resumed, 'success');
+        } catch (error) {
+            console.error('Could not resume session:', error);
+            this.ui.showToast(MESSAGES.session.error, 'error');
+        }
+        await this.refreshSessions();
+    }
+
+    /**
+     * Delete a stored session after confirmation
+     * @param {number} id - Session id
+     */
+    async deleteSession(id) {
+        if (!window.confirm(MESSAGES.session.confirmDelete)) return;
+
+        try {
+            const active = this.sessionRecorder.getSession();
+            if (active && active.id === id) {
+                await this.sessionRecorder.stop();
+                this.ui.setSessionActive(false, this.sessionRecorder.getSampleInterval());
+            }
+            await this.sessionStore.deleteSession(id);
+            if (this.sessionRecorder.getInterruptedSessionId() === id) {
+                this.sessionRecorder.clearInterrupted();
+            }
+            this.ui.showToast(MESSAGES.session.deleted, 'success');
+        } catch (error) {
+            console.error('Could not delete session:', error);
+            this.ui.showToast(MESSAGES.session.error, 'error');
+        }
+        await this.refreshSessions();
+    }
+
+    /**
+     * Measure an imported recording with the current weighting, time weighting and
+     * calibration, store it as a session and show the results
+     * @param {File} file - Audio or video file
+     */
+    async analyzeFile(file) {
+        if (!window.OfflineAudioContext) {
+            this.ui.showToast(MESSAGES.fileAnalysis.unsupported, 'error');
+            return;
+        }
+
+        const weighting = this.audioAnalyzer.getWeighting();
+        const timeWeighting = this.audioAnalyzer.getTimeWeighting();
+        this.ui.setFileAnalysisProgress(0);
+
+        try {
+            const result = await this.fileAnalyzer.analyze(file, {
+                weighting,
+                timeWeighting,
+                offset: this.audioAnalyzer.getCalibrationOffset(),
+                onProgress: (fraction) => this.ui.setFileAnalysisProgress(fraction)
+            });
+
+            const statistics = new NoiseStatistics();
+            const history = new LevelHistory(result.duration * 1000);
+            for (const block of result.blocks) {
+                statistics.addSample(block);
+                history.add(block.time, block.level);
+            }
+
+            const session = await this.sessionRecorder.importBlocks({
+                weighting,
+                timeWeighting,
+                calibration: this.getCalibrationInfo(),
+                device: null,
+                standard: this.standards.getProfile(),
+                source: {
+                    type: 'file',
+                    name: file.name,
+                    size: file.size,
+                    mimeType: file.type,
+                    sampleRate: result.sampleRate,
+                    channels: result.channels
+                }
+            }, result.startTime, result.blocks);
+            this.analysisSessionId = session.id;
+
+            const details = [
+                file.name,
+                formatDuration(result.duration),
+                this.audioAnalyzer.getUnitLabel(),
+                TIME_WEIGHTING_CONFIG.types[timeWeighting].label
+            ].join(' · ');
+            this.ui.showFileAnalysis(details, statistics.getSummary('session'));
+
+            // The canvas has no size until the modal is shown
+            this.analysisChart.resize();
+            this.analysisChart.drawRange(history, result.startTime, result.startTime + result.duration * 1000, file.name);
+
+            this.ui.showToast(MESSAGES.fileAnalysis.done, 'success');
+        } catch (error) {
+            console.error('Could not analyze file:', error);
+            const limits = `${FILE_ANALYSIS_CONFIG.maxDuration / 60} min, ${Math.round(FILE_ANALYSIS_CONFIG.maxFileSize / 1048576)} MB`;
+            this.ui.showToast(error.code === 'too-large'
+                ? `${MESSAGES.fileAnalysis.tooLarge} (${limits})`
+                : MESSAGES.fileAnalysis.error, 'error');
+        }
+
+        this.ui.setFileAnalysisProgress(null);
+    }
+
+    /**
+     * Replay an exported video in sync with its level sidecar
+     * @param {File[]} files - The video and its .vtt or .json sidecar
+     */
+    async openReplay(files) {
+        const videoFile = files.find(f => f.type.startsWith('video/') || /\.(webm|mp4|mov)$/i.test(f.name));
+        const trackFile = files.find(f => /\.(vtt|json)$/i.test(f.name));
+        if (!videoFile || !trackFile) {
+            this.ui.showToast(MESSAGES.replay.missingFiles, 'error');
+            return;
+        }
+
+        let track;
+        try {
+            track = parseLevelTrack(await trackFile.text());
+        } catch (error) {
+            console.error('Could not read level track:', error);
+            this.ui.showToast(MESSAGES.replay.invalidTrack, 'error');
+            return;
+        }
+
+        try {
+            const stats = this.replayPlayer.load(videoFile, track);
+            const { unit = '' } = track.getMetadata();
+            const details = [
+                videoFile.name,
+                track.getStartTime() ? formatDateTime(new Date(track.getStartTime()), UI_CONFIG.locale) : '',
+                unit
+            ].filter(Boolean).join(' · ');
+
+            this.ui.showReplay(details, unit, stats);
+
+            // The chart canvas has no size until the modal is shown
+            this.replayPlayer.resize();
+        } catch (error) {
+            console.error('Could not replay video:', error);
+            this.ui.showToast(MESSAGES.replay.error, 'error');
+        }
+    }
+
+    /**
+     * Download a stored session as CSV or JSON
+     * @param {number} id - Session id
+     * @param {string} format - 'csv' or 'json'
+     */
+    async exportSession(id, format) {
+        try {
+            // Include samples still waiting in the write buffer
+            await this.sessionRecorder.flush();
+
+            const session = await this.sessionStore.getSession(id);
+            const samples = await this.sessionStore.getSamples(id);
+            const events = await this.sessionStore.getEvents(id);
+            const filename = this.sessionExporter.download(session, samples, format, events);
+            this.ui.showToast(`${MESSAGES.session.exported}: ${filename}`, 'success');
+        } catch (error) {
+            console.error('Could not export session:', error);
+            this.ui.showToast(MESSAGES.session.error, 'error');
+        }
+    }
+
+    /**
+     * Build the measurement report of a stored session
+     * @param {number} id - Session id
+     * @param {string} format - 'html' to download it, 'pdf' to print it (the browser saves PDF)
+     */
+    async generateReport(id, format) {
+        try {
+            // Include samples still waiting in the write buffer
+            await this.sessionRecorder.flush();
+
+            const session = await this.sessionStore.getSession(id);
+            const samples = await this.sessionStore.getSamples(id);
+            const metadata = this.sessionExporter.buildMetadata(session, samples);
+            const html = await this.reportBuilder.build({
+                session,
+                samples,
+                events: await this.sessionStore.getEvents(id),
+                photos: await this.sessionStore.getPhotos(id),
+                metadata,
+                summary: this.sessionExporter.summarize(samples),
+                overLimit: this.sessionExporter.summarizeLimit(session.standard, samples),
+                indicators: this.indicators.compute(samples)
+            });
+
+            if (format === 'pdf') {
+                this.reportBuilder.print(html);
+            } else {
+                const filename = this.reportBuilder.download(html, metadata);
+                this.ui.showToast(`${MESSAGES.report.saved}: ${filename}`, 'success');
+            }
+        } catch (error) {
+            console.error('Could not build report:', error);
+            this.ui.showToast(MESSAGES.report.error, 'error');
+        }
+    }
+
+    /**
+     * Keep a photo in the session being logged, for its report
+     * @param {Blob} blob - PNG image
+     * @param {string} filename - Downloaded filename
+     */
+    storePhoto(blob, filename) {
+        if (!this.sessionRecorder.isActive()) return;
+
+        const time = Date.now();
+        const level = this.audioAnalyzer.getCurrentDBA();
+        this.sessionRecorder.addPhoto({ time, blob, filename, level });
+        this.sessionRecorder.addEvent({ time, type: 'photo', state: 'capture', description: filename, value: level });
+    }
+
+    /**
+     * Show the day-evening-night indicators of a stored session
+     * @param {number} id - Session id
+     */
+    async openIndicators(id) {
+        try {
+            // Include samples still waiting in the write buffer
+            await this.sessionRecorder.flush();
+
+            const session = await this.sessionStore.getSession(id);
+            const samples = await this.sessionStore.getSamples(id);
+            const unit = WEIGHTING_CONFIG.types[session.weighting || WEIGHTING_CONFIG.default].label;
+            const end = session.endTime || (samples.length ? samples[samples.length - 1].time : session.startTime);
+            const details = [
+                formatDateTime(new Date(session.startTime), UI_CONFIG.locale),
+                formatDuration((end - session.startTime) / 1000),
+                unit
+            ].join(' · ');
+
+            this.indicatorsSessionId = id;
+            this.ui.showIndicators(details, this.indicators.compute(samples), unit);
+        } catch (error) {
+            console.error('Could not compute indicators:', error);
+            this.ui.showToast(MESSAGES.session.error, 'error');
+        }
+    }
+
+    /**
+     * Change the day-evening-night periods and penalties, refreshing the shown session
+     * @param {{periods: Object, penalties: Object}} settings - Start hour per period, penalties in dB
+     */
+    async setIndicatorSettings(settings) {
+        if (!this.indicators.configure(settings)) {
+            this.ui.showToast(MESSAGES.indicators.invalid, 'error');
+        }
+        this.ui.setIndicatorSettings(this.indicators.getSettings());
+        this.sessionExporter.setIndicatorSettings(this.indicators.getSettings());
+        if (this.indicatorsSessionId !== null) await this.openIndicators(this.indicatorsSessionId);
+    }
+
+    /**
+     * Reload the session list
+     */
+    async refreshSessions() {
+        try {
+            const activeId = this.sessionRecorder.isActive() ? this.sessionRecorder.getSession().id : null;
+            const sessions = await this.sessionStore.listSessions();
+
+            for (const session of sessions) {
+                session.sampleCount = await this.sessionStore.countSamples(session.id);
+                if (session.id === activeId) {
+                    session.displayStatus = 'active';
+                } else if (session.status === 'active') {
+                    // Still marked active but nobody is logging: the page was closed
+                    session.displayStatus = 'interrupted';
+                    const last = await this.sessionStore.getLastSample(session.id);
+                    session.lastSampleTime = last ? last.time : null;
+                } else {
+                    session.displayStatus = session.status;
+                }
+            }
+
+            this.ui.renderSessions(sessions, {
+                onResume: (id) => this.resumeSession(id),
+                onReport: (id, format) => this.generateReport(id, format),
+                onIndicators: (id) => this.openIndicators(id),
+                onExport: (id, format) => this.exportSession(id, format),
+                onDelete: (id) => this.deleteSession(id)
+            });
+        } catch (error) {
+            console.error('Could not list sessions:', error);
+            this.ui.showToast(MESSAGES.session.error, 'error');
+        }
+    }
+
+    /**
+     * Metadata stored with a new session
+     * @returns {Object}
+     */
+    getSessionMetadata() {
+        return {
+            weighting: this.audioAnalyzer.getWeighting(),
+            timeWeighting: this.audioAnalyzer.getTimeWeighting(),
+            calibration: this.getCalibrationInfo(),
+            device: this.getDeviceInfo(),
+            standard: this.standards.getProfile(),
+            ...this.geolocation.getCoordinates()
+        };
+    }
+
+    /**
+     * Device details for session metadata
+     * @returns {Object}
+     */
+    getDeviceInfo() {
+        const audioTrack = this.stream ? this.stream.getAudioTracks()[0] : null;
+        return {
+            userAgent: navigator.userAgent,
+            platform: navigator.platform,
+            ...this.devices.getMicrophoneInfo(audioTrack),
+            sampleRate: this.audioAnalyzer.getSampleRate()
+        };
+    }
+
     captureImage() {
         this.mediaCapture.captureImage(
-            this.ui.getElement('camera'),
+            this.getCamera(),
             this.getOverlayData()
         );
     }
 
+    /**
+     * Arm or disarm automatic event recording
+     */
+    async toggleEventRecording() {
+        if (this.eventRecorder.isArmed()) {
+            this.eventRecorder.disarm();
+        } else if (this.stream) {
+            await this.eventRecorder.arm(
+                this.getCamera(),
+                this.stream,
+                () => this.getOverlayData()
+            );
+        } else {
+            this.ui.showToast(MESSAGES.eventRecording.error, 'error');
+        }
+    }
+
     async toggleRecording() {
         await this.mediaCapture.toggleRecording(
-            this.ui.getElement('camera'),
+            this.getCamera(),
             this.stream,
             () => this.getOverlayData()
         );
     }
 
+    /**
+     * Camera element drawn into captures, null in audio-only mode
+     * @returns {HTMLVideoElement|null}
+     */
+    getCamera() {
+        return this.audioOnly ? null : this.ui.getElement('camera');
+    }
+
     /**
      * Get current overlay data for capture/recording
      * @returns {Object}
@@ -170,25 +1511,123 @@ class DBNoiseMeter {
         return {
             currentDBA: this.audioAnalyzer.getCurrentDBA(),
             dbaColor: this.audioAnalyzer.getVisualizerColor(),
+            weighting: this.audioAnalyzer.getWeighting(),
+            unit: this.audioAnalyzer.getUnitLabel(),
+            timeWeighting: this.audioAnalyzer.getTimeWeighting(),
             level: this.audioAnalyzer.getDBALevel(this.audioAnalyzer.getCurrentDBA()),
             latitude: coords.latitude,
             longitude: coords.longitude,
+            calibration: this.getCalibrationInfo(),
             isRecording: this.mediaCapture.getIsRecording(),
+            stats: {
+                ...this.statistics.getSummary(this.statsWindow),
+                label: this.ui.getStatsWindowLabel()
+            },
+            // Audio-only captures have no picture, the chart is always drawn there
+            history: (this.historyInOverlay || this.audioOnly) && this.historySpan !== 'off' ? {
+                levels: this.levelHistory,
+                span: HISTORY_CONFIG.spans[this.historySpan],
+                label: this.ui.getHistorySpanLabel()
+            } : null,
+            bands: this.getBands(),
+            spectrogram: this.getSpectrogram(),
             frequencyData: this.audioAnalyzer.getFrequencyData(),
             timeData: this.audioAnalyzer.getTimeDomainData()
         };
     }
 
+    /**
+     * Calibration details for overlays and exports
+     * @returns {{offset: number, date: string|null, referenceLevel: number|null}}
+     */
+    getCalibrationInfo() {
+        const profile = this.calibration.getProfile();
+        return {
+            offset: this.audioAnalyzer.getCalibrationOffset(),
+            date: profile ? profile.date : null,
+            referenceLevel: profile ? profile.referenceLevel : null
+        };
+    }
+
+    /**
+     * Read the stored audio-only preference
+     * @private
+     */
+    loadAudioOnly() {
+        try {
+            return localStorage.getItem(CAMERA_CONFIG.audioOnlyKey) === 'true';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Store the audio-only preference
+     * @private
+     */
+    setAudioOnlyPreference(enabled) {
+        try {
+            localStorage.setItem(CAMERA_CONFIG.audioOnlyKey, String(enabled));
+        } catch (e) {
+            console.warn('Could not store audio-only preference:', e);
+        }
+        this.applyAudioOnly(enabled);
+    }
+
+    /**
+     * Switch the measurement mode without storing it
+     * @private
+     */
+    applyAudioOnly(enabled) {
+        this.audioOnly = enabled;
+        this.ui.setAudioOnly(enabled);
+
+        // The chart and visualizer change size with the layout
+        this.visualizer.resize();
+        this.historyChart.resize();
+    }
+
+    /**
+     * Turn audio-only mode on or off from the settings and restart the media
+     * @param {boolean} enabled - Whether to measure without the camera
+     */
+    async setAudioOnly(enabled) {
+        this.setAudioOnlyPreference(enabled);
+        if (!this.stream) return;
+
+        try {
+            await this.startMeasurement();
+            if (this.audioOnly === enabled) {
+                this.ui.showToast(enabled ? MESSAGES.camera.audioOnly : MESSAGES.camera.enabled, 'success');
+            }
+        } catch (error) {
+            console.error('Error restarting media:', error);
+            this.ui.showToast(MESSAGES.permission.error, 'error');
+        }
+    }
+
     async switchCamera() {
-        this.facingMode = this.facingMode === 'environment' ? 'user' : 'environment';
+        // A selected camera steps through the camera list, otherwise the facing mode flips
+        const cameraId = this.devices.getCameraId();
+        if (cameraId) {
+            const { cameras } = await this.devices.listDevices();
+            const index = cameras.findIndex(camera => camera.deviceId === cameraId);
+            this.devices.setCamera(cameras.length ? cameras[(index + 1) % cameras.length].deviceId : '');
+        } else {
+            this.facingMode = this.facingMode === 'environment' ? 'user' : 'environment';
+        }
 
         try {
             await this.startMedia();
             this.ui.showToast(MESSAGES.camera.switched, 'success');
         } catch (error) {
             console.error('Error switching camera:', error);
-            // Revert facing mode
-            this.facingMode = this.facingMode === 'environment' ? 'user' : 'environment';
+            // Revert the selection
+            if (cameraId) {
+                this.devices.setCamera(cameraId);
+            } else {
+                this.facingMode = this.facingMode === 'environment' ? 'user' : 'environment';
+            }
             this.ui.showToast(MESSAGES.camera.error, 'error');
         }
     }
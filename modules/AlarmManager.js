@@ -0,0 +1,341 @@
+/**
+ * DBA Noise Meter - Alarm Manager Module
+ * Evaluates threshold alarm rules with minimum duration and hysteresis
+ * (fixed thresholds or the limit of the active noise standard), and raises
+ * vibration, beep, notification and toast alerts
+ */
+
+import { ALARM_CONFIG, MESSAGES } from './constants.js';
+
+export class AlarmManager {
+    constructor() {
+        const { rules, actions } = this.load();
+        this.rules = rules;
+        this.actions = actions;
+        this.states = new Map();     // Rule id -> { state: 'idle'|'pending'|'active', since, peak }
+        this.audioContext = null;    // Created on the first beep
+        this.unit = 'dBA';           // Unit label used in alert texts
+        this.limit = null;           // Limit of the active standards profile, null when it has none
+        this.onToast = null;
+        this.onAlarm = null;
+        this.onClear = null;
+    }
+
+    /**
+     * Read rules and actions from localStorage
+     * @private
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(ALARM_CONFIG.storageKey));
+            if (stored) {
+                return {
+                    rules: stored.rules || [],
+                    actions: { ...ALARM_CONFIG.defaultActions, ...stored.actions }
+                };
+            }
+        } catch (e) {
+            console.warn('Could not read alarm rules:', e);
+        }
+        return {
+            rules: [{ id: 1, ...ALARM_CONFIG.defaultRule, enabled: false }],
+            actions: { ...ALARM_CONFIG.defaultActions }
+        };
+    }
+
+    /**
+     * Write rules and actions
+     * @private
+     */
+    save() {
+        try {
+            localStorage.setItem(ALARM_CONFIG.storageKey, JSON.stringify({ rules: this.rules, actions: this.actions }));
+        } catch (e) {
+            console.warn('Could not store alarm rules:', e);
+        }
+    }
+
+    /**
+     * Set callbacks
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onToast - Show a toast (message, type)
+     * @param {Function} callbacks.onAlarm - Called with (rule, event) when an alarm triggers
+     * @param {Function} callbacks.onClear - Called with (rule, event) when an alarm clears
+     */
+    setCallbacks({ onToast, onAlarm, onClear }) {
+        this.onToast = onToast;
+        this.onAlarm = onAlarm;
+        this.onClear = onClear;
+    }
+
+    /**
+     * Set the unit label used in alert texts
+     * @param {string} unit - Unit label of the active weighting (e.g. 'dBA')
+     */
+    setUnit(unit) {
+        this.unit = unit;
+    }
+
+    /**
+     * Set the limit that rules following the standard use as threshold
+     * @param {number|null} limit - Limit in dB of the current period, null when the profile has none
+     */
+    setLimit(limit) {
+        this.limit = limit;
+    }
+
+    /**
+     * Threshold a rule uses now
+     * @param {Object} rule - Alarm rule
+     * @returns {number|null} Threshold in dB, null when it follows a standard without a limit
+     */
+    getThreshold(rule) {
+        return rule.followLimit ? this.limit : rule.threshold;
+    }
+
+    /**
+     * Get all rules
+     * @returns {Object[]}
+     */
+    getRules() {
+        return this.rules;
+    }
+
+    /**
+     * Get the enabled alert actions
+     * @returns {{toast: boolean, vibrate: boolean, beep: boolean, notification: boolean}}
+     */
+    getActions() {
+        return this.actions;
+    }
+
+    /**
+     * Add a rule with default settings
+     * @returns {Object} The new rule
+     */
+    addRule() {
+        const id = this.rules.reduce((max, rule) => Math.max(max, rule.id), 0) + 1;
+        const rule = { id, ...ALARM_CONFIG.defaultRule };
+        this.rules.push(rule);
+        this.save();
+        return rule;
+    }
+
+    /**
+     * Change a rule; its alarm state restarts
+     * @param {number} id - Rule id
+     * @param {Object} changes - Fields to update
+     */
+    updateRule(id, changes) {
+        const rule = this.rules.find(r => r.id === id);
+        if (!rule) return;
+
+        this.clearState(rule, Date.now());
+        Object.assign(rule, changes);
+        this.save();
+    }
+
+    /**
+     * Remove a rule
+     * @param {number} id - Rule id
+     */
+    removeRule(id) {
+        const rule = this.rules.find(r => r.id === id);
+        if (!rule) return;
+
+        this.clearState(rule, Date.now());
+        this.rules = this.rules.filter(r => r !== rule);
+        this.save();
+    }
+
+    /**
+     * Enable or disable an alert action
+     * @param {string} name - 'toast', 'vibrate', 'beep' or 'notification'
+     * @param {boolean} enabled
+     */
+    async setAction(name, enabled) {
+        this.actions[name] = enabled;
+        this.save();
+
+        // Permission has to be requested from the user gesture that enabled it
+        if (name === 'notification' && enabled && 'Notification' in window &&
+            Notification.permission === 'default') {
+            await Notification.requestPermission();
+        }
+        if (name === 'notification' && enabled &&
+            (!('Notification' in window) || Notification.permission === 'denied')) {
+            if (this.onToast) this.onToast(MESSAGES.alarm.notificationDenied, 'error');
+        }
+    }
+
+    /**
+     * Human readable rule in the current language:
+     * '<metric> > 85 dBA <during> 10 s' or '<metric> > <limit> (55 dBA)'
+     * @param {Object} rule - Alarm rule
+     * @param {string} [unit] - Unit label (defaults to the active weighting)
+     * @returns {string}
+     */
+    describe(rule, unit = this.unit) {
+        const threshold = this.getThreshold(rule);
+        const level = threshold !== null ? `${threshold} ${unit}` : '--';
+        const text = rule.followLimit
+            ? `${MESSAGES.alarm.metrics[rule.metric]} > ${MESSAGES.alarm.limit} (${level})`
+            : `${MESSAGES.alarm.metrics[rule.metric]} > ${level}`;
+        return rule.duration > 0 ? `${text} ${MESSAGES.alarm.during} ${rule.duration} s` : text;
+    }
+
+    /**
+     * Check whether any alarm is active
+     * @returns {boolean}
+     */
+    isActive() {
+        for (const state of this.states.values()) {
+            if (state.state === 'active') return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get the rules whose alarm is active
+     * @returns {Object[]}
+     */
+    getActiveRules() {
+        return this.rules.filter(rule => {
+            const state = this.states.get(rule.id);
+            return state && state.state === 'active';
+        });
+    }
+
+    /**
+     * Evaluate all rules against the latest values
+     * @param {number} time - Timestamp (ms since epoch)
+     * @param {Object} values - Current value per metric ({ level, leq1m }), null when unknown
+     */
+    update(time, values) {
+        for (const rule of this.rules) {
+            if (!rule.enabled) continue;
+
+            const threshold = this.getThreshold(rule);
+            if (threshold === null) {
+                this.clearState(rule, time);
+                continue;
+            }
+
+            const value = values[rule.metric];
+            if (value === null || value === undefined || !Number.isFinite(value)) continue;
+
+            const state = this.states.get(rule.id) || { state: 'idle', since: 0, peak: -Infinity };
+            this.states.set(rule.id, state);
+
+            if (state.state === 'active') {
+                state.peak = Math.max(state.peak, value);
+                if (value < threshold - rule.hysteresis) {
+                    this.clearState(rule, time);
+                }
+            } else if (value > threshold) {
+                if (state.state === 'idle') {
+                    state.state = 'pending';
+                    state.since = time;
+                    state.peak = value;
+                }
+                state.peak = Math.max(state.peak, value);
+                if (time - state.since >= rule.duration * 1000) {
+                    state.state = 'active';
+                    this.trigger(rule, { time, value, since: state.since });
+                }
+            } else {
+                state.state = 'idle';
+            }
+        }
+    }
+
+    /**
+     * Clear all alarm states (e.g. when levels are no longer comparable)
+     */
+    reset() {
+        const now = Date.now();
+        for (const rule of this.rules) {
+            this.clearState(rule, now);
+        }
+        this.states.clear();
+    }
+
+    /**
+     * End the alarm of a rule, notifying when it was active
+     * @private
+     */
+    clearState(rule, time) {
+        const state = this.states.get(rule.id);
+        if (!state) return;
+
+        if (state.state === 'active') {
+            if (this.onClear) this.onClear(rule, { time, peak: state.peak, since: state.since });
+            if (this.actions.toast && this.onToast) {
+                this.onToast(`${MESSAGES.alarm.cleared}: ${this.describe(rule)}`, 'success');
+            }
+        }
+        this.states.delete(rule.id);
+    }
+
+    /**
+     * Raise the enabled alerts for a triggered rule
+     * @private
+     */
+    trigger(rule, event) {
+        if (this.onAlarm) this.onAlarm(rule, event);
+
+        this.notify(`${MESSAGES.alarm.triggered}: ${this.describe(rule)}`);
+        if (this.actions.vibrate && navigator.vibrate) {
+            navigator.vibrate(ALARM_CONFIG.vibratePattern);
+        }
+        if (this.actions.beep) {
+            this.beep();
+        }
+    }
+
+    /**
+     * Show an alert message as toast and/or system notification
+     * @private
+     */
+    notify(message) {
+        if (this.actions.toast && this.onToast) {
+            this.onToast(message, 'error');
+        }
+        if (this.actions.notification && 'Notification' in window && Notification.permission === 'granted') {
+            try {
+                new Notification(MESSAGES.alarm.triggered, { body: message, tag: 'dba-noise-meter-alarm' });
+            } catch (e) {
+                // Some mobile browsers only allow notifications from a service worker
+                console.warn('Could not show notification:', e);
+            }
+        }
+    }
+
+    /**
+     * Play a short local beep
+     * @private
+     */
+    beep() {
+        try {
+            if (!this.audioContext) {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
+            const ctx = this.audioContext;
+            ctx.resume();
+
+            const { frequency, duration, gain } = ALARM_CONFIG.beep;
+            const oscillator = ctx.createOscillator();
+            const envelope = ctx.createGain();
+            oscillator.frequency.value = frequency;
+            envelope.gain.setValueAtTime(gain, ctx.currentTime);
+            envelope.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + duration);
+
+            oscillator.connect(envelope);
+            envelope.connect(ctx.destination);
+            oscillator.start();
+            oscillator.stop(ctx.currentTime + duration);
+        } catch (e) {
+            console.warn('Could not play alarm beep:', e);
+        }
+    }
+}
@@ -1,10 +1,14 @@
 /**
  * DBA Noise Meter - Audio Analyzer Module
- * Handles audio context, dBA calculation, and frequency analysis
+ * Handles audio context, weighted level calculation, and frequency analysis.
+ * Levels are integrated sample-by-sample in an AudioWorklet when available,
+ * so measurement keeps running while animation frames are throttled.
  */
 
-import { AUDIO_CONFIG, DBA_LEVELS } from './constants.js';
+import { AUDIO_CONFIG, BAND_CONFIG, DBA_LEVELS, WEIGHTING_CONFIG } from './constants.js';
 import { clamp } from '../utils/helpers.js';
+import { createWeightingFilters, checkWeightingResponse } from './FrequencyWeighting.js';
+import { TimeWeighting } from './TimeWeighting.js';
 
 export class AudioAnalyzer {
     constructor() {
@@ -12,8 +16,16 @@ export class AudioAnalyzer {
         this.analyser = null;
         this.dataArray = null;
         this.timeDataArray = null;
-        this.dbaAnalyser = null;
-        this.dbaDataArray = null;
+        this.weightingPaths = {};    // Weighting type -> { analyser, dataArray }
+        this.bandAnalyser = null;    // Large-FFT analyser on the active weighting path (octave bands)
+        this.bandDataArray = null;
+        this.weighting = WEIGHTING_CONFIG.default;
+        this.timeWeighting = new TimeWeighting();
+        this.lastAudioTime = null;   // audioContext.currentTime of the last calculation
+        this.meterNode = null;       // AudioWorkletNode, null when falling back to analyser snapshots
+        this.offset = AUDIO_CONFIG.dbaOffset;
+        this.fullScaleCollector = null;
+        this.onBlock = null;         // Called with each measured block (for statistics)
         this.currentDBA = 0;
         this.displayDBA = 0;
         this.lastDisplayUpdate = 0;
@@ -23,7 +35,12 @@ export class AudioAnalyzer {
      * Initialize audio analysis from a media stream
      * @param {MediaStream} stream - Media stream with audio track
      */
-    setup(stream) {
+    async setup(stream) {
+        // Release the previous context so two pipelines never feed the statistics
+        if (this.audioContext) {
+            this.destroy();
+        }
+
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         const source = this.audioContext.createMediaStreamSource(stream);
 
@@ -34,102 +51,290 @@ export class AudioAnalyzer {
         // Setup Visualizer path (unweighted)
         source.connect(this.analyser);
 
-        // Setup dBA measurement path (A-weighted)
-        this.dbaAnalyser = this.audioContext.createAnalyser();
-        this.dbaAnalyser.fftSize = 2048; // Using larger FFT for better precision in time domain if needed
-        this.dbaAnalyser.smoothingTimeConstant = 0; // We want raw values for RMS calculation
-
-        // Create A-weighting filter chain
-        const filterChain = this.createAWeightingFilters(this.audioContext);
-
-        if (filterChain.length > 0) {
-            // Connect: Source -> Filter 1 -> ... -> Filter N -> dBA Analyser
-            let currentNode = source;
-            for (const filter of filterChain) {
-                currentNode.connect(filter);
-                currentNode = filter;
-            }
-            currentNode.connect(this.dbaAnalyser);
-        } else {
-            console.warn('Sample rate not supported for A-weighting, falling back to unweighted.');
-            source.connect(this.dbaAnalyser);
+        // Setup measurement paths, one filter chain and analyser per weighting
+        this.weightingPaths = {};
+        for (const type of Object.keys(WEIGHTING_CONFIG.types)) {
+            this.weightingPaths[type] = this.createWeightingPath(source, type);
         }
 
+        // Setup band analysis path (weighted, unsmoothed)
+        this.bandAnalyser = this.audioContext.createAnalyser();
+        this.bandAnalyser.fftSize = BAND_CONFIG.fftSize;
+        this.bandAnalyser.smoothingTimeConstant = 0;
+        this.bandDataArray = new Float32Array(this.bandAnalyser.frequencyBinCount);
+        this.weightingPaths[this.weighting].output.connect(this.bandAnalyser);
+
         this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
         this.timeDataArray = new Uint8Array(this.analyser.fftSize);
-        this.dbaDataArray = new Float32Array(this.dbaAnalyser.fftSize);
+
+        this.timeWeighting.reset();
+        this.lastAudioTime = null;
+
+        await this.setupMeterWorklet();
     }
 
     /**
-     * Create A-weighting filter chain based on sample rate
-     * @param {AudioContext} context - Audio context
-     * @returns {IIRFilterNode[]} Array of filter nodes
+     * Connect all weighting paths to the level meter worklet
+     * @private
      */
-    createAWeightingFilters(context) {
-        const sampleRate = context.sampleRate;
-        const filters = [];
-
-        // Coefficients for A-weighting filter (approximated for digital domain)
-        // Source: https://github.com/Standard-Cyborg/audio-dsp/blob/master/analysis/AWeighting.cpp
-        // and various web audio resources.
-
-        // We use cascading IIR filters (biquads) for stability and accuracy.
-
-        if (sampleRate === 44100) {
-            // 44.1 kHz coefficients
-            // Stage 1
-            filters.push(context.createIIRFilter(
-                [0.95616638497, -1.31960414122, 0.36343775625], // Feedforward (b)
-                [1, -1.31861375911, 0.32059452332]              // Feedback (a)
-            ));
-            // Stage 2
-            filters.push(context.createIIRFilter(
-                [0.94317138580, -1.88634277160, 0.94317138580], // Feedforward (b)
-                [1, -1.88558607420, 0.88709946900]              // Feedback (a)
-            ));
-
-            // Note: A-weighting usually also requires a high-pass at ~20Hz and low-pass at ~20kHz
-            // The IIR approximations above likely include the main curve shaping.
-        } else if (sampleRate === 48000) {
-            // 48 kHz coefficients
-            // Stage 1
-            filters.push(context.createIIRFilter(
-                [0.96525096525, -1.34730163086, 0.38205066561], // Feedforward (b)
-                [1, -1.34730722798, 0.34905752979]              // Feedback (a)
-            ));
-            // Stage 2
-            filters.push(context.createIIRFilter(
-                [0.94696969696, -1.89393939393, 0.94696969696], // Feedforward (b)
-                [1, -1.89387049481, 0.89515976917]              // Feedback (a)
-            ));
-        } else {
-            // Fallback for other sample rates?
-            // Ideally we should recalculate or resample, but for now we warn and skip.
-            // Or we could use the 48k ones as a close-enough approximation if closer to 48k.
-            console.warn(`A-weighting not perfectly calibrated for sample rate: ${sampleRate}`);
-            // Attempt to use 48k coefficients as fallback if > 46k, else 44.1k
-            if (sampleRate > 46000) {
-                filters.push(context.createIIRFilter(
-                    [0.96525096525, -1.34730163086, 0.38205066561],
-                    [1, -1.34730722798, 0.34905752979]
-                ));
-                filters.push(context.createIIRFilter(
-                    [0.94696969696, -1.89393939393, 0.94696969696],
-                    [1, -1.89387049481, 0.89515976917]
-                ));
-            } else {
-                filters.push(context.createIIRFilter(
-                    [0.95616638497, -1.31960414122, 0.36343775625],
-                    [1, -1.31861375911, 0.32059452332]
-                ));
-                filters.push(context.createIIRFilter(
-                    [0.94317138580, -1.88634277160, 0.94317138580],
-                    [1, -1.88558607420, 0.88709946900]
-                ));
+    async setupMeterWorklet() {
+        if (!this.audioContext.audioWorklet) {
+            console.warn('AudioWorklet not supported, measuring from analyser snapshots.');
+            return;
+        }
+
+        try {
+            await this.audioContext.audioWorklet.addModule(
+                new URL('./worklets/LevelMeterProcessor.js', import.meta.url)
+            );
+        } catch (error) {
+            console.warn('Could not load level meter worklet, measuring from analyser snapshots.', error);
+            return;
+        }
+
+        const weightings = Object.keys(this.weightingPaths);
+        this.meterNode = new AudioWorkletNode(this.audioContext, 'level-meter-processor', {
+            numberOfInputs: weightings.length,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            processorOptions: {
+                weightings,
+                reportInterval: AUDIO_CONFIG.meterReportInterval
             }
+        });
+
+        weightings.forEach((type, i) => {
+            this.weightingPaths[type].output.connect(this.meterNode, 0, i);
+        });
+
+        // The output is silent; connecting it keeps the node in the rendering graph
+        this.meterNode.connect(this.audioContext.destination);
+        this.meterNode.port.onmessage = (event) => this.handleMeterReport(event.data);
+    }
+
+    /**
+     * Set callback for measured blocks
+     * @param {Function} callback - Called with { time, duration, level, leq, peak }
+     */
+    setBlockCallback(callback) {
+        this.onBlock = callback;
+    }
+
+    /**
+     * Handle levels posted by the worklet
+     * @private
+     */
+    handleMeterReport({ duration, levels }) {
+        const report = levels[this.weighting];
+        if (!report) return;
+
+        this.collectFullScale(report.meanSquare, duration);
+
+        const level = this.toLevel(report.timeWeighted[this.timeWeighting.getType()]);
+        this.currentDBA = clamp(level, AUDIO_CONFIG.minDBA, AUDIO_CONFIG.maxDBA);
+
+        if (this.onBlock) {
+            this.onBlock({
+                time: Date.now(),
+                duration,
+                level: this.currentDBA,
+                leq: this.toLevel(report.meanSquare),
+                peak: this.toLevel(report.peak * report.peak)
+            });
+        }
+    }
+
+    /**
+     * Convert a mean square (full scale = 1) to a calibrated level
+     * @private
+     */
+    toLevel(meanSquare) {
+        // 10 * log10(mean square) gives dB relative to full scale (dBFS), which is negative.
+        // We add an offset to calibrate it to dBSPL.
+        return 10 * Math.log10(meanSquare) + this.offset;
+    }
+
+    /**
+     * Set the calibration offset added to dBFS levels
+     * @param {number} offset - Offset in dB
+     */
+    setCalibrationOffset(offset) {
+        this.offset = offset;
+    }
+
+    /**
+     * Get the calibration offset
+     * @returns {number} Offset in dB
+     */
+    getCalibrationOffset() {
+        return this.offset;
+    }
+
+    /**
+     * Measure the uncalibrated (dBFS) level of the active weighting,
+     * energy-averaged over a number of seconds of audio
+     * @param {number} seconds - Averaging time
+     * @returns {Promise<number>} Level in dBFS (-Infinity for digital silence)
+     */
+    measureFullScaleLevel(seconds) {
+        if (!this.audioContext) {
+            return Promise.reject(new Error('Audio analyzer not ready'));
+        }
+
+        return new Promise((resolve, reject) => {
+            // Blocks stop arriving when the fallback path is throttled in the background
+            const timeout = setTimeout(() => {
+                this.fullScaleCollector = null;
+                reject(new Error('Calibration measurement timed out'));
+            }, (seconds * 2 + 5) * 1000);
+
+            this.fullScaleCollector = {
+                target: seconds,
+                energy: 0,
+                duration: 0,
+                resolve: (level) => {
+                    clearTimeout(timeout);
+                    resolve(level);
+                }
+            };
+        });
+    }
+
+    /**
+     * Accumulate a block for a running full-scale measurement
+     * @private
+     */
+    collectFullScale(meanSquare, duration) {
+        const collector = this.fullScaleCollector;
+        if (!collector || !(duration > 0)) return;
+
+        collector.energy += meanSquare * duration;
+        collector.duration += duration;
+        if (collector.duration >= collector.target) {
+            this.fullScaleCollector = null;
+            collector.resolve(10 * Math.log10(collector.energy / collector.duration));
+        }
+    }
+
+    /**
+     * Build a weighting filter chain feeding its own analyser.
+     * The analyser is only read when the worklet is unavailable.
+     * @private
+     */
+    createWeightingPath(source, type) {
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 2048; // Using larger FFT for better precision in time domain if needed
+        analyser.smoothingTimeConstant = 0; // We want raw values for RMS calculation
+
+        // Connect: Source -> Filter 1 -> ... -> Filter N -> Analyser (Z connects directly)
+        let currentNode = source;
+        for (const filter of createWeightingFilters(this.audioContext, type)) {
+            currentNode.connect(filter);
+            currentNode = filter;
+        }
+        currentNode.connect(analyser);
+
+        // Keep the bands where the digital design leaves the IEC 61672 class 1 limits
+        const check = checkWeightingResponse(this.audioContext, type);
+        const failed = check.points.filter(p => !p.passed).map(p => p.frequency);
+        if (failed.length) {
+            console.warn(`${type}-weighting at ${check.sampleRate} Hz outside class 1 tolerance at: ${failed.join(', ')} Hz`);
+        }
+
+        return { analyser, dataArray: new Float32Array(analyser.fftSize), output: currentNode, failed };
+    }
+
+    /**
+     * Weightings whose filters failed the class 1 self-check at this sample rate
+     * @returns {{weighting: string, frequencies: number[]}[]} Empty when all passed
+     */
+    getWeightingIssues() {
+        return Object.entries(this.weightingPaths)
+            .filter(([, path]) => path.failed.length)
+            .map(([weighting, path]) => ({ weighting, frequencies: path.failed }));
+    }
+
+    /**
+     * Select the active frequency weighting
+     * @param {string} type - Weighting ('A', 'C' or 'Z')
+     */
+    setWeighting(type) {
+        if (!WEIGHTING_CONFIG.types[type]) return;
+
+        // Move the band analyser to the new weighting path
+        if (this.bandAnalyser && this.weightingPaths[type]) {
+            this.weightingPaths[this.weighting].output.disconnect(this.bandAnalyser);
+            this.weightingPaths[type].output.connect(this.bandAnalyser);
         }
 
-        return filters;
+        this.weighting = type;
+        this.timeWeighting.reset();
+    }
+
+    /**
+     * Get the active frequency weighting
+     * @returns {string}
+     */
+    getWeighting() {
+        return this.weighting;
+    }
+
+    /**
+     * Select the active time weighting
+     * @param {string} type - Time weighting ('F', 'S' or 'I')
+     */
+    setTimeWeighting(type) {
+        this.timeWeighting.setType(type);
+    }
+
+    /**
+     * Get the active time weighting
+     * @returns {string}
+     */
+    getTimeWeighting() {
+        return this.timeWeighting.getType();
+    }
+
+    /**
+     * Get the unit label of the active weighting (e.g. 'dBA')
+     * @returns {string}
+     */
+    getUnitLabel() {
+        return WEIGHTING_CONFIG.types[this.weighting].label;
+    }
+
+    /**
+     * Get the sample rate of the audio context
+     * @returns {number|null}
+     */
+    getSampleRate() {
+        return this.audioContext ? this.audioContext.sampleRate : null;
+    }
+
+    /**
+     * Get the current audio time
+     * @returns {number} audioContext.currentTime in seconds (0 when not running)
+     */
+    getAudioTime() {
+        return this.audioContext ? this.audioContext.currentTime : 0;
+    }
+
+    /**
+     * Get the FFT size of the band analyser
+     * @returns {number}
+     */
+    getBandFFTSize() {
+        return BAND_CONFIG.fftSize;
+    }
+
+    /**
+     * Get the weighted float spectrum for band analysis
+     * @returns {Float32Array|null} dBFS per FFT bin
+     */
+    getBandSpectrum() {
+        if (!this.bandAnalyser) return null;
+        this.bandAnalyser.getFloatFrequencyData(this.bandDataArray);
+        return this.bandDataArray;
     }
 
     /**
@@ -141,8 +346,9 @@ export class AudioAnalyzer {
     }
 
     /**
-     * Calculate current dBA level
-     * @returns {number} Rounded dBA value
+     * Calculate current level with the active weighting.
+     * With the worklet running this only refreshes the visualizer data.
+     * @returns {number} Rounded level value
      */
     calculateDBA() {
         if (!this.analyser) return 0;
@@ -150,31 +356,53 @@ export class AudioAnalyzer {
         // Update visualizer data
         this.analyser.getByteFrequencyData(this.dataArray);
 
-        // Calculate dBA from A-weighted signal
-        if (this.dbaAnalyser) {
-            this.dbaAnalyser.getFloatTimeDomainData(this.dbaDataArray);
-        } else {
-            return 0;
+        if (this.meterNode) {
+            return Math.round(this.currentDBA);
         }
 
-        // Calculate RMS (Root Mean Square) from A-weighted time domain data
+        // Only integrate audio that has elapsed since the last calculation,
+        // independent of the animation frame rate
+        const audioTime = this.audioContext.currentTime;
+        const elapsed = this.lastAudioTime === null ? 0 : audioTime - this.lastAudioTime;
+        if (this.lastAudioTime !== null && elapsed <= 0) {
+            return Math.round(this.currentDBA);
+        }
+        this.lastAudioTime = audioTime;
+
+        // Calculate level from the weighted signal
+        const path = this.weightingPaths[this.weighting];
+        if (!path) return 0;
+        const samples = path.dataArray;
+        path.analyser.getFloatTimeDomainData(samples);
+
+        // Mean square of the newest samples (the whole buffer on the first call or after a gap)
+        const newSamples = Math.round(elapsed * this.audioContext.sampleRate);
+        const count = newSamples > 0 ? Math.min(newSamples, samples.length) : samples.length;
         let sum = 0;
-        for (let i = 0; i < this.dbaDataArray.length; i++) {
-            sum += this.dbaDataArray[i] * this.dbaDataArray[i];
+        let peak = 0;
+        for (let i = samples.length - count; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+            peak = Math.max(peak, Math.abs(samples[i]));
         }
-        const rms = Math.sqrt(sum / this.dbaDataArray.length);
+        const duration = elapsed > 0 ? elapsed : count / this.audioContext.sampleRate;
+        const meanSquare = this.timeWeighting.process(sum / count, duration);
+        this.collectFullScale(sum / count, duration);
 
-        // Convert to dBA
-        // 20 * log10(rms) gives dB relative to full scale (dBFS), which is negative.
-        // We add an offset to calibrate it to dBSPL.
-        const dba = 20 * Math.log10(rms / 1) + AUDIO_CONFIG.dbaOffset;
+        // Convert to weighted dB
+        const level = this.toLevel(meanSquare);
 
-        // Clamp values
-        const clampedDBA = clamp(dba, AUDIO_CONFIG.minDBA, AUDIO_CONFIG.maxDBA);
+        // Clamp values (silence gives -Infinity)
+        this.currentDBA = clamp(level, AUDIO_CONFIG.minDBA, AUDIO_CONFIG.maxDBA);
 
-        // Smooth the value (weighted average)
-        this.currentDBA = this.currentDBA * AUDIO_CONFIG.dbaSmoothing +
-            clampedDBA * (1 - AUDIO_CONFIG.dbaSmoothing);
+        if (this.onBlock) {
+            this.onBlock({
+                time: Date.now(),
+                duration,
+                level: this.currentDBA,
+                leq: this.toLevel(sum / count),
+                peak: this.toLevel(peak * peak)
+            });
+        }
 
         return Math.round(this.currentDBA);
     }
@@ -251,6 +479,10 @@ export class AudioAnalyzer {
      * Clean up audio context
      */
     destroy() {
+        if (this.meterNode) {
+            this.meterNode.port.onmessage = null;
+            this.meterNode = null;
+        }
         if (this.audioContext) {
             this.audioContext.close();
             this.audioContext = null;
@@ -258,5 +490,6 @@ export class AudioAnalyzer {
         this.analyser = null;
         this.dataArray = null;
         this.timeDataArray = null;
+        this.weightingPaths = {};
     }
 }
@@ -0,0 +1,122 @@
+/**
+ * DBA Noise Meter - Calibration Manager Module
+ * Keeps per-microphone calibration offsets in localStorage
+ */
+
+import { AUDIO_CONFIG, CALIBRATION_CONFIG } from './constants.js';
+
+export class CalibrationManager {
+    constructor() {
+        this.deviceId = '';
+        this.deviceLabel = '';
+        this.profiles = this.load();
+    }
+
+    /**
+     * Read all stored profiles
+     * @private
+     */
+    load() {
+        // No prototype, so device labels like "toString" or "constructor" are plain keys
+        const profiles = Object.create(null);
+        try {
+            const stored = JSON.parse(localStorage.getItem(CALIBRATION_CONFIG.storageKey));
+            if (stored) Object.assign(profiles, stored);
+        } catch (e) {
+            console.warn('Could not read calibration profiles:', e);
+        }
+        return profiles;
+    }
+
+    /**
+     * Write all profiles
+     * @private
+     */
+    save() {
+        try {
+            localStorage.setItem(CALIBRATION_CONFIG.storageKey, JSON.stringify(this.profiles));
+        } catch (e) {
+            console.warn('Could not store calibration profiles:', e);
+        }
+    }
+
+    /**
+     * Select the microphone whose profile is used
+     * @param {MediaStreamTrack} track - Audio track of the current stream
+     */
+    setDevice(track) {
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        this.deviceId = settings.deviceId || '';
+        this.deviceLabel = track ? track.label : '';
+    }
+
+    /**
+     * Get the label of the current microphone
+     * @returns {string}
+     */
+    getDeviceLabel() {
+        return this.deviceLabel;
+    }
+
+    /**
+     * Profile key of the current device
+     * @private
+     */
+    getDeviceKey() {
+        return this.deviceId || this.deviceLabel || 'default';
+    }
+
+    /**
+     * Get the calibration profile of the current device
+     * @returns {{offset: number, referenceLevel: number, date: string, deviceLabel: string}|null}
+     */
+    getProfile() {
+        const profile = this.profiles[this.getDeviceKey()];
+        if (profile) return profile;
+
+        // Device ids can be rotated by the browser; fall back to the label
+        if (this.deviceLabel) {
+            return Object.values(this.profiles).find(p => p.deviceLabel === this.deviceLabel) || null;
+        }
+        return null;
+    }
+
+    /**
+     * Get the offset to apply for the current device
+     * @returns {number} Offset in dB (default offset when uncalibrated)
+     */
+    getOffset() {
+        const profile = this.getProfile();
+        return profile ? profile.offset : AUDIO_CONFIG.dbaOffset;
+    }
+
+    /**
+     * Store a new calibration for the current device
+     * @param {number} referenceLevel - Level of the calibrator / reference meter (dB)
+     * @param {number} measuredLevel - Uncalibrated level measured by the app (dBFS)
+     * @returns {Object} The stored profile
+     */
+    calibrate(referenceLevel, measuredLevel) {
+        const profile = {
+            offset: referenceLevel - measuredLevel,
+            referenceLevel,
+            date: new Date().toISOString(),
+            deviceLabel: this.deviceLabel
+        };
+
+        this.profiles[this.getDeviceKey()] = profile;
+        this.save();
+        return profile;
+    }
+
+    /**
+     * Remove the calibration of the current device
+     */
+    reset() {
+        const profile = this.getProfile();
+        for (const [key, value] of Object.entries(this.profiles)) {
+            if (value === profile) delete this.profiles[key];
+        }
+        this.save();
+    }
+}
@@ -1,12 +1,60 @@
 /**
  * DBA Noise Meter - Canvas Overlay Module
- * Handles drawing overlay elements on captured images/videos
+ * Handles drawing overlay elements on captured images/videos. Each widget
+ * follows the overlay layout: shown or hidden, at its automatic or a dragged
+ * position, at its own size and theme.
  */
 
-import { OVERLAY_CONFIG, VISUALIZER_CONFIG } from './constants.js';
-import { hexToRgba, formatDateTimeForOverlay } from '../utils/helpers.js';
+import { OVERLAY_CONFIG, OVERLAY_LAYOUT_CONFIG, VISUALIZER_CONFIG, UI_CONFIG, MESSAGES } from './constants.js';
+import { drawLevelHistory } from './HistoryChart.js';
+import { drawBandLevels } from './Visualizer.js';
+import { drawSpectrogram } from './Spectrogram.js';
+import { createDefaultLayout } from './OverlayLayoutManager.js';
+import { hexToRgba, clamp, formatDateTimeForOverlay, formatDateForOverlay, formatLevel, formatOffset } from '../utils/helpers.js';
 
 export class CanvasOverlay {
+    constructor() {
+        this.layout = createDefaultLayout();
+        this.frame = null;           // Size and scale of the last drawn frame
+        this.rects = {};             // Widget id -> drawn rectangle of the last frame
+    }
+
+    /**
+     * Use a layout (shared object, later changes apply to the next frame)
+     * @param {{widgets: Object}} layout - Layout from OverlayLayoutManager
+     */
+    setLayout(layout) {
+        this.layout = layout;
+    }
+
+    /**
+     * Rectangles of the widgets drawn in the last frame, topmost last
+     * @returns {Object<string, {x: number, y: number, width: number, height: number}>}
+     */
+    getWidgetRects() {
+        return this.rects;
+    }
+
+    /**
+     * Layout position that puts a widget's top left corner at a point of the last frame
+     * @param {string} id - Widget id
+     * @param {number} left - Left edge in canvas pixels
+     * @param {number} top - Top edge in canvas pixels
+     * @returns {{x: number, y: number}|null} Fractions of the free space, null if the widget was not drawn
+     */
+    getPosition(id, left, top) {
+        const rect = this.rects[id];
+        if (!rect || !this.frame) return null;
+
+        const { width, height, padding } = this.frame;
+        const freeX = width - padding * 2 - rect.width;
+        const freeY = height - padding * 2 - rect.height;
+        return {
+            x: freeX > 0 ? clamp((left - padding) / freeX, 0, 1) : 0,
+            y: freeY > 0 ? clamp((top - padding) / freeY, 0, 1) : 0
+        };
+    }
+
     /**
      * Draw complete overlay on a canvas context
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -15,27 +63,80 @@ export class CanvasOverlay {
      * @param {Object} data - Overlay data
      * @param {number} data.currentDBA - Current dBA value
      * @param {string} data.dbaColor - Color based on dBA level
+     * @param {string} data.unit - Unit label of the active weighting (e.g. 'dBA')
      * @param {Object} data.level - Level info (text, class)
      * @param {string|null} data.latitude - Latitude
      * @param {string|null} data.longitude - Longitude
+     * @param {Object} [data.stats] - Statistics summary with window label
+     * @param {Object} [data.calibration] - Calibration offset and date (null date when uncalibrated)
+     * @param {Object} [data.history] - Level history chart: { levels, span, label }
      * @param {boolean} data.isRecording - Recording state
      * @param {Uint8Array} data.frequencyData - Frequency data for visualizer
+     * @param {Object[]} [data.bands] - Octave band levels, drawn instead of the frequency bars
+     * @param {Spectrogram} [data.spectrogram] - Spectrogram, drawn instead of bars and waveform
      * @param {Uint8Array} data.timeData - Time domain data for visualizer
      */
     draw(ctx, width, height, data) {
         const isPortrait = height > width;
         const { scale, fontSize, padding } = this.calculateScale(width, height, isPortrait);
+        // column: next free y of the top right column
+        this.frame = { width, height, isPortrait, scale, fontSize, padding, column: padding };
+        this.rects = {};
+
+        // Automatic positions follow the other widgets: stats and level pill under the dBA box,
+        // REC beside the info box, chart above the visualizer
+        const dbaRect = this.drawDBABox(ctx, data);
+        this.drawLevelPill(ctx, dbaRect, data);
 
-        // Draw components
-        this.drawDBABox(ctx, width, height, scale, fontSize, padding, isPortrait, data);
-        this.drawInfoBox(ctx, width, height, scale, fontSize, padding, isPortrait, data);
+        if (data.stats) {
+            this.drawStatsBox(ctx, data);
+        }
+
+        const infoRect = this.drawInfoBox(ctx, dbaRect, data);
 
         if (data.isRecording) {
-            this.drawRecordingIndicator(ctx, width, height, scale, fontSize, padding, isPortrait, data);
+            this.drawRecordingIndicator(ctx, infoRect, dbaRect);
+        }
+
+        const vizRect = this.drawMiniVisualizer(ctx, data);
+
+        if (data.history) {
+            this.drawHistoryChart(ctx, vizRect, data);
         }
 
-        this.drawMiniVisualizer(ctx, width, height, scale, padding, isPortrait, data);
-        this.drawWatermark(ctx, width, height, scale, fontSize);
+        this.drawWatermark(ctx);
+    }
+
+    /**
+     * Fill the canvas with a synthetic background, used instead of the camera frame in audio-only mode
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     */
+    drawBackground(ctx, width, height) {
+        const config = OVERLAY_CONFIG.background;
+        const { scale } = this.calculateScale(width, height, height > width);
+
+        const gradient = ctx.createLinearGradient(0, 0, 0, height);
+        gradient.addColorStop(0, config.top);
+        gradient.addColorStop(1, config.bottom);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+
+        // Faint grid so the frame does not look empty
+        const step = config.gridStep * scale;
+        ctx.strokeStyle = config.gridColor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = step; x < width; x += step) {
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+        }
+        for (let y = step; y < height; y += step) {
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+        }
+        ctx.stroke();
     }
 
     /**
@@ -53,26 +154,85 @@ export class CanvasOverlay {
     }
 
     /**
-     * Draw DBA display box (top right)
+     * Settings of a widget with its scale, font size and theme colors in the current frame
      * @private
      */
-    drawDBABox(ctx, width, height, scale, fontSize, padding, isPortrait, data) {
-        const config = OVERLAY_CONFIG.dbaBox;
-        const boxWidth = isPortrait ? config.widthPortrait * scale : config.widthLandscape * scale;
-        const boxHeight = isPortrait ? config.heightPortrait * scale : config.heightLandscape * scale;
-        const x = width - boxWidth - padding;
-        const y = padding;
+    getWidget(id) {
+        const widget = this.layout.widgets[id] || OVERLAY_LAYOUT_CONFIG.defaultWidget;
+        return {
+            ...widget,
+            scale: this.frame.scale * widget.size,
+            fontSize: this.frame.fontSize * widget.size,
+            theme: OVERLAY_CONFIG.themes[widget.theme] || OVERLAY_CONFIG.themes.dark
+        };
+    }
 
-        // Background
-        ctx.fillStyle = config.background;
+    /**
+     * Position a widget at its layout position, or at the automatic one, and remember its rectangle
+     * @private
+     */
+    place(id, widget, boxWidth, boxHeight, autoX, autoY) {
+        const { width, height, padding } = this.frame;
+        const rect = widget.x === null
+            ? { x: autoX, y: autoY, width: boxWidth, height: boxHeight }
+            : {
+                x: padding + widget.x * Math.max(0, width - padding * 2 - boxWidth),
+                y: padding + widget.y * Math.max(0, height - padding * 2 - boxHeight),
+                width: boxWidth,
+                height: boxHeight
+            };
+        this.rects[id] = rect;
+        return rect;
+    }
+
+    /**
+     * Take the next free spot of the top right column (dBA box, level pill, statistics)
+     * @private
+     */
+    takeColumn(boxHeight, scale) {
+        const y = this.frame.column;
+        this.frame.column = y + boxHeight + OVERLAY_CONFIG.statsBox.gap * scale;
+        return y;
+    }
+
+    /**
+     * Draw a rounded panel in the widget's theme
+     * @private
+     */
+    drawPanel(ctx, rect, widget, borderRadius) {
+        ctx.fillStyle = widget.theme.background;
         ctx.beginPath();
-        ctx.roundRect(x, y, boxWidth, boxHeight, config.borderRadius * scale);
+        ctx.roundRect(rect.x, rect.y, rect.width, rect.height, borderRadius * widget.scale);
         ctx.fill();
 
-        // Border
-        ctx.strokeStyle = config.borderColor;
-        ctx.lineWidth = config.borderWidth * scale;
+        ctx.strokeStyle = widget.theme.border;
+        ctx.lineWidth = OVERLAY_CONFIG.dbaBox.borderWidth * widget.scale;
         ctx.stroke();
+    }
+
+    /**
+     * Draw DBA display box (top right)
+     * @private
+     * @returns {Object|null} Box rectangle, null when hidden
+     */
+    drawDBABox(ctx, data) {
+        const widget = this.getWidget('dba');
+        if (!widget.visible) return null;
+
+        const config = OVERLAY_CONFIG.dbaBox;
+        const { width, padding, isPortrait } = this.frame;
+        const { scale, fontSize, theme } = widget;
+        const pill = this.layout.widgets.levelPill;
+        const boxWidth = (isPortrait ? config.widthPortrait : config.widthLandscape) * scale;
+        const fullHeight = (isPortrait ? config.heightPortrait : config.heightLandscape) * scale;
+
+        // The box ends below the unit label when the level pill is hidden or placed elsewhere
+        const boxHeight = pill.visible && pill.x === null ? fullHeight : fullHeight * 0.68;
+        const autoY = widget.x === null ? this.takeColumn(boxHeight, this.frame.scale) : padding;
+        const rect = this.place('dba', widget, boxWidth, boxHeight, width - boxWidth - padding, autoY);
+        const { x, y } = rect;
+
+        this.drawPanel(ctx, rect, widget, config.borderRadius);
 
         // DBA Value
         const dbaFontSize = isPortrait ? fontSize * 2.0 : fontSize * 2.8;
@@ -82,110 +242,246 @@ export class CanvasOverlay {
         ctx.textBaseline = 'middle';
         ctx.shadowColor = data.dbaColor;
         ctx.shadowBlur = 15 * scale;
-        ctx.fillText(Math.round(data.currentDBA), x + boxWidth / 2, y + boxHeight * 0.28);
+        ctx.fillText(Math.round(data.currentDBA), x + boxWidth / 2, y + fullHeight * 0.28);
         ctx.shadowBlur = 0;
 
-        // dBA label
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        // Unit label (dBA/dBC/dBZ)
+        ctx.fillStyle = theme.text;
         ctx.font = `${fontSize * 0.85}px Arial`;
-        ctx.fillText('dBA', x + boxWidth / 2, y + boxHeight * 0.52);
+        ctx.fillText(data.unit, x + boxWidth / 2, y + fullHeight * 0.52);
 
-        // Level pill
-        this.drawLevelPill(ctx, x, y, boxWidth, boxHeight, scale, fontSize, data);
+        return rect;
     }
 
     /**
-     * Draw level indicator pill
+     * Draw level indicator pill, inside the DBA box unless placed on its own
      * @private
      */
-    drawLevelPill(ctx, boxX, boxY, boxWidth, boxHeight, scale, fontSize, data) {
+    drawLevelPill(ctx, dbaRect, data) {
+        const widget = this.getWidget('levelPill');
+        if (!widget.visible) return;
+
+        // Inside the box the pill follows the box size
+        const inBox = dbaRect && widget.x === null;
+        const { scale, fontSize } = inBox ? this.getWidget('dba') : widget;
         const levelText = data.level.text;
         ctx.font = `bold ${fontSize * 0.6}px Arial`;
-        const levelWidth = Math.min(ctx.measureText(levelText).width + 20 * scale, boxWidth - 16 * scale);
+        const textWidth = ctx.measureText(levelText).width + 20 * scale;
         const levelHeight = 22 * scale;
-        const levelX = boxX + (boxWidth - levelWidth) / 2;
-        const levelY = boxY + boxHeight * 0.72;
+
+        let rect;
+        if (inBox) {
+            const levelWidth = Math.min(textWidth, dbaRect.width - 16 * scale);
+            rect = {
+                x: dbaRect.x + (dbaRect.width - levelWidth) / 2,
+                y: dbaRect.y + dbaRect.height * 0.72,
+                width: levelWidth,
+                height: levelHeight
+            };
+            this.rects.levelPill = rect;
+        } else {
+            const { width, padding } = this.frame;
+            const autoY = widget.x === null ? this.takeColumn(levelHeight, this.frame.scale) : padding;
+            rect = this.place('levelPill', widget, textWidth, levelHeight, width - textWidth - padding, autoY);
+        }
 
         // Pill background
         ctx.fillStyle = hexToRgba(data.dbaColor, 0.3);
         ctx.beginPath();
-        ctx.roundRect(levelX, levelY, levelWidth, levelHeight, 10 * scale);
+        ctx.roundRect(rect.x, rect.y, rect.width, rect.height, 10 * scale);
         ctx.fill();
 
         // Pill text
         ctx.fillStyle = data.dbaColor;
         ctx.textAlign = 'center';
-        ctx.fillText(levelText, boxX + boxWidth / 2, levelY + levelHeight / 2);
+        ctx.textBaseline = 'middle';
+        ctx.fillText(levelText, rect.x + rect.width / 2, rect.y + rect.height / 2);
     }
 
     /**
-     * Draw info box (top left) with date/time and location
+     * Draw statistics box (below the DBA box)
      * @private
      */
-    drawInfoBox(ctx, width, height, scale, fontSize, padding, isPortrait, data) {
-        const config = OVERLAY_CONFIG.infoBox;
+    drawStatsBox(ctx, data) {
+        const widget = this.getWidget('stats');
+        if (!widget.visible) return;
+
+        const config = OVERLAY_CONFIG.statsBox;
         const dbaConfig = OVERLAY_CONFIG.dbaBox;
+        const { width, padding, isPortrait } = this.frame;
+        const { scale, fontSize, theme } = widget;
+        const { stats } = data;
+
+        const rows = [
+            ['Leq', stats.leq],
+            ['Lmax', stats.lmax],
+            ['Lmin', stats.lmin],
+            ['Lpeak', stats.lpeak],
+            ['L10', stats.l10],
+            ['L50', stats.l50],
+            ['L90', stats.l90]
+        ];
+
+        const statsFontSize = isPortrait ? fontSize * 0.55 : fontSize * 0.7;
+        const rowHeight = statsFontSize * config.rowHeightRatio;
+        const boxWidth = (isPortrait ? dbaConfig.widthPortrait : dbaConfig.widthLandscape) * scale;
+        const boxHeight = rowHeight * (rows.length + 1) + 12 * scale;
+        const autoY = widget.x === null ? this.takeColumn(boxHeight, this.frame.scale) : padding;
+        const rect = this.place('stats', widget, boxWidth, boxHeight, width - boxWidth - padding, autoY);
+
+        this.drawPanel(ctx, rect, widget, config.borderRadius);
 
-        const dbaBoxWidth = isPortrait ? dbaConfig.widthPortrait * scale : dbaConfig.widthLandscape * scale;
-        const boxWidth = isPortrait
-            ? Math.min(config.widthPortrait * scale, width - dbaBoxWidth - padding * 3)
-            : config.widthLandscape * scale;
-        const boxHeight = isPortrait ? config.heightPortrait * scale : config.heightLandscape * scale;
-        const x = padding;
-        const y = padding;
+        ctx.textBaseline = 'middle';
+        const left = rect.x + 10 * scale;
+        const right = rect.x + boxWidth - 10 * scale;
+        let rowY = rect.y + 6 * scale + rowHeight / 2;
 
-        // Store for recording indicator positioning
-        this._lastInfoBox = { x, y, width: boxWidth, height: boxHeight };
-        this._lastDbaX = width - dbaBoxWidth - padding;
+        // Window label
+        ctx.fillStyle = theme.muted;
+        ctx.font = `${statsFontSize * 0.9}px Arial`;
+        ctx.textAlign = 'left';
+        ctx.fillText(stats.label || '', left, rowY);
+
+        for (const [name, value] of rows) {
+            rowY += rowHeight;
+            ctx.fillStyle = theme.muted;
+            ctx.font = `${statsFontSize}px Arial`;
+            ctx.textAlign = 'left';
+            ctx.fillText(name, left, rowY);
+
+            ctx.fillStyle = theme.text;
+            ctx.font = `bold ${statsFontSize}px Arial`;
+            ctx.textAlign = 'right';
+            ctx.fillText(formatLevel(value), right, rowY);
+        }
+    }
 
-        // Background
-        ctx.fillStyle = OVERLAY_CONFIG.dbaBox.background;
-        ctx.beginPath();
-        ctx.roundRect(x, y, boxWidth, boxHeight, config.borderRadius * scale);
-        ctx.fill();
+    /**
+     * Lines of the info box: date/time, location and calibration
+     * @private
+     */
+    getInfoLines(data) {
+        // Unicode symbols instead of emoji, which not every canvas font renders
+        const lines = [
+            { id: 'datetime', text: '⏱ ' + formatDateTimeForOverlay(new Date(), UI_CONFIG.locale), bold: true },
+            {
+                id: 'location',
+                text: data.latitude && data.longitude ? `⌖ ${data.latitude}, ${data.longitude}` : `⌖ ${MESSAGES.geolocation.na}`,
+                bold: false
+            }
+        ];
+
+        if (data.calibration) {
+            const { offset, date } = data.calibration;
+            lines.push({
+                id: 'calibration',
+                text: date
+                    ? `${MESSAGES.overlay.calibration} ${formatOffset(offset)} · ${formatDateForOverlay(new Date(date), UI_CONFIG.locale)}`
+                    : `${MESSAGES.overlay.calibration} ${MESSAGES.calibration.none}`,
+                bold: false
+            });
+        }
 
-        // Border
-        ctx.strokeStyle = OVERLAY_CONFIG.dbaBox.borderColor;
-        ctx.lineWidth = OVERLAY_CONFIG.dbaBox.borderWidth * scale;
-        ctx.stroke();
+        return lines
+            .map(line => ({ ...line, widget: this.getWidget(line.id) }))
+            .filter(line => line.widget.visible);
+    }
+
+    /**
+     * Draw info box (top left) with date/time, location and calibration. Lines at their
+     * automatic position share one box, lines placed elsewhere get a box each.
+     * @private
+     * @returns {Object|null} Rectangle of the shared box, null when no line is in it
+     */
+    drawInfoBox(ctx, dbaRect, data) {
+        const config = OVERLAY_CONFIG.infoBox;
+        const { width, padding, isPortrait } = this.frame;
+        const baseHeight = isPortrait ? config.heightPortrait : config.heightLandscape;
+        const lineHeight = (line) => baseHeight * line.widget.scale / 2.4;
+        const lines = this.getInfoLines(data);
+
+        const grouped = lines.filter(line => line.widget.x === null);
+        let groupRect = null;
+        if (grouped.length) {
+            const groupScale = Math.max(...grouped.map(line => line.widget.scale));
+            const dbaBoxWidth = dbaRect && this.layout.widgets.dba.x === null ? dbaRect.width : 0;
+            const boxWidth = isPortrait
+                ? Math.min(config.widthPortrait * groupScale, width - dbaBoxWidth - padding * 3)
+                : config.widthLandscape * groupScale;
+            const margin = lineHeight(grouped[0]) * 0.2;
+            const boxHeight = grouped.reduce((sum, line) => sum + lineHeight(line), margin * 2);
+            groupRect = { x: padding, y: padding, width: boxWidth, height: boxHeight };
+
+            // The box takes the theme of its first line
+            this.drawPanel(ctx, groupRect, { ...grouped[0].widget, scale: groupScale }, config.borderRadius);
+
+            let lineTop = padding + margin;
+            for (const line of grouped) {
+                const rect = { x: groupRect.x, y: lineTop, width: boxWidth, height: lineHeight(line) };
+                this.rects[line.id] = rect;
+                this.drawInfoLine(ctx, line, rect, grouped[0].widget.theme);
+                lineTop += rect.height;
+            }
+        }
 
-        // Date/time - using Unicode calendar symbol instead of emoji
-        const now = new Date();
-        const dateStr = formatDateTimeForOverlay(now);
-        const infoFontSize = isPortrait ? fontSize * 0.7 : fontSize * 0.85;
+        for (const line of lines.filter(line => line.widget.x !== null)) {
+            const { scale } = line.widget;
+            ctx.font = this.getInfoFont(line);
+            const boxWidth = ctx.measureText(line.text).width + 16 * scale;
+            const boxHeight = lineHeight(line) * 1.4;
+            const rect = this.place(line.id, line.widget, boxWidth, boxHeight, padding, padding);
 
-        ctx.fillStyle = '#ffffff';
-        ctx.font = `bold ${infoFontSize}px Arial`;
+            this.drawPanel(ctx, rect, line.widget, config.borderRadius);
+            this.drawInfoLine(ctx, line, rect, line.widget.theme);
+        }
+
+        return groupRect;
+    }
+
+    /**
+     * @private
+     */
+    getInfoFont(line) {
+        const infoFontSize = line.widget.fontSize * (this.frame.isPortrait ? 0.7 : 0.85);
+        return line.bold ? `bold ${infoFontSize}px Arial` : `${infoFontSize * 0.9}px Arial`;
+    }
+
+    /**
+     * Draw one info line vertically centered in its rectangle
+     * @private
+     */
+    drawInfoLine(ctx, line, rect, theme) {
+        ctx.fillStyle = line.bold ? theme.text : theme.muted;
+        ctx.font = this.getInfoFont(line);
         ctx.textAlign = 'left';
         ctx.textBaseline = 'middle';
-        ctx.fillText('⏱ ' + dateStr, x + 8 * scale, y + boxHeight * 0.35);
-
-        // Location - using Unicode pin symbol instead of emoji
-        const locationStr = data.latitude && data.longitude
-            ? `⌖ ${data.latitude}, ${data.longitude}`
-            : '⌖ N/A';
-        ctx.fillStyle = '#aaaaaa';
-        ctx.font = `${infoFontSize * 0.9}px Arial`;
-        ctx.fillText(locationStr, x + 8 * scale, y + boxHeight * 0.7);
+        ctx.fillText(line.text, rect.x + 8 * line.widget.scale, rect.y + rect.height / 2);
     }
 
     /**
-     * Draw recording indicator
+     * Draw recording indicator (beside the info box)
      * @private
      */
-    drawRecordingIndicator(ctx, width, height, scale, fontSize, padding, isPortrait, data) {
-        const config = OVERLAY_CONFIG.recIndicator;
-        const recWidth = isPortrait ? config.widthPortrait * scale : config.widthLandscape * scale;
-        const recHeight = isPortrait ? config.heightPortrait * scale : config.heightLandscape * scale;
+    drawRecordingIndicator(ctx, infoRect, dbaRect) {
+        const widget = this.getWidget('rec');
+        if (!widget.visible) return;
 
-        const infoBox = this._lastInfoBox || { x: padding, width: 200 * scale, height: 50 * scale };
-        const dbaX = this._lastDbaX || (width - 160 * scale - padding);
-
-        const recX = infoBox.x + infoBox.width + 10 * scale;
-        const recY = infoBox.y + (infoBox.height - recHeight) / 2;
+        const config = OVERLAY_CONFIG.recIndicator;
+        const { width, padding, isPortrait } = this.frame;
+        const { scale, fontSize } = widget;
+        const recWidth = (isPortrait ? config.widthPortrait : config.widthLandscape) * scale;
+        const recHeight = (isPortrait ? config.heightPortrait : config.heightLandscape) * scale;
+
+        const autoX = infoRect ? infoRect.x + infoRect.width + 10 * scale : padding;
+        const autoY = infoRect ? infoRect.y + (infoRect.height - recHeight) / 2 : padding;
+
+        // At its automatic position it is only drawn if it fits before the DBA box
+        if (widget.x === null) {
+            const dbaX = dbaRect && this.layout.widgets.dba.x === null ? dbaRect.x : width - padding;
+            if (autoX + recWidth >= dbaX - 5 * scale) return;
+        }
 
-        // Only draw if it fits
-        if (recX + recWidth >= dbaX - 5 * scale) return;
+        const { x: recX, y: recY } = this.place('rec', widget, recWidth, recHeight, autoX, autoY);
 
         // Background
         ctx.fillStyle = config.background;
@@ -204,22 +500,65 @@ export class CanvasOverlay {
         ctx.fillStyle = '#ffffff';
         ctx.font = `bold ${fontSize * 0.6}px Arial`;
         ctx.textAlign = 'center';
-        ctx.fillText('REC', recX + recWidth * 0.65, recY + recHeight / 2);
+        ctx.textBaseline = 'middle';
+        ctx.fillText(MESSAGES.overlay.rec, recX + recWidth * 0.65, recY + recHeight / 2);
+    }
+
+    /**
+     * Draw level history chart (above the mini visualizer)
+     * @private
+     */
+    drawHistoryChart(ctx, vizRect, data) {
+        const widget = this.getWidget('chart');
+        if (!widget.visible) return;
+
+        const config = OVERLAY_CONFIG.historyChart;
+        const vizConfig = OVERLAY_CONFIG.miniVisualizer;
+        const { width, height, isPortrait } = this.frame;
+        const { scale } = widget;
+
+        const chartHeight = (isPortrait ? config.heightPortrait : config.heightLandscape) * scale;
+        const chartX = Math.max(vizConfig.minPadding, width * vizConfig.paddingRatio);
+        const chartWidth = Math.min(
+            width * (isPortrait ? config.widthRatioPortrait : config.widthRatioLandscape) * widget.size,
+            config.maxWidth * scale,
+            width - chartX * 2
+        );
+
+        // Without a visualizer at its automatic position the chart takes its place
+        const bottomOffset = (isPortrait ? vizConfig.bottomOffsetPortrait : vizConfig.bottomOffsetLandscape) * this.frame.scale;
+        const chartY = vizRect
+            ? vizRect.y - config.gap * this.frame.scale - chartHeight
+            : height - bottomOffset - chartHeight;
+        const rect = this.place('chart', widget, chartWidth, chartHeight, chartX, chartY);
+
+        drawLevelHistory(ctx, rect.x, rect.y, rect.width, rect.height, data.history.levels, {
+            span: data.history.span,
+            label: data.history.label,
+            scale,
+            background: widget.theme.background,
+            borderRadius: config.borderRadius * scale
+        });
     }
 
     /**
      * Draw mini visualizer for recordings
      * @private
+     * @returns {Object|null} Rectangle when drawn at its automatic position
      */
-    drawMiniVisualizer(ctx, width, height, scale, padding, isPortrait, data) {
-        if (!data.frequencyData || !data.timeData) return;
+    drawMiniVisualizer(ctx, data) {
+        const widget = this.getWidget('visualizer');
+        if (!widget.visible || !data.frequencyData || !data.timeData) return null;
 
         const config = OVERLAY_CONFIG.miniVisualizer;
-        const vizHeight = isPortrait ? config.heightPortrait * scale : config.heightLandscape * scale;
-        const vizY = height - vizHeight - (isPortrait ? config.bottomOffsetPortrait * scale : config.bottomOffsetLandscape * scale);
+        const { width, height, isPortrait } = this.frame;
+        const { scale } = widget;
+        const vizHeight = (isPortrait ? config.heightPortrait : config.heightLandscape) * scale;
+        const bottomOffset = (isPortrait ? config.bottomOffsetPortrait : config.bottomOffsetLandscape) * this.frame.scale;
         const vizPadding = Math.max(config.minPadding, width * config.paddingRatio);
-        const vizX = vizPadding;
         const vizWidth = Math.min(width * config.maxWidthRatio, config.maxWidth * scale);
+        const rect = this.place('visualizer', widget, vizWidth, vizHeight, vizPadding, height - vizHeight - bottomOffset);
+        const { x: vizX, y: vizY } = rect;
 
         // Save context state
         ctx.save();
@@ -227,32 +566,23 @@ export class CanvasOverlay {
         // Background with clip region
         ctx.beginPath();
         ctx.roundRect(vizX, vizY, vizWidth, vizHeight, config.borderRadius * scale);
-        ctx.fillStyle = config.background;
+        ctx.fillStyle = widget.theme.background;
         ctx.fill();
         ctx.clip();
 
-        // Draw frequency bars
-        const barCount = isPortrait ? VISUALIZER_CONFIG.barCountMobile : VISUALIZER_CONFIG.barCount;
-        const innerPadding = config.innerPadding * scale;
-        const totalBarSpace = vizWidth - innerPadding * 2;
-        const barWidth = (totalBarSpace / barCount) - 1;
-
-        for (let i = 0; i < barCount; i++) {
-            const dataIndex = Math.floor(i * (data.frequencyData.length / barCount));
-            const maxBarHeight = vizHeight - innerPadding * 2;
-            const barHeight = Math.max(2, (data.frequencyData[dataIndex] / 255) * maxBarHeight);
-            const barX = vizX + innerPadding + i * (barWidth + 1);
-            const barY = vizY + vizHeight - innerPadding - barHeight;
-
-            // Gradient for bars
-            const gradient = ctx.createLinearGradient(0, barY + barHeight, 0, barY);
-            gradient.addColorStop(0, 'rgba(0, 255, 136, 0.9)');
-            gradient.addColorStop(0.4, 'rgba(255, 255, 0, 0.9)');
-            gradient.addColorStop(0.7, 'rgba(255, 153, 0, 0.9)');
-            gradient.addColorStop(1, 'rgba(255, 68, 68, 0.9)');
+        if (data.spectrogram) {
+            drawSpectrogram(ctx, vizX, vizY, vizWidth, vizHeight, data.spectrogram, scale);
+            ctx.restore();
+            return widget.x === null ? rect : null;
+        }
 
-            ctx.fillStyle = gradient;
-            ctx.fillRect(barX, barY, barWidth - 1, barHeight);
+        // Draw octave bands or frequency bars
+        const innerPadding = config.innerPadding * scale;
+        if (data.bands) {
+            drawBandLevels(ctx, vizX + innerPadding, vizY + innerPadding,
+                vizWidth - innerPadding * 2, vizHeight - innerPadding * 2, data.bands, scale);
+        } else {
+            this.drawMiniFrequencyBars(ctx, vizX, vizY, vizWidth, vizHeight, innerPadding, isPortrait, data);
         }
 
         // Draw waveform overlay
@@ -282,19 +612,57 @@ export class CanvasOverlay {
 
         // Restore context
         ctx.restore();
+
+        return widget.x === null ? rect : null;
+    }
+
+    /**
+     * Draw FFT frequency bars inside the mini visualizer
+     * @private
+     */
+    drawMiniFrequencyBars(ctx, vizX, vizY, vizWidth, vizHeight, innerPadding, isPortrait, data) {
+        const barCount = isPortrait ? VISUALIZER_CONFIG.barCountMobile : VISUALIZER_CONFIG.barCount;
+        const totalBarSpace = vizWidth - innerPadding * 2;
+        const barWidth = (totalBarSpace / barCount) - 1;
+
+        for (let i = 0; i < barCount; i++) {
+            const dataIndex = Math.floor(i * (data.frequencyData.length / barCount));
+            const maxBarHeight = vizHeight - innerPadding * 2;
+            const barHeight = Math.max(2, (data.frequencyData[dataIndex] / 255) * maxBarHeight);
+            const barX = vizX + innerPadding + i * (barWidth + 1);
+            const barY = vizY + vizHeight - innerPadding - barHeight;
+
+            // Gradient for bars
+            const gradient = ctx.createLinearGradient(0, barY + barHeight, 0, barY);
+            gradient.addColorStop(0, 'rgba(0, 255, 136, 0.9)');
+            gradient.addColorStop(0.4, 'rgba(255, 255, 0, 0.9)');
+            gradient.addColorStop(0.7, 'rgba(255, 153, 0, 0.9)');
+            gradient.addColorStop(1, 'rgba(255, 68, 68, 0.9)');
+
+            ctx.fillStyle = gradient;
+            ctx.fillRect(barX, barY, barWidth - 1, barHeight);
+        }
     }
 
     /**
      * Draw watermark at bottom center
      * @private
      */
-    drawWatermark(ctx, width, height, scale, fontSize) {
+    drawWatermark(ctx) {
+        const widget = this.getWidget('watermark');
+        if (!widget.visible) return;
+
         const config = OVERLAY_CONFIG.watermark;
+        const { width, height } = this.frame;
+        ctx.font = `${widget.fontSize * 0.6}px Arial`;
+        const textWidth = ctx.measureText(config.text).width;
+        const textHeight = widget.fontSize * 0.75;
+        const rect = this.place('watermark', widget, textWidth, textHeight,
+            (width - textWidth) / 2, height - config.bottomOffset * widget.scale - textHeight);
 
         ctx.fillStyle = config.color;
-        ctx.font = `${fontSize * 0.6}px Arial`;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'bottom';
-        ctx.fillText(config.text, width / 2, height - config.bottomOffset * scale);
+        ctx.fillText(config.text, rect.x + textWidth / 2, rect.y + textHeight);
     }
 }
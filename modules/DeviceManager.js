@@ -0,0 +1,204 @@
+/**
+ * DBA Noise Meter - Device Manager Module
+ * Lists input devices, keeps the selected microphone, camera and capture
+ * format in localStorage and builds the getUserMedia constraints: no browser
+ * voice processing on the audio, the chosen lens, resolution and framerate on the video
+ */
+
+import { CAMERA_CONFIG, DEVICE_CONFIG, MESSAGES } from './constants.js';
+
+export class DeviceManager {
+    constructor() {
+        const stored = this.load();
+        this.microphoneId = stored.microphoneId || '';
+        this.cameraId = stored.cameraId || '';
+        this.resolution = CAMERA_CONFIG.resolutions[stored.resolution] ? stored.resolution : CAMERA_CONFIG.defaultResolution;
+        this.frameRate = CAMERA_CONFIG.frameRates.includes(stored.frameRate) ? stored.frameRate : CAMERA_CONFIG.defaultFrameRate;
+    }
+
+    /**
+     * Read the stored selection
+     * @private
+     */
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(DEVICE_CONFIG.storageKey)) || {};
+        } catch (e) {
+            console.warn('Could not read device selection:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Write the selection
+     * @private
+     */
+    save() {
+        try {
+            localStorage.setItem(DEVICE_CONFIG.storageKey, JSON.stringify({
+                microphoneId: this.microphoneId,
+                cameraId: this.cameraId,
+                resolution: this.resolution,
+                frameRate: this.frameRate
+            }));
+        } catch (e) {
+            console.warn('Could not store device selection:', e);
+        }
+    }
+
+    /**
+     * List the audio and video inputs. Labels are only available once a stream was granted.
+     * @returns {Promise<{microphones: {deviceId: string, label: string}[], cameras: {deviceId: string, label: string}[]}>}
+     */
+    async listDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return { microphones: [], cameras: [] };
+        }
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const byKind = (kind, name) => devices
+            .filter(device => device.kind === kind && device.deviceId && device.deviceId !== 'default')
+            .map((device, i) => ({
+                deviceId: device.deviceId,
+                label: device.label || `${name} ${i + 1}`
+            }));
+        return {
+            microphones: byKind('audioinput', MESSAGES.devices.microphone),
+            cameras: byKind('videoinput', MESSAGES.devices.camera)
+        };
+    }
+
+    /**
+     * Forget selected devices that are no longer connected
+     * @param {{microphones: Object[], cameras: Object[]}} devices - Result of listDevices()
+     * @returns {string[]} Kinds that were reset ('microphone', 'camera')
+     */
+    dropMissing({ microphones, cameras }) {
+        const dropped = [];
+        if (this.microphoneId && !microphones.some(m => m.deviceId === this.microphoneId)) {
+            this.microphoneId = '';
+            dropped.push('microphone');
+        }
+        if (this.cameraId && !cameras.some(c => c.deviceId === this.cameraId)) {
+            this.cameraId = '';
+            dropped.push('camera');
+        }
+        if (dropped.length) this.save();
+        return dropped;
+    }
+
+    /**
+     * Select the microphone
+     * @param {string} deviceId - Device id, or '' for the browser default
+     */
+    setMicrophone(deviceId) {
+        this.microphoneId = deviceId || '';
+        this.save();
+    }
+
+    /**
+     * Get the selected microphone
+     * @returns {string} Device id, '' for the browser default
+     */
+    getMicrophoneId() {
+        return this.microphoneId;
+    }
+
+    /**
+     * Select the camera
+     * @param {string} deviceId - Device id, or '' to follow the facing mode
+     */
+    setCamera(deviceId) {
+        this.cameraId = deviceId || '';
+        this.save();
+    }
+
+    /**
+     * Get the selected camera
+     * @returns {string} Device id, '' when the facing mode decides
+     */
+    getCameraId() {
+        return this.cameraId;
+    }
+
+    /**
+     * Select the capture format
+     * @param {string} resolution - Key of CAMERA_CONFIG.resolutions
+     * @param {number} frameRate - One of CAMERA_CONFIG.frameRates
+     */
+    setFormat(resolution, frameRate) {
+        if (CAMERA_CONFIG.resolutions[resolution]) this.resolution = resolution;
+        if (CAMERA_CONFIG.frameRates.includes(frameRate)) this.frameRate = frameRate;
+        this.save();
+    }
+
+    /**
+     * Get the capture format
+     * @returns {{resolution: string, width: number, height: number, frameRate: number}}
+     */
+    getFormat() {
+        return { resolution: this.resolution, ...CAMERA_CONFIG.resolutions[this.resolution], frameRate: this.frameRate };
+    }
+
+    /**
+     * Video constraints: the selected camera (or facing mode) at the selected format
+     * @param {string} facingMode - 'environment' or 'user', used when no camera is selected
+     * @returns {MediaTrackConstraints}
+     */
+    getVideoConstraints(facingMode) {
+        const { width, height, frameRate } = this.getFormat();
+        const constraints = {
+            width: { ideal: width },
+            height: { ideal: height },
+            frameRate: { ideal: frameRate }
+        };
+        if (this.cameraId) {
+            constraints.deviceId = { exact: this.cameraId };
+        } else {
+            constraints.facingMode = facingMode;
+        }
+        return constraints;
+    }
+
+    /**
+     * Audio constraints: the selected device without echo cancellation, noise suppression or gain control
+     * @returns {MediaTrackConstraints}
+     */
+    getAudioConstraints() {
+        const constraints = {};
+        if (this.microphoneId) {
+            constraints.deviceId = { exact: this.microphoneId };
+        }
+        for (const name of DEVICE_CONFIG.audioProcessing) {
+            constraints[name] = false;
+        }
+        return constraints;
+    }
+
+    /**
+     * Voice processing the browser kept on despite the constraints
+     * @param {MediaStreamTrack} track - Audio track of the current stream
+     * @returns {string[]} Names from DEVICE_CONFIG.audioProcessing
+     */
+    getActiveProcessing(track) {
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        return DEVICE_CONFIG.audioProcessing.filter(name => settings[name] === true);
+    }
+
+    /**
+     * Microphone details for session metadata
+     * @param {MediaStreamTrack} track - Audio track of the current stream
+     * @returns {Object} Flat fields: id, label and the state of each processing feature
+     */
+    getMicrophoneInfo(track) {
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        const info = {
+            microphone: track ? track.label : '',
+            microphoneId: settings.deviceId || this.microphoneId || null
+        };
+        for (const name of DEVICE_CONFIG.audioProcessing) {
+            info[name] = typeof settings[name] === 'boolean' ? settings[name] : null;
+        }
+        return info;
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * DBA Noise Meter - Environmental Indicators Module
+ * Day-evening-night indicators of logged levels (Ld, Le, Ln, Lden, Ldn) with
+ * configurable period start hours and evening/night penalties (stored in localStorage)
+ */
+
+import { INDICATORS_CONFIG, STANDARDS_CONFIG } from './constants.js';
+import { getPeriod, getSampleDate } from './StandardsManager.js';
+
+/**
+ * Length of each period in hours, from its start until the next period starts
+ * @private
+ */
+function periodHours(periods) {
+    const order = STANDARDS_CONFIG.periods.slice().sort((a, b) => periods[a] - periods[b]);
+    const hours = {};
+    order.forEach((period, i) => {
+        const next = order[(i + 1) % order.length];
+        hours[period] = (periods[next] - periods[period] + 24) % 24;
+    });
+    return hours;
+}
+
+/**
+ * Energy average level
+ * @private
+ */
+function energyLevel(energy, duration) {
+    return duration > 0 && energy > 0 ? 10 * Math.log10(energy / duration) : null;
+}
+
+/**
+ * Check indicator settings: three distinct start hours and penalties within range
+ * @private
+ */
+function isValidSettings({ periods, penalties }) {
+    if (!periods || !penalties) return false;
+    const starts = STANDARDS_CONFIG.periods.map(period => periods[period]);
+    const penaltyValues = [penalties.evening, penalties.night];
+    return starts.every(start => Number.isInteger(start) && start >= 0 && start <= 23) &&
+        new Set(starts).size === starts.length &&
+        penaltyValues.every(value => Number.isFinite(value) && value >= 0 && value <= INDICATORS_CONFIG.maxPenalty);
+}
+
+/**
+ * Day-evening-night indicators of logged samples. Ld, Le and Ln are the Leq of the
+ * samples in each period (over all days); Lden weights them by period length with
+ * the evening and night penalties. Ldn merges the evening into the day and only
+ * adds the night penalty. Indicators of periods without samples are null.
+ * @param {Object[]} samples - Samples with time (end, ms), duration (s) and leq
+ * @param {{periods: Object, penalties: Object}} settings - Start hour per period, penalties in dB
+ * @returns {{ld: number|null, le: number|null, ln: number|null, lden: number|null, ldn: number|null,
+ *   durations: {day: number, evening: number, night: number}}} Levels and measured seconds per period
+ */
+export function computeIndicators(samples, { periods, penalties }) {
+    const energy = { day: 0, evening: 0, night: 0 };
+    const durations = { day: 0, evening: 0, night: 0 };
+    const profile = { periods };
+
+    for (const sample of samples) {
+        if (!Number.isFinite(sample.leq) || !(sample.duration > 0)) continue;
+        const period = getPeriod(profile, getSampleDate(sample));
+        energy[period] += sample.duration * Math.pow(10, sample.leq / 10);
+        durations[period] += sample.duration;
+    }
+
+    const ld = energyLevel(energy.day, durations.day);
+    const le = energyLevel(energy.evening, durations.evening);
+    const ln = energyLevel(energy.night, durations.night);
+    const hours = periodHours(periods);
+    const weigh = (level, period, penalty) => hours[period] * Math.pow(10, (level + penalty) / 10);
+
+    const lden = ld !== null && le !== null && ln !== null
+        ? 10 * Math.log10((weigh(ld, 'day', 0) + weigh(le, 'evening', penalties.evening) + weigh(ln, 'night', penalties.night)) / 24)
+        : null;
+
+    const lde = energyLevel(energy.day + energy.evening, durations.day + durations.evening);
+    const ldn = lde !== null && ln !== null
+        ? 10 * Math.log10(((hours.day + hours.evening) * Math.pow(10, lde / 10) + weigh(ln, 'night', penalties.night)) / 24)
+        : null;
+
+    return { ld, le, ln, lden, ldn, durations };
+}
+
+export class EnvironmentalIndicators {
+    constructor() {
+        this.settings = this.load();     // { periods, penalties }
+    }
+
+    /**
+     * Read the period start hours and penalties from localStorage
+     * @private
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(INDICATORS_CONFIG.storageKey));
+            if (stored && isValidSettings(stored)) {
+                return { periods: stored.periods, penalties: stored.penalties };
+            }
+        } catch (e) {
+            console.warn('Could not read indicator settings:', e);
+        }
+        return { periods: { ...INDICATORS_CONFIG.periods }, penalties: { ...INDICATORS_CONFIG.penalties } };
+    }
+
+    /**
+     * Write the period start hours and penalties
+     * @private
+     */
+    save() {
+        try {
+            localStorage.setItem(INDICATORS_CONFIG.storageKey, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn('Could not store indicator settings:', e);
+        }
+    }
+
+    /**
+     * Get the period start hours and penalties
+     * @returns {{periods: Object, penalties: Object}}
+     */
+    getSettings() {
+        return { periods: { ...this.settings.periods }, penalties: { ...this.settings.penalties } };
+    }
+
+    /**
+     * Change the period start hours and penalties
+     * @param {Object} settings
+     * @param {Object} settings.periods - Start hour (0-23) of day, evening and night, all different
+     * @param {Object} settings.penalties - Evening and night penalties (dB)
+     * @returns {boolean} Whether the settings are valid
+     */
+    configure({ periods, penalties }) {
+        const next = {
+            periods: { day: periods.day, evening: periods.evening, night: periods.night },
+            penalties: { evening: penalties.evening, night: penalties.night }
+        };
+        if (!isValidSettings(next)) return false;
+
+        this.settings = next;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Indicators of logged samples with the current settings
+     * @param {Object[]} samples - Samples from the session store
+     * @returns {Object} See computeIndicators()
+     */
+    compute(samples) {
+        return computeIndicators(samples, this.settings);
+    }
+}
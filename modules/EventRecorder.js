@@ -0,0 +1,400 @@
+/**
+ * DBA Noise Meter - Event Recorder Module
+ * Armed mode: records overlaid video clips automatically when the level
+ * crosses a threshold, including a pre-trigger buffer.
+ *
+ * MediaRecorder output can only be cut at the start of a recording, so the
+ * pre-roll comes from two staggered recorders restarted every preRoll seconds.
+ * When triggered, the older one (running for preRoll..2·preRoll seconds) is
+ * kept and becomes the clip; the other is discarded. Triggers are ignored until
+ * a recorder has run for preRoll seconds, i.e. right after arming and after
+ * each clip, so every clip holds the full pre-roll.
+ */
+
+import { RECORDING_CONFIG, EVENT_RECORDING_CONFIG, MESSAGES } from './constants.js';
+import { generateFilename, downloadBlob, isIOSDevice, selectSupportedMimeType } from '../utils/helpers.js';
+import { CanvasOverlay } from './CanvasOverlay.js';
+
+export class EventRecorder {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.overlay = new CanvasOverlay();
+        this.canvasStream = null;
+        this.mimeType = '';
+        this.slots = [];             // Staggered recorders: { recorder, chunks, startTime }
+        this.rotationTimer = null;
+        this.drawRequest = null;     // requestAnimationFrame id of the draw loop
+        this.armed = false;
+        this.event = null;           // { slot, startTime, lastAbove, lmax } while capturing
+        this.getOverlayData = null;
+        this.videoFormat = {         // Selected capture format
+            width: RECORDING_CONFIG.defaultWidth,
+            height: RECORDING_CONFIG.defaultHeight,
+            frameRate: RECORDING_CONFIG.frameRate
+        };
+
+        this.threshold = EVENT_RECORDING_CONFIG.threshold;
+        this.preRoll = EVENT_RECORDING_CONFIG.preRoll;
+        this.postRoll = EVENT_RECORDING_CONFIG.postRoll;
+
+        // Callbacks
+        this.onStateChange = null;
+        this.onEventStart = null;
+        this.onEventStop = null;
+        this.onToast = null;
+    }
+
+    /**
+     * Set callback handlers
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onStateChange - Called with (armed, capturing)
+     * @param {Function} callbacks.onEventStart - Called with (time, level) when a clip starts
+     * @param {Function} callbacks.onEventStop - Called with (time, lmax, filename) when a clip ends
+     * @param {Function} callbacks.onToast - Show a toast (message, type)
+     */
+    setCallbacks({ onStateChange, onEventStart, onEventStop, onToast }) {
+        this.onStateChange = onStateChange;
+        this.onEventStart = onEventStart;
+        this.onEventStop = onEventStop;
+        this.onToast = onToast;
+    }
+
+    /**
+     * Configure trigger threshold and buffer lengths
+     * @param {Object} settings
+     * @param {number} [settings.threshold] - Level that starts a clip (dB)
+     * @param {number} [settings.preRoll] - Seconds kept before the trigger
+     * @param {number} [settings.postRoll] - Seconds below threshold before the clip ends
+     */
+    configure({ threshold, preRoll, postRoll }) {
+        if (Number.isFinite(threshold)) this.threshold = threshold;
+        if (Number.isFinite(postRoll) && postRoll >= 0) this.postRoll = postRoll;
+        if (Number.isFinite(preRoll)) {
+            this.preRoll = Math.min(EVENT_RECORDING_CONFIG.maxPreRoll, Math.max(EVENT_RECORDING_CONFIG.minPreRoll, preRoll));
+            // Restart the rotation so the new spacing applies
+            if (this.armed && !this.event) {
+                this.startRotation();
+            }
+        }
+    }
+
+    /**
+     * Set the clip format selected for the camera (size used when there is no camera)
+     * @param {{width: number, height: number, frameRate: number}} format
+     */
+    setVideoFormat({ width, height, frameRate }) {
+        this.videoFormat = { width, height, frameRate };
+    }
+
+    /**
+     * Use the overlay layout (shared object, edits apply to the next frame)
+     * @param {{widgets: Object}} layout - Layout from OverlayLayoutManager
+     */
+    setOverlayLayout(layout) {
+        this.overlay.setLayout(layout);
+    }
+
+    /**
+     * Get the current settings
+     * @returns {{threshold: number, preRoll: number, postRoll: number}}
+     */
+    getSettings() {
+        return { threshold: this.threshold, preRoll: this.preRoll, postRoll: this.postRoll };
+    }
+
+    /**
+     * Check whether armed mode is on
+     * @returns {boolean}
+     */
+    isArmed() {
+        return this.armed;
+    }
+
+    /**
+     * Check whether an event clip is being recorded
+     * @returns {boolean}
+     */
+    isCapturing() {
+        return this.event !== null;
+    }
+
+    /**
+     * Start armed mode
+     * @param {HTMLVideoElement|null} camera - Video element, null in audio-only mode
+     * @param {MediaStream} stream - Media stream (audio track is recorded)
+     * @param {Function} getOverlayData - Function to get current overlay data
+     * @returns {Promise<boolean>} Whether arming succeeded
+     */
+    async arm(camera, stream, getOverlayData) {
+        if (this.armed) return true;
+
+        try {
+            if (camera && camera.readyState < 2) {
+                await new Promise((resolve) => {
+                    camera.addEventListener('loadeddata', resolve, { once: true });
+                });
+            }
+
+            this.canvas.width = (camera && camera.videoWidth) || this.videoFormat.width;
+            this.canvas.height = (camera && camera.videoHeight) || this.videoFormat.height;
+
+            this.canvasStream = this.canvas.captureStream(this.videoFormat.frameRate);
+            const audioTrack = stream.getAudioTracks()[0];
+            if (audioTrack) {
+                this.canvasStream.addTrack(audioTrack);
+            }
+
+            this.mimeType = selectSupportedMimeType(isIOSDevice()
+                ? RECORDING_CONFIG.iosMimeTypes
+                : RECORDING_CONFIG.defaultMimeTypes);
+            this.getOverlayData = getOverlayData;
+            this.armed = true;
+
+            this.startDrawing(camera);
+            this.startRotation();
+
+            this.notifyState();
+            this.toast(MESSAGES.eventRecording.armed, 'success');
+            return true;
+        } catch (error) {
+            console.error('Error arming event recording:', error);
+            this.armed = false;
+            this.toast(MESSAGES.eventRecording.error, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Leave armed mode; a clip in progress is saved
+     */
+    disarm() {
+        if (!this.armed) return;
+
+        this.armed = false;
+        cancelAnimationFrame(this.drawRequest);
+        this.drawRequest = null;
+        if (this.event) {
+            this.finishEvent(Date.now());
+        }
+        this.stopRotation();
+        this.slots.forEach(slot => this.discardSlot(slot));
+        this.slots = [];
+
+        // The audio track belongs to the camera stream, only stop the canvas track
+        if (this.canvasStream) {
+            this.canvasStream.getVideoTracks().forEach(track => track.stop());
+            this.canvasStream = null;
+        }
+
+        this.notifyState();
+        this.toast(MESSAGES.eventRecording.disarmed, 'success');
+    }
+
+    /**
+     * Feed the current level (from each measured block)
+     * @param {number} time - Timestamp (ms since epoch)
+     * @param {number} level - Time-weighted level (dB)
+     */
+    update(time, level) {
+        if (!this.armed) return;
+
+        if (!this.event) {
+            if (level > this.threshold && this.isPreRollReady(time)) {
+                this.startEvent(time, level);
+            }
+            return;
+        }
+
+        const event = this.event;
+        event.lmax = Math.max(event.lmax, level);
+        if (level > this.threshold) {
+            event.lastAbove = time;
+        }
+
+        const quietFor = time - event.lastAbove;
+        const duration = time - event.startTime;
+        if (quietFor >= this.postRoll * 1000 || duration >= EVENT_RECORDING_CONFIG.maxDuration * 1000) {
+            this.finishEvent(time);
+        }
+    }
+
+    /**
+     * Check whether the oldest recorder holds the full pre-roll
+     * @private
+     */
+    isPreRollReady(time) {
+        return this.slots.length > 0 && time - this.slots[0].startTime >= this.preRoll * 1000;
+    }
+
+    /**
+     * Draw camera frames (or the synthetic background) with overlay while armed
+     * @private
+     */
+    startDrawing(camera) {
+        // Re-arming within one frame must not leave the previous loop running
+        cancelAnimationFrame(this.drawRequest);
+
+        const drawFrame = () => {
+            if (!this.armed) return;
+
+            if (camera) {
+                this.ctx.drawImage(camera, 0, 0, this.canvas.width, this.canvas.height);
+            } else {
+                this.overlay.drawBackground(this.ctx, this.canvas.width, this.canvas.height);
+            }
+            this.overlay.draw(this.ctx, this.canvas.width, this.canvas.height, this.getOverlayData());
+
+            this.drawRequest = requestAnimationFrame(drawFrame);
+        };
+
+        drawFrame();
+    }
+
+    /**
+     * Start a recorder slot
+     * @private
+     */
+    startSlot() {
+        const options = this.mimeType ? { mimeType: this.mimeType } : {};
+        const slot = {
+            recorder: new MediaRecorder(this.canvasStream, options),
+            chunks: [],
+            startTime: Date.now()
+        };
+        slot.recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) slot.chunks.push(event.data);
+        };
+        slot.recorder.start(RECORDING_CONFIG.timeslice);
+        this.slots.push(slot);
+        return slot;
+    }
+
+    /**
+     * Stop a recorder and drop its data
+     * @private
+     */
+    discardSlot(slot) {
+        slot.recorder.ondataavailable = null;
+        slot.recorder.onstop = null;
+        if (slot.recorder.state !== 'inactive') {
+            slot.recorder.stop();
+        }
+        slot.chunks = [];
+    }
+
+    /**
+     * Keep recorders staggered by preRoll seconds: every preRoll seconds the
+     * older one restarts, so the survivor always holds preRoll..2·preRoll seconds
+     * @private
+     */
+    startRotation() {
+        this.stopRotation();
+        this.slots.forEach(slot => this.discardSlot(slot));
+        this.slots = [];
+        this.startSlot();
+
+        this.rotationTimer = setInterval(() => {
+            if (this.event) return;
+            if (this.slots.length >= 2) {
+                this.discardSlot(this.slots.shift());
+            }
+            this.startSlot();
+        }, this.preRoll * 1000);
+    }
+
+    /**
+     * @private
+     */
+    stopRotation() {
+        if (this.rotationTimer) {
+            clearInterval(this.rotationTimer);
+            this.rotationTimer = null;
+        }
+    }
+
+    /**
+     * Keep the oldest recorder as the event clip
+     * @private
+     */
+    startEvent(time, level) {
+        this.stopRotation();
+
+        const [slot, ...others] = this.slots;
+        others.forEach(other => this.discardSlot(other));
+        this.slots = [];
+
+        this.event = { slot, startTime: time, lastAbove: time, lmax: level };
+
+        this.notifyState();
+        this.toast(MESSAGES.eventRecording.triggered);
+        if (this.onEventStart) this.onEventStart(time, level);
+    }
+
+    /**
+     * Stop the clip, save it and re-arm
+     * @private
+     */
+    finishEvent(time) {
+        const { slot, lmax } = this.event;
+        this.event = null;
+
+        const overlayData = this.getOverlayData();
+        const filename = this.clipFilename(slot, lmax, overlayData);
+        slot.recorder.onstop = () => this.saveClip(slot.chunks, filename);
+        slot.recorder.stop();
+
+        if (this.onEventStop) this.onEventStop(time, lmax, filename);
+
+        if (this.armed) {
+            this.startRotation();
+        }
+        this.notifyState();
+    }
+
+    /**
+     * Clip filename with the event's peak level, e.g. EVT_dBA_92_20240101120000.webm
+     * @private
+     */
+    clipFilename(slot, lmax, overlayData) {
+        const extension = this.mimeType.includes('mp4') ? 'mp4' : 'webm';
+        return generateFilename(
+            `EVT_${overlayData.unit}_${Math.round(lmax)}`,
+            extension,
+            overlayData.latitude,
+            overlayData.longitude,
+            new Date(slot.startTime)
+        );
+    }
+
+    /**
+     * Download a finished clip
+     * @private
+     */
+    saveClip(chunks, filename) {
+        const blobType = this.mimeType.includes('mp4') ? 'video/mp4' : 'video/webm';
+        const blob = new Blob(chunks, { type: blobType });
+
+        if (blob.size === 0) {
+            this.toast(MESSAGES.recording.empty, 'error');
+            return;
+        }
+
+        downloadBlob(blob, filename);
+        this.toast(`${MESSAGES.eventRecording.saved}: ${filename} (${Math.round(blob.size / 1024)} KB)`, 'success');
+    }
+
+    /**
+     * @private
+     */
+    notifyState() {
+        if (this.onStateChange) this.onStateChange(this.armed, this.event !== null);
+    }
+
+    /**
+     * @private
+     */
+    toast(message, type) {
+        if (this.onToast) this.onToast(message, type);
+    }
+}
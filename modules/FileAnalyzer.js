@@ -0,0 +1,187 @@
+/**
+ * DBA Noise Meter - File Analyzer Module
+ * Measures imported audio/video recordings faster than real time: the decoded
+ * signal is rendered through the weighting filters in OfflineAudioContexts and
+ * integrated into the same blocks the live level meter reports
+ */
+
+import { AUDIO_CONFIG, FILE_ANALYSIS_CONFIG } from './constants.js';
+import { TimeWeighting } from './TimeWeighting.js';
+import { createWeightingFilters } from './FrequencyWeighting.js';
+import { clamp } from '../utils/helpers.js';
+
+/**
+ * Error for files too long or too large to decode in memory
+ * @private
+ */
+function tooLarge(message) {
+    const error = new Error(message);
+    error.code = 'too-large';
+    return error;
+}
+
+export class FileAnalyzer {
+    /**
+     * Analyze a recording
+     * @param {File} file - Audio or video file
+     * @param {Object} options
+     * @param {string} options.weighting - Frequency weighting ('A', 'C' or 'Z')
+     * @param {string} options.timeWeighting - Time weighting ('F', 'S' or 'I')
+     * @param {number} options.offset - Calibration offset added to dBFS levels
+     * @param {Function} [options.onProgress] - Called with the analyzed fraction (0..1)
+     * @returns {Promise<{startTime: number, duration: number, sampleRate: number, channels: number,
+     *            blocks: Object[]}>} Blocks as reported by AudioAnalyzer: { time, duration, level, leq, peak }
+     * @throws {Error} With code 'too-large' when the file exceeds FILE_ANALYSIS_CONFIG.maxDuration or a size limit
+     */
+    async analyze(file, { weighting, timeWeighting, offset, onProgress }) {
+        if (file.size > FILE_ANALYSIS_CONFIG.maxFileSize) {
+            throw tooLarge(`File too large: ${file.size} bytes`);
+        }
+
+        // Check the length before decoding, the decoded samples must fit in memory
+        const probed = await this.probeDuration(file);
+        if (probed === null && file.size > FILE_ANALYSIS_CONFIG.maxUnprobedSize) {
+            throw tooLarge(`Unknown duration and ${file.size} bytes`);
+        }
+        if (probed !== null && probed > FILE_ANALYSIS_CONFIG.maxDuration) {
+            throw tooLarge(`File too long: ${probed} s`);
+        }
+
+        const buffer = await this.decode(file);
+        const { sampleRate } = buffer;
+
+        // The file is assumed to end at its modification time
+        const durationMs = buffer.duration * 1000;
+        const startTime = (file.lastModified || Date.now()) - durationMs;
+
+        const blockSamples = Math.round(AUDIO_CONFIG.meterReportInterval * sampleRate);
+        const chunkSamples = blockSamples * Math.max(1, Math.round(FILE_ANALYSIS_CONFIG.chunkDuration / AUDIO_CONFIG.meterReportInterval));
+        const warmUpSamples = Math.round(FILE_ANALYSIS_CONFIG.warmUp * sampleRate);
+        const stepSamples = Math.max(1, Math.round(FILE_ANALYSIS_CONFIG.integrationStep * sampleRate));
+
+        const integrator = new TimeWeighting(timeWeighting);
+        const toLevel = (meanSquare) => 10 * Math.log10(meanSquare) + offset;
+        const blocks = [];
+
+        for (let chunkStart = 0; chunkStart < buffer.length; chunkStart += chunkSamples) {
+            const samples = await this.renderChunk(buffer, weighting, chunkStart, chunkSamples, warmUpSamples);
+
+            for (let blockStart = 0; blockStart < samples.length; blockStart += blockSamples) {
+                const blockEnd = Math.min(samples.length, blockStart + blockSamples);
+                let sum = 0;
+                let peak = 0;
+                let weighted = 0;
+
+                // Feed the time weighting in short steps, close to the worklet's per-sample integration
+                for (let stepStart = blockStart; stepStart < blockEnd; stepStart += stepSamples) {
+                    const stepEnd = Math.min(blockEnd, stepStart + stepSamples);
+                    let stepSum = 0;
+                    for (let n = stepStart; n < stepEnd; n++) {
+                        const x = samples[n];
+                        stepSum += x * x;
+                        const magnitude = Math.abs(x);
+                        if (magnitude > peak) peak = magnitude;
+                    }
+                    sum += stepSum;
+                    weighted = integrator.process(stepSum / (stepEnd - stepStart), (stepEnd - stepStart) / sampleRate);
+                }
+
+                const count = blockEnd - blockStart;
+                blocks.push({
+                    time: startTime + (chunkStart + blockEnd) / sampleRate * 1000,
+                    duration: count / sampleRate,
+                    level: clamp(toLevel(weighted), AUDIO_CONFIG.minDBA, AUDIO_CONFIG.maxDBA),
+                    leq: toLevel(sum / count),
+                    peak: toLevel(peak * peak)
+                });
+            }
+
+            if (onProgress) onProgress(Math.min(1, (chunkStart + chunkSamples) / buffer.length));
+        }
+
+        return {
+            startTime,
+            duration: buffer.duration,
+            sampleRate,
+            channels: buffer.numberOfChannels,
+            blocks
+        };
+    }
+
+    /**
+     * Read the duration from the file's metadata without decoding it
+     * @private
+     * @returns {Promise<number|null>} Seconds, null when the browser cannot tell
+     */
+    probeDuration(file) {
+        return new Promise((resolve) => {
+            const media = document.createElement(file.type.startsWith('video/') ? 'video' : 'audio');
+            const url = URL.createObjectURL(file);
+            let timeout = null;
+
+            const done = (duration) => {
+                clearTimeout(timeout);
+                media.onloadedmetadata = null;
+                media.ondurationchange = null;
+                media.onerror = null;
+                media.removeAttribute('src');
+                media.load();
+                URL.revokeObjectURL(url);
+                resolve(duration);
+            };
+
+            media.preload = 'metadata';
+            media.onloadedmetadata = () => {
+                if (Number.isFinite(media.duration)) {
+                    done(media.duration);
+                } else {
+                    // Recorded WebM has no duration in its header; seeking to the end makes the browser find it
+                    media.ondurationchange = () => {
+                        if (Number.isFinite(media.duration)) done(media.duration);
+                    };
+                    media.currentTime = Number.MAX_SAFE_INTEGER;
+                }
+            };
+            media.onerror = () => done(null);
+            timeout = setTimeout(() => done(null), FILE_ANALYSIS_CONFIG.probeTimeout);
+            media.src = url;
+        });
+    }
+
+    /**
+     * Decode the file's audio track (all of it at once, see FILE_ANALYSIS_CONFIG.maxDuration)
+     * @private
+     */
+    async decode(file) {
+        const data = await file.arrayBuffer();
+        const context = new OfflineAudioContext(1, 1, FILE_ANALYSIS_CONFIG.sampleRate);
+        return context.decodeAudioData(data);
+    }
+
+    /**
+     * Render one chunk through the weighting filters (mixed down to mono).
+     * Rendering starts a little earlier so the filters have settled at the chunk start.
+     * @private
+     * @returns {Promise<Float32Array>} Weighted samples of the chunk
+     */
+    async renderChunk(buffer, weighting, chunkStart, chunkSamples, warmUpSamples) {
+        const renderStart = Math.max(0, chunkStart - warmUpSamples);
+        const renderEnd = Math.min(buffer.length, chunkStart + chunkSamples);
+        const context = new OfflineAudioContext(1, renderEnd - renderStart, buffer.sampleRate);
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+
+        // Source -> Filter 1 -> ... -> Filter N -> destination (Z connects directly)
+        let currentNode = source;
+        for (const filter of createWeightingFilters(context, weighting)) {
+            currentNode.connect(filter);
+            currentNode = filter;
+        }
+        currentNode.connect(context.destination);
+
+        source.start(0, renderStart / buffer.sampleRate, (renderEnd - renderStart) / buffer.sampleRate);
+        const rendered = await context.startRendering();
+        return rendered.getChannelData(0).subarray(chunkStart - renderStart);
+    }
+}
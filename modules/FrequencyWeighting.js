@@ -0,0 +1,305 @@
+/**
+ * DBA Noise Meter - Frequency Weighting Module
+ * Designs IEC 61672 frequency weighting filters for any sample rate
+ * and verifies their response against the standard's tolerance limits
+ */
+
+// Analog pole frequencies from IEC 61672-1 Annex E (Hz)
+const POLE_FREQUENCIES = {
+    f1: 20.598997,
+    f2: 107.65265,
+    f3: 737.86223,
+    f4: 12194.217
+};
+
+// Acceptance limits from IEC 61672-1:2013 Table 3 as [upper, lower] in dB
+const TOLERANCES = [
+    { frequency: 10, class1: [3.5, -Infinity], class2: [5.5, -Infinity] },
+    { frequency: 12.5, class1: [3.0, -Infinity], class2: [5.5, -Infinity] },
+    { frequency: 16, class1: [2.5, -4.5], class2: [5.5, -Infinity] },
+    { frequency: 20, class1: [2.5, -2.5], class2: [3.5, -3.5] },
+    { frequency: 25, class1: [2.5, -2.0], class2: [3.5, -3.5] },
+    { frequency: 31.5, class1: [2.0, -2.0], class2: [3.5, -3.5] },
+    { frequency: 40, class1: [1.5, -1.5], class2: [2.5, -2.5] },
+    { frequency: 50, class1: [1.5, -1.5], class2: [2.5, -2.5] },
+    { frequency: 63, class1: [1.5, -1.5], class2: [2.5, -2.5] },
+    { frequency: 80, class1: [1.5, -1.5], class2: [2.5, -2.5] },
+    { frequency: 100, class1: [1.5, -1.5], class2: [2.0, -2.0] },
+    { frequency: 125, class1: [1.5, -1.5], class2: [2.0, -2.0] },
+    { frequency: 160, class1: [1.5, -1.5], class2: [2.0, -2.0] },
+    { frequency: 200, class1: [1.5, -1.5], class2: [2.0, -2.0] },
+    { frequency: 250, class1: [1.4, -1.4], class2: [1.9, -1.9] },
+    { frequency: 315, class1: [1.4, -1.4], class2: [1.9, -1.9] },
+    { frequency: 400, class1: [1.4, -1.4], class2: [1.9, -1.9] },
+    { frequency: 500, class1: [1.4, -1.4], class2: [1.9, -1.9] },
+    { frequency: 630, class1: [1.4, -1.4], class2: [1.9, -1.9] },
+    { frequency: 800, class1: [1.4, -1.4], class2: [1.9, -1.9] },
+    { frequency: 1000, class1: [1.1, -1.1], class2: [1.4, -1.4] },
+    { frequency: 1250, class1: [1.4, -1.4], class2: [1.9, -1.9] },
+    { frequency: 1600, class1: [1.6, -1.6], class2: [2.6, -2.6] },
+    { frequency: 2000, class1: [1.6, -1.6], class2: [2.6, -2.6] },
+    { frequency: 2500, class1: [1.6, -1.6], class2: [3.1, -3.1] },
+    { frequency: 3150, class1: [1.6, -1.6], class2: [3.1, -3.1] },
+    { frequency: 4000, class1: [1.6, -1.6], class2: [3.6, -3.6] },
+    { frequency: 5000, class1: [2.1, -2.1], class2: [4.1, -4.1] },
+    { frequency: 6300, class1: [2.1, -2.6], class2: [5.1, -5.1] },
+    { frequency: 8000, class1: [2.1, -3.1], class2: [5.6, -5.6] },
+    { frequency: 10000, class1: [2.6, -3.6], class2: [5.6, -Infinity] },
+    { frequency: 12500, class1: [3.0, -6.0], class2: [6.0, -Infinity] },
+    { frequency: 16000, class1: [3.5, -17.0], class2: [6.0, -Infinity] },
+    { frequency: 20000, class1: [4.0, -Infinity], class2: [6.0, -Infinity] }
+];
+
+/**
+ * Analog weighting gain (not normalized)
+ * @private
+ */
+function analogGain(type, frequency) {
+    const { f1, f2, f3, f4 } = POLE_FREQUENCIES;
+    const fSq = frequency * frequency;
+
+    switch (type) {
+        case 'A':
+            return (f4 * f4 * fSq * fSq) /
+                ((fSq + f1 * f1) * Math.sqrt((fSq + f2 * f2) * (fSq + f3 * f3)) * (fSq + f4 * f4));
+        case 'C':
+            return (f4 * f4 * fSq) / ((fSq + f1 * f1) * (fSq + f4 * f4));
+        case 'Z':
+            return 1;
+        default:
+            throw new Error(`Unknown frequency weighting: ${type}`);
+    }
+}
+
+/**
+ * Nominal (analog) weighting in dB, normalized to 0 dB at 1 kHz
+ * @param {string} type - Weighting ('A', 'C' or 'Z')
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} Weighting in dB
+ */
+export function weightingDB(type, frequency) {
+    return 20 * Math.log10(analogGain(type, frequency) / analogGain(type, 1000));
+}
+
+// Points of the high-frequency correction fit, log-spaced from 1 kHz
+const CORRECTION_POINTS = 64;
+
+/**
+ * Map an analog real pole at -2πf to its z-plane position (matched z-transform)
+ * @private
+ */
+function matchedPole(frequency, sampleRate) {
+    return Math.exp(-2 * Math.PI * frequency / sampleRate);
+}
+
+/**
+ * Evaluate |H(e^jω)| of a cascade of second-order sections
+ * @private
+ */
+function cascadeMagnitude(sections, frequency, sampleRate) {
+    const omega = 2 * Math.PI * frequency / sampleRate;
+    const evaluate = (coefficients) => {
+        let re = 0;
+        let im = 0;
+        coefficients.forEach((c, k) => {
+            re += c * Math.cos(omega * k);
+            im -= c * Math.sin(omega * k);
+        });
+        return Math.hypot(re, im);
+    };
+
+    return sections.reduce((gain, { feedforward, feedback }) =>
+        gain * evaluate(feedforward) / evaluate(feedback), 1);
+}
+
+/**
+ * First-order FIR [b0, b1] whose magnitude brings the cascade onto the analog
+ * weighting above 1 kHz. |b0 + b1·z⁻¹|² = c0 + 2·c1·cos ω is linear in c0 and c1,
+ * so it is fitted to the missing power ratio by least squares (relative error)
+ * and then factored into its minimum-phase coefficients.
+ * @private
+ */
+function fitHighFrequencyCorrection(type, sections, sampleRate) {
+    const highest = Math.min(20000, 0.95 * sampleRate / 2);
+    const reference = cascadeMagnitude(sections, 1000, sampleRate);
+    let s00 = 0;
+    let s01 = 0;
+    let s11 = 0;
+    let r0 = 0;
+    let r1 = 0;
+
+    for (let i = 0; i < CORRECTION_POINTS; i++) {
+        const frequency = 1000 * Math.pow(highest / 1000, i / (CORRECTION_POINTS - 1));
+        const ratio = cascadeMagnitude(sections, frequency, sampleRate) / reference;
+        const target = Math.pow(10, weightingDB(type, frequency) / 10) / (ratio * ratio);
+        const x0 = 1 / target;
+        const x1 = 2 * Math.cos(2 * Math.PI * frequency / sampleRate) / target;
+        s00 += x0 * x0;
+        s01 += x0 * x1;
+        s11 += x1 * x1;
+        r0 += x0;
+        r1 += x1;
+    }
+
+    const det = s00 * s11 - s01 * s01;
+    const c0 = (r0 * s11 - r1 * s01) / det;
+    const c1 = (r1 * s00 - r0 * s01) / det;
+
+    const d = Math.sqrt(Math.max(0, c0 * c0 - 4 * c1 * c1));
+    return [Math.sqrt((c0 + d) / 2), Math.sign(c1) * Math.sqrt((c0 - d) / 2)];
+}
+
+/**
+ * Design the IIR cascade of a frequency weighting for a sample rate.
+ *
+ * The analog poles are mapped with the matched z-transform, which keeps them
+ * in place even above Nyquist (f4 ≈ 12.2 kHz at 16 or 22.05 kHz); the zeros at
+ * DC stay at z = 1. A has four zeros at DC, double poles at f1 and f4 and single
+ * poles at f2 and f3; C keeps only the two double poles. Z (flat) needs no filter.
+ * The droop the mapping leaves towards Nyquist is corrected by a fitted
+ * first-order FIR in the last section, and the cascade is normalized to
+ * exactly 0 dB at 1 kHz.
+ *
+ * @param {string} type - Weighting ('A', 'C' or 'Z')
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {{feedforward: number[], feedback: number[]}[]} Second-order sections
+ */
+export function designWeighting(type, sampleRate) {
+    const { f1, f2, f3, f4 } = POLE_FREQUENCIES;
+    const p1 = matchedPole(f1, sampleRate);
+    const p4 = matchedPole(f4, sampleRate);
+    let sections;
+
+    switch (type) {
+        case 'A': {
+            const p2 = matchedPole(f2, sampleRate);
+            const p3 = matchedPole(f3, sampleRate);
+            sections = [
+                { feedforward: [1, -2, 1], feedback: [1, -2 * p1, p1 * p1] },
+                { feedforward: [1, -2, 1], feedback: [1, -(p2 + p3), p2 * p3] },
+                { feedforward: [1, 0, 0], feedback: [1, -2 * p4, p4 * p4] }
+            ];
+            break;
+        }
+        case 'C':
+            sections = [
+                { feedforward: [1, -2, 1], feedback: [1, -2 * p1, p1 * p1] },
+                { feedforward: [1, 0, 0], feedback: [1, -2 * p4, p4 * p4] }
+            ];
+            break;
+        case 'Z':
+            return [];
+        default:
+            throw new Error(`Unknown frequency weighting: ${type}`);
+    }
+
+    const [b0, b1] = fitHighFrequencyCorrection(type, sections, sampleRate);
+    sections[sections.length - 1].feedforward = [b0, b1, 0];
+
+    // Normalize at 1 kHz
+    const gain = cascadeMagnitude(sections, 1000, sampleRate);
+    sections[0].feedforward = sections[0].feedforward.map(c => c / gain);
+
+    return sections;
+}
+
+/**
+ * Create weighting IIR filter nodes for a context
+ * @param {BaseAudioContext} context - Audio context (or a compatible stand-in)
+ * @param {string} type - Weighting ('A', 'C' or 'Z')
+ * @returns {IIRFilterNode[]} Filter nodes in cascade order (empty for Z)
+ */
+export function createWeightingFilters(context, type) {
+    return designWeighting(type, context.sampleRate).map(({ feedforward, feedback }) =>
+        context.createIIRFilter(feedforward, feedback)
+    );
+}
+
+/**
+ * Minimal OfflineAudioContext stand-in for running the self-check without
+ * Web Audio (e.g. in Node). Only implements what the check needs.
+ */
+export class IIRResponseContext {
+    /**
+     * @param {number} sampleRate - Sample rate in Hz
+     */
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+    }
+
+    /**
+     * @param {number[]} feedforward - Numerator coefficients
+     * @param {number[]} feedback - Denominator coefficients
+     * @returns {{getFrequencyResponse: Function}}
+     */
+    createIIRFilter(feedforward, feedback) {
+        const sampleRate = this.sampleRate;
+        const sections = [{ feedforward, feedback }];
+
+        return {
+            getFrequencyResponse(frequencies, magResponse, phaseResponse) {
+                for (let i = 0; i < frequencies.length; i++) {
+                    magResponse[i] = cascadeMagnitude(sections, frequencies[i], sampleRate);
+                    if (phaseResponse) phaseResponse[i] = 0;
+                }
+            }
+        };
+    }
+}
+
+/**
+ * Check the weighting filters built for a context against the
+ * IEC 61672-1 acceptance limits. Frequencies at or above Nyquist are
+ * reported as skipped.
+ * @param {BaseAudioContext|IIRResponseContext} context - Context to build the filters with
+ * @param {string} type - Weighting ('A', 'C' or 'Z')
+ * @param {number} toleranceClass - 1 or 2
+ * @returns {{sampleRate: number, weighting: string, toleranceClass: number, passed: boolean, points: Object[]}}
+ */
+export function checkWeightingResponse(context, type = 'A', toleranceClass = 1) {
+    const filters = createWeightingFilters(context, type);
+    const nyquist = context.sampleRate / 2;
+
+    const frequencies = new Float32Array(TOLERANCES.map(t => t.frequency));
+    const magnitude = new Float32Array(frequencies.length).fill(1);
+    const sectionMag = new Float32Array(frequencies.length);
+    const phase = new Float32Array(frequencies.length);
+
+    for (const filter of filters) {
+        filter.getFrequencyResponse(frequencies, sectionMag, phase);
+        for (let i = 0; i < magnitude.length; i++) {
+            magnitude[i] *= sectionMag[i];
+        }
+    }
+
+    const points = TOLERANCES.map((tolerance, i) => {
+        const [upper, lower] = toleranceClass === 2 ? tolerance.class2 : tolerance.class1;
+        const expected = weightingDB(type, tolerance.frequency);
+
+        if (tolerance.frequency >= nyquist) {
+            return { frequency: tolerance.frequency, expected, measured: null, deviation: null, upper, lower, skipped: true, passed: true };
+        }
+
+        const measured = 20 * Math.log10(magnitude[i]);
+        const deviation = measured - expected;
+
+        return {
+            frequency: tolerance.frequency,
+            expected,
+            measured,
+            deviation,
+            upper,
+            lower,
+            skipped: false,
+            passed: deviation <= upper && deviation >= lower
+        };
+    });
+
+    return {
+        sampleRate: context.sampleRate,
+        weighting: type,
+        toleranceClass,
+        passed: points.every(p => p.passed),
+        points
+    };
+}
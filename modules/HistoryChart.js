@@ -0,0 +1,242 @@
+/**
+ * DBA Noise Meter - History Chart Module
+ * Scrolling time-history chart of the level with threshold lines and an Lmax marker
+ */
+
+import { DBA_LEVELS, HISTORY_CONFIG } from './constants.js';
+import { clamp, hexToRgba, formatLevel } from '../utils/helpers.js';
+
+// Longer gaps between consecutive levels break the line (e.g. while the tab was hidden)
+const MAX_GAP = 2000;
+
+/**
+ * Color of the DBA level band containing a value
+ * @private
+ */
+function levelColor(value) {
+    const level = DBA_LEVELS.find(l => value < l.max) || DBA_LEVELS[DBA_LEVELS.length - 1];
+    return level.color;
+}
+
+/**
+ * Draw a level history chart into any canvas context.
+ * Shared by the on-screen chart and CanvasOverlay.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Chart width
+ * @param {number} height - Chart height
+ * @param {LevelHistory} history - Level history
+ * @param {Object} options
+ * @param {number} options.span - Visible time span in ms
+ * @param {string} [options.label] - Span label drawn in the corner
+ * @param {number} [options.now] - Timestamp at the right edge (ms since epoch)
+ * @param {number} [options.scale] - Scale for line widths and text
+ * @param {string} [options.background] - Background color
+ * @param {number} [options.borderRadius] - Background corner radius
+ * @param {number} [options.cursor] - Timestamp marked with a vertical line (e.g. replay position)
+ * @param {number} [options.maxGap] - Longest time between levels joined by the line (ms)
+ */
+export function drawLevelHistory(ctx, x, y, width, height, history, options) {
+    const {
+        span,
+        label = '',
+        now = Date.now(),
+        scale = 1,
+        background = HISTORY_CONFIG.colors.background,
+        borderRadius = 0,
+        cursor = null,
+        maxGap = MAX_GAP
+    } = options;
+    const { minLevel, maxLevel, gridStep, colors } = HISTORY_CONFIG;
+
+    const fontSize = Math.max(9, 10 * scale);
+    const padding = 6 * scale;
+    const plotX = x + padding + fontSize * 2;
+    const plotY = y + padding;
+    const plotWidth = width - (plotX - x) - padding;
+    const plotHeight = height - padding * 2;
+    const toY = (level) => plotY + plotHeight * (1 - (clamp(level, minLevel, maxLevel) - minLevel) / (maxLevel - minLevel));
+
+    ctx.save();
+
+    // Background with clip region
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, borderRadius);
+    ctx.fillStyle = background;
+    ctx.fill();
+    ctx.clip();
+
+    // Grid with level labels
+    ctx.font = `${fontSize}px Arial`;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 1;
+    for (let level = minLevel; level <= maxLevel; level += gridStep) {
+        const gridY = toY(level);
+        ctx.strokeStyle = colors.grid;
+        ctx.beginPath();
+        ctx.moveTo(plotX, gridY);
+        ctx.lineTo(plotX + plotWidth, gridY);
+        ctx.stroke();
+
+        ctx.fillStyle = colors.text;
+        ctx.fillText(level, plotX - 3 * scale, clamp(gridY, plotY + fontSize / 2, plotY + plotHeight - fontSize / 2));
+    }
+
+    // Threshold lines at the DBA level boundaries, colored like the band above
+    ctx.setLineDash([4 * scale, 4 * scale]);
+    DBA_LEVELS.forEach((level, i) => {
+        if (!Number.isFinite(level.max) || level.max <= minLevel || level.max >= maxLevel) return;
+        const thresholdY = toY(level.max);
+        ctx.strokeStyle = hexToRgba(DBA_LEVELS[i + 1].color, 0.6);
+        ctx.beginPath();
+        ctx.moveTo(plotX, thresholdY);
+        ctx.lineTo(plotX + plotWidth, thresholdY);
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // One point per pixel column (the column maximum), so long spans stay cheap to draw
+    const fromTime = now - span;
+    const columns = Math.max(1, Math.round(plotWidth));
+    const points = [];
+    let bucket = null;
+    history.forEachSince(fromTime, (time, level) => {
+        const column = Math.min(columns - 1, Math.floor((time - fromTime) / span * columns));
+        if (bucket && bucket.column === column) {
+            if (level > bucket.level) bucket.level = level;
+            bucket.time = time;
+            return;
+        }
+        if (bucket) points.push(bucket);
+        bucket = { column, level, time };
+    });
+    if (bucket) points.push(bucket);
+
+    // Points of neighbouring columns are up to two column widths apart on long spans
+    const gapLimit = Math.max(maxGap, 2 * span / columns);
+
+    // Level line, colored by DBA level band
+    ctx.lineWidth = 1.5 * scale;
+    ctx.lineJoin = 'round';
+    let lmax = null;
+    let previous = null;
+    let previousX = 0;
+    for (const point of points) {
+        const pointX = plotX + (point.column + 0.5) * plotWidth / columns;
+        const pointY = toY(point.level);
+
+        if (previous && point.time - previous.time <= gapLimit) {
+            ctx.strokeStyle = levelColor(Math.max(point.level, previous.level));
+            ctx.beginPath();
+            ctx.moveTo(previousX, toY(previous.level));
+            ctx.lineTo(pointX, pointY);
+            ctx.stroke();
+        }
+
+        if (!lmax || point.level > lmax.level) {
+            lmax = { level: point.level, x: pointX, y: pointY };
+        }
+        previous = point;
+        previousX = pointX;
+    }
+
+    // Lmax marker
+    if (lmax) {
+        ctx.fillStyle = colors.lmax;
+        ctx.beginPath();
+        ctx.arc(lmax.x, lmax.y, 3 * scale, 0, Math.PI * 2);
+        ctx.fill();
+
+        const text = `Lmax ${formatLevel(lmax.level)}`;
+        ctx.font = `bold ${fontSize}px Arial`;
+        const textWidth = ctx.measureText(text).width;
+        const onLeft = lmax.x + 6 * scale + textWidth > plotX + plotWidth;
+        ctx.textAlign = onLeft ? 'right' : 'left';
+        ctx.textBaseline = lmax.y - fontSize < plotY ? 'top' : 'bottom';
+        ctx.fillText(text, lmax.x + (onLeft ? -6 : 6) * scale, lmax.y + (ctx.textBaseline === 'top' ? 4 : -4) * scale);
+    }
+
+    // Cursor line
+    if (cursor !== null && cursor >= fromTime && cursor <= now) {
+        const cursorX = plotX + (cursor - fromTime) / span * plotWidth;
+        ctx.strokeStyle = colors.cursor;
+        ctx.lineWidth = 2 * scale;
+        ctx.beginPath();
+        ctx.moveTo(cursorX, plotY);
+        ctx.lineTo(cursorX, plotY + plotHeight);
+        ctx.stroke();
+    }
+
+    // Span label
+    if (label) {
+        ctx.fillStyle = colors.text;
+        ctx.font = `${fontSize}px Arial`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(label, plotX + 4 * scale, plotY);
+    }
+
+    ctx.restore();
+}
+
+export class HistoryChart {
+    constructor(canvasElement) {
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.lastDraw = 0;
+    }
+
+    /**
+     * Resize canvas to match display size (with device pixel ratio)
+     */
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        this.canvas.width = rect.width * window.devicePixelRatio;
+        this.canvas.height = rect.height * window.devicePixelRatio;
+        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        this.lastDraw = 0;
+    }
+
+    /**
+     * Draw the chart (throttled, the history changes only a few times per second)
+     * @param {LevelHistory} history - Level history
+     * @param {number} span - Visible time span in ms
+     * @param {string} label - Span label
+     */
+    draw(history, span, label) {
+        const now = Date.now();
+        if (now - this.lastDraw < HISTORY_CONFIG.drawInterval) return;
+        this.lastDraw = now;
+
+        const width = this.canvas.width / window.devicePixelRatio;
+        const height = this.canvas.height / window.devicePixelRatio;
+        if (width === 0 || height === 0) return;
+
+        this.ctx.clearRect(0, 0, width, height);
+        drawLevelHistory(this.ctx, 0, 0, width, height, history, { span, label, now });
+    }
+
+    /**
+     * Draw a fixed time range right away (e.g. an analyzed recording)
+     * @param {LevelHistory} history - Level history
+     * @param {number} startTime - Timestamp at the left edge (ms since epoch)
+     * @param {number} endTime - Timestamp at the right edge (ms since epoch)
+     * @param {string} label - Chart label
+     * @param {number} [cursor] - Timestamp marked with a vertical line
+     */
+    drawRange(history, startTime, endTime, label, cursor = null) {
+        const width = this.canvas.width / window.devicePixelRatio;
+        const height = this.canvas.height / window.devicePixelRatio;
+        if (width === 0 || height === 0) return;
+
+        this.ctx.clearRect(0, 0, width, height);
+        drawLevelHistory(this.ctx, 0, 0, width, height, history, {
+            span: Math.max(1, endTime - startTime),
+            label,
+            now: endTime,
+            cursor
+        });
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * DBA Noise Meter - Internationalization Module
+ * Picks the interface language from the browser or the stored choice and
+ * switches MESSAGES (level names included) and the date format at runtime
+ */
+
+import { I18N_CONFIG, MESSAGES, UI_CONFIG } from './constants.js';
+import { vi } from './locales/vi.js';
+import { en } from './locales/en.js';
+import { fr } from './locales/fr.js';
+
+const BUNDLES = { vi, en, fr };
+
+/**
+ * Best supported locale for a list of browser languages ('fr-CA' matches 'fr')
+ * @param {string[]} languages - Language tags in order of preference (navigator.languages)
+ * @returns {string} Code from I18N_CONFIG.locales
+ */
+export function detectLocale(languages) {
+    for (const language of languages || []) {
+        const code = String(language).toLowerCase().split('-')[0];
+        if (I18N_CONFIG.locales.includes(code)) return code;
+    }
+    return I18N_CONFIG.fallback;
+}
+
+export class I18n {
+    constructor() {
+        const stored = this.load();
+        const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+        this.locale = I18N_CONFIG.locales.includes(stored) ? stored : detectLocale(languages);
+        this.apply();
+    }
+
+    /**
+     * Read the language chosen by the user
+     * @private
+     */
+    load() {
+        try {
+            return localStorage.getItem(I18N_CONFIG.storageKey);
+        } catch (e) {
+            console.warn('Could not read language:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Write the language chosen by the user
+     * @private
+     */
+    save() {
+        try {
+            localStorage.setItem(I18N_CONFIG.storageKey, this.locale);
+        } catch (e) {
+            console.warn('Could not store language:', e);
+        }
+    }
+
+    /**
+     * Point the shared MESSAGES and date locale at the active bundle
+     * @private
+     */
+    apply() {
+        const bundle = BUNDLES[this.locale];
+        Object.assign(MESSAGES, bundle.messages);
+        UI_CONFIG.locale = bundle.dateLocale;
+        document.documentElement.lang = this.locale;
+    }
+
+    /**
+     * Get the active locale
+     * @returns {string} Code from I18N_CONFIG.locales
+     */
+    getLocale() {
+        return this.locale;
+    }
+
+    /**
+     * List the available locales
+     * @returns {{code: string, name: string}[]}
+     */
+    getLocales() {
+        return I18N_CONFIG.locales.map(code => ({ code, name: BUNDLES[code].name }));
+    }
+
+    /**
+     * Switch the language and remember the choice
+     * @param {string} code - Code from I18N_CONFIG.locales
+     * @returns {boolean} Whether the locale exists
+     */
+    setLocale(code) {
+        if (!BUNDLES[code]) return false;
+
+        this.locale = code;
+        this.save();
+        this.apply();
+        return true;
+    }
+
+    /**
+     * Text of the active locale by path, e.g. 'page.settings.title' or 'messages.session.start'
+     * @param {string} path - Dot separated key
+     * @returns {string|null} Text, null when the key is missing
+     */
+    lookup(path) {
+        const value = path.split('.').reduce((node, key) => node && typeof node === 'object' ? node[key] : undefined, BUNDLES[this.locale]);
+        return typeof value === 'string' ? value : null;
+    }
+}
@@ -0,0 +1,268 @@
+/**
+ * DBA Noise Meter - Layout Editor Module
+ * Preview of the capture overlay on the camera picture where widgets are
+ * selected, dragged to a new position and resized with the pointer
+ */
+
+import { OVERLAY_LAYOUT_CONFIG } from './constants.js';
+import { CanvasOverlay } from './CanvasOverlay.js';
+
+export class LayoutEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Preview canvas
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.overlay = new CanvasOverlay();
+        this.getSource = null;
+        this.animationFrame = null;
+        this.selectedId = null;
+        this.gesture = null;         // Drag or resize in progress
+
+        this.onSelect = null;
+        this.onChange = null;
+        this.onCommit = null;
+
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', () => this.handlePointerUp());
+        canvas.addEventListener('pointercancel', () => this.handlePointerUp());
+        canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    }
+
+    /**
+     * Set callbacks
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onSelect - Called with the selected widget id (or null)
+     * @param {Function} callbacks.onChange - Called with (id, changes) while a widget is moved or resized
+     * @param {Function} callbacks.onCommit - Called when a move or resize is finished
+     */
+    setCallbacks({ onSelect, onChange, onCommit }) {
+        this.onSelect = onSelect;
+        this.onChange = onChange;
+        this.onCommit = onCommit;
+    }
+
+    /**
+     * Edit a layout (shared object, changes made elsewhere show in the next frame)
+     * @param {{widgets: Object}} layout - Layout from OverlayLayoutManager
+     */
+    setLayout(layout) {
+        this.overlay.setLayout(layout);
+    }
+
+    /**
+     * Start drawing the preview
+     * @param {Function} getSource - Returns { camera (video element or null), format, data (overlay data) }
+     */
+    open(getSource) {
+        this.getSource = getSource;
+        this.stopLoop();
+
+        const loop = () => {
+            this.drawFrame();
+            this.animationFrame = requestAnimationFrame(loop);
+        };
+        loop();
+    }
+
+    /**
+     * Stop drawing the preview
+     */
+    close() {
+        this.stopLoop();
+        this.gesture = null;
+        this.getSource = null;
+    }
+
+    /**
+     * Highlight a widget
+     * @param {string|null} id - Widget id
+     */
+    select(id) {
+        this.selectedId = id;
+    }
+
+    /**
+     * @private
+     */
+    stopLoop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    /**
+     * Draw the picture, the overlay and the selection at the capture size
+     * @private
+     */
+    drawFrame() {
+        const { camera, format, data } = this.getSource();
+        const width = camera && camera.videoWidth ? camera.videoWidth : format.width;
+        const height = camera && camera.videoHeight ? camera.videoHeight : format.height;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        if (camera && camera.videoWidth) {
+            this.ctx.drawImage(camera, 0, 0, width, height);
+        } else {
+            this.overlay.drawBackground(this.ctx, width, height);
+        }
+        this.overlay.draw(this.ctx, width, height, data);
+        this.drawSelection();
+    }
+
+    /**
+     * Outline every widget, the selected one with its resize handle
+     * @private
+     */
+    drawSelection() {
+        const ctx = this.ctx;
+        const pixelRatio = this.getPixelRatio();
+        const rects = this.overlay.getWidgetRects();
+
+        ctx.save();
+        ctx.lineWidth = 2 * pixelRatio;
+        ctx.setLineDash([6 * pixelRatio, 4 * pixelRatio]);
+
+        for (const [id, rect] of Object.entries(rects)) {
+            ctx.strokeStyle = id === this.selectedId ? OVERLAY_LAYOUT_CONFIG.selectionColor : 'rgba(255, 255, 255, 0.35)';
+            ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        }
+
+        const selected = rects[this.selectedId];
+        if (selected) {
+            const handle = this.getHandleRect(selected);
+            ctx.setLineDash([]);
+            ctx.fillStyle = OVERLAY_LAYOUT_CONFIG.selectionColor;
+            ctx.fillRect(handle.x, handle.y, handle.width, handle.height);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Canvas pixels per displayed CSS pixel
+     * @private
+     */
+    getPixelRatio() {
+        return this.canvas.clientWidth ? this.canvas.width / this.canvas.clientWidth : 1;
+    }
+
+    /**
+     * Resize handle on the bottom right corner of a widget
+     * @private
+     */
+    getHandleRect(rect) {
+        const size = OVERLAY_LAYOUT_CONFIG.handleSize * this.getPixelRatio();
+        return { x: rect.x + rect.width - size / 2, y: rect.y + rect.height - size / 2, width: size, height: size };
+    }
+
+    /**
+     * Pointer position in canvas pixels
+     * @private
+     */
+    getPoint(e) {
+        const bounds = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - bounds.left) * this.canvas.width / bounds.width,
+            y: (e.clientY - bounds.top) * this.canvas.height / bounds.height
+        };
+    }
+
+    /**
+     * Topmost widget under a point
+     * @private
+     */
+    hitTest(point) {
+        const inside = (rect) => point.x >= rect.x && point.x <= rect.x + rect.width &&
+            point.y >= rect.y && point.y <= rect.y + rect.height;
+        const entries = Object.entries(this.overlay.getWidgetRects()).reverse();
+        const hit = entries.find(([, rect]) => inside(rect));
+        return hit ? hit[0] : null;
+    }
+
+    /**
+     * @private
+     */
+    handlePointerDown(e) {
+        const point = this.getPoint(e);
+        const rects = this.overlay.getWidgetRects();
+        const selected = rects[this.selectedId];
+        const handle = selected ? this.getHandleRect(selected) : null;
+
+        if (handle && point.x >= handle.x && point.x <= handle.x + handle.width &&
+            point.y >= handle.y && point.y <= handle.y + handle.height) {
+            this.gesture = {
+                type: 'resize',
+                id: this.selectedId,
+                width: selected.width,
+                size: this.overlay.layout.widgets[this.selectedId].size,
+                startX: point.x
+            };
+        } else {
+            const id = this.hitTest(point);
+            this.selectedId = id;
+            if (this.onSelect) this.onSelect(id);
+            if (!id) return;
+
+            this.gesture = { type: 'move', id, offsetX: point.x - rects[id].x, offsetY: point.y - rects[id].y };
+        }
+
+        this.canvas.setPointerCapture(e.pointerId);
+        e.preventDefault();
+    }
+
+    /**
+     * @private
+     */
+    handlePointerMove(e) {
+        const gesture = this.gesture;
+        if (!gesture || !this.onChange) return;
+
+        const point = this.getPoint(e);
+        if (gesture.type === 'move') {
+            const position = this.overlay.getPosition(gesture.id, point.x - gesture.offsetX, point.y - gesture.offsetY);
+            if (position) this.onChange(gesture.id, position);
+        } else {
+            const width = Math.max(1, gesture.width + point.x - gesture.startX);
+            this.onChange(gesture.id, { size: this.roundSize(gesture.size * width / gesture.width) });
+        }
+    }
+
+    /**
+     * @private
+     */
+    handlePointerUp() {
+        if (!this.gesture) return;
+        this.gesture = null;
+        if (this.onCommit) this.onCommit();
+    }
+
+    /**
+     * Resize the selected widget one step per wheel notch
+     * @private
+     */
+    handleWheel(e) {
+        const widget = this.overlay.layout.widgets[this.selectedId];
+        if (!widget || !this.onChange) return;
+
+        e.preventDefault();
+        const step = e.deltaY < 0 ? OVERLAY_LAYOUT_CONFIG.sizeStep : -OVERLAY_LAYOUT_CONFIG.sizeStep;
+        this.onChange(this.selectedId, { size: this.roundSize(widget.size + step) });
+        if (this.onCommit) this.onCommit();
+    }
+
+    /**
+     * Round a size to the size step
+     * @private
+     */
+    roundSize(size) {
+        const step = OVERLAY_LAYOUT_CONFIG.sizeStep;
+        return Number((Math.round(size / step) * step).toFixed(2));
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * DBA Noise Meter - Level History Module
+ * Fixed-size ring buffer of recent time-weighted levels for charts
+ */
+
+import { AUDIO_CONFIG, HISTORY_CONFIG } from './constants.js';
+
+export class LevelHistory {
+    /**
+     * @param {number} [maxDuration] - Longest time span kept (ms)
+     */
+    constructor(maxDuration = HISTORY_CONFIG.maxDuration) {
+        // Enough slots for the span at the worklet report rate (with margin for fallback mode)
+        this.capacity = Math.ceil(maxDuration / (AUDIO_CONFIG.meterReportInterval * 1000) * 1.5);
+        this.times = new Float64Array(this.capacity);
+        this.levels = new Float32Array(this.capacity);
+        this.reset();
+    }
+
+    /**
+     * Clear the history
+     */
+    reset() {
+        this.start = 0;
+        this.length = 0;
+        this.lastTime = 0;
+    }
+
+    /**
+     * Append a level
+     * @param {number} time - Timestamp (ms since epoch)
+     * @param {number} level - Level in dB
+     */
+    add(time, level) {
+        // Without the worklet, blocks arrive every animation frame; keep the buffer rate bounded
+        if (time - this.lastTime < HISTORY_CONFIG.minSampleSpacing) return;
+        this.lastTime = time;
+
+        const index = (this.start + this.length) % this.capacity;
+        this.times[index] = time;
+        this.levels[index] = level;
+
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    /**
+     * Visit levels newer than a time, oldest first
+     * @param {number} fromTime - Timestamp (ms since epoch)
+     * @param {Function} callback - Called with (time, level)
+     */
+    forEachSince(fromTime, callback) {
+        // Binary search for the first entry at or after fromTime
+        let low = 0;
+        let high = this.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.times[(this.start + mid) % this.capacity] < fromTime) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        for (let i = low; i < this.length; i++) {
+            const index = (this.start + i) % this.capacity;
+            callback(this.times[index], this.levels[index]);
+        }
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * DBA Noise Meter - Level Track Module
+ * Timeline of measured levels recorded alongside a video, written as a
+ * WebVTT metadata track or JSON sidecar file and read back for replay
+ */
+
+import { APP_INFO, SIDECAR_CONFIG } from './constants.js';
+
+/**
+ * Round a level for the sidecar file
+ * @private
+ */
+function round(value, digits = SIDECAR_CONFIG.digits) {
+    return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+/**
+ * Format seconds as a WebVTT timestamp (hh:mm:ss.ttt)
+ * @private
+ */
+function formatTimestamp(seconds) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor((ms % 3600000) / 60000);
+    const s = Math.floor((ms % 60000) / 1000);
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * Parse a WebVTT timestamp ([hh:]mm:ss.ttt) into seconds
+ * @private
+ */
+function parseTimestamp(text) {
+    const parts = text.trim().split(':').map(parseFloat);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+export class LevelTrack {
+    /**
+     * @param {Object} metadata - Measurement details (weighting, unit, calibration, ...)
+     * @param {number} [startTime] - Timestamp of video time 0 (ms since epoch)
+     */
+    constructor(metadata, startTime = Date.now()) {
+        this.metadata = metadata;
+        this.startTime = startTime;
+        this.samples = [];           // { t (s, block end), duration, level, leq, peak }
+    }
+
+    /**
+     * Append a measured block
+     * @param {{time: number, duration: number, level: number, leq: number, peak: number}} block
+     */
+    add(block) {
+        const t = (block.time - this.startTime) / 1000;
+        if (t <= 0) return;
+        this.samples.push({ t, duration: block.duration, level: block.level, leq: block.leq, peak: block.peak });
+    }
+
+    /**
+     * Get all samples in time order
+     * @returns {Object[]}
+     */
+    getSamples() {
+        return this.samples;
+    }
+
+    /**
+     * Get the measurement details
+     * @returns {Object}
+     */
+    getMetadata() {
+        return this.metadata;
+    }
+
+    /**
+     * Get the timestamp of video time 0
+     * @returns {number} ms since epoch
+     */
+    getStartTime() {
+        return this.startTime;
+    }
+
+    /**
+     * Sample covering a playback position
+     * @param {number} t - Seconds since the start of the video
+     * @returns {Object|null}
+     */
+    sampleAt(t) {
+        const samples = this.samples;
+        if (samples.length === 0 || t < samples[0].t - samples[0].duration) return null;
+
+        // First sample ending at or after t
+        let low = 0;
+        let high = samples.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (samples[mid].t < t) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return samples[low].t >= t ? samples[low] : null;
+    }
+
+    /**
+     * Serialize for download
+     * @param {string} format - 'vtt' or 'json'
+     * @returns {{content: string, type: string}}
+     */
+    serialize(format) {
+        if (format === 'json') {
+            return { content: JSON.stringify(this.toJSON(), null, 2), type: 'application/json' };
+        }
+        return { content: this.toWebVTT(), type: 'text/vtt;charset=utf-8' };
+    }
+
+    /**
+     * Build the JSON sidecar
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            metadata: this.buildMetadata(),
+            samples: this.samples.map(s => ({
+                t: round(s.t, 3),
+                duration: round(s.duration, 3),
+                level: round(s.level),
+                leq: round(s.leq),
+                peak: round(s.peak)
+            }))
+        };
+    }
+
+    /**
+     * Build a WebVTT metadata track: metadata in a NOTE block, one cue per block with a JSON payload
+     * @returns {string}
+     */
+    toWebVTT() {
+        const lines = [`WEBVTT - ${APP_INFO.name} level track`, '', `NOTE ${JSON.stringify(this.buildMetadata())}`, ''];
+        for (const s of this.samples) {
+            lines.push(`${formatTimestamp(s.t - s.duration)} --> ${formatTimestamp(s.t)}`);
+            lines.push(JSON.stringify({ level: round(s.level), leq: round(s.leq), peak: round(s.peak) }));
+            lines.push('');
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * @private
+     */
+    buildMetadata() {
+        return {
+            app: APP_INFO.name,
+            appVersion: APP_INFO.version,
+            startTime: new Date(this.startTime).toISOString(),
+            ...this.metadata
+        };
+    }
+}
+
+/**
+ * Read a sidecar file written by LevelTrack
+ * @param {string} text - WebVTT or JSON content
+ * @returns {LevelTrack}
+ * @throws {Error} When the content is not a level track
+ */
+export function parseLevelTrack(text) {
+    let metadata;
+    let samples;
+
+    if (text.trimStart().startsWith('WEBVTT')) {
+        samples = [];
+        for (const block of text.replace(/\r\n?/g, '\n').split(/\n{2,}/)) {
+            const lines = block.trim().split('\n');
+            if (lines[0].startsWith('NOTE ')) {
+                metadata = metadata || JSON.parse(lines[0].slice(5));
+                continue;
+            }
+
+            // Cue identifiers are optional
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1) continue;
+
+            const [start, end] = lines[timingIndex].split('-->').map(part => parseTimestamp(part.trim().split(/\s+/)[0]));
+            const payload = JSON.parse(lines.slice(timingIndex + 1).join('\n'));
+            samples.push({ t: end, duration: end - start, ...payload });
+        }
+    } else {
+        ({ metadata, samples } = JSON.parse(text));
+    }
+
+    if (!metadata || !Array.isArray(samples)) {
+        throw new Error('Not a level track');
+    }
+
+    const { startTime, app, appVersion, ...details } = metadata;
+    const track = new LevelTrack(details, Date.parse(startTime) || 0);
+    track.samples = samples
+        .filter(s => Number.isFinite(s.t))
+        .map(s => ({
+            t: s.t,
+            duration: s.duration,
+            level: Number.isFinite(s.level) ? s.level : null,
+            leq: Number.isFinite(s.leq) ? s.leq : null,
+            peak: Number.isFinite(s.peak) ? s.peak : null
+        }))
+        .sort((a, b) => a.t - b.t);
+    return track;
+}
@@ -1,11 +1,12 @@
 /**
  * DBA Noise Meter - Media Capture Module
- * Handles image capture and video recording
+ * Handles image capture and video recording (with a level sidecar file)
  */
 
-import { RECORDING_CONFIG, MESSAGES } from './constants.js';
-import { generateFilename, downloadBlob, isIOSDevice } from '../utils/helpers.js';
+import { RECORDING_CONFIG, SIDECAR_CONFIG, MESSAGES } from './constants.js';
+import { generateFilename, downloadBlob, isIOSDevice, selectSupportedMimeType } from '../utils/helpers.js';
 import { CanvasOverlay } from './CanvasOverlay.js';
+import { LevelTrack } from './LevelTrack.js';
 
 export class MediaCapture {
     constructor() {
@@ -16,10 +17,18 @@ export class MediaCapture {
         this.recordCanvas = null;
         this.recordCtx = null;
         this.overlay = new CanvasOverlay();
+        this.sidecarFormat = SIDECAR_CONFIG.defaultFormat;
+        this.levelTrack = null;      // Levels of the recording in progress
+        this.videoFormat = {         // Selected capture format
+            width: RECORDING_CONFIG.defaultWidth,
+            height: RECORDING_CONFIG.defaultHeight,
+            frameRate: RECORDING_CONFIG.frameRate
+        };
 
         // Callbacks
         this.onRecordingStart = null;
         this.onRecordingStop = null;
+        this.onImageCaptured = null;
         this.onToast = null;
     }
 
@@ -32,18 +41,62 @@ export class MediaCapture {
         this.recordCtx = canvas.getContext('2d');
     }
 
+    /**
+     * Set the recording format selected for the camera. The canvas takes the size of the
+     * delivered camera frames; the selected size applies when there is no camera.
+     * @param {{width: number, height: number, frameRate: number}} format
+     */
+    setVideoFormat({ width, height, frameRate }) {
+        this.videoFormat = { width, height, frameRate };
+    }
+
+    /**
+     * Use the overlay layout (shared object, edits apply to the next frame)
+     * @param {{widgets: Object}} layout - Layout from OverlayLayoutManager
+     */
+    setOverlayLayout(layout) {
+        this.overlay.setLayout(layout);
+    }
+
+    /**
+     * Select the sidecar file written next to each video
+     * @param {string} format - 'off', 'vtt' or 'json'
+     */
+    setSidecarFormat(format) {
+        this.sidecarFormat = format;
+    }
+
+    /**
+     * Get the sidecar format
+     * @returns {string}
+     */
+    getSidecarFormat() {
+        return this.sidecarFormat;
+    }
+
+    /**
+     * Feed a measured block (from AudioAnalyzer) into the sidecar of the recording
+     * @param {{time: number, duration: number, level: number, leq: number, peak: number}} block
+     */
+    addBlock(block) {
+        if (this.isRecording && this.levelTrack) {
+            this.levelTrack.add(block);
+        }
+    }
+
     /**
      * Set callback handlers
      */
-    setCallbacks({ onRecordingStart, onRecordingStop, onToast }) {
+    setCallbacks({ onRecordingStart, onRecordingStop, onImageCaptured, onToast }) {
         this.onRecordingStart = onRecordingStart;
         this.onRecordingStop = onRecordingStop;
+        this.onImageCaptured = onImageCaptured;
         this.onToast = onToast;
     }
 
     /**
      * Capture a still image with overlay
-     * @param {HTMLVideoElement} camera - Video element
+     * @param {HTMLVideoElement|null} camera - Video element, null in audio-only mode
      * @param {Object} overlayData - Data for overlay
      */
     captureImage(camera, overlayData) {
@@ -51,27 +104,40 @@ export class MediaCapture {
         const ctx = canvas.getContext('2d');
 
         // Set canvas size to video size
-        canvas.width = camera.videoWidth;
-        canvas.height = camera.videoHeight;
+        canvas.width = camera ? camera.videoWidth : this.videoFormat.width;
+        canvas.height = camera ? camera.videoHeight : this.videoFormat.height;
 
-        // Draw video frame
-        ctx.drawImage(camera, 0, 0);
+        // Draw video frame (graphic-only image without a camera)
+        this.drawFrame(ctx, camera, canvas.width, canvas.height);
 
         // Draw overlay
         this.overlay.draw(ctx, canvas.width, canvas.height, overlayData);
 
         // Create filename and download
-        const filename = generateFilename('IMG', 'png', overlayData.latitude, overlayData.longitude);
+        const filename = generateFilename(`IMG_${overlayData.unit}`, 'png', overlayData.latitude, overlayData.longitude);
 
         canvas.toBlob((blob) => {
             downloadBlob(blob, filename);
             this.toast(`${MESSAGES.capture.saved}: ${filename}`, 'success');
+            if (this.onImageCaptured) this.onImageCaptured(blob, filename);
         }, 'image/png');
     }
 
+    /**
+     * Draw the camera frame, or the synthetic background without a camera
+     * @private
+     */
+    drawFrame(ctx, camera, width, height) {
+        if (camera) {
+            ctx.drawImage(camera, 0, 0, width, height);
+        } else {
+            this.overlay.drawBackground(ctx, width, height);
+        }
+    }
+
     /**
      * Toggle recording state
-     * @param {HTMLVideoElement} camera - Video element
+     * @param {HTMLVideoElement|null} camera - Video element, null in audio-only mode
      * @param {MediaStream} stream - Media stream
      * @param {Function} getOverlayData - Function to get current overlay data
      */
@@ -92,15 +158,15 @@ export class MediaCapture {
             this.recordedChunks = [];
 
             // Wait for video to be ready
-            if (camera.readyState < 2) {
+            if (camera && camera.readyState < 2) {
                 await new Promise((resolve) => {
                     camera.addEventListener('loadeddata', resolve, { once: true });
                 });
             }
 
-            // Setup record canvas with fallback dimensions
-            const videoWidth = camera.videoWidth || RECORDING_CONFIG.defaultWidth;
-            const videoHeight = camera.videoHeight || RECORDING_CONFIG.defaultHeight;
+            // Setup record canvas with the selected format as fallback dimensions
+            const videoWidth = (camera && camera.videoWidth) || this.videoFormat.width;
+            const videoHeight = (camera && camera.videoHeight) || this.videoFormat.height;
 
             console.log('Recording dimensions:', videoWidth, 'x', videoHeight);
 
@@ -112,7 +178,7 @@ export class MediaCapture {
             this.recordCanvas.height = videoHeight;
 
             // Create a stream from the canvas
-            const canvasStream = this.recordCanvas.captureStream(RECORDING_CONFIG.frameRate);
+            const canvasStream = this.recordCanvas.captureStream(this.videoFormat.frameRate);
 
             // Add audio track from the original stream
             const audioTrack = stream.getAudioTracks()[0];
@@ -135,8 +201,22 @@ export class MediaCapture {
                 }
             };
 
+            // Levels are timed from the recorder start, i.e. video time 0. The sidecar
+            // format is fixed for the whole recording.
+            const startData = getOverlayData();
+            const sidecarFormat = this.sidecarFormat;
+            const levelTrack = sidecarFormat !== 'off' ? new LevelTrack({
+                weighting: startData.weighting,
+                unit: startData.unit,
+                timeWeighting: startData.timeWeighting,
+                calibration: startData.calibration,
+                latitude: startData.latitude,
+                longitude: startData.longitude
+            }) : null;
+            this.levelTrack = levelTrack;
+
             this.mediaRecorder.onstop = () => {
-                this.saveRecording(getOverlayData());
+                this.saveRecording(getOverlayData(), levelTrack, sidecarFormat);
             };
 
             // Set recording state
@@ -163,16 +243,9 @@ export class MediaCapture {
      * @private
      */
     selectMimeType() {
-        const mimeTypes = isIOSDevice()
+        return selectSupportedMimeType(isIOSDevice()
             ? RECORDING_CONFIG.iosMimeTypes
-            : RECORDING_CONFIG.defaultMimeTypes;
-
-        for (const type of mimeTypes) {
-            if (type === '' || MediaRecorder.isTypeSupported(type)) {
-                return type;
-            }
-        }
-        return '';
+            : RECORDING_CONFIG.defaultMimeTypes);
     }
 
     /**
@@ -184,7 +257,7 @@ export class MediaCapture {
             if (!this.isRecording) return;
 
             // Draw video frame
-            this.recordCtx.drawImage(camera, 0, 0);
+            this.drawFrame(this.recordCtx, camera, this.recordCanvas.width, this.recordCanvas.height);
 
             // Draw overlay
             const overlayData = getOverlayData();
@@ -210,10 +283,10 @@ export class MediaCapture {
     }
 
     /**
-     * Save recorded video
+     * Save recorded video and its sidecar file
      * @private
      */
-    saveRecording(overlayData) {
+    saveRecording(overlayData, levelTrack, sidecarFormat) {
         console.log('Saving recording, chunks:', this.recordedChunks.length);
 
         if (this.recordedChunks.length === 0) {
@@ -234,10 +307,28 @@ export class MediaCapture {
             return;
         }
 
-        const filename = generateFilename('VID', extension, overlayData.latitude, overlayData.longitude);
+        const filename = generateFilename(`VID_${overlayData.unit}`, extension, overlayData.latitude, overlayData.longitude);
         downloadBlob(blob, filename);
 
         this.toast(`${MESSAGES.recording.saved}: ${filename} (${Math.round(blob.size / 1024)} KB)`, 'success');
+
+        if (levelTrack && sidecarFormat !== 'off') {
+            this.saveSidecar(levelTrack, filename, sidecarFormat);
+        }
+    }
+
+    /**
+     * Save the level track next to the video, with the same base name
+     * @private
+     * @param {LevelTrack} levelTrack - Levels of the recording
+     * @param {string} videoFilename - Filename of the saved video
+     * @param {string} format - 'vtt' or 'json', as selected when the recording started
+     */
+    saveSidecar(levelTrack, videoFilename, format) {
+        levelTrack.getMetadata().video = videoFilename;
+
+        const { content, type } = levelTrack.serialize(format);
+        downloadBlob(new Blob([content], { type }), videoFilename.replace(/\.[^.]+$/, `.${format}`));
     }
 
     /**
@@ -0,0 +1,325 @@
+/**
+ * DBA Noise Meter - Noise Dosimeter Module
+ * Integrates occupational noise exposure over a shift (OSHA/NIOSH style):
+ * dose, TWA, projected 8 h TWA, LEX,8h and time to 100% dose.
+ *
+ * Exposure is kept as a histogram of seconds per level, so changing the
+ * criterion, exchange rate or threshold recomputes the dose of the whole
+ * measurement. The state is saved in localStorage and survives page reloads.
+ */
+
+import { DOSIMETER_CONFIG } from './constants.js';
+
+/**
+ * Empty exposure record
+ * @private
+ */
+function createExposure() {
+    return {
+        startTime: null,
+        endTime: null,
+        weighting: null,
+        duration: 0,             // Measured seconds
+        energy: 0,               // Σ Δt·10^(L/10)
+        lmax: -Infinity,
+        lpeak: -Infinity,
+        histogram: {},           // Bin index (level / binWidth, rounded) -> seconds
+        minutes: []              // { time, duration, energy, lmax } per clock minute
+    };
+}
+
+/**
+ * Finite number or -Infinity (JSON stores -Infinity as null)
+ * @private
+ */
+function levelOrNone(value) {
+    return Number.isFinite(value) ? value : -Infinity;
+}
+
+/**
+ * Check dosimeter settings
+ * @private
+ */
+function isValidSettings({ criterion, exchangeRate, threshold }) {
+    return Number.isFinite(criterion) && criterion > 0 &&
+        DOSIMETER_CONFIG.exchangeRates.includes(exchangeRate) &&
+        Number.isFinite(threshold) && threshold >= 0;
+}
+
+export class NoiseDosimeter {
+    constructor() {
+        const { settings, running, exposure } = this.load();
+        this.settings = settings;    // { criterion, exchangeRate, threshold }
+        this.running = running;
+        this.exposure = exposure;
+        this.lastSave = 0;
+    }
+
+    /**
+     * Read settings and the running measurement from localStorage
+     * @private
+     */
+    load() {
+        const defaults = {
+            settings: { ...DOSIMETER_CONFIG.presets[DOSIMETER_CONFIG.defaultPreset] },
+            running: false,
+            exposure: createExposure()
+        };
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(DOSIMETER_CONFIG.storageKey));
+            if (!stored) return defaults;
+
+            const exposure = { ...createExposure(), ...stored.exposure };
+            exposure.lmax = levelOrNone(exposure.lmax);
+            exposure.lpeak = levelOrNone(exposure.lpeak);
+            return {
+                settings: stored.settings && isValidSettings(stored.settings) ? stored.settings : defaults.settings,
+                running: Boolean(stored.running),
+                exposure
+            };
+        } catch (e) {
+            console.warn('Could not read noise dose:', e);
+            return defaults;
+        }
+    }
+
+    /**
+     * Write settings and the measurement
+     * @private
+     */
+    save() {
+        try {
+            localStorage.setItem(DOSIMETER_CONFIG.storageKey, JSON.stringify({
+                settings: this.settings,
+                running: this.running,
+                exposure: this.exposure
+            }));
+        } catch (e) {
+            console.warn('Could not store noise dose:', e);
+        }
+        this.lastSave = Date.now();
+    }
+
+    /**
+     * Get the dose settings
+     * @returns {{criterion: number, exchangeRate: number, threshold: number}}
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Preset matching the settings
+     * @returns {string} Key of DOSIMETER_CONFIG.presets, or 'custom'
+     */
+    getPreset() {
+        const { criterion, exchangeRate, threshold } = this.settings;
+        const match = Object.entries(DOSIMETER_CONFIG.presets).find(([, preset]) =>
+            preset.criterion === criterion && preset.exchangeRate === exchangeRate && preset.threshold === threshold);
+        return match ? match[0] : 'custom';
+    }
+
+    /**
+     * Change the dose settings; the dose of the whole measurement is recomputed
+     * @param {Object} settings
+     * @param {number} settings.criterion - Criterion level (dB)
+     * @param {number} settings.exchangeRate - Exchange rate (dB), from DOSIMETER_CONFIG.exchangeRates
+     * @param {number} settings.threshold - Threshold level (dB), 0 for none
+     * @returns {boolean} Whether the settings are valid
+     */
+    configure(settings) {
+        const next = {
+            criterion: settings.criterion,
+            exchangeRate: settings.exchangeRate,
+            threshold: settings.threshold
+        };
+        if (!isValidSettings(next)) return false;
+
+        this.settings = next;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Use the settings of a preset
+     * @param {string} id - Key of DOSIMETER_CONFIG.presets
+     * @returns {boolean} Whether the preset exists
+     */
+    usePreset(id) {
+        const preset = DOSIMETER_CONFIG.presets[id];
+        return preset ? this.configure(preset) : false;
+    }
+
+    /**
+     * Check whether exposure is being integrated
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Check whether any exposure was measured
+     * @returns {boolean}
+     */
+    hasData() {
+        return this.exposure.duration > 0;
+    }
+
+    /**
+     * Frequency weighting of the measured levels
+     * @returns {string|null} Weighting, null before the first level
+     */
+    getWeighting() {
+        return this.exposure.weighting;
+    }
+
+    /**
+     * Start or continue integrating
+     */
+    start() {
+        this.running = true;
+        this.save();
+    }
+
+    /**
+     * Pause integrating (the measurement is kept)
+     */
+    stop() {
+        this.running = false;
+        this.save();
+    }
+
+    /**
+     * Clear the measurement
+     */
+    reset() {
+        this.exposure = createExposure();
+        this.save();
+    }
+
+    /**
+     * Save now, e.g. when the page is hidden
+     */
+    flush() {
+        if (this.running || this.hasData()) this.save();
+    }
+
+    /**
+     * Add a measured block while running
+     * @param {Object} block - { time, duration, level, leq, peak } from the audio analyzer
+     * @param {string} weighting - Frequency weighting of the block
+     */
+    addBlock(block, weighting) {
+        if (!this.running || !Number.isFinite(block.leq) || !(block.duration > 0)) return;
+
+        const exposure = this.exposure;
+        if (exposure.startTime === null) {
+            exposure.startTime = block.time - block.duration * 1000;
+            exposure.weighting = weighting;
+        }
+        exposure.endTime = block.time;
+        exposure.duration += block.duration;
+
+        const energy = block.duration * Math.pow(10, block.leq / 10);
+        exposure.energy += energy;
+        exposure.lmax = Math.max(exposure.lmax, levelOrNone(block.level));
+        exposure.lpeak = Math.max(exposure.lpeak, levelOrNone(block.peak));
+
+        const bin = Math.round(block.leq / DOSIMETER_CONFIG.binWidth);
+        exposure.histogram[bin] = (exposure.histogram[bin] || 0) + block.duration;
+
+        // Per-minute levels for exports
+        const minute = Math.floor(block.time / 60000) * 60000;
+        const last = exposure.minutes[exposure.minutes.length - 1];
+        if (last && last.time === minute) {
+            last.duration += block.duration;
+            last.energy += energy;
+            last.lmax = Math.max(levelOrNone(last.lmax), levelOrNone(block.level));
+        } else {
+            exposure.minutes.push({ time: minute, duration: block.duration, energy, lmax: levelOrNone(block.level) });
+            if (exposure.minutes.length > DOSIMETER_CONFIG.maxMinutes) exposure.minutes.shift();
+        }
+
+        if (Date.now() - this.lastSave >= DOSIMETER_CONFIG.saveInterval) this.save();
+    }
+
+    /**
+     * Dose in % of the allowed exposure: Σ Δt/T · 2^((L − Lc)/q) for levels at or above the threshold
+     * @private
+     */
+    computeDose() {
+        const { criterion, exchangeRate, threshold } = this.settings;
+        const binWidth = DOSIMETER_CONFIG.binWidth;
+        let dose = 0;
+        for (const [bin, seconds] of Object.entries(this.exposure.histogram)) {
+            const level = Number(bin) * binWidth;
+            if (level < threshold) continue;
+            dose += seconds / DOSIMETER_CONFIG.criterionTime * Math.pow(2, (level - criterion) / exchangeRate);
+        }
+        return dose * 100;
+    }
+
+    /**
+     * Level that gives a dose over the criterion time
+     * @private
+     */
+    doseToLevel(dose) {
+        const { criterion, exchangeRate } = this.settings;
+        return dose > 0 ? criterion + exchangeRate * Math.log2(dose / 100) : null;
+    }
+
+    /**
+     * Exposure results
+     * @returns {Object} { startTime, endTime, weighting, duration, leq, lmax, lpeak, dose, twa,
+     *   projectedDose, projectedTwa, lex8h, timeTo100 }; levels are null without data,
+     *   timeTo100 (s) is null while no dose accumulates
+     */
+    getResults() {
+        const exposure = this.exposure;
+        const duration = exposure.duration;
+        const dose = this.computeDose();
+        const projectedDose = duration > 0 ? dose * DOSIMETER_CONFIG.criterionTime / duration : 0;
+
+        let timeTo100 = null;
+        if (dose >= 100) {
+            timeTo100 = 0;
+        } else if (dose > 0) {
+            timeTo100 = (100 - dose) / (dose / duration);
+        }
+
+        return {
+            startTime: exposure.startTime,
+            endTime: exposure.endTime,
+            weighting: exposure.weighting,
+            duration,
+            leq: duration > 0 ? 10 * Math.log10(exposure.energy / duration) : null,
+            lmax: Number.isFinite(exposure.lmax) ? exposure.lmax : null,
+            lpeak: Number.isFinite(exposure.lpeak) ? exposure.lpeak : null,
+            dose,
+            twa: this.doseToLevel(dose),
+            projectedDose,
+            projectedTwa: this.doseToLevel(projectedDose),
+            lex8h: exposure.energy > 0 ? 10 * Math.log10(exposure.energy / DOSIMETER_CONFIG.criterionTime) : null,
+            timeTo100
+        };
+    }
+
+    /**
+     * Settings, results and per-minute levels for exports
+     * @returns {{settings: Object, results: Object, minutes: Object[]}}
+     */
+    getReport() {
+        return {
+            settings: this.getSettings(),
+            results: this.getResults(),
+            minutes: this.exposure.minutes.map(m => ({
+                time: m.time,
+                duration: m.duration,
+                leq: 10 * Math.log10(m.energy / m.duration),
+                lmax: Number.isFinite(m.lmax) ? m.lmax : null
+            }))
+        };
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * DBA Noise Meter - Noise Statistics Module
+ * Aggregates measured levels into Leq, Lmax, Lmin, Lpeak and exceedance
+ * percentiles over the whole session and over rolling windows
+ */
+
+import { STATISTICS_CONFIG } from './constants.js';
+
+/**
+ * Duration-weighted level accumulator with an optional rolling window.
+ * Levels are kept in a histogram so percentiles and extremes can be read
+ * without sorting and samples can be removed again when they expire.
+ */
+class LevelAccumulator {
+    /**
+     * @param {number} windowMs - Window length in ms (Infinity for the whole session)
+     */
+    constructor(windowMs = Infinity) {
+        this.windowMs = windowMs;
+        this.binCount = Math.ceil(STATISTICS_CONFIG.histogramRange / STATISTICS_CONFIG.histogramResolution) + 1;
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];
+        this.energy = 0;       // Σ duration · 10^(Leq/10)
+        this.duration = 0;     // Σ duration (s)
+        this.levelHistogram = new Float64Array(this.binCount);
+        this.peakHistogram = new Float64Array(this.binCount);
+    }
+
+    /**
+     * @private
+     */
+    binOf(level) {
+        return this.clampBin(Math.round(level / STATISTICS_CONFIG.histogramResolution));
+    }
+
+    /**
+     * @private
+     */
+    clampBin(bin) {
+        return Math.max(0, Math.min(this.binCount - 1, bin));
+    }
+
+    /**
+     * @private
+     */
+    apply(sample, sign) {
+        this.energy += sign * sample.duration * Math.pow(10, sample.leq / 10);
+        this.duration += sign * sample.duration;
+        if (sample.histogram) {
+            for (const [bin, seconds] of Object.entries(sample.histogram)) {
+                this.levelHistogram[this.clampBin(Number(bin))] += sign * seconds;
+            }
+        } else {
+            this.levelHistogram[this.binOf(sample.level)] += sign * sample.duration;
+        }
+        if (Number.isFinite(sample.peak)) {
+            this.peakHistogram[this.binOf(sample.peak)] += sign * sample.duration;
+        }
+    }
+
+    add(sample) {
+        this.apply(sample, 1);
+        if (this.windowMs !== Infinity) {
+            this.samples.push(sample);
+            this.prune(sample.time);
+        }
+    }
+
+    /**
+     * Drop samples older than the window
+     * @private
+     */
+    prune(now) {
+        let expired = 0;
+        while (expired < this.samples.length && now - this.samples[expired].time > this.windowMs) {
+            this.apply(this.samples[expired], -1);
+            expired++;
+        }
+        if (expired > 0) {
+            this.samples.splice(0, expired);
+        }
+    }
+
+    /**
+     * Highest (or lowest) histogram bin holding any time
+     * @private
+     */
+    extreme(histogram, highest) {
+        // Small epsilon absorbs float residue left by removed samples
+        const epsilon = 1e-9;
+        if (highest) {
+            for (let i = histogram.length - 1; i >= 0; i--) {
+                if (histogram[i] > epsilon) return i * STATISTICS_CONFIG.histogramResolution;
+            }
+        } else {
+            for (let i = 0; i < histogram.length; i++) {
+                if (histogram[i] > epsilon) return i * STATISTICS_CONFIG.histogramResolution;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Level exceeded during `percent` % of the measured time
+     * @private
+     */
+    exceeded(percent) {
+        const target = this.duration * percent / 100;
+        let accumulated = 0;
+        for (let i = this.levelHistogram.length - 1; i >= 0; i--) {
+            accumulated += this.levelHistogram[i];
+            if (accumulated >= target && accumulated > 0) {
+                return i * STATISTICS_CONFIG.histogramResolution;
+            }
+        }
+        return null;
+    }
+
+    summary() {
+        const hasData = this.duration > 1e-9;
+        return {
+            duration: hasData ? this.duration : 0,
+            leq: hasData && this.energy > 0 ? 10 * Math.log10(this.energy / this.duration) : null,
+            lmax: this.extreme(this.levelHistogram, true),
+            lmin: this.extreme(this.levelHistogram, false),
+            lpeak: this.extreme(this.peakHistogram, true),
+            l10: hasData ? this.exceeded(10) : null,
+            l50: hasData ? this.exceeded(50) : null,
+            l90: hasData ? this.exceeded(90) : null
+        };
+    }
+}
+
+export class NoiseStatistics {
+    constructor() {
+        this.accumulators = { session: new LevelAccumulator() };
+        for (const [id, windowMs] of Object.entries(STATISTICS_CONFIG.windows)) {
+            this.accumulators[id] = new LevelAccumulator(windowMs);
+        }
+        this.startTime = null;
+    }
+
+    /**
+     * Add a measured block
+     * @param {Object} sample
+     * @param {number} sample.time - Timestamp (ms since epoch)
+     * @param {number} sample.duration - Block duration in seconds
+     * @param {number} sample.level - Time-weighted level at the end of the block (dB)
+     * @param {number} sample.leq - Energy-equivalent level of the block (dB)
+     * @param {number} sample.peak - Peak level of the block (dB)
+     * @param {Object} [sample.histogram] - Seconds per level bin (level / histogramResolution) when the
+     *   sample aggregates several blocks, e.g. a logged session sample; replaces `level`
+     */
+    addSample(sample) {
+        if (this.startTime === null) this.startTime = sample.time;
+        for (const accumulator of Object.values(this.accumulators)) {
+            accumulator.add(sample);
+        }
+    }
+
+    /**
+     * Clear all statistics
+     */
+    reset() {
+        for (const accumulator of Object.values(this.accumulators)) {
+            accumulator.reset();
+        }
+        this.startTime = null;
+    }
+
+    /**
+     * Get statistics for a window
+     * @param {string} windowId - 'session' or a key of STATISTICS_CONFIG.windows
+     * @returns {{window: string, duration: number, leq: number|null, lmax: number|null, lmin: number|null,
+     *            lpeak: number|null, l10: number|null, l50: number|null, l90: number|null}}
+     */
+    getSummary(windowId = 'session') {
+        const accumulator = this.accumulators[windowId] || this.accumulators.session;
+        return { window: windowId, ...accumulator.summary() };
+    }
+
+    /**
+     * Get only the Leq of a window (cheaper than a full summary)
+     * @param {string} windowId - 'session' or a key of STATISTICS_CONFIG.windows
+     * @returns {number|null} Leq in dB
+     */
+    getLeq(windowId = 'session') {
+        const accumulator = this.accumulators[windowId] || this.accumulators.session;
+        return accumulator.duration > 1e-9 && accumulator.energy > 0
+            ? 10 * Math.log10(accumulator.energy / accumulator.duration)
+            : null;
+    }
+
+    /**
+     * Get the session start time
+     * @returns {number|null} Timestamp (ms since epoch)
+     */
+    getStartTime() {
+        return this.startTime;
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * DBA Noise Meter - Octave Band Analyzer Module
+ * Calibrated 1/1 and 1/3 octave band levels (31.5 Hz - 16 kHz) with
+ * per-band Leq and max hold, computed from the AnalyserNode float spectrum
+ */
+
+import { BAND_CONFIG } from './constants.js';
+
+// Mean square of the Blackman window applied by AnalyserNode: a0² + a1²/2 + a2²/2
+const BLACKMAN_POWER = 0.42 * 0.42 + 0.5 * 0.5 / 2 + 0.08 * 0.08 / 2;
+
+// Longest gap between updates that still counts towards the band Leq (s)
+const MAX_UPDATE_GAP = 1;
+
+export class OctaveBandAnalyzer {
+    constructor() {
+        this.resolution = 'octave';
+        this.sampleRate = null;
+        this.fftSize = null;
+        this.bands = [];             // { label, center, firstBin, lastBin }
+        this.lastTime = null;
+        this.reset();
+    }
+
+    /**
+     * Select band resolution
+     * @param {string} resolution - 'octave' or 'third'
+     */
+    setResolution(resolution) {
+        if (!BAND_CONFIG.labels[resolution] || resolution === this.resolution) return;
+        this.resolution = resolution;
+        this.build();
+    }
+
+    /**
+     * Get band resolution
+     * @returns {string}
+     */
+    getResolution() {
+        return this.resolution;
+    }
+
+    /**
+     * Set the spectrum format
+     * @param {number} sampleRate - Sample rate of the audio context
+     * @param {number} fftSize - FFT size of the analyser
+     */
+    configure(sampleRate, fftSize) {
+        if (sampleRate === this.sampleRate && fftSize === this.fftSize) return;
+        this.sampleRate = sampleRate;
+        this.fftSize = fftSize;
+        this.build();
+    }
+
+    /**
+     * Compute band edges and their FFT bin ranges
+     * @private
+     */
+    build() {
+        this.bands = [];
+        if (this.sampleRate && this.fftSize) {
+            const b = BAND_CONFIG.bandsPerOctave[this.resolution];
+            const binWidth = this.sampleRate / this.fftSize;
+            const lastSpectrumBin = this.fftSize / 2 - 1;
+
+            BAND_CONFIG.labels[this.resolution].forEach((label, i) => {
+                const k = BAND_CONFIG.firstIndex[this.resolution] + i;
+                const center = 1000 * Math.pow(10, 3 * k / (10 * b));
+                const edge = Math.pow(10, 3 / (20 * b));
+
+                // Bins whose center lies within [lower, upper)
+                const firstBin = Math.max(1, Math.ceil(center / edge / binWidth));
+                const lastBin = Math.min(lastSpectrumBin, Math.ceil(center * edge / binWidth) - 1);
+                this.bands.push({ label, center, firstBin, lastBin });
+            });
+        }
+        this.reset();
+    }
+
+    /**
+     * Clear Leq and max hold
+     */
+    reset() {
+        const count = this.bands ? this.bands.length : 0;
+        this.levels = new Array(count).fill(null);
+        this.energy = new Float64Array(count);
+        this.max = new Array(count).fill(null);
+        this.duration = 0;
+        this.lastTime = null;
+    }
+
+    /**
+     * Update band levels from a spectrum
+     * @param {Float32Array} spectrum - AnalyserNode float frequency data (dBFS per bin)
+     * @param {number} offset - Calibration offset in dB
+     * @param {number} time - Audio time of the spectrum (s)
+     */
+    process(spectrum, offset, time) {
+        const elapsed = this.lastTime === null ? 0 : Math.min(time - this.lastTime, MAX_UPDATE_GAP);
+        this.lastTime = time;
+        if (elapsed > 0) this.duration += elapsed;
+
+        this.bands.forEach((band, i) => {
+            if (band.lastBin < band.firstBin) {
+                // Band above Nyquist or narrower than one bin
+                this.levels[i] = null;
+                return;
+            }
+
+            let power = 0;
+            for (let bin = band.firstBin; bin <= band.lastBin; bin++) {
+                power += Math.pow(10, spectrum[bin] / 10);
+            }
+
+            // One-sided spectrum holds half the power; undo the window's power loss
+            const meanSquare = 2 * power / BLACKMAN_POWER;
+            const level = 10 * Math.log10(meanSquare) + offset;
+            if (!Number.isFinite(level)) {
+                this.levels[i] = null;
+                return;
+            }
+
+            this.levels[i] = level;
+            if (elapsed > 0) this.energy[i] += elapsed * Math.pow(10, level / 10);
+            if (this.max[i] === null || level > this.max[i]) this.max[i] = level;
+        });
+    }
+
+    /**
+     * Get the band levels
+     * @returns {{label: string, center: number, level: number|null, leq: number|null, max: number|null}[]}
+     */
+    getBands() {
+        return this.bands.map((band, i) => ({
+            label: band.label,
+            center: band.center,
+            level: this.levels[i],
+            leq: this.duration > 0 && this.energy[i] > 0 ? 10 * Math.log10(this.energy[i] / this.duration) : null,
+            max: this.max[i]
+        }));
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * DBA Noise Meter - Overlay Layout Manager Module
+ * Keeps the overlay layout (visibility, position, size and theme of each
+ * widget) and named layout presets in localStorage
+ */
+
+import { OVERLAY_CONFIG, OVERLAY_LAYOUT_CONFIG } from './constants.js';
+import { clamp } from '../utils/helpers.js';
+
+/**
+ * Layout with every widget at its automatic position
+ * @returns {{widgets: Object}}
+ */
+export function createDefaultLayout() {
+    const widgets = {};
+    for (const id of OVERLAY_LAYOUT_CONFIG.widgets) {
+        widgets[id] = { ...OVERLAY_LAYOUT_CONFIG.defaultWidget };
+    }
+    return { widgets };
+}
+
+/**
+ * Validate one widget's settings
+ * @private
+ */
+function normalizeWidget(widget) {
+    const defaults = OVERLAY_LAYOUT_CONFIG.defaultWidget;
+    const position = (value) => Number.isFinite(value) ? clamp(value, 0, 1) : null;
+    const x = position(widget.x);
+    const y = position(widget.y);
+
+    return {
+        visible: typeof widget.visible === 'boolean' ? widget.visible : defaults.visible,
+        // A position needs both coordinates
+        x: x !== null && y !== null ? x : null,
+        y: x !== null && y !== null ? y : null,
+        size: Number.isFinite(widget.size)
+            ? clamp(widget.size, OVERLAY_LAYOUT_CONFIG.minSize, OVERLAY_LAYOUT_CONFIG.maxSize)
+            : defaults.size,
+        theme: OVERLAY_CONFIG.themes[widget.theme] ? widget.theme : defaults.theme
+    };
+}
+
+/**
+ * Complete a stored layout: unknown widgets are dropped, missing ones get defaults
+ * @private
+ */
+function normalizeLayout(layout) {
+    const stored = layout && layout.widgets ? layout.widgets : {};
+    const widgets = {};
+    for (const id of OVERLAY_LAYOUT_CONFIG.widgets) {
+        widgets[id] = normalizeWidget({ ...OVERLAY_LAYOUT_CONFIG.defaultWidget, ...stored[id] });
+    }
+    return { widgets };
+}
+
+export class OverlayLayoutManager {
+    constructor() {
+        const { current, presets } = this.load();
+        this.layout = current;       // Shared by every CanvasOverlay, changed in place
+        this.presets = presets;      // Name -> layout
+    }
+
+    /**
+     * Read the layout and presets from localStorage
+     * @private
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(OVERLAY_LAYOUT_CONFIG.storageKey));
+            if (stored) {
+                // No prototype, so names like "__proto__" or "toString" are plain keys
+                const presets = Object.create(null);
+                for (const [name, layout] of Object.entries(stored.presets || {})) {
+                    presets[name] = normalizeLayout(layout);
+                }
+                return { current: normalizeLayout(stored.current), presets };
+            }
+        } catch (e) {
+            console.warn('Could not read overlay layout:', e);
+        }
+        return { current: createDefaultLayout(), presets: Object.create(null) };
+    }
+
+    /**
+     * Write the layout and presets
+     * @private
+     */
+    save() {
+        try {
+            localStorage.setItem(OVERLAY_LAYOUT_CONFIG.storageKey, JSON.stringify({
+                current: this.layout,
+                presets: this.presets
+            }));
+        } catch (e) {
+            console.warn('Could not store overlay layout:', e);
+        }
+    }
+
+    /**
+     * Get the layout in use. The object stays the same when presets are applied.
+     * @returns {{widgets: Object}}
+     */
+    getLayout() {
+        return this.layout;
+    }
+
+    /**
+     * Change one widget
+     * @param {string} id - Widget id from OVERLAY_LAYOUT_CONFIG.widgets
+     * @param {Object} changes - Any of visible, x, y, size, theme
+     */
+    updateWidget(id, changes) {
+        const widget = this.layout.widgets[id];
+        if (!widget) return;
+
+        Object.assign(widget, normalizeWidget({ ...widget, ...changes }));
+        this.save();
+    }
+
+    /**
+     * Put every widget back at its automatic position with default settings
+     */
+    reset() {
+        this.layout.widgets = createDefaultLayout().widgets;
+        this.save();
+    }
+
+    /**
+     * Get the names of the saved presets
+     * @returns {string[]}
+     */
+    getPresetNames() {
+        return Object.keys(this.presets).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Save the current layout under a name (replacing a preset of the same name)
+     * @param {string} name - Preset name
+     * @returns {boolean} Whether the name was valid
+     */
+    savePreset(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return false;
+
+        this.presets[trimmed] = normalizeLayout(this.layout);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Apply a saved preset
+     * @param {string} name - Preset name
+     * @returns {boolean} Whether the preset exists
+     */
+    loadPreset(name) {
+        const preset = this.presets[name];
+        if (!preset) return false;
+
+        this.layout.widgets = normalizeLayout(preset).widgets;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Remove a saved preset
+     * @param {string} name - Preset name
+     */
+    deletePreset(name) {
+        delete this.presets[name];
+        this.save();
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * DBA Noise Meter - Overlay Preview Module
+ * Draws the exact CanvasOverlay output over the camera view in real time, at
+ * the size of the captured frames, so the screen shows what photos and videos get
+ */
+
+import { CanvasOverlay } from './CanvasOverlay.js';
+
+export class OverlayPreview {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas laid over the camera view (same object-fit)
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.overlay = new CanvasOverlay();
+        this.getSource = null;
+        this.animationFrame = null;
+    }
+
+    /**
+     * Use the overlay layout (shared object, edits apply to the next frame)
+     * @param {{widgets: Object}} layout - Layout from OverlayLayoutManager
+     */
+    setLayout(layout) {
+        this.overlay.setLayout(layout);
+    }
+
+    /**
+     * Start drawing
+     * @param {Function} getSource - Returns { camera (video element, null in audio-only mode), format, data (overlay data) }
+     */
+    start(getSource) {
+        this.getSource = getSource;
+        if (this.animationFrame) return;
+
+        const loop = () => {
+            this.drawFrame();
+            this.animationFrame = requestAnimationFrame(loop);
+        };
+        loop();
+    }
+
+    /**
+     * Stop drawing and clear the canvas
+     */
+    stop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        this.getSource = null;
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * @returns {boolean} Whether the preview is drawing
+     */
+    isActive() {
+        return this.animationFrame !== null;
+    }
+
+    /**
+     * Draw the overlay at the capture size. The camera shows through the transparent
+     * canvas; without a camera the synthetic capture background is drawn.
+     * @private
+     */
+    drawFrame() {
+        const { camera, format, data } = this.getSource();
+        const width = camera && camera.videoWidth ? camera.videoWidth : format.width;
+        const height = camera && camera.videoHeight ? camera.videoHeight : format.height;
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        if (camera) {
+            this.ctx.clearRect(0, 0, width, height);
+        } else {
+            this.overlay.drawBackground(this.ctx, width, height);
+        }
+        this.overlay.draw(this.ctx, width, height, data);
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * DBA Noise Meter - Replay Player Module
+ * Plays an exported video back in sync with its level sidecar track
+ */
+
+import { HISTORY_CONFIG } from './constants.js';
+import { HistoryChart } from './HistoryChart.js';
+import { LevelHistory } from './LevelHistory.js';
+import { NoiseStatistics } from './NoiseStatistics.js';
+
+export class ReplayPlayer {
+    /**
+     * @param {HTMLVideoElement} video - Video element for playback
+     * @param {HTMLCanvasElement} chartCanvas - Canvas for the level chart
+     */
+    constructor(video, chartCanvas) {
+        this.video = video;
+        this.chart = new HistoryChart(chartCanvas);
+        this.track = null;
+        this.history = null;
+        this.objectUrl = null;
+        this.animationFrame = null;
+        this.lastChartDraw = 0;
+        this.onUpdate = null;
+
+        this.video.addEventListener('play', () => this.startLoop());
+        for (const type of ['pause', 'seeked', 'loadedmetadata', 'ended']) {
+            this.video.addEventListener(type, () => this.update(true));
+        }
+    }
+
+    /**
+     * Set callbacks
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onUpdate - Called with (sample|null, time, duration) as playback moves
+     */
+    setCallbacks({ onUpdate }) {
+        this.onUpdate = onUpdate;
+    }
+
+    /**
+     * Load a video with its level track
+     * @param {File} videoFile - Exported video
+     * @param {LevelTrack} track - Levels recorded with the video
+     * @returns {Object} Statistics summary of the whole track
+     */
+    load(videoFile, track) {
+        this.close();
+        this.track = track;
+
+        const startTime = track.getStartTime();
+        const samples = track.getSamples();
+        const statistics = new NoiseStatistics();
+        this.history = new LevelHistory(Math.max(1000, this.getTrackDuration() * 1000));
+        for (const sample of samples) {
+            const time = startTime + sample.t * 1000;
+            if (Number.isFinite(sample.level)) {
+                this.history.add(time, sample.level);
+                statistics.addSample({
+                    time,
+                    duration: sample.duration,
+                    level: sample.level,
+                    leq: Number.isFinite(sample.leq) ? sample.leq : -Infinity,
+                    peak: Number.isFinite(sample.peak) ? sample.peak : -Infinity
+                });
+            }
+        }
+
+        this.objectUrl = URL.createObjectURL(videoFile);
+        this.video.src = this.objectUrl;
+        return statistics.getSummary('session');
+    }
+
+    /**
+     * Resize the chart to its displayed size (after the player is shown)
+     */
+    resize() {
+        this.chart.resize();
+        this.update(true);
+    }
+
+    /**
+     * Jump to a position
+     * @param {number} fraction - Position as a fraction of the duration (0..1)
+     */
+    seek(fraction) {
+        if (!this.track) return;
+        this.video.currentTime = fraction * this.getDuration();
+        this.update(true);
+    }
+
+    /**
+     * Playback duration. MediaRecorder WebM files often report an infinite
+     * duration, the track's length is used then.
+     * @returns {number} Seconds
+     */
+    getDuration() {
+        return Number.isFinite(this.video.duration) ? this.video.duration : this.getTrackDuration();
+    }
+
+    /**
+     * Stop playback and release the video
+     */
+    close() {
+        this.stopLoop();
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+        this.track = null;
+        this.history = null;
+    }
+
+    /**
+     * @private
+     */
+    getTrackDuration() {
+        const samples = this.track ? this.track.getSamples() : [];
+        return samples.length ? samples[samples.length - 1].t : 0;
+    }
+
+    /**
+     * Follow playback every frame
+     * @private
+     */
+    startLoop() {
+        this.stopLoop();
+        const loop = () => {
+            this.update(false);
+            if (!this.video.paused && !this.video.ended) {
+                this.animationFrame = requestAnimationFrame(loop);
+            }
+        };
+        loop();
+    }
+
+    /**
+     * @private
+     */
+    stopLoop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    /**
+     * Report the level at the playback position and move the chart cursor
+     * @private
+     */
+    update(force) {
+        if (!this.track) return;
+
+        const time = this.video.currentTime;
+        const duration = this.getDuration();
+        if (this.onUpdate) this.onUpdate(this.track.sampleAt(time), time, duration);
+
+        // The chart covers the whole track, redrawing it every frame is not needed
+        const now = Date.now();
+        if (!force && now - this.lastChartDraw < HISTORY_CONFIG.drawInterval) return;
+        this.lastChartDraw = now;
+
+        const startTime = this.track.getStartTime();
+        this.chart.drawRange(this.history, startTime, startTime + duration * 1000, '', startTime + time * 1000);
+    }
+}
@@ -0,0 +1,332 @@
+/**
+ * DBA Noise Meter - Report Builder Module
+ * Builds a self-contained, printable HTML measurement report of a logged session:
+ * location, time range, device and calibration, level-vs-time chart, statistics,
+ * day-evening-night indicators, comparison with the standard's limits, events
+ * and the photos taken during the session. PDF output goes through the print dialog.
+ */
+
+import { APP_INFO, MESSAGES, REPORT_CONFIG, STANDARDS_CONFIG, TIME_WEIGHTING_CONFIG, UI_CONFIG } from './constants.js';
+import { drawLevelHistory } from './HistoryChart.js';
+import { getPeriod, getSampleDate } from './StandardsManager.js';
+import { formatDateTime, formatDuration, formatLevel, formatOffset, generateFilename, downloadBlob } from '../utils/helpers.js';
+
+const STYLES = `
+    body { font-family: Arial, sans-serif; color: #222; margin: 24px auto; max-width: 960px; padding: 0 16px; }
+    h1 { font-size: 24px; margin-bottom: 4px; }
+    h2 { font-size: 18px; margin-top: 28px; border-bottom: 2px solid #333; padding-bottom: 4px; }
+    .subtitle { color: #666; margin-top: 0; }
+    table { border-collapse: collapse; width: 100%; font-size: 14px; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f2f2f2; }
+    td.number { text-align: right; font-variant-numeric: tabular-nums; }
+    .pass { color: #0a7d33; font-weight: bold; }
+    .fail { color: #c62828; font-weight: bold; }
+    .chart { width: 100%; border-radius: 6px; }
+    .photos { display: grid; grid-template-columns: repeat(auto-fill, minmax(280px, 1fr)); gap: 12px; }
+    figure { margin: 0; break-inside: avoid; }
+    figure img { width: 100%; border-radius: 6px; }
+    figcaption { font-size: 12px; color: #555; margin-top: 4px; }
+    .print { margin-top: 24px; padding: 10px 20px; font-size: 15px; cursor: pointer; }
+    @media print {
+        body { margin: 0; max-width: none; }
+        .print { display: none; }
+        h2, table, .chart { break-inside: avoid; }
+    }
+`;
+
+/**
+ * Escape text for HTML
+ * @private
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Table rows of label/value pairs, skipping empty values
+ * @private
+ */
+function detailRows(rows) {
+    return rows
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${value}</td></tr>`)
+        .join('');
+}
+
+/**
+ * Level with unit, or '--'
+ * @private
+ */
+function levelText(value, unit) {
+    return Number.isFinite(value) ? `${formatLevel(value)} ${unit}` : '--';
+}
+
+/**
+ * Downscale a photo to a JPEG data URL so the report has no external files
+ * and stays small
+ * @private
+ */
+async function photoToDataUrl(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, REPORT_CONFIG.photoMaxSize / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas.toDataURL('image/jpeg', REPORT_CONFIG.photoQuality);
+}
+
+/**
+ * Leq and time over the limit in each period of a standard with a limit
+ * @private
+ */
+function compareLimits(standard, samples) {
+    if (!standard) return [];
+
+    return STANDARDS_CONFIG.periods
+        .filter(period => Number.isFinite(standard.limits[period]))
+        .map(period => {
+            const limit = standard.limits[period];
+            let energy = 0;
+            let duration = 0;
+            let over = 0;
+            for (const sample of samples) {
+                if (!Number.isFinite(sample.leq) || !(sample.duration > 0)) continue;
+                if (getPeriod(standard, getSampleDate(sample)) !== period) continue;
+                energy += sample.duration * Math.pow(10, sample.leq / 10);
+                duration += sample.duration;
+                if (sample.leq > limit) over += sample.duration;
+            }
+            const leq = duration > 0 ? 10 * Math.log10(energy / duration) : null;
+            return { period, start: standard.periods[period], limit, leq, duration, over };
+        });
+}
+
+export class ReportBuilder {
+    /**
+     * Draw the level-vs-time chart of the samples as a PNG data URL
+     * @private
+     */
+    renderChart(samples, startTime, endTime, label) {
+        const canvas = document.createElement('canvas');
+        canvas.width = REPORT_CONFIG.chartWidth;
+        canvas.height = REPORT_CONFIG.chartHeight;
+
+        // The samples stand in for a LevelHistory; the line follows the interval Leq
+        const series = {
+            forEachSince(fromTime, callback) {
+                for (const sample of samples) {
+                    const level = Number.isFinite(sample.leq) ? sample.leq : sample.level;
+                    if (sample.time >= fromTime && Number.isFinite(level)) callback(sample.time, level);
+                }
+            }
+        };
+        // Consecutive samples are one logging interval apart, a missed one breaks the line
+        const interval = samples.length > 1 ? (samples[samples.length - 1].time - samples[0].time) / (samples.length - 1) : 0;
+
+        drawLevelHistory(canvas.getContext('2d'), 0, 0, canvas.width, canvas.height, series, {
+            span: Math.max(1, endTime - startTime),
+            label,
+            now: endTime,
+            scale: 1.5,
+            borderRadius: 8,
+            maxGap: interval * 3
+        });
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Build the report
+     * @param {Object} data
+     * @param {Object} data.session - Session record
+     * @param {Object[]} data.samples - Samples of the session
+     * @param {Object[]} data.events - Event markers of the session
+     * @param {Object[]} data.photos - Photos of the session ({ time, blob, filename, level })
+     * @param {Object} data.metadata - From SessionExporter.buildMetadata()
+     * @param {Object} data.summary - From SessionExporter.summarize()
+     * @param {Object} data.overLimit - From SessionExporter.summarizeLimit()
+     * @param {Object} data.indicators - From computeIndicators()
+     * @returns {Promise<string>} HTML document
+     */
+    async build({ session, samples, events, photos, metadata, summary, overLimit, indicators }) {
+        const text = MESSAGES.report;
+        const unit = metadata.unit;
+        const startTime = new Date(metadata.startTime).getTime();
+        const endTime = new Date(metadata.endTime).getTime();
+        const date = (time) => escapeHtml(formatDateTime(new Date(time), UI_CONFIG.locale));
+
+        // Measurement details
+        let location = escapeHtml(MESSAGES.geolocation.na);
+        if (metadata.latitude && metadata.longitude) {
+            const mapUrl = REPORT_CONFIG.mapUrl.replace(/\{lat\}/g, metadata.latitude).replace(/\{lon\}/g, metadata.longitude);
+            location = `${escapeHtml(metadata.latitude)}, ${escapeHtml(metadata.longitude)} · <a href="${escapeHtml(mapUrl)}">${escapeHtml(text.map)}</a>`;
+        }
+        const timeWeighting = TIME_WEIGHTING_CONFIG.types[metadata.timeWeighting];
+        const calibration = session.calibration && (session.calibration.date || session.calibration.offset)
+            ? [
+                formatOffset(session.calibration.offset),
+                session.calibration.referenceLevel ? `${text.reference} ${session.calibration.referenceLevel} dB` : '',
+                session.calibration.date ? formatDateTime(new Date(session.calibration.date), UI_CONFIG.locale) : ''
+            ].filter(Boolean).join(' · ')
+            : MESSAGES.calibration.none;
+        const device = metadata.device || {};
+        const details = detailRows([
+            [text.timeRange, `${date(startTime)} – ${date(endTime)}`],
+            [text.duration, escapeHtml(formatDuration((endTime - startTime) / 1000))],
+            [text.location, location],
+            [MESSAGES.fileAnalysis.file, metadata.source ? escapeHtml(metadata.source.name) : null],
+            [text.weighting, escapeHtml([unit, timeWeighting ? timeWeighting.label : ''].filter(Boolean).join(' · '))],
+            [text.microphone, escapeHtml(device.microphone)],
+            [text.sampleRate, device.sampleRate ? escapeHtml(`${device.sampleRate} Hz`) : null],
+            [text.browser, escapeHtml(device.userAgent)],
+            [text.calibration, escapeHtml(calibration)],
+            [text.samples, escapeHtml(samples.length)]
+        ]);
+
+        // Statistics and day-evening-night indicators
+        const statistics = [
+            ['Leq', summary.leq], ['Lmax', summary.lmax], ['Lmin', summary.lmin], ['Lpeak', summary.lpeak],
+            ['L10', summary.l10], ['L50', summary.l50], ['L90', summary.l90],
+            ['Ld', indicators.ld], ['Le', indicators.le], ['Ln', indicators.ln],
+            ['Lden', indicators.lden], ['Ldn', indicators.ldn]
+        ].filter(([, value]) => Number.isFinite(value))
+            .map(([label, value]) => `<tr><th>${label}</th><td class="number">${escapeHtml(levelText(value, unit))}</td></tr>`)
+            .join('');
+
+        // Comparison with the limits of the standard
+        const comparison = compareLimits(session.standard, samples);
+        let comparisonHtml = `<p>${escapeHtml(MESSAGES.standards.noLimit)}</p>`;
+        if (comparison.length) {
+            const rows = comparison.map(row => {
+                let result = escapeHtml(text.noData);
+                if (row.leq !== null) {
+                    result = row.leq <= row.limit
+                        ? `<span class="pass">${escapeHtml(text.pass)}</span>`
+                        : `<span class="fail">${escapeHtml(text.fail)}</span>`;
+                }
+                return `<tr>
+                    <td>${escapeHtml(MESSAGES.standards.periods[row.period])}</td>
+                    <td class="number">${escapeHtml(`${row.start}:00`)}</td>
+                    <td class="number">${escapeHtml(levelText(row.limit, unit))}</td>
+                    <td class="number">${escapeHtml(levelText(row.leq, unit))}</td>
+                    <td class="number">${escapeHtml(formatDuration(row.over))} / ${escapeHtml(formatDuration(row.duration))}</td>
+                    <td>${result}</td>
+                </tr>`;
+            }).join('');
+            const overall = Number.isFinite(overLimit.percent)
+                ? `<p>${escapeHtml(text.overLimit)}: ${escapeHtml(formatDuration(overLimit.duration))} (${escapeHtml(overLimit.percent.toFixed(1))}%)</p>`
+                : '';
+            comparisonHtml = `<table>
+                <tr><th>${escapeHtml(text.period)}</th><th>${escapeHtml(text.start)}</th><th>${escapeHtml(text.limit)}</th>
+                    <th>Leq</th><th>${escapeHtml(text.overLimit)}</th><th>${escapeHtml(text.result)}</th></tr>
+                ${rows}
+            </table>${overall}`;
+        }
+        const standardHtml = session.standard
+            ? `<p>${escapeHtml(text.standard)}: <strong>${escapeHtml(session.standard.name)}</strong></p>\n`
+            : '';
+
+        // Events
+        const eventsHtml = events.length
+            ? `<h2>${escapeHtml(text.events)}</h2><table>
+                <tr><th>${escapeHtml(text.time)}</th><th>${escapeHtml(text.type)}</th><th>${escapeHtml(text.description)}</th>
+                    <th>${escapeHtml(text.value)}</th></tr>
+                ${events.map(e => `<tr>
+                    <td>${date(e.time)}</td>
+                    <td>${escapeHtml(text.eventTypes[e.type] || e.type)}</td>
+                    <td>${escapeHtml(e.description)}</td>
+                    <td class="number">${escapeHtml(levelText(e.value, unit))}</td>
+                </tr>`).join('')}
+            </table>`
+            : '';
+
+        // Photos
+        // One at a time, so only one full-size image is decoded at once
+        const embedded = photos.slice(0, REPORT_CONFIG.maxPhotos);
+        const photoUrls = [];
+        for (const photo of embedded) {
+            photoUrls.push(await photoToDataUrl(photo.blob));
+        }
+        const omitted = photos.length > embedded.length
+            ? `<p>${escapeHtml(`${text.morePhotos}: ${photos.length - embedded.length}`)}</p>`
+            : '';
+        const photosHtml = photos.length
+            ? `<div class="photos">${embedded.map((photo, i) => `<figure>
+                <img src="${photoUrls[i]}" alt="${escapeHtml(photo.filename)}">
+                <figcaption>${date(photo.time)} · ${escapeHtml(levelText(photo.level, unit))}</figcaption>
+            </figure>`).join('')}</div>${omitted}`
+            : `<p>${escapeHtml(text.noPhotos)}</p>`;
+
+        const chart = samples.length
+            ? `<img class="chart" src="${this.renderChart(samples, startTime, endTime, `${unit} · Leq`)}" alt="${escapeHtml(text.chart)}">`
+            : `<p>${escapeHtml(text.noData)}</p>`;
+
+        return `<!DOCTYPE html>
+<html lang="${escapeHtml(document.documentElement.lang)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(text.title)} - ${date(startTime)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(text.title)}</h1>
+<p class="subtitle">${escapeHtml(`${APP_INFO.name} ${APP_INFO.version}`)} · ${escapeHtml(text.generated)} ${date(Date.now())}</p>
+<h2>${escapeHtml(text.measurement)}</h2>
+<table>${details}</table>
+<h2>${escapeHtml(text.chart)}</h2>
+${chart}
+<h2>${escapeHtml(text.statistics)}</h2>
+<table>${statistics}</table>
+<h2>${escapeHtml(text.comparison)}</h2>
+${standardHtml}${comparisonHtml}
+${eventsHtml}
+<h2>${escapeHtml(text.photos)}</h2>
+${photosHtml}
+<button class="print" onclick="window.print()">${escapeHtml(text.print)}</button>
+</body>
+</html>`;
+    }
+
+    /**
+     * Download the report as an HTML file
+     * @param {string} html - Report from build()
+     * @param {Object} metadata - From SessionExporter.buildMetadata()
+     * @returns {string} Filename
+     */
+    download(html, metadata) {
+        const filename = generateFilename(
+            `REPORT_${metadata.unit}`,
+            'html',
+            metadata.latitude,
+            metadata.longitude,
+            new Date(metadata.startTime)
+        );
+        downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), filename);
+        return filename;
+    }
+
+    /**
+     * Open the print dialog for the report (the browser saves it as PDF), from a hidden frame
+     * @param {string} html - Report from build()
+     */
+    print(html) {
+        const frame = document.createElement('iframe');
+        frame.className = 'report-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.onload = () => {
+            const view = frame.contentWindow;
+            view.addEventListener('afterprint', () => frame.remove());
+            view.focus();
+            view.print();
+        };
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    }
+}
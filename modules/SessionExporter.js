@@ -0,0 +1,374 @@
+/**
+ * DBA Noise Meter - Session Exporter Module
+ * Builds CSV and JSON exports of logged sessions with summary statistics,
+ * day-evening-night indicators and the comparison with the limits of the
+ * noise standard in use, and of noise dose measurements
+ */
+
+import { APP_INFO, WEIGHTING_CONFIG, DOSIMETER_CONFIG, INDICATORS_CONFIG } from './constants.js';
+import { NoiseStatistics } from './NoiseStatistics.js';
+import { getLimit, getSampleDate } from './StandardsManager.js';
+import { computeIndicators } from './EnvironmentalIndicators.js';
+import { generateFilename, downloadBlob } from '../utils/helpers.js';
+
+/**
+ * Quote a CSV field when needed
+ * @private
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Add '#' metadata lines for nested details with dotted keys
+ * @private
+ */
+function csvDetails(lines, prefix, value) {
+    for (const [field, fieldValue] of Object.entries(value)) {
+        if (fieldValue && typeof fieldValue === 'object') {
+            csvDetails(lines, `${prefix}.${field}`, fieldValue);
+        } else {
+            lines.push(`# ${prefix}.${field},${csvField(fieldValue)}`);
+        }
+    }
+}
+
+/**
+ * Add '#' metadata lines, flat values first, then nested details with dotted keys
+ * @private
+ */
+function csvMetadata(lines, metadata) {
+    for (const [key, value] of Object.entries(metadata)) {
+        if (value && typeof value === 'object') continue;
+        lines.push(`# ${key},${csvField(value)}`);
+    }
+    for (const [key, value] of Object.entries(metadata)) {
+        if (!value || typeof value !== 'object') continue;
+        csvDetails(lines, key, value);
+    }
+}
+
+/**
+ * Round a level for export
+ * @private
+ */
+function round(value, digits = 2) {
+    return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+export class SessionExporter {
+    constructor() {
+        // Period start hours and penalties of the day-evening-night indicators
+        this.indicatorSettings = { periods: { ...INDICATORS_CONFIG.periods }, penalties: { ...INDICATORS_CONFIG.penalties } };
+    }
+
+    /**
+     * Use the day-evening-night settings chosen by the user
+     * @param {{periods: Object, penalties: Object}} settings - From EnvironmentalIndicators.getSettings()
+     */
+    setIndicatorSettings(settings) {
+        this.indicatorSettings = settings;
+    }
+
+    /**
+     * Summary statistics of logged samples. Lmax, Lmin and the percentiles come from the
+     * level histogram of each sample, so they match the live statistics; samples logged
+     * without one only count their end-of-interval level.
+     * @param {Object[]} samples - Samples from the session store
+     * @returns {Object} Summary as returned by NoiseStatistics.getSummary()
+     */
+    summarize(samples) {
+        const statistics = new NoiseStatistics();
+        for (const sample of samples) {
+            if (!Number.isFinite(sample.leq) && !Number.isFinite(sample.level)) continue;
+            statistics.addSample({
+                time: sample.time,
+                duration: sample.duration,
+                level: sample.level,
+                leq: Number.isFinite(sample.leq) ? sample.leq : -Infinity,
+                peak: Number.isFinite(sample.peak) ? sample.peak : -Infinity,
+                histogram: sample.histogram
+            });
+        }
+        return statistics.getSummary('session');
+    }
+
+    /**
+     * Time the interval Leq was above the standard's limit of its period
+     * @param {Object|null} standard - Standards profile stored with the session
+     * @param {Object[]} samples - Samples from the session store
+     * @returns {{duration: number|null, percent: number|null}} Seconds and share of the time a limit applied
+     */
+    summarizeLimit(standard, samples) {
+        let limited = 0;
+        let over = 0;
+        if (standard) {
+            for (const sample of samples) {
+                const limit = getLimit(standard, getSampleDate(sample));
+                if (limit === null || !Number.isFinite(sample.leq)) continue;
+                limited += sample.duration;
+                if (sample.leq > limit) over += sample.duration;
+            }
+        }
+        return limited > 0
+            ? { duration: over, percent: over / limited * 100 }
+            : { duration: null, percent: null };
+    }
+
+    /**
+     * Session metadata for exports
+     * @param {Object} session - Session record
+     * @param {Object[]} samples - Samples of the session
+     * @returns {Object}
+     */
+    buildMetadata(session, samples) {
+        const located = samples.find(s => s.latitude && s.longitude);
+        const latitude = session.latitude || (located ? located.latitude : null);
+        const longitude = session.longitude || (located ? located.longitude : null);
+        const endTime = session.endTime || (samples.length ? samples[samples.length - 1].time : session.startTime);
+        const weighting = session.weighting || WEIGHTING_CONFIG.default;
+
+        return {
+            app: APP_INFO.name,
+            appVersion: APP_INFO.version,
+            sessionId: session.id,
+            startTime: new Date(session.startTime).toISOString(),
+            endTime: new Date(endTime).toISOString(),
+            latitude,
+            longitude,
+            weighting,
+            unit: WEIGHTING_CONFIG.types[weighting].label,
+            timeWeighting: session.timeWeighting || null,
+            interval: session.interval,
+            calibrationOffset: session.calibration ? round(session.calibration.offset) : null,
+            calibrationDate: session.calibration ? session.calibration.date : null,
+            calibrationReference: session.calibration ? session.calibration.referenceLevel : null,
+            device: session.device || null,
+            source: session.source || null,
+            standard: session.standard
+                ? { name: session.standard.name, periods: session.standard.periods, limits: session.standard.limits }
+                : null,
+            indicators: this.indicatorSettings
+        };
+    }
+
+    /**
+     * Build the JSON export
+     * @param {Object} session - Session record
+     * @param {Object[]} samples - Samples of the session
+     * @param {Object[]} [events] - Event markers of the session
+     * @returns {Object}
+     */
+    toJSON(session, samples, events = []) {
+        const summary = this.summarize(samples);
+        const overLimit = this.summarizeLimit(session.standard, samples);
+        const indicators = computeIndicators(samples, this.indicatorSettings);
+
+        return {
+            metadata: this.buildMetadata(session, samples),
+            summary: {
+                duration: round(summary.duration, 3),
+                leq: round(summary.leq),
+                lmax: round(summary.lmax),
+                lmin: round(summary.lmin),
+                lpeak: round(summary.lpeak),
+                l10: round(summary.l10),
+                l50: round(summary.l50),
+                l90: round(summary.l90),
+                overLimitDuration: round(overLimit.duration, 1),
+                overLimitPercent: round(overLimit.percent, 1),
+                ld: round(indicators.ld),
+                le: round(indicators.le),
+                ln: round(indicators.ln),
+                lden: round(indicators.lden),
+                ldn: round(indicators.ldn),
+                dayDuration: round(indicators.durations.day, 1),
+                eveningDuration: round(indicators.durations.evening, 1),
+                nightDuration: round(indicators.durations.night, 1)
+            },
+            events: events.map(e => ({
+                time: new Date(e.time).toISOString(),
+                type: e.type,
+                state: e.state,
+                description: e.description,
+                value: round(e.value),
+                latitude: e.latitude,
+                longitude: e.longitude
+            })),
+            samples: samples.map(s => ({
+                time: new Date(s.time).toISOString(),
+                duration: round(s.duration, 3),
+                level: round(s.level),
+                lmax: round(s.lmax),
+                lmin: round(s.lmin),
+                leq: round(s.leq),
+                peak: round(s.peak),
+                weighting: s.weighting,
+                latitude: s.latitude,
+                longitude: s.longitude
+            }))
+        };
+    }
+
+    /**
+     * Build the CSV export: '#' metadata, summary and event lines, then one row per sample
+     * @param {Object} session - Session record
+     * @param {Object[]} samples - Samples of the session
+     * @param {Object[]} [events] - Event markers of the session
+     * @returns {string}
+     */
+    toCSV(session, samples, events = []) {
+        const { metadata, summary, events: eventRows, samples: rows } = this.toJSON(session, samples, events);
+        const lines = [];
+
+        // Nested details (device, source, standard, indicators) as dotted keys
+        csvMetadata(lines, metadata);
+        for (const [key, value] of Object.entries(summary)) {
+            lines.push(`# summary.${key},${csvField(value)}`);
+        }
+        for (const event of eventRows) {
+            const fields = [event.time, event.type, event.state, event.description, event.value];
+            lines.push(`# event,${fields.map(csvField).join(',')}`);
+        }
+
+        const columns = ['time', 'duration', 'level', 'lmax', 'lmin', 'leq', 'peak', 'weighting', 'latitude', 'longitude'];
+        lines.push(columns.join(','));
+        for (const row of rows) {
+            lines.push(columns.map(c => csvField(row[c])).join(','));
+        }
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Download a session as CSV or JSON
+     * @param {Object} session - Session record
+     * @param {Object[]} samples - Samples of the session
+     * @param {string} format - 'csv' or 'json'
+     * @param {Object[]} [events] - Event markers of the session
+     * @returns {string} Filename
+     */
+    download(session, samples, format, events = []) {
+        const content = format === 'csv'
+            ? this.toCSV(session, samples, events)
+            : JSON.stringify(this.toJSON(session, samples, events), null, 2);
+        const type = format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json';
+
+        const metadata = this.buildMetadata(session, samples);
+        const filename = generateFilename(
+            `LOG_${metadata.unit}`,
+            format,
+            metadata.latitude,
+            metadata.longitude,
+            new Date(session.startTime)
+        );
+
+        downloadBlob(new Blob([content], { type }), filename);
+        return filename;
+    }
+
+    /**
+     * Build the JSON export of a noise dose measurement
+     * @param {Object} report - Report from NoiseDosimeter.getReport()
+     * @param {Object} context - { calibration, device, latitude, longitude } at export time
+     * @returns {Object}
+     */
+    doseToJSON(report, context) {
+        const { settings, results, minutes } = report;
+        const weighting = results.weighting || WEIGHTING_CONFIG.default;
+        const calibration = context.calibration;
+
+        return {
+            metadata: {
+                app: APP_INFO.name,
+                appVersion: APP_INFO.version,
+                startTime: results.startTime !== null ? new Date(results.startTime).toISOString() : null,
+                endTime: results.endTime !== null ? new Date(results.endTime).toISOString() : null,
+                latitude: context.latitude,
+                longitude: context.longitude,
+                weighting,
+                unit: WEIGHTING_CONFIG.types[weighting].label,
+                criterion: settings.criterion,
+                exchangeRate: settings.exchangeRate,
+                threshold: settings.threshold,
+                criterionHours: DOSIMETER_CONFIG.criterionTime / 3600,
+                calibrationOffset: calibration ? round(calibration.offset) : null,
+                calibrationDate: calibration ? calibration.date : null,
+                calibrationReference: calibration ? calibration.referenceLevel : null,
+                device: context.device || null
+            },
+            results: {
+                duration: round(results.duration, 1),
+                leq: round(results.leq),
+                lmax: round(results.lmax),
+                lpeak: round(results.lpeak),
+                dose: round(results.dose),
+                twa: round(results.twa),
+                projectedDose: round(results.projectedDose),
+                projectedTwa: round(results.projectedTwa),
+                lex8h: round(results.lex8h),
+                timeTo100: round(results.timeTo100, 0)
+            },
+            minutes: minutes.map(m => ({
+                time: new Date(m.time).toISOString(),
+                duration: round(m.duration, 1),
+                leq: round(m.leq),
+                lmax: round(m.lmax)
+            }))
+        };
+    }
+
+    /**
+     * Build the CSV export of a noise dose measurement: '#' metadata and result lines,
+     * then one row per minute
+     * @param {Object} report - Report from NoiseDosimeter.getReport()
+     * @param {Object} context - { calibration, device, latitude, longitude } at export time
+     * @returns {string}
+     */
+    doseToCSV(report, context) {
+        const { metadata, results, minutes } = this.doseToJSON(report, context);
+        const lines = [];
+
+        csvMetadata(lines, metadata);
+        for (const [key, value] of Object.entries(results)) {
+            lines.push(`# result.${key},${csvField(value)}`);
+        }
+
+        const columns = ['time', 'duration', 'leq', 'lmax'];
+        lines.push(columns.join(','));
+        for (const row of minutes) {
+            lines.push(columns.map(c => csvField(row[c])).join(','));
+        }
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Download a noise dose measurement as CSV or JSON
+     * @param {Object} report - Report from NoiseDosimeter.getReport()
+     * @param {Object} context - { calibration, device, latitude, longitude } at export time
+     * @param {string} format - 'csv' or 'json'
+     * @returns {string} Filename
+     */
+    downloadDose(report, context, format) {
+        const data = this.doseToJSON(report, context);
+        const content = format === 'csv'
+            ? this.doseToCSV(report, context)
+            : JSON.stringify(data, null, 2);
+        const type = format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json';
+
+        const startTime = report.results.startTime;
+        const filename = generateFilename(
+            `DOSE_${data.metadata.unit}`,
+            format,
+            data.metadata.latitude,
+            data.metadata.longitude,
+            startTime !== null ? new Date(startTime) : new Date()
+        );
+
+        downloadBlob(new Blob([content], { type }), filename);
+        return filename;
+    }
+}
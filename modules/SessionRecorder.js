@@ -0,0 +1,324 @@
+/**
+ * DBA Noise Meter - Session Recorder Module
+ * Turns measured blocks into timestamped samples and logs them to the session store
+ */
+
+import { SESSION_CONFIG, STATISTICS_CONFIG } from './constants.js';
+
+/**
+ * Add a measured block to the sample being accumulated
+ * @private
+ */
+function accumulate(pending, block) {
+    const sample = pending || {
+        energy: 0,
+        duration: 0,
+        peak: -Infinity,
+        lmax: -Infinity,
+        lmin: Infinity,
+        histogram: {},
+        level: block.level
+    };
+    sample.energy += block.duration * Math.pow(10, block.leq / 10);
+    sample.duration += block.duration;
+    sample.peak = Math.max(sample.peak, block.peak);
+    sample.level = block.level;
+    sample.time = block.time;
+
+    // Every block counts towards the extremes and percentiles, not just the last one
+    if (Number.isFinite(block.level)) {
+        sample.lmax = Math.max(sample.lmax, block.level);
+        sample.lmin = Math.min(sample.lmin, block.level);
+        const bin = Math.round(block.level / STATISTICS_CONFIG.histogramResolution);
+        sample.histogram[bin] = (sample.histogram[bin] || 0) + block.duration;
+    }
+    return sample;
+}
+
+/**
+ * Turn accumulated blocks into a stored sample. `level` is the time-weighted level
+ * at the end of the interval, `lmax`/`lmin` its extremes over the interval and
+ * `histogram` the seconds spent at each level (keyed by level / histogramResolution,
+ * rounded) for percentiles.
+ * @private
+ */
+function toSample(pending, sessionId, { weighting, latitude, longitude }) {
+    return {
+        sessionId,
+        time: pending.time,
+        duration: pending.duration,
+        level: pending.level,
+        lmax: Number.isFinite(pending.lmax) ? pending.lmax : null,
+        lmin: Number.isFinite(pending.lmin) ? pending.lmin : null,
+        histogram: pending.histogram,
+        leq: pending.energy > 0 ? 10 * Math.log10(pending.energy / pending.duration) : null,
+        peak: Number.isFinite(pending.peak) ? pending.peak : null,
+        weighting,
+        latitude,
+        longitude
+    };
+}
+
+export class SessionRecorder {
+    /**
+     * @param {SessionStore} store - Persistence backend
+     */
+    constructor(store) {
+        this.store = store;
+        this.session = null;
+        this.interval = SESSION_CONFIG.defaultInterval;
+        this.buffer = [];
+        this.flushTimer = null;
+        this.pending = null;          // Blocks accumulated for the current sample
+        this.getContext = () => ({}); // Provides weighting and position for each sample
+    }
+
+    /**
+     * Set provider for per-sample context
+     * @param {Function} provider - Returns { weighting, latitude, longitude }
+     */
+    setContextProvider(provider) {
+        this.getContext = provider;
+    }
+
+    /**
+     * Set the logging interval for new sessions
+     * @param {number} interval - ms between samples
+     */
+    setSampleInterval(interval) {
+        this.interval = interval;
+    }
+
+    /**
+     * Get the logging interval
+     * @returns {number} ms between samples
+     */
+    getSampleInterval() {
+        return this.interval;
+    }
+
+    /**
+     * Check whether a session is being logged
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.session !== null;
+    }
+
+    /**
+     * Get the session being logged
+     * @returns {Object|null}
+     */
+    getSession() {
+        return this.session;
+    }
+
+    /**
+     * Start logging a new session
+     * @param {Object} metadata - Device, calibration and other session details
+     * @returns {Promise<Object>} The created session
+     */
+    async start(metadata) {
+        if (this.session) await this.stop();
+
+        const session = {
+            ...metadata,
+            startTime: Date.now(),
+            endTime: null,
+            interval: this.interval,
+            status: 'active'
+        };
+        session.id = await this.store.createSession(session);
+
+        this.begin(session);
+        return session;
+    }
+
+    /**
+     * Continue logging into an existing session
+     * @param {number} id - Session id
+     * @returns {Promise<Object>} The resumed session
+     */
+    async resume(id) {
+        if (this.session) await this.stop();
+
+        const session = await this.store.updateSession(id, { status: 'active', endTime: null });
+        this.interval = session.interval;
+
+        this.begin(session);
+        return session;
+    }
+
+    /**
+     * @private
+     */
+    begin(session) {
+        this.session = session;
+        this.pending = null;
+        this.buffer = [];
+        // Marks the session for resuming after a reload; logging works without it
+        try {
+            localStorage.setItem(SESSION_CONFIG.activeSessionKey, String(session.id));
+        } catch (e) {
+            console.warn('Could not store active session:', e);
+        }
+        // A resume racing another start or resume must not leave a second timer running
+        clearInterval(this.flushTimer);
+        this.flushTimer = setInterval(() => this.flush(), SESSION_CONFIG.flushInterval);
+    }
+
+    /**
+     * Stop logging and close the session
+     * @returns {Promise<Object|null>} The closed session
+     */
+    async stop() {
+        if (!this.session) return null;
+
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        this.emitPending();
+        await this.flush();
+
+        const session = await this.store.updateSession(this.session.id, {
+            endTime: Date.now(),
+            status: 'completed'
+        });
+
+        this.session = null;
+        this.clearInterrupted();
+        return session;
+    }
+
+    /**
+     * Id of a session that was still being logged when the page closed
+     * @returns {number|null}
+     */
+    getInterruptedSessionId() {
+        try {
+            const id = parseInt(localStorage.getItem(SESSION_CONFIG.activeSessionKey), 10);
+            return Number.isFinite(id) && !this.session ? id : null;
+        } catch (e) {
+            console.warn('Could not read active session:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Forget the session marked as being logged, e.g. when it is deleted
+     */
+    clearInterrupted() {
+        try {
+            localStorage.removeItem(SESSION_CONFIG.activeSessionKey);
+        } catch (e) {
+            console.warn('Could not clear active session:', e);
+        }
+    }
+
+    /**
+     * Feed a measured block (from AudioAnalyzer)
+     * @param {{time: number, duration: number, level: number, leq: number, peak: number}} block
+     */
+    addBlock(block) {
+        if (!this.session) return;
+
+        this.pending = accumulate(this.pending, block);
+
+        // Emit once the interval is covered (small tolerance for report rounding)
+        if (this.pending.duration * 1000 >= this.interval - 1) {
+            this.emitPending();
+        }
+    }
+
+    /**
+     * Log an event marker into the active session
+     * @param {Object} event - Event with time and type (e.g. an alarm)
+     */
+    async addEvent(event) {
+        if (!this.session) return;
+
+        const { latitude, longitude } = this.getContext();
+        try {
+            await this.store.addEvent({ ...event, sessionId: this.session.id, latitude, longitude });
+        } catch (error) {
+            console.error('Could not store event:', error);
+        }
+    }
+
+    /**
+     * Keep a photo taken during the active session (for reports)
+     * @param {{time: number, blob: Blob, filename: string, level: number}} photo - Captured photo
+     */
+    async addPhoto(photo) {
+        if (!this.session) return;
+
+        const { latitude, longitude } = this.getContext();
+        try {
+            await this.store.addPhoto({ ...photo, sessionId: this.session.id, latitude, longitude });
+        } catch (error) {
+            console.error('Could not store photo:', error);
+        }
+    }
+
+    /**
+     * Turn accumulated blocks into a sample
+     * @private
+     */
+    emitPending() {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending || pending.duration <= 0) return;
+
+        this.buffer.push(toSample(pending, this.session.id, this.getContext()));
+    }
+
+    /**
+     * Store already measured blocks (e.g. of an analyzed file) as a completed session,
+     * sampled at the current logging interval. A session being logged is not affected.
+     * @param {Object} metadata - Session details (weighting, source, ...)
+     * @param {number} startTime - Start of the measurement (ms since epoch)
+     * @param {Object[]} blocks - Measured blocks in time order
+     * @returns {Promise<Object>} The created session
+     */
+    async importBlocks(metadata, startTime, blocks) {
+        const session = {
+            ...metadata,
+            startTime,
+            endTime: blocks.length ? blocks[blocks.length - 1].time : startTime,
+            interval: this.interval,
+            status: 'completed'
+        };
+        session.id = await this.store.createSession(session);
+
+        const context = { weighting: metadata.weighting, latitude: null, longitude: null };
+        const samples = [];
+        let pending = null;
+        for (const block of blocks) {
+            pending = accumulate(pending, block);
+            if (pending.duration * 1000 >= this.interval - 1) {
+                samples.push(toSample(pending, session.id, context));
+                pending = null;
+            }
+        }
+        if (pending) samples.push(toSample(pending, session.id, context));
+
+        await this.store.addSamples(samples);
+        return session;
+    }
+
+    /**
+     * Write buffered samples to the store
+     */
+    async flush() {
+        if (this.buffer.length === 0) return;
+
+        const samples = this.buffer;
+        this.buffer = [];
+        try {
+            await this.store.addSamples(samples);
+        } catch (error) {
+            console.error('Could not store samples:', error);
+            // Keep them for the next attempt
+            this.buffer = samples.concat(this.buffer);
+        }
+    }
+}
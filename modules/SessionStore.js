@@ -0,0 +1,246 @@
+/**
+ * DBA Noise Meter - Session Store Module
+ * IndexedDB persistence for measurement sessions, their level samples, event markers and photos
+ */
+
+import { SESSION_CONFIG } from './constants.js';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @private
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when a transaction has committed
+ * @private
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+export class SessionStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create/upgrade) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(SESSION_CONFIG.dbName, SESSION_CONFIG.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sessions')) {
+                    db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains('samples')) {
+                    const samples = db.createObjectStore('samples', { autoIncrement: true });
+                    samples.createIndex('sessionTime', ['sessionId', 'time']);
+                }
+                if (!db.objectStoreNames.contains('events')) {
+                    const events = db.createObjectStore('events', { autoIncrement: true });
+                    events.createIndex('sessionTime', ['sessionId', 'time']);
+                }
+                if (!db.objectStoreNames.contains('photos')) {
+                    const photos = db.createObjectStore('photos', { autoIncrement: true });
+                    photos.createIndex('sessionTime', ['sessionId', 'time']);
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Create a session record
+     * @param {Object} session - Session metadata
+     * @returns {Promise<number>} New session id
+     */
+    async createSession(session) {
+        const db = await this.open();
+        return promisify(db.transaction('sessions', 'readwrite').objectStore('sessions').add(session));
+    }
+
+    /**
+     * Merge changes into a session record
+     * @param {number} id - Session id
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object>} Updated session
+     */
+    async updateSession(id, changes) {
+        const db = await this.open();
+        const transaction = db.transaction('sessions', 'readwrite');
+        const store = transaction.objectStore('sessions');
+        const session = await promisify(store.get(id));
+        if (!session) throw new Error(`Session ${id} not found`);
+
+        const updated = { ...session, ...changes };
+        store.put(updated);
+        await transactionDone(transaction);
+        return updated;
+    }
+
+    /**
+     * Get a session record
+     * @param {number} id - Session id
+     * @returns {Promise<Object|undefined>}
+     */
+    async getSession(id) {
+        const db = await this.open();
+        return promisify(db.transaction('sessions').objectStore('sessions').get(id));
+    }
+
+    /**
+     * List all sessions, newest first
+     * @returns {Promise<Object[]>}
+     */
+    async listSessions() {
+        const db = await this.open();
+        const sessions = await promisify(db.transaction('sessions').objectStore('sessions').getAll());
+        return sessions.sort((a, b) => b.startTime - a.startTime);
+    }
+
+    /**
+     * Append samples in a single transaction
+     * @param {Object[]} samples - Samples with sessionId and time
+     */
+    async addSamples(samples) {
+        if (samples.length === 0) return;
+
+        const db = await this.open();
+        const transaction = db.transaction('samples', 'readwrite');
+        const store = transaction.objectStore('samples');
+        for (const sample of samples) {
+            store.add(sample);
+        }
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Get all samples of a session in time order
+     * @param {number} sessionId - Session id
+     * @returns {Promise<Object[]>}
+     */
+    async getSamples(sessionId) {
+        const db = await this.open();
+        const range = IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+        return promisify(db.transaction('samples').objectStore('samples').index('sessionTime').getAll(range));
+    }
+
+    /**
+     * Count the samples of a session
+     * @param {number} sessionId - Session id
+     * @returns {Promise<number>}
+     */
+    async countSamples(sessionId) {
+        const db = await this.open();
+        const range = IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+        return promisify(db.transaction('samples').objectStore('samples').index('sessionTime').count(range));
+    }
+
+    /**
+     * Get the newest sample of a session
+     * @param {number} sessionId - Session id
+     * @returns {Promise<Object|null>}
+     */
+    async getLastSample(sessionId) {
+        const db = await this.open();
+        const range = IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+        const cursor = await promisify(
+            db.transaction('samples').objectStore('samples').index('sessionTime').openCursor(range, 'prev')
+        );
+        return cursor ? cursor.value : null;
+    }
+
+    /**
+     * Store an event marker (e.g. an alarm)
+     * @param {Object} event - Event with sessionId, time and type
+     */
+    async addEvent(event) {
+        const db = await this.open();
+        const transaction = db.transaction('events', 'readwrite');
+        transaction.objectStore('events').add(event);
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Get all events of a session in time order
+     * @param {number} sessionId - Session id
+     * @returns {Promise<Object[]>}
+     */
+    async getEvents(sessionId) {
+        const db = await this.open();
+        const range = IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+        return promisify(db.transaction('events').objectStore('events').index('sessionTime').getAll(range));
+    }
+
+    /**
+     * Store a photo taken during a session
+     * @param {Object} photo - Photo with sessionId, time and blob
+     */
+    async addPhoto(photo) {
+        const db = await this.open();
+        const transaction = db.transaction('photos', 'readwrite');
+        transaction.objectStore('photos').add(photo);
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Get all photos of a session in time order
+     * @param {number} sessionId - Session id
+     * @returns {Promise<Object[]>}
+     */
+    async getPhotos(sessionId) {
+        const db = await this.open();
+        const range = IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+        return promisify(db.transaction('photos').objectStore('photos').index('sessionTime').getAll(range));
+    }
+
+    /**
+     * Delete a session with all of its samples, events and photos
+     * @param {number} sessionId - Session id
+     */
+    async deleteSession(sessionId) {
+        const db = await this.open();
+        const transaction = db.transaction(['sessions', 'samples', 'events', 'photos'], 'readwrite');
+        transaction.objectStore('sessions').delete(sessionId);
+
+        const range = IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+        for (const storeName of ['samples', 'events', 'photos']) {
+            const store = transaction.objectStore(storeName);
+            const request = store.index('sessionTime').openKeyCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        }
+
+        await transactionDone(transaction);
+    }
+}
@@ -0,0 +1,301 @@
+/**
+ * DBA Noise Meter - Spectrogram Module
+ * Scrolling spectrogram (waterfall) on a log frequency axis, built from the
+ * calibrated AnalyserNode float spectrum, for spotting tonal noise
+ */
+
+import { SPECTROGRAM_CONFIG } from './constants.js';
+import { clamp } from '../utils/helpers.js';
+
+// Blackman coherent gain: a pure tone's peak bin reads 20·log10(0.42 / √2) below its RMS level
+const TONE_CORRECTION = -20 * Math.log10(0.42 / Math.SQRT2);
+
+/**
+ * Build a 256 entry RGB lookup table from evenly spaced color stops
+ * @private
+ */
+function buildPalette(stops) {
+    const palette = new Uint8ClampedArray(256 * 3);
+    const rgb = stops.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+
+    for (let i = 0; i < 256; i++) {
+        const position = i / 255 * (rgb.length - 1);
+        const index = Math.min(rgb.length - 2, Math.floor(position));
+        const t = position - index;
+        for (let c = 0; c < 3; c++) {
+            palette[i * 3 + c] = rgb[index][c] + (rgb[index + 1][c] - rgb[index][c]) * t;
+        }
+    }
+    return palette;
+}
+
+/**
+ * Draw a spectrogram with frequency labels into any canvas context.
+ * Shared by the on-screen visualizer and CanvasOverlay.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Chart width
+ * @param {number} height - Chart height
+ * @param {Spectrogram} spectrogram - Spectrogram
+ * @param {number} [scale] - Scale for text
+ */
+export function drawSpectrogram(ctx, x, y, width, height, spectrogram, scale = 1) {
+    const { minFrequency, maxFrequency } = spectrogram.getFrequencyRange();
+    const { colors } = SPECTROGRAM_CONFIG;
+    const fontSize = Math.max(8, 9 * scale);
+
+    ctx.save();
+    spectrogram.drawImage(ctx, x, y, width, height);
+
+    // Frequency axis
+    ctx.font = `${fontSize}px Arial`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 1;
+    const logRange = Math.log(maxFrequency / minFrequency);
+    SPECTROGRAM_CONFIG.frequencyLabels.forEach(({ frequency, label }) => {
+        if (frequency <= minFrequency || frequency >= maxFrequency) return;
+        const labelY = y + height * (1 - Math.log(frequency / minFrequency) / logRange);
+        if (labelY < y + fontSize / 2 || labelY > y + height - fontSize / 2) return;
+
+        ctx.strokeStyle = colors.tick;
+        ctx.beginPath();
+        ctx.moveTo(x, labelY);
+        ctx.lineTo(x + 4 * scale, labelY);
+        ctx.stroke();
+
+        ctx.fillStyle = colors.label;
+        ctx.fillText(label, x + 6 * scale, labelY);
+    });
+
+    // Level range
+    const { min, max } = spectrogram.getRange();
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = colors.label;
+    ctx.fillText(`${min}–${max} dB`, x + width - 4 * scale, y + 3 * scale);
+
+    ctx.restore();
+}
+
+export class Spectrogram {
+    constructor() {
+        const { columns, rows } = SPECTROGRAM_CONFIG;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = columns;
+        this.canvas.height = rows;
+        this.ctx = this.canvas.getContext('2d');
+        this.image = this.ctx.createImageData(columns, rows);
+
+        this.levels = new Float32Array(columns * rows);   // Column-major, row 0 at the top
+        this.rowBins = [];           // Per row: { firstBin, lastBin }
+        this.sampleRate = null;
+        this.fftSize = null;
+        this.maxFrequency = SPECTROGRAM_CONFIG.maxFrequency;
+        this.writeIndex = 0;         // Next column to write (oldest column once full)
+        this.filled = false;
+
+        this.minLevel = SPECTROGRAM_CONFIG.minLevel;
+        this.maxLevel = SPECTROGRAM_CONFIG.maxLevel;
+        this.colorMap = SPECTROGRAM_CONFIG.defaultColorMap;
+        this.palette = buildPalette(SPECTROGRAM_CONFIG.colorMaps[this.colorMap]);
+
+        this.reset();
+    }
+
+    /**
+     * Set the spectrum format
+     * @param {number} sampleRate - Sample rate of the audio context
+     * @param {number} fftSize - FFT size of the analyser
+     */
+    configure(sampleRate, fftSize) {
+        if (sampleRate === this.sampleRate && fftSize === this.fftSize) return;
+        this.sampleRate = sampleRate;
+        this.fftSize = fftSize;
+        this.build();
+    }
+
+    /**
+     * Map log-spaced rows to FFT bin ranges
+     * @private
+     */
+    build() {
+        const { rows, minFrequency } = SPECTROGRAM_CONFIG;
+        const binWidth = this.sampleRate / this.fftSize;
+        const lastSpectrumBin = this.fftSize / 2 - 1;
+        this.maxFrequency = Math.min(SPECTROGRAM_CONFIG.maxFrequency, this.sampleRate / 2);
+        const ratio = this.maxFrequency / minFrequency;
+
+        this.rowBins = [];
+        for (let row = 0; row < rows; row++) {
+            // Row 0 is the highest frequency
+            const lower = minFrequency * Math.pow(ratio, (rows - 1 - row) / rows);
+            const upper = minFrequency * Math.pow(ratio, (rows - row) / rows);
+            let firstBin = Math.ceil(lower / binWidth);
+            let lastBin = Math.ceil(upper / binWidth) - 1;
+
+            // Rows narrower than one bin (low frequencies) use the nearest bin
+            if (lastBin < firstBin) {
+                firstBin = lastBin = Math.round(Math.sqrt(lower * upper) / binWidth);
+            }
+            this.rowBins.push({
+                firstBin: clamp(firstBin, 1, lastSpectrumBin),
+                lastBin: clamp(lastBin, 1, lastSpectrumBin)
+            });
+        }
+        this.reset();
+    }
+
+    /**
+     * Clear the spectrogram
+     */
+    reset() {
+        this.levels.fill(NaN);
+        this.writeIndex = 0;
+        this.filled = false;
+        this.repaint();
+    }
+
+    /**
+     * Select the color map
+     * @param {string} name - Key of SPECTROGRAM_CONFIG.colorMaps
+     */
+    setColorMap(name) {
+        if (!SPECTROGRAM_CONFIG.colorMaps[name]) return;
+        this.colorMap = name;
+        this.palette = buildPalette(SPECTROGRAM_CONFIG.colorMaps[name]);
+        this.repaint();
+    }
+
+    /**
+     * Get the color map
+     * @returns {string}
+     */
+    getColorMap() {
+        return this.colorMap;
+    }
+
+    /**
+     * Set the level range mapped onto the color map
+     * @param {number} min - dB shown with the first color
+     * @param {number} max - dB shown with the last color
+     * @returns {boolean} Whether the range was valid
+     */
+    setRange(min, max) {
+        const { levelLimits } = SPECTROGRAM_CONFIG;
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max ||
+            min < levelLimits.min || max > levelLimits.max) {
+            return false;
+        }
+        this.minLevel = min;
+        this.maxLevel = max;
+        this.repaint();
+        return true;
+    }
+
+    /**
+     * Get the level range
+     * @returns {{min: number, max: number}}
+     */
+    getRange() {
+        return { min: this.minLevel, max: this.maxLevel };
+    }
+
+    /**
+     * Get the frequency axis range
+     * @returns {{minFrequency: number, maxFrequency: number}}
+     */
+    getFrequencyRange() {
+        return { minFrequency: SPECTROGRAM_CONFIG.minFrequency, maxFrequency: this.maxFrequency };
+    }
+
+    /**
+     * Add a column from a spectrum
+     * @param {Float32Array} spectrum - AnalyserNode float frequency data (dBFS per bin)
+     * @param {number} offset - Calibration offset in dB
+     */
+    process(spectrum, offset) {
+        if (this.rowBins.length === 0) return;
+
+        const { columns, rows } = SPECTROGRAM_CONFIG;
+        const column = this.writeIndex;
+        this.rowBins.forEach(({ firstBin, lastBin }, row) => {
+            // Peak bin, so tones keep their level in wide rows
+            let peak = -Infinity;
+            for (let bin = firstBin; bin <= lastBin; bin++) {
+                if (spectrum[bin] > peak) peak = spectrum[bin];
+            }
+            this.levels[column * rows + row] = peak + offset + TONE_CORRECTION;
+        });
+
+        this.paintColumn(column);
+        this.ctx.putImageData(this.image, 0, 0, column, 0, 1, rows);
+
+        this.writeIndex = (column + 1) % columns;
+        if (this.writeIndex === 0) this.filled = true;
+    }
+
+    /**
+     * Draw the columns oldest first, scaled to a rectangle
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    drawImage(ctx, x, y, width, height) {
+        const { columns, rows } = SPECTROGRAM_CONFIG;
+        const columnWidth = width / columns;
+
+        // Newest column at the right edge; empty space on the left until full
+        if (this.filled && this.writeIndex > 0) {
+            const olderCount = columns - this.writeIndex;
+            ctx.drawImage(this.canvas, this.writeIndex, 0, olderCount, rows,
+                x, y, olderCount * columnWidth, height);
+            ctx.drawImage(this.canvas, 0, 0, this.writeIndex, rows,
+                x + olderCount * columnWidth, y, this.writeIndex * columnWidth, height);
+        } else if (this.filled) {
+            ctx.drawImage(this.canvas, 0, 0, columns, rows, x, y, width, height);
+        } else if (this.writeIndex > 0) {
+            ctx.drawImage(this.canvas, 0, 0, this.writeIndex, rows,
+                x + (columns - this.writeIndex) * columnWidth, y, this.writeIndex * columnWidth, height);
+        }
+    }
+
+    /**
+     * Write one column of levels into the image
+     * @private
+     */
+    paintColumn(column) {
+        const { columns, rows } = SPECTROGRAM_CONFIG;
+        const data = this.image.data;
+        const range = this.maxLevel - this.minLevel;
+
+        for (let row = 0; row < rows; row++) {
+            const level = this.levels[column * rows + row];
+            const pixel = (row * columns + column) * 4;
+            if (Number.isNaN(level)) {
+                data[pixel + 3] = 0;
+                continue;
+            }
+
+            const index = Math.round(clamp((level - this.minLevel) / range, 0, 1) * 255) * 3;
+            data[pixel] = this.palette[index];
+            data[pixel + 1] = this.palette[index + 1];
+            data[pixel + 2] = this.palette[index + 2];
+            data[pixel + 3] = 255;
+        }
+    }
+
+    /**
+     * Recolor all columns (after a color map or range change)
+     * @private
+     */
+    repaint() {
+        for (let column = 0; column < SPECTROGRAM_CONFIG.columns; column++) {
+            this.paintColumn(column);
+        }
+        this.ctx.putImageData(this.image, 0, 0);
+    }
+}
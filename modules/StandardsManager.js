@@ -0,0 +1,217 @@
+/**
+ * DBA Noise Meter - Standards Manager Module
+ * Keeps the active noise standards profile (bundled or custom, custom ones in
+ * localStorage) and turns the limit of the current day/evening/night period
+ * into the level bands used for colors, labels, alarms and exports
+ */
+
+import { DBA_LEVELS, MESSAGES, STANDARDS_CONFIG } from './constants.js';
+
+// Bands of the general profile, before DBA_LEVELS is replaced
+const GENERAL_LEVELS = DBA_LEVELS.map(({ max, class: className, color }) => ({ max, class: className, color }));
+
+const CUSTOM_PREFIX = 'custom:';
+
+/**
+ * Period of a profile at a time of day. A period lasts from its start hour
+ * until the next period starts; before the first start the last period of the day runs.
+ * @param {{periods: Object}} profile - Profile with the start hour of each period
+ * @param {Date} date - Time to look up
+ * @returns {string} 'day', 'evening' or 'night'
+ */
+export function getPeriod(profile, date) {
+    const hour = date.getHours() + date.getMinutes() / 60;
+    const starts = STANDARDS_CONFIG.periods
+        .filter(period => Number.isFinite(profile.periods[period]))
+        .sort((a, b) => profile.periods[a] - profile.periods[b]);
+    if (starts.length === 0) return 'day';
+
+    const started = starts.filter(period => profile.periods[period] <= hour);
+    return started.length ? started[started.length - 1] : starts[starts.length - 1];
+}
+
+/**
+ * Limit of a profile at a time of day
+ * @param {{periods: Object, limits: Object}} profile - Profile
+ * @param {Date} date - Time to look up
+ * @returns {number|null} Limit in dB, null when the profile has none
+ */
+export function getLimit(profile, date) {
+    const limit = profile.limits[getPeriod(profile, date)];
+    return Number.isFinite(limit) ? limit : null;
+}
+
+/**
+ * Time a logged sample counts at when sorting it into periods: the middle of its
+ * interval, so a sample straddling a period start goes where most of it lies
+ * @param {{time: number, duration: number}} sample - Sample with its end time (ms) and duration (s)
+ * @returns {Date}
+ */
+export function getSampleDate(sample) {
+    return new Date(sample.time - sample.duration * 500);
+}
+
+/**
+ * Keep the periods with a valid start hour and limit
+ * @private
+ */
+function normalizeProfile(profile) {
+    const periods = {};
+    const limits = {};
+    for (const period of STANDARDS_CONFIG.periods) {
+        const start = profile.periods ? profile.periods[period] : null;
+        const limit = profile.limits ? profile.limits[period] : null;
+        if (Number.isInteger(start) && start >= 0 && start <= 23 && Number.isFinite(limit)) {
+            periods[period] = start;
+            limits[period] = limit;
+        }
+    }
+    return { periods, limits };
+}
+
+export class StandardsManager {
+    constructor() {
+        const { active, custom } = this.load();
+        this.custom = custom;        // Name -> { periods, limits }
+        this.active = this.getProfile(active) ? active : STANDARDS_CONFIG.defaultProfile;
+    }
+
+    /**
+     * Read the active profile and the custom profiles from localStorage
+     * @private
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STANDARDS_CONFIG.storageKey));
+            if (stored) {
+                // No prototype, so names like "__proto__" or "toString" are plain keys
+                const custom = Object.create(null);
+                for (const [name, profile] of Object.entries(stored.custom || {})) {
+                    const normalized = normalizeProfile(profile);
+                    if (Object.keys(normalized.periods).length) custom[name] = normalized;
+                }
+                return { active: stored.active, custom };
+            }
+        } catch (e) {
+            console.warn('Could not read noise standards:', e);
+        }
+        return { active: STANDARDS_CONFIG.defaultProfile, custom: Object.create(null) };
+    }
+
+    /**
+     * Write the active profile and the custom profiles
+     * @private
+     */
+    save() {
+        try {
+            localStorage.setItem(STANDARDS_CONFIG.storageKey, JSON.stringify({
+                active: this.active,
+                custom: this.custom
+            }));
+        } catch (e) {
+            console.warn('Could not store noise standards:', e);
+        }
+    }
+
+    /**
+     * List the bundled profiles, then the custom ones by name
+     * @returns {{id: string, name: string, custom: boolean}[]}
+     */
+    getProfiles() {
+        const bundled = Object.keys(STANDARDS_CONFIG.profiles)
+            .map(id => ({ id, name: MESSAGES.standards.profiles[id], custom: false }));
+        const custom = Object.keys(this.custom)
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => ({ id: CUSTOM_PREFIX + name, name, custom: true }));
+        return [...bundled, ...custom];
+    }
+
+    /**
+     * Get a profile
+     * @param {string} [id] - Profile id, the active profile when omitted
+     * @returns {{id: string, name: string, custom: boolean, periods: Object, limits: Object}|null}
+     */
+    getProfile(id = this.active) {
+        const bundled = Object.prototype.hasOwnProperty.call(STANDARDS_CONFIG.profiles, id) ? STANDARDS_CONFIG.profiles[id] : null;
+        if (bundled) {
+            return { id, name: MESSAGES.standards.profiles[id], custom: false, ...bundled };
+        }
+
+        const name = typeof id === 'string' && id.startsWith(CUSTOM_PREFIX) ? id.slice(CUSTOM_PREFIX.length) : null;
+        const custom = name !== null ? this.custom[name] : null;
+        return custom ? { id, name, custom: true, ...custom } : null;
+    }
+
+    /**
+     * Use a profile
+     * @param {string} id - Profile id
+     * @returns {boolean} Whether the profile exists
+     */
+    setActive(id) {
+        if (!this.getProfile(id)) return false;
+
+        this.active = id;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Save a custom profile and use it (replacing a custom profile of the same name)
+     * @param {string} name - Profile name
+     * @param {Object} periods - Start hour (0-23) per period, null for unused periods
+     * @param {Object} limits - Limit in dB per period
+     * @returns {string|null} Profile id, null when the name or the periods are invalid
+     */
+    saveCustom(name, periods, limits) {
+        const trimmed = (name || '').trim();
+        const profile = normalizeProfile({ periods, limits });
+        const starts = Object.values(profile.periods);
+        // Every period with a value needs a valid start hour and limit
+        const filled = STANDARDS_CONFIG.periods.filter(period =>
+            Number.isFinite(periods[period]) || Number.isFinite(limits[period]));
+        if (!trimmed || starts.length === 0 || starts.length !== filled.length ||
+            new Set(starts).size !== starts.length) return null;
+
+        this.custom[trimmed] = profile;
+        this.active = CUSTOM_PREFIX + trimmed;
+        this.save();
+        return this.active;
+    }
+
+    /**
+     * Remove a custom profile; the default profile is used when it was active
+     * @param {string} id - Profile id
+     */
+    deleteCustom(id) {
+        const profile = this.getProfile(id);
+        if (!profile || !profile.custom) return;
+
+        delete this.custom[profile.name];
+        if (this.active === id) this.active = STANDARDS_CONFIG.defaultProfile;
+        this.save();
+    }
+
+    /**
+     * Replace DBA_LEVELS with the bands of the active profile at a time of day:
+     * the general bands without a limit, otherwise bands around the limit
+     * @param {Date} date - Current time
+     * @returns {{period: string, limit: number|null}}
+     */
+    applyLevels(date) {
+        const profile = this.getProfile();
+        const period = getPeriod(profile, date);
+        const limit = getLimit(profile, date);
+
+        const levels = limit === null
+            ? GENERAL_LEVELS.map((level, i) => ({ ...level, text: MESSAGES.levels[i] }))
+            : STANDARDS_CONFIG.limitBands.map(band => ({
+                max: limit + band.offset,
+                text: MESSAGES.standards.bands[band.name],
+                class: band.class,
+                color: band.color
+            }));
+        DBA_LEVELS.splice(0, DBA_LEVELS.length, ...levels);
+
+        return { period, limit };
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * DBA Noise Meter - Time Weighting Module
+ * IEC 61672 exponential time weighting (Fast, Slow, Impulse) of squared pressure
+ */
+
+import { TIME_WEIGHTING_CONFIG } from './constants.js';
+
+export class TimeWeighting {
+    /**
+     * @param {string} type - Time weighting ('F', 'S' or 'I')
+     */
+    constructor(type = TIME_WEIGHTING_CONFIG.default) {
+        this.type = type;
+        this.value = 0;           // Weighted mean square
+        this.initialized = false;
+    }
+
+    /**
+     * Select the time weighting
+     * @param {string} type - Time weighting ('F', 'S' or 'I')
+     */
+    setType(type) {
+        if (!TIME_WEIGHTING_CONFIG.types[type]) return;
+        this.type = type;
+    }
+
+    /**
+     * Get the active time weighting
+     * @returns {string}
+     */
+    getType() {
+        return this.type;
+    }
+
+    /**
+     * Reset the integrator
+     */
+    reset() {
+        this.value = 0;
+        this.initialized = false;
+    }
+
+    /**
+     * Feed a block of constant mean square lasting `duration` seconds.
+     * The exponential decay is evaluated over the real elapsed audio time,
+     * so the result does not depend on how often this is called.
+     * @param {number} meanSquare - Mean square of the block
+     * @param {number} duration - Block duration in seconds
+     * @returns {number} Weighted mean square
+     */
+    process(meanSquare, duration) {
+        if (!this.initialized) {
+            // Start at the first reading instead of ramping up from silence
+            this.value = meanSquare;
+            this.initialized = true;
+            return this.value;
+        }
+
+        const { rise, decay } = TIME_WEIGHTING_CONFIG.types[this.type];
+        const tau = meanSquare > this.value ? rise : decay;
+        this.value = meanSquare + (this.value - meanSquare) * Math.exp(-duration / tau);
+
+        return this.value;
+    }
+}
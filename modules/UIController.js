@@ -3,8 +3,8 @@
  * Handles DOM interactions and UI state management
  */
 
-import { UI_CONFIG, MESSAGES } from './constants.js';
-import { formatDateTime } from '../utils/helpers.js';
+import { UI_CONFIG, MESSAGES, ALARM_CONFIG, OVERLAY_LAYOUT_CONFIG, STANDARDS_CONFIG, WEIGHTING_CONFIG } from './constants.js';
+import { formatDateTime, formatLevel, formatOffset, formatDuration } from '../utils/helpers.js';
 
 export class UIController {
     constructor() {
@@ -21,32 +21,229 @@ export class UIController {
             // Video/Canvas
             camera: document.getElementById('camera'),
             recordCanvas: document.getElementById('recordCanvas'),
+            overlayPreview: document.getElementById('overlay-preview'),
             visualizer: document.getElementById('visualizer'),
+            historyChart: document.getElementById('history-chart'),
 
             // DBA Display
             dbaValue: document.getElementById('dba-value'),
             dbaLevel: document.getElementById('dba-level'),
+            dbaLabel: document.getElementById('dba-label'),
             dbaContainer: document.getElementById('dba-container'),
 
+            // Statistics
+            statsContainer: document.getElementById('stats-container'),
+            statsWindow: document.getElementById('stats-window'),
+            statLeq: document.getElementById('stat-leq'),
+            statLmax: document.getElementById('stat-lmax'),
+            statLmin: document.getElementById('stat-lmin'),
+            statLpeak: document.getElementById('stat-lpeak'),
+            statL10: document.getElementById('stat-l10'),
+            statL50: document.getElementById('stat-l50'),
+            statL90: document.getElementById('stat-l90'),
+
             // Info Display
+            infoContainer: document.getElementById('info-container'),
+            datetime: document.getElementById('datetime'),
+            location: document.getElementById('location'),
             datetimeText: document.getElementById('datetime-text'),
             locationText: document.getElementById('location-text'),
 
             // Indicators
             recordingIndicator: document.getElementById('recording-indicator'),
+            loggingIndicator: document.getElementById('logging-indicator'),
+            loggingElapsed: document.getElementById('logging-elapsed'),
+            alarmIndicator: document.getElementById('alarm-indicator'),
+            alarmIndicatorText: document.getElementById('alarm-indicator-text'),
+            eventIndicator: document.getElementById('event-indicator'),
+            eventIndicatorText: document.getElementById('event-indicator-text'),
+            doseIndicator: document.getElementById('dose-indicator'),
+            doseIndicatorText: document.getElementById('dose-indicator-text'),
             toast: document.getElementById('toast'),
 
-            // Modal
+            // Modals
             permissionModal: document.getElementById('permission-modal'),
+            settingsModal: document.getElementById('settings-modal'),
+            calibrationModal: document.getElementById('calibration-modal'),
+            sessionsModal: document.getElementById('sessions-modal'),
+            alarmsModal: document.getElementById('alarms-modal'),
+            eventModal: document.getElementById('event-modal'),
+            analysisModal: document.getElementById('analysis-modal'),
+            replayModal: document.getElementById('replay-modal'),
+            layoutModal: document.getElementById('layout-modal'),
+            standardsModal: document.getElementById('standards-modal'),
+            doseModal: document.getElementById('dose-modal'),
+            indicatorsModal: document.getElementById('indicators-modal'),
+
+            // Settings
+            selectLanguage: document.getElementById('select-language'),
+            selectWeighting: document.getElementById('select-weighting'),
+            selectTimeWeighting: document.getElementById('select-time-weighting'),
+            selectStatsWindow: document.getElementById('select-stats-window'),
+            btnStatsReset: document.getElementById('btn-stats-reset'),
+            selectVisualizerMode: document.getElementById('select-visualizer-mode'),
+            spectrogramSettings: document.getElementById('spectrogram-settings'),
+            selectSpectrogramColorMap: document.getElementById('select-spectrogram-colormap'),
+            inputSpectrogramMin: document.getElementById('input-spectrogram-min'),
+            inputSpectrogramMax: document.getElementById('input-spectrogram-max'),
+            selectHistorySpan: document.getElementById('select-history-span'),
+            checkHistoryOverlay: document.getElementById('check-history-overlay'),
+            selectMicrophone: document.getElementById('select-microphone'),
+            microphoneWarning: document.getElementById('microphone-warning'),
+            selectCamera: document.getElementById('select-camera'),
+            selectResolution: document.getElementById('select-resolution'),
+            selectFrameRate: document.getElementById('select-framerate'),
+            checkAudioOnly: document.getElementById('check-audio-only'),
+
+            // Sessions
+            selectLogInterval: document.getElementById('select-log-interval'),
+            sessionList: document.getElementById('session-list'),
+            btnSessionsOpen: document.getElementById('btn-sessions-open'),
+            btnSessionToggle: document.getElementById('btn-session-toggle'),
+            btnSessionsClose: document.getElementById('btn-sessions-close'),
+
+            // File analysis
+            btnFileAnalyze: document.getElementById('btn-file-analyze'),
+            inputAnalysisFile: document.getElementById('input-analysis-file'),
+            analysisDetails: document.getElementById('analysis-details'),
+            analysisChart: document.getElementById('analysis-chart'),
+            analysisLeq: document.getElementById('analysis-leq'),
+            analysisLmax: document.getElementById('analysis-lmax'),
+            analysisLmin: document.getElementById('analysis-lmin'),
+            analysisLpeak: document.getElementById('analysis-lpeak'),
+            analysisL10: document.getElementById('analysis-l10'),
+            analysisL50: document.getElementById('analysis-l50'),
+            analysisL90: document.getElementById('analysis-l90'),
+            btnAnalysisCsv: document.getElementById('btn-analysis-csv'),
+            btnAnalysisJson: document.getElementById('btn-analysis-json'),
+            btnAnalysisClose: document.getElementById('btn-analysis-close'),
+
+            // Day-evening-night indicators
+            indicatorsDetails: document.getElementById('indicators-details'),
+            indicatorLd: document.getElementById('indicator-ld'),
+            indicatorLe: document.getElementById('indicator-le'),
+            indicatorLn: document.getElementById('indicator-ln'),
+            indicatorLden: document.getElementById('indicator-lden'),
+            indicatorLdn: document.getElementById('indicator-ldn'),
+            indicatorDurations: document.getElementById('indicator-durations'),
+            inputIndicatorEveningPenalty: document.getElementById('input-indicator-evening-penalty'),
+            inputIndicatorNightPenalty: document.getElementById('input-indicator-night-penalty'),
+            btnIndicatorsCsv: document.getElementById('btn-indicators-csv'),
+            btnIndicatorsJson: document.getElementById('btn-indicators-json'),
+            btnIndicatorsClose: document.getElementById('btn-indicators-close'),
+
+            // Alarms
+            alarmActions: document.querySelectorAll('.alarm-action'),
+            alarmRuleList: document.getElementById('alarm-rule-list'),
+            btnAlarmsOpen: document.getElementById('btn-alarms-open'),
+            btnAlarmAdd: document.getElementById('btn-alarm-add'),
+            btnAlarmsClose: document.getElementById('btn-alarms-close'),
+
+            // Noise standards
+            selectStandard: document.getElementById('select-standard'),
+            standardStatus: document.getElementById('standard-status'),
+            btnStandardsOpen: document.getElementById('btn-standards-open'),
+            inputStandardName: document.getElementById('input-standard-name'),
+            btnStandardSave: document.getElementById('btn-standard-save'),
+            btnStandardDelete: document.getElementById('btn-standard-delete'),
+            btnStandardsClose: document.getElementById('btn-standards-close'),
+
+            // Noise dose
+            btnDoseOpen: document.getElementById('btn-dose-open'),
+            selectDosePreset: document.getElementById('select-dose-preset'),
+            inputDoseCriterion: document.getElementById('input-dose-criterion'),
+            selectDoseExchange: document.getElementById('select-dose-exchange'),
+            inputDoseThreshold: document.getElementById('input-dose-threshold'),
+            doseValue: document.getElementById('dose-value'),
+            doseTwa: document.getElementById('dose-twa'),
+            doseProjected: document.getElementById('dose-projected'),
+            doseLex: document.getElementById('dose-lex'),
+            doseTimeTo100: document.getElementById('dose-time-to-100'),
+            doseDuration: document.getElementById('dose-duration'),
+            doseLeq: document.getElementById('dose-leq'),
+            doseLmax: document.getElementById('dose-lmax'),
+            doseLpeak: document.getElementById('dose-lpeak'),
+            btnDoseToggle: document.getElementById('btn-dose-toggle'),
+            btnDoseReset: document.getElementById('btn-dose-reset'),
+            btnDoseCsv: document.getElementById('btn-dose-csv'),
+            btnDoseJson: document.getElementById('btn-dose-json'),
+            btnDoseClose: document.getElementById('btn-dose-close'),
+
+            // Overlay layout
+            btnLayoutOpen: document.getElementById('btn-layout-open'),
+            checkOverlayPreview: document.getElementById('check-overlay-preview'),
+            layoutPreview: document.getElementById('layout-preview'),
+            selectLayoutPreset: document.getElementById('select-layout-preset'),
+            btnLayoutDelete: document.getElementById('btn-layout-delete'),
+            inputLayoutName: document.getElementById('input-layout-name'),
+            btnLayoutSave: document.getElementById('btn-layout-save'),
+            layoutWidgetList: document.getElementById('layout-widget-list'),
+            btnLayoutReset: document.getElementById('btn-layout-reset'),
+            btnLayoutClose: document.getElementById('btn-layout-close'),
+
+            // Event recording
+            inputEventThreshold: document.getElementById('input-event-threshold'),
+            inputEventPreroll: document.getElementById('input-event-preroll'),
+            inputEventPostroll: document.getElementById('input-event-postroll'),
+            btnEventOpen: document.getElementById('btn-event-open'),
+            btnEventToggle: document.getElementById('btn-event-toggle'),
+            btnEventClose: document.getElementById('btn-event-close'),
+
+            // Video sidecar and replay
+            selectSidecarFormat: document.getElementById('select-sidecar-format'),
+            btnReplayOpen: document.getElementById('btn-replay-open'),
+            inputReplayFiles: document.getElementById('input-replay-files'),
+            replayDetails: document.getElementById('replay-details'),
+            replayVideo: document.getElementById('replay-video'),
+            replayLevelValue: document.getElementById('replay-level-value'),
+            replayLevelUnit: document.getElementById('replay-level-unit'),
+            replayTime: document.getElementById('replay-time'),
+            replayScrubber: document.getElementById('replay-scrubber'),
+            replayChart: document.getElementById('replay-chart'),
+            replayLeq: document.getElementById('replay-leq'),
+            replayLmax: document.getElementById('replay-lmax'),
+            replayLmin: document.getElementById('replay-lmin'),
+            replayLpeak: document.getElementById('replay-lpeak'),
+            replayL10: document.getElementById('replay-l10'),
+            replayL50: document.getElementById('replay-l50'),
+            replayL90: document.getElementById('replay-l90'),
+            btnReplayClose: document.getElementById('btn-replay-close'),
+
+            // Calibration
+            calibrationDevice: document.getElementById('calibration-device'),
+            calibrationCurrent: document.getElementById('calibration-current'),
+            inputCalibrationReference: document.getElementById('input-calibration-reference'),
+            btnCalibrationOpen: document.getElementById('btn-calibration-open'),
+            btnCalibrationStart: document.getElementById('btn-calibration-start'),
+            btnCalibrationReset: document.getElementById('btn-calibration-reset'),
+            btnCalibrationClose: document.getElementById('btn-calibration-close'),
 
             // Buttons
             btnCapture: document.getElementById('btn-capture'),
             btnRecord: document.getElementById('btn-record'),
             btnSwitch: document.getElementById('btn-switch'),
             btnBuy: document.getElementById('btn-buy'),
-            btnGrant: document.getElementById('btn-grant')
+            btnSettings: document.getElementById('btn-settings'),
+            btnSettingsClose: document.getElementById('btn-settings-close'),
+            btnGrant: document.getElementById('btn-grant'),
+            btnGrantAudio: document.getElementById('btn-grant-audio')
         };
 
+        // Start hour and limit inputs of each period of a custom standard
+        this.elements.standardInputs = {};
+        for (const period of STANDARDS_CONFIG.periods) {
+            this.elements.standardInputs[period] = {
+                start: document.getElementById(`input-standard-${period}-start`),
+                limit: document.getElementById(`input-standard-${period}-limit`)
+            };
+        }
+
+        // Start hour inputs of the day-evening-night indicators
+        this.elements.indicatorStartInputs = {};
+        for (const period of STANDARDS_CONFIG.periods) {
+            this.elements.indicatorStartInputs[period] = document.getElementById(`input-indicator-${period}`);
+        }
+
         // Start datetime updates
         this.startDateTimeUpdates();
     }
@@ -65,11 +262,42 @@ export class UIController {
      * @param {Object} handlers - Event handler functions
      */
     setupEventListeners(handlers) {
-        const { onGrant, onCapture, onRecord, onSwitch, onBuy, onResize } = handlers;
+        const { onGrant, onGrantAudioOnly, onAudioOnlyChange, onMicrophoneChange, onCameraChange,
+            onCameraFormatChange, onCapture, onRecord, onSwitch, onBuy, onResize, onWeightingChange, onTimeWeightingChange,
+            onStatsWindowChange, onStatsReset, onCalibrate, onCalibrationReset,
+            onSessionsOpen, onSessionToggle, onLogIntervalChange, onHistorySpanChange,
+            onHistoryOverlayChange, onAlarmsOpen, onAlarmRuleAdd, onAlarmActionChange, onEventToggle,
+            onEventSettingsChange, onVisualizerModeChange, onSpectrogramSettingsChange,
+            onFileAnalyze, onAnalysisExport, onSidecarFormatChange, onReplayFiles, onReplaySeek,
+            onReplayClose, onLayoutOpen, onLayoutClose, onLayoutPresetSelect, onLayoutPresetSave,
+            onLayoutPresetDelete, onLayoutReset, onOverlayPreviewChange, onLanguageChange,
+            onStandardChange, onStandardsOpen, onStandardSave, onStandardDelete, onDoseOpen, onDosePresetChange,
+            onDoseSettingsChange, onDoseToggle, onDoseReset, onDoseExport, onIndicatorSettingsChange,
+            onIndicatorsExport } = handlers;
 
         if (onGrant) {
             this.elements.btnGrant.addEventListener('click', onGrant);
         }
+        if (onGrantAudioOnly) {
+            this.elements.btnGrantAudio.addEventListener('click', onGrantAudioOnly);
+        }
+        if (onAudioOnlyChange) {
+            this.elements.checkAudioOnly.addEventListener('change', (e) => onAudioOnlyChange(e.target.checked));
+        }
+        if (onMicrophoneChange) {
+            this.elements.selectMicrophone.addEventListener('change', (e) => onMicrophoneChange(e.target.value));
+        }
+        if (onCameraChange) {
+            this.elements.selectCamera.addEventListener('change', (e) => onCameraChange(e.target.value));
+        }
+        if (onCameraFormatChange) {
+            const emit = () => onCameraFormatChange({
+                resolution: this.elements.selectResolution.value,
+                frameRate: parseInt(this.elements.selectFrameRate.value, 10)
+            });
+            this.elements.selectResolution.addEventListener('change', emit);
+            this.elements.selectFrameRate.addEventListener('change', emit);
+        }
         if (onCapture) {
             this.elements.btnCapture.addEventListener('click', onCapture);
         }
@@ -85,6 +313,251 @@ export class UIController {
         if (onResize) {
             window.addEventListener('resize', onResize);
         }
+        if (onWeightingChange) {
+            this.elements.selectWeighting.addEventListener('change', (e) => onWeightingChange(e.target.value));
+        }
+        if (onTimeWeightingChange) {
+            this.elements.selectTimeWeighting.addEventListener('change', (e) => onTimeWeightingChange(e.target.value));
+        }
+        if (onStatsWindowChange) {
+            this.elements.selectStatsWindow.addEventListener('change', (e) => onStatsWindowChange(e.target.value));
+        }
+        if (onStatsReset) {
+            this.elements.btnStatsReset.addEventListener('click', onStatsReset);
+        }
+        if (onVisualizerModeChange) {
+            this.elements.selectVisualizerMode.addEventListener('change', (e) => onVisualizerModeChange(e.target.value));
+        }
+        if (onSpectrogramSettingsChange) {
+            const emit = () => onSpectrogramSettingsChange({
+                colorMap: this.elements.selectSpectrogramColorMap.value,
+                min: parseFloat(this.elements.inputSpectrogramMin.value),
+                max: parseFloat(this.elements.inputSpectrogramMax.value)
+            });
+            this.elements.selectSpectrogramColorMap.addEventListener('change', emit);
+            this.elements.inputSpectrogramMin.addEventListener('change', emit);
+            this.elements.inputSpectrogramMax.addEventListener('change', emit);
+        }
+        if (onHistorySpanChange) {
+            this.elements.selectHistorySpan.addEventListener('change', (e) => onHistorySpanChange(e.target.value));
+        }
+        if (onHistoryOverlayChange) {
+            this.elements.checkHistoryOverlay.addEventListener('change', (e) => onHistoryOverlayChange(e.target.checked));
+        }
+
+        if (onAlarmsOpen) {
+            this.elements.btnAlarmsOpen.addEventListener('click', () => {
+                this.setSettingsVisible(false);
+                this.setModalVisible('alarmsModal', true);
+                onAlarmsOpen();
+            });
+        }
+        if (onStandardChange) {
+            this.elements.selectStandard.addEventListener('change', (e) => onStandardChange(e.target.value));
+        }
+        if (onStandardsOpen) {
+            this.elements.btnStandardsOpen.addEventListener('click', () => {
+                this.setSettingsVisible(false);
+                this.setModalVisible('standardsModal', true);
+                onStandardsOpen();
+            });
+        }
+        if (onStandardSave) {
+            this.elements.btnStandardSave.addEventListener('click', () => onStandardSave(this.getStandardForm()));
+        }
+        if (onStandardDelete) {
+            this.elements.btnStandardDelete.addEventListener('click', onStandardDelete);
+        }
+        if (onAlarmRuleAdd) {
+            this.elements.btnAlarmAdd.addEventListener('click', onAlarmRuleAdd);
+        }
+        if (onAlarmActionChange) {
+            this.elements.alarmActions.forEach((input) => {
+                input.addEventListener('change', (e) => onAlarmActionChange(input.dataset.action, e.target.checked));
+            });
+        }
+
+        if (onLayoutOpen) {
+            this.elements.btnLayoutOpen.addEventListener('click', () => {
+                this.setSettingsVisible(false);
+                this.setModalVisible('layoutModal', true);
+                onLayoutOpen();
+            });
+        }
+        this.elements.btnLayoutClose.addEventListener('click', () => {
+            this.setModalVisible('layoutModal', false);
+            if (onLayoutClose) onLayoutClose();
+        });
+        if (onLanguageChange) {
+            this.elements.selectLanguage.addEventListener('change', (e) => onLanguageChange(e.target.value));
+        }
+        if (onOverlayPreviewChange) {
+            this.elements.checkOverlayPreview.addEventListener('change', (e) => onOverlayPreviewChange(e.target.checked));
+        }
+        if (onLayoutPresetSelect) {
+            this.elements.selectLayoutPreset.addEventListener('change', (e) => {
+                if (e.target.value) onLayoutPresetSelect(e.target.value);
+            });
+        }
+        if (onLayoutPresetSave) {
+            this.elements.btnLayoutSave.addEventListener('click', () => onLayoutPresetSave(this.elements.inputLayoutName.value));
+        }
+        if (onLayoutPresetDelete) {
+            this.elements.btnLayoutDelete.addEventListener('click', () => {
+                const name = this.elements.selectLayoutPreset.value;
+                if (name) onLayoutPresetDelete(name);
+            });
+        }
+        if (onLayoutReset) {
+            this.elements.btnLayoutReset.addEventListener('click', onLayoutReset);
+        }
+
+        if (onDoseOpen) {
+            this.elements.btnDoseOpen.addEventListener('click', () => {
+                this.setSettingsVisible(false);
+                this.setModalVisible('doseModal', true);
+                onDoseOpen();
+            });
+        }
+        if (onDosePresetChange) {
+            this.elements.selectDosePreset.addEventListener('change', (e) => {
+                if (e.target.value !== 'custom') onDosePresetChange(e.target.value);
+            });
+        }
+        if (onDoseSettingsChange) {
+            const emit = () => onDoseSettingsChange({
+                criterion: parseFloat(this.elements.inputDoseCriterion.value),
+                exchangeRate: parseInt(this.elements.selectDoseExchange.value, 10),
+                threshold: parseFloat(this.elements.inputDoseThreshold.value)
+            });
+            this.elements.inputDoseCriterion.addEventListener('change', emit);
+            this.elements.selectDoseExchange.addEventListener('change', emit);
+            this.elements.inputDoseThreshold.addEventListener('change', emit);
+        }
+        if (onDoseToggle) {
+            this.elements.btnDoseToggle.addEventListener('click', onDoseToggle);
+        }
+        if (onDoseReset) {
+            this.elements.btnDoseReset.addEventListener('click', onDoseReset);
+        }
+        if (onDoseExport) {
+            this.elements.btnDoseCsv.addEventListener('click', () => onDoseExport('csv'));
+            this.elements.btnDoseJson.addEventListener('click', () => onDoseExport('json'));
+        }
+
+        if (onEventToggle) {
+            this.elements.btnEventToggle.addEventListener('click', onEventToggle);
+        }
+        if (onEventSettingsChange) {
+            const emit = () => onEventSettingsChange({
+                threshold: parseFloat(this.elements.inputEventThreshold.value),
+                preRoll: parseFloat(this.elements.inputEventPreroll.value),
+                postRoll: parseFloat(this.elements.inputEventPostroll.value)
+            });
+            this.elements.inputEventThreshold.addEventListener('change', emit);
+            this.elements.inputEventPreroll.addEventListener('change', emit);
+            this.elements.inputEventPostroll.addEventListener('change', emit);
+        }
+
+        if (onSidecarFormatChange) {
+            this.elements.selectSidecarFormat.addEventListener('change', (e) => onSidecarFormatChange(e.target.value));
+        }
+        if (onReplayFiles) {
+            this.elements.btnReplayOpen.addEventListener('click', () => this.elements.inputReplayFiles.click());
+            this.elements.inputReplayFiles.addEventListener('change', (e) => {
+                const files = Array.from(e.target.files);
+                e.target.value = '';
+                if (files.length) onReplayFiles(files);
+            });
+        }
+        if (onReplaySeek) {
+            this.elements.replayScrubber.addEventListener('input', (e) => {
+                onReplaySeek(e.target.value / e.target.max);
+            });
+        }
+        this.elements.btnReplayClose.addEventListener('click', () => {
+            this.setModalVisible('replayModal', false);
+            if (onReplayClose) onReplayClose();
+        });
+
+        if (onCalibrate) {
+            this.elements.btnCalibrationStart.addEventListener('click', onCalibrate);
+        }
+        if (onCalibrationReset) {
+            this.elements.btnCalibrationReset.addEventListener('click', onCalibrationReset);
+        }
+
+        if (onSessionsOpen) {
+            this.elements.btnSessionsOpen.addEventListener('click', () => {
+                this.setSettingsVisible(false);
+                this.setModalVisible('sessionsModal', true);
+                onSessionsOpen();
+            });
+        }
+        if (onSessionToggle) {
+            this.elements.btnSessionToggle.addEventListener('click', onSessionToggle);
+        }
+        if (onLogIntervalChange) {
+            this.elements.selectLogInterval.addEventListener('change', (e) => onLogIntervalChange(parseInt(e.target.value, 10)));
+        }
+
+        if (onFileAnalyze) {
+            this.elements.btnFileAnalyze.addEventListener('click', () => this.elements.inputAnalysisFile.click());
+            this.elements.inputAnalysisFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                // Allow picking the same file again
+                e.target.value = '';
+                if (file) onFileAnalyze(file);
+            });
+        }
+        if (onIndicatorSettingsChange) {
+            const emit = () => {
+                const periods = {};
+                for (const [period, input] of Object.entries(this.elements.indicatorStartInputs)) {
+                    periods[period] = parseInt(input.value, 10);
+                }
+                onIndicatorSettingsChange({
+                    periods,
+                    penalties: {
+                        evening: parseFloat(this.elements.inputIndicatorEveningPenalty.value),
+                        night: parseFloat(this.elements.inputIndicatorNightPenalty.value)
+                    }
+                });
+            };
+            for (const input of Object.values(this.elements.indicatorStartInputs)) {
+                input.addEventListener('change', emit);
+            }
+            this.elements.inputIndicatorEveningPenalty.addEventListener('change', emit);
+            this.elements.inputIndicatorNightPenalty.addEventListener('change', emit);
+        }
+        if (onIndicatorsExport) {
+            this.elements.btnIndicatorsCsv.addEventListener('click', () => onIndicatorsExport('csv'));
+            this.elements.btnIndicatorsJson.addEventListener('click', () => onIndicatorsExport('json'));
+        }
+        if (onAnalysisExport) {
+            this.elements.btnAnalysisCsv.addEventListener('click', () => onAnalysisExport('csv'));
+            this.elements.btnAnalysisJson.addEventListener('click', () => onAnalysisExport('json'));
+        }
+
+        // Modal open/close is handled locally
+        this.elements.btnSettings.addEventListener('click', () => this.setSettingsVisible(true));
+        this.elements.btnSettingsClose.addEventListener('click', () => this.setSettingsVisible(false));
+        this.elements.btnCalibrationOpen.addEventListener('click', () => {
+            this.setSettingsVisible(false);
+            this.setModalVisible('calibrationModal', true);
+        });
+        this.elements.btnCalibrationClose.addEventListener('click', () => this.setModalVisible('calibrationModal', false));
+        this.elements.btnSessionsClose.addEventListener('click', () => this.setModalVisible('sessionsModal', false));
+        this.elements.btnAlarmsClose.addEventListener('click', () => this.setModalVisible('alarmsModal', false));
+        this.elements.btnStandardsClose.addEventListener('click', () => this.setModalVisible('standardsModal', false));
+        this.elements.btnDoseClose.addEventListener('click', () => this.setModalVisible('doseModal', false));
+        this.elements.btnEventOpen.addEventListener('click', () => {
+            this.setSettingsVisible(false);
+            this.setModalVisible('eventModal', true);
+        });
+        this.elements.btnEventClose.addEventListener('click', () => this.setModalVisible('eventModal', false));
+        this.elements.btnAnalysisClose.addEventListener('click', () => this.setModalVisible('analysisModal', false));
+        this.elements.btnIndicatorsClose.addEventListener('click', () => this.setModalVisible('indicatorsModal', false));
     }
 
     /**
@@ -114,6 +587,96 @@ export class UIController {
         this.elements.dbaContainer.className = level.class;
     }
 
+    /**
+     * Update the unit label of the active weighting
+     * @param {string} weighting - Weighting type ('A', 'C' or 'Z')
+     * @param {string} label - Unit label (e.g. 'dBA')
+     */
+    setWeighting(weighting, label) {
+        this.elements.dbaLabel.textContent = label;
+        this.elements.selectWeighting.value = weighting;
+    }
+
+    /**
+     * Reflect the active time weighting in the settings
+     * @param {string} type - Time weighting ('F', 'S' or 'I')
+     */
+    setTimeWeighting(type) {
+        this.elements.selectTimeWeighting.value = type;
+    }
+
+    /**
+     * Select the statistics window in the settings
+     * @param {string} windowId - 'session' or a rolling window id
+     */
+    setStatsWindow(windowId) {
+        this.elements.selectStatsWindow.value = windowId;
+        this.elements.statsWindow.textContent = this.getStatsWindowLabel();
+    }
+
+    /**
+     * Get the display label of the selected statistics window
+     * @returns {string}
+     */
+    getStatsWindowLabel() {
+        const option = this.elements.selectStatsWindow.selectedOptions[0];
+        return option ? option.text : '';
+    }
+
+    /**
+     * Reflect the visualizer mode in the settings
+     * @param {string} mode - 'bars', 'octave', 'third' or 'spectrogram'
+     */
+    setVisualizerMode(mode) {
+        this.elements.selectVisualizerMode.value = mode;
+        this.elements.spectrogramSettings.classList.toggle('hidden', mode !== 'spectrogram');
+    }
+
+    /**
+     * Fill the spectrogram settings
+     * @param {Object} settings
+     * @param {string} settings.colorMap - Color map name
+     * @param {number} settings.min - dB at the first color
+     * @param {number} settings.max - dB at the last color
+     */
+    setSpectrogramSettings({ colorMap, min, max }) {
+        this.elements.selectSpectrogramColorMap.value = colorMap;
+        this.elements.inputSpectrogramMin.value = min;
+        this.elements.inputSpectrogramMax.value = max;
+    }
+
+    /**
+     * Select the history chart span and show or hide the chart
+     * @param {string} spanId - Span id from HISTORY_CONFIG.spans, or 'off'
+     */
+    setHistorySpan(spanId) {
+        this.elements.selectHistorySpan.value = spanId;
+        this.elements.historyChart.classList.toggle('hidden', spanId === 'off');
+    }
+
+    /**
+     * Get the display label of the selected history span
+     * @returns {string}
+     */
+    getHistorySpanLabel() {
+        const option = this.elements.selectHistorySpan.selectedOptions[0];
+        return option ? option.text : '';
+    }
+
+    /**
+     * Update statistics panel
+     * @param {Object} stats - Summary from NoiseStatistics.getSummary()
+     */
+    updateStats(stats) {
+        this.elements.statLeq.textContent = formatLevel(stats.leq);
+        this.elements.statLmax.textContent = formatLevel(stats.lmax);
+        this.elements.statLmin.textContent = formatLevel(stats.lmin);
+        this.elements.statLpeak.textContent = formatLevel(stats.lpeak);
+        this.elements.statL10.textContent = formatLevel(stats.l10);
+        this.elements.statL50.textContent = formatLevel(stats.l50);
+        this.elements.statL90.textContent = formatLevel(stats.l90);
+    }
+
     /**
      * Update location display
      * @param {string} text - Location text
@@ -134,6 +697,682 @@ export class UIController {
         }
     }
 
+    /**
+     * Show/hide settings modal
+     * @param {boolean} show - Whether to show
+     */
+    setSettingsVisible(show) {
+        this.setModalVisible('settingsModal', show);
+    }
+
+    /**
+     * Show/hide a modal
+     * @param {string} name - Element key of the modal
+     * @param {boolean} show - Whether to show
+     */
+    setModalVisible(name, show) {
+        if (show) {
+            this.elements[name].classList.remove('hidden');
+        } else {
+            this.elements[name].classList.add('hidden');
+        }
+    }
+
+    /**
+     * Show the calibration state of the current microphone
+     * @param {Object|null} profile - Profile from CalibrationManager, null when uncalibrated
+     * @param {string} deviceLabel - Microphone label
+     */
+    updateCalibration(profile, deviceLabel) {
+        this.elements.calibrationDevice.textContent = deviceLabel || '--';
+        this.elements.calibrationCurrent.textContent = profile
+            ? `${formatOffset(profile.offset)} (${profile.referenceLevel} dB, ${formatDateTime(new Date(profile.date), UI_CONFIG.locale)})`
+            : MESSAGES.calibration.none;
+    }
+
+    /**
+     * Get the reference level entered for calibration
+     * @returns {number} Level in dB (NaN when empty)
+     */
+    getCalibrationReference() {
+        return parseFloat(this.elements.inputCalibrationReference.value);
+    }
+
+    /**
+     * Disable calibration controls while measuring
+     * @param {boolean} busy - Whether a calibration is running
+     */
+    setCalibrationBusy(busy) {
+        this.elements.btnCalibrationStart.disabled = busy;
+        this.elements.btnCalibrationReset.disabled = busy;
+    }
+
+    /**
+     * Reflect session logging state
+     * @param {boolean} active - Whether a session is being logged
+     * @param {number} interval - Logging interval in ms
+     */
+    setSessionActive(active, interval) {
+        this.elements.btnSessionToggle.textContent = active ? MESSAGES.session.stop : MESSAGES.session.start;
+        this.elements.selectLogInterval.value = String(interval);
+        this.elements.selectLogInterval.disabled = active;
+        this.elements.loggingIndicator.classList.toggle('hidden', !active);
+    }
+
+    /**
+     * Show file analysis progress on the analyze button
+     * @param {number|null} fraction - Analyzed fraction (0..1), null when idle
+     */
+    setFileAnalysisProgress(fraction) {
+        const button = this.elements.btnFileAnalyze;
+        button.disabled = fraction !== null;
+        button.textContent = fraction === null
+            ? MESSAGES.fileAnalysis.analyze
+            : `${MESSAGES.fileAnalysis.progress}... ${Math.round(fraction * 100)}%`;
+    }
+
+    /**
+     * Open the file analysis results
+     * @param {string} details - File name, duration and weighting
+     * @param {Object} stats - Statistics summary
+     */
+    showFileAnalysis(details, stats) {
+        this.elements.analysisDetails.textContent = details;
+        this.elements.analysisLeq.textContent = formatLevel(stats.leq);
+        this.elements.analysisLmax.textContent = formatLevel(stats.lmax);
+        this.elements.analysisLmin.textContent = formatLevel(stats.lmin);
+        this.elements.analysisLpeak.textContent = formatLevel(stats.lpeak);
+        this.elements.analysisL10.textContent = formatLevel(stats.l10);
+        this.elements.analysisL50.textContent = formatLevel(stats.l50);
+        this.elements.analysisL90.textContent = formatLevel(stats.l90);
+
+        this.setModalVisible('sessionsModal', false);
+        this.setModalVisible('analysisModal', true);
+    }
+
+    /**
+     * Fill the day-evening-night settings
+     * @param {{periods: Object, penalties: Object}} settings - Start hour per period, penalties in dB
+     */
+    setIndicatorSettings({ periods, penalties }) {
+        for (const [period, input] of Object.entries(this.elements.indicatorStartInputs)) {
+            input.value = periods[period];
+        }
+        this.elements.inputIndicatorEveningPenalty.value = penalties.evening;
+        this.elements.inputIndicatorNightPenalty.value = penalties.night;
+    }
+
+    /**
+     * Open the day-evening-night indicators of a session
+     * @param {string} details - Session date, duration and weighting
+     * @param {Object} indicators - Result of computeIndicators()
+     * @param {string} unit - Unit label of the session
+     */
+    showIndicators(details, indicators, unit) {
+        const format = (value) => Number.isFinite(value) ? `${formatLevel(value)} ${unit}` : '--';
+        const { durations } = indicators;
+
+        this.elements.indicatorsDetails.textContent = details;
+        this.elements.indicatorLd.textContent = format(indicators.ld);
+        this.elements.indicatorLe.textContent = format(indicators.le);
+        this.elements.indicatorLn.textContent = format(indicators.ln);
+        this.elements.indicatorLden.textContent = format(indicators.lden);
+        this.elements.indicatorLdn.textContent = format(indicators.ldn);
+        this.elements.indicatorDurations.textContent = [durations.day, durations.evening, durations.night]
+            .map(formatDuration).join(' / ');
+
+        this.setModalVisible('sessionsModal', false);
+        this.setModalVisible('indicatorsModal', true);
+    }
+
+    /**
+     * Select the sidecar format in the settings
+     * @param {string} format - 'off', 'vtt' or 'json'
+     */
+    setSidecarFormat(format) {
+        this.elements.selectSidecarFormat.value = format;
+    }
+
+    /**
+     * Open the replay player
+     * @param {string} details - Video name and measurement details
+     * @param {string} unit - Unit label of the track
+     * @param {Object} stats - Statistics summary of the whole track
+     */
+    showReplay(details, unit, stats) {
+        this.elements.replayDetails.textContent = details;
+        this.elements.replayLevelUnit.textContent = unit;
+        this.elements.replayLeq.textContent = formatLevel(stats.leq);
+        this.elements.replayLmax.textContent = formatLevel(stats.lmax);
+        this.elements.replayLmin.textContent = formatLevel(stats.lmin);
+        this.elements.replayLpeak.textContent = formatLevel(stats.lpeak);
+        this.elements.replayL10.textContent = formatLevel(stats.l10);
+        this.elements.replayL50.textContent = formatLevel(stats.l50);
+        this.elements.replayL90.textContent = formatLevel(stats.l90);
+        this.updateReplay(null, null, 0, 0);
+
+        this.setSettingsVisible(false);
+        this.setModalVisible('replayModal', true);
+    }
+
+    /**
+     * Show the replayed level and position
+     * @param {number|null} level - Level at the playback position
+     * @param {string|null} color - Color of the level
+     * @param {number} time - Playback position (s)
+     * @param {number} duration - Playback duration (s)
+     */
+    updateReplay(level, color, time, duration) {
+        this.elements.replayLevelValue.textContent = formatLevel(level);
+        this.elements.replayLevelValue.style.color = color || '';
+        this.elements.replayTime.textContent = `${formatDuration(time)} / ${formatDuration(duration)}`;
+
+        // Do not fight the user while dragging
+        const scrubber = this.elements.replayScrubber;
+        if (document.activeElement !== scrubber) {
+            scrubber.value = duration > 0 ? Math.round(time / duration * scrubber.max) : 0;
+        }
+    }
+
+    /**
+     * Update elapsed time of the logged session
+     * @param {number} seconds - Elapsed seconds
+     */
+    updateLoggingElapsed(seconds) {
+        this.elements.loggingElapsed.textContent = formatDuration(seconds);
+    }
+
+    /**
+     * Render the list of stored sessions
+     * @param {Object[]} sessions - Sessions with sampleCount and displayStatus
+     * @param {Object} handlers - { onResume, onExport, onDelete } called with the session id
+     */
+    renderSessions(sessions, handlers) {
+        const list = this.elements.sessionList;
+        list.replaceChildren();
+
+        if (sessions.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'session-empty';
+            empty.textContent = MESSAGES.session.empty;
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const session of sessions) {
+            const item = document.createElement('div');
+            item.className = 'session-item';
+
+            const title = document.createElement('div');
+            title.className = 'session-item-title';
+            title.textContent = formatDateTime(new Date(session.startTime), UI_CONFIG.locale);
+
+            const end = session.endTime || session.lastSampleTime || session.startTime;
+            const details = document.createElement('div');
+            details.className = 'session-item-details';
+            details.textContent = [
+                formatDuration((end - session.startTime) / 1000),
+                session.weighting ? WEIGHTING_CONFIG.types[session.weighting].label : '',
+                session.source ? `${MESSAGES.fileAnalysis.file}: ${session.source.name}` : '',
+                `${session.sampleCount} ${MESSAGES.session.samples}`,
+                MESSAGES.session.status[session.displayStatus]
+            ].filter(Boolean).join(' · ');
+
+            const actions = document.createElement('div');
+            actions.className = 'session-item-actions';
+            this.addSessionActions(actions, session, handlers);
+
+            item.append(title, details, actions);
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Add action buttons for a session list item
+     * @private
+     */
+    addSessionActions(container, session, handlers) {
+        const addButton = (text, className, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            if (className) button.className = className;
+            button.addEventListener('click', onClick);
+            container.appendChild(button);
+        };
+
+        // Analyzed files cannot be continued with live measurements
+        if (session.displayStatus !== 'active' && !session.source && handlers.onResume) {
+            addButton(MESSAGES.session.resume, '', () => handlers.onResume(session.id));
+        }
+        if (handlers.onReport) {
+            addButton(MESSAGES.session.report, 'secondary', () => handlers.onReport(session.id, 'html'));
+            addButton(MESSAGES.session.reportPdf, 'secondary', () => handlers.onReport(session.id, 'pdf'));
+        }
+        if (handlers.onIndicators) {
+            addButton(MESSAGES.session.indicators, 'secondary', () => handlers.onIndicators(session.id));
+        }
+        if (handlers.onExport) {
+            addButton(MESSAGES.session.exportCsv, 'secondary', () => handlers.onExport(session.id, 'csv'));
+            addButton(MESSAGES.session.exportJson, 'secondary', () => handlers.onExport(session.id, 'json'));
+        }
+        if (handlers.onDelete) {
+            addButton(MESSAGES.session.delete, 'secondary', () => handlers.onDelete(session.id));
+        }
+    }
+
+    /**
+     * Reflect the enabled alarm actions
+     * @param {Object} actions - Action name -> enabled
+     */
+    setAlarmActions(actions) {
+        this.elements.alarmActions.forEach((input) => {
+            input.checked = Boolean(actions[input.dataset.action]);
+        });
+    }
+
+    /**
+     * Render the alarm rule editor
+     * @param {Object[]} rules - Alarm rules
+     * @param {Object} handlers - { onChange(id, changes), onDelete(id) }
+     */
+    renderAlarmRules(rules, handlers) {
+        const list = this.elements.alarmRuleList;
+        list.replaceChildren();
+
+        if (rules.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'session-empty';
+            empty.textContent = MESSAGES.alarm.empty;
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const rule of rules) {
+            const item = document.createElement('div');
+            item.className = 'session-item';
+
+            const fields = document.createElement('div');
+            fields.className = 'alarm-rule-fields';
+
+            const metric = document.createElement('select');
+            for (const name of ALARM_CONFIG.metrics) {
+                metric.add(new Option(MESSAGES.alarm.metrics[name], name, false, name === rule.metric));
+            }
+            metric.addEventListener('change', () => handlers.onChange(rule.id, { metric: metric.value }));
+            fields.appendChild(this.createField(MESSAGES.alarm.fields.metric, metric));
+
+            const inputs = {};
+            for (const name of ['threshold', 'duration', 'hysteresis']) {
+                const input = document.createElement('input');
+                inputs[name] = input;
+                input.type = 'number';
+                input.min = '0';
+                input.step = name === 'duration' ? '1' : '0.5';
+                input.value = rule[name];
+                input.addEventListener('change', () => {
+                    const value = parseFloat(input.value);
+                    if (Number.isFinite(value) && value >= 0) {
+                        handlers.onChange(rule.id, { [name]: value });
+                    } else {
+                        input.value = rule[name];
+                    }
+                });
+                fields.appendChild(this.createField(MESSAGES.alarm.fields[name], input));
+            }
+
+            // The standard's limit replaces the fixed threshold
+            const followLimit = document.createElement('input');
+            followLimit.type = 'checkbox';
+            followLimit.checked = Boolean(rule.followLimit);
+            inputs.threshold.disabled = followLimit.checked;
+            followLimit.addEventListener('change', () => {
+                inputs.threshold.disabled = followLimit.checked;
+                handlers.onChange(rule.id, { followLimit: followLimit.checked });
+            });
+            const followLabel = document.createElement('label');
+            followLabel.className = 'setting-check';
+            followLabel.append(followLimit, ` ${MESSAGES.alarm.fields.followLimit}`);
+            fields.appendChild(followLabel);
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = rule.enabled;
+            enabled.addEventListener('change', () => handlers.onChange(rule.id, { enabled: enabled.checked }));
+            const enabledLabel = document.createElement('label');
+            enabledLabel.className = 'setting-check';
+            enabledLabel.append(enabled, ` ${MESSAGES.alarm.fields.enabled}`);
+
+            const actions = document.createElement('div');
+            actions.className = 'session-item-actions';
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'secondary';
+            deleteButton.textContent = MESSAGES.alarm.delete;
+            deleteButton.addEventListener('click', () => handlers.onDelete(rule.id));
+            actions.append(enabledLabel, deleteButton);
+
+            item.append(fields, actions);
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Fill the noise standard list
+     * @param {{id: string, name: string}[]} profiles - Bundled and custom profiles
+     * @param {string} selectedId - Active profile id
+     */
+    setStandards(profiles, selectedId) {
+        const select = this.elements.selectStandard;
+        select.innerHTML = '';
+        for (const { id, name } of profiles) {
+            select.appendChild(new Option(name, id));
+        }
+        select.value = selectedId;
+    }
+
+    /**
+     * Show the period and limit that apply now
+     * @param {string} text - Status text
+     */
+    setStandardStatus(text) {
+        this.elements.standardStatus.textContent = text;
+    }
+
+    /**
+     * Fill the custom standard form
+     * @param {Object} standard
+     * @param {string} standard.name - Name, '' for a new custom standard
+     * @param {Object} standard.periods - Start hour per period (missing for unused periods)
+     * @param {Object} standard.limits - Limit in dB per period
+     * @param {boolean} deletable - Whether the standard can be deleted
+     */
+    setStandardForm({ name, periods, limits }, deletable) {
+        this.elements.inputStandardName.value = name;
+        for (const [period, inputs] of Object.entries(this.elements.standardInputs)) {
+            const used = Number.isFinite(periods[period]) && Number.isFinite(limits[period]);
+            inputs.start.value = used ? periods[period] : '';
+            inputs.limit.value = used ? limits[period] : '';
+        }
+        this.elements.btnStandardDelete.disabled = !deletable;
+    }
+
+    /**
+     * Read the custom standard form
+     * @returns {{name: string, periods: Object, limits: Object}} Empty fields are null
+     */
+    getStandardForm() {
+        const periods = {};
+        const limits = {};
+        for (const [period, inputs] of Object.entries(this.elements.standardInputs)) {
+            const start = parseInt(inputs.start.value, 10);
+            const limit = parseFloat(inputs.limit.value);
+            periods[period] = Number.isFinite(start) ? start : null;
+            limits[period] = Number.isFinite(limit) ? limit : null;
+        }
+        return { name: this.elements.inputStandardName.value, periods, limits };
+    }
+
+    /**
+     * Fill the layout preset list
+     * @param {string[]} names - Preset names
+     * @param {string} [selected] - Preset to show as selected
+     */
+    setLayoutPresets(names, selected = '') {
+        const select = this.elements.selectLayoutPreset;
+        select.innerHTML = '';
+        select.appendChild(new Option(MESSAGES.layout.choosePreset, ''));
+        for (const name of names) {
+            select.appendChild(new Option(name, name));
+        }
+        select.value = names.includes(selected) ? selected : '';
+        this.elements.inputLayoutName.value = select.value;
+    }
+
+    /**
+     * Render the overlay widgets with their visibility, size, theme and position controls
+     * @param {{widgets: Object}} layout - Layout from OverlayLayoutManager
+     * @param {string|null} selectedId - Widget selected in the preview
+     * @param {Object} handlers
+     * @param {Function} handlers.onChange - Called with (id, changes)
+     * @param {Function} handlers.onSelect - Called with the widget id
+     */
+    renderLayoutWidgets(layout, selectedId, handlers) {
+        const list = this.elements.layoutWidgetList;
+        list.replaceChildren();
+
+        for (const id of OVERLAY_LAYOUT_CONFIG.widgets) {
+            const widget = layout.widgets[id];
+            const item = document.createElement('div');
+            item.className = id === selectedId ? 'session-item selected' : 'session-item';
+            item.addEventListener('click', () => handlers.onSelect(id));
+
+            const visible = document.createElement('input');
+            visible.type = 'checkbox';
+            visible.checked = widget.visible;
+            visible.title = MESSAGES.layout.visible;
+            visible.addEventListener('change', () => handlers.onChange(id, { visible: visible.checked }));
+            const title = document.createElement('label');
+            title.className = 'setting-check session-item-title';
+            title.append(visible, ` ${MESSAGES.layout.widgets[id]}`);
+
+            const fields = document.createElement('div');
+            fields.className = 'alarm-rule-fields';
+
+            const size = document.createElement('input');
+            size.type = 'range';
+            size.min = String(OVERLAY_LAYOUT_CONFIG.minSize);
+            size.max = String(OVERLAY_LAYOUT_CONFIG.maxSize);
+            size.step = String(OVERLAY_LAYOUT_CONFIG.sizeStep);
+            size.value = String(widget.size);
+            size.addEventListener('change', () => handlers.onChange(id, { size: parseFloat(size.value) }));
+            fields.appendChild(this.createField(`${MESSAGES.layout.size} ×${widget.size.toFixed(1)}`, size));
+
+            if (!OVERLAY_LAYOUT_CONFIG.unthemed.includes(id)) {
+                const theme = document.createElement('select');
+                for (const [name, label] of Object.entries(MESSAGES.layout.themes)) {
+                    theme.add(new Option(label, name, false, name === widget.theme));
+                }
+                theme.addEventListener('change', () => handlers.onChange(id, { theme: theme.value }));
+                fields.appendChild(this.createField(MESSAGES.layout.theme, theme));
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'session-item-actions';
+            const autoButton = document.createElement('button');
+            autoButton.className = 'secondary';
+            autoButton.textContent = MESSAGES.layout.auto;
+            autoButton.disabled = widget.x === null;
+            autoButton.addEventListener('click', () => handlers.onChange(id, { x: null, y: null }));
+            actions.appendChild(autoButton);
+
+            item.append(title, fields, actions);
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Mark the widget selected in the preview
+     * @param {string|null} selectedId - Widget id
+     */
+    setLayoutSelection(selectedId) {
+        const items = this.elements.layoutWidgetList.children;
+        OVERLAY_LAYOUT_CONFIG.widgets.forEach((id, i) => {
+            if (items[i]) items[i].classList.toggle('selected', id === selectedId);
+        });
+        const selected = items[OVERLAY_LAYOUT_CONFIG.widgets.indexOf(selectedId)];
+        if (selected) selected.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Switch between the on-screen overlay and the live preview of the captured overlay
+     * @param {boolean} enabled - Whether the preview canvas is shown
+     */
+    setOverlayPreview(enabled) {
+        document.body.classList.toggle('overlay-preview', enabled);
+        this.elements.overlayPreview.classList.toggle('hidden', !enabled);
+        this.elements.checkOverlayPreview.checked = enabled;
+    }
+
+    /**
+     * Lay out the on-screen overlay from the same layout as the captured one. The level pill
+     * and location only toggle, they stay inside the dBA and info boxes; the info box is
+     * placed, sized and themed by its date/time line.
+     * @param {{widgets: Object}} layout - Layout from OverlayLayoutManager
+     */
+    applyOverlayLayout(layout) {
+        const { widgets } = layout;
+        const show = (element, visible) => {
+            element.style.display = visible ? '' : 'none';
+        };
+
+        show(this.elements.dbaLevel, widgets.levelPill.visible);
+        show(this.elements.datetime, widgets.datetime.visible);
+        show(this.elements.location, widgets.location.visible);
+        show(this.elements.infoContainer, widgets.datetime.visible || widgets.location.visible);
+
+        const placed = [
+            ['dba', this.elements.dbaContainer, true],
+            ['stats', this.elements.statsContainer, true],
+            ['datetime', this.elements.infoContainer, true],
+            ['rec', this.elements.recordingIndicator, false],
+            ['chart', this.elements.historyChart, true],
+            ['visualizer', this.elements.visualizer, true]
+        ];
+        for (const [id, element, themed] of placed) {
+            if (id !== 'datetime') show(element, widgets[id].visible);
+            this.placeOverlayElement(element, widgets[id], themed);
+        }
+    }
+
+    /**
+     * Apply a widget's size, theme and dragged position to an overlay element
+     * @private
+     */
+    placeOverlayElement(element, widget, themed) {
+        const style = element.style;
+        style.scale = widget.size === 1 ? '' : String(widget.size);
+        if (themed) {
+            element.dataset.theme = widget.theme;
+        }
+
+        // The stylesheet position applies while the widget is placed automatically
+        if (widget.x === null) {
+            for (const name of ['left', 'top', 'right', 'bottom', 'width', 'transform', 'animation', 'translate', 'transformOrigin']) {
+                style[name] = '';
+            }
+            return;
+        }
+
+        // Same mapping as the captured overlay: x/y are fractions of the free space inside the padding
+        const padding = OVERLAY_LAYOUT_CONFIG.screenPadding;
+        style.left = `calc(${padding}px + ${widget.x} * (100% - ${padding * 2}px))`;
+        style.top = `calc(${padding}px + ${widget.y} * (100% - ${padding * 2}px))`;
+        style.translate = `${-widget.x * 100}% ${-widget.y * 100}%`;
+        style.transformOrigin = `${widget.x * 100}% ${widget.y * 100}%`;
+        style.right = 'auto';
+        style.bottom = 'auto';
+        style.transform = 'none';
+        style.animation = 'none';
+        if (element.tagName === 'CANVAS') {
+            // Stretched between both edges by the stylesheet
+            style.width = `min(480px, calc(100% - ${padding * 2}px))`;
+        }
+    }
+
+    /**
+     * Wrap a control in a labelled setting row
+     * @private
+     */
+    createField(labelText, control) {
+        const row = document.createElement('div');
+        row.className = 'setting-row';
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        row.append(label, control);
+        return row;
+    }
+
+    /**
+     * Show or hide the active alarm indicator
+     * @param {string|null} message - Active alarm text, null when no alarm is active
+     */
+    setAlarmActive(message) {
+        this.elements.alarmIndicatorText.textContent = message || '';
+        this.elements.alarmIndicator.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Fill the event recording settings
+     * @param {{threshold: number, preRoll: number, postRoll: number}} settings
+     */
+    setEventSettings({ threshold, preRoll, postRoll }) {
+        this.elements.inputEventThreshold.value = threshold;
+        this.elements.inputEventPreroll.value = preRoll;
+        this.elements.inputEventPostroll.value = postRoll;
+    }
+
+    /**
+     * Reflect armed mode and event capture
+     * @param {boolean} armed - Whether armed mode is on
+     * @param {boolean} capturing - Whether an event clip is being recorded
+     */
+    setEventRecorderState(armed, capturing) {
+        this.elements.btnEventToggle.textContent = armed ? MESSAGES.eventRecording.disarm : MESSAGES.eventRecording.arm;
+        this.elements.eventIndicator.classList.toggle('hidden', !armed);
+        this.elements.eventIndicator.classList.toggle('capturing', capturing);
+        this.elements.eventIndicatorText.textContent = capturing
+            ? MESSAGES.eventRecording.capturing
+            : MESSAGES.eventRecording.waiting;
+    }
+
+    /**
+     * Fill the noise dose settings
+     * @param {{criterion: number, exchangeRate: number, threshold: number}} settings
+     * @param {string} preset - Matching preset, or 'custom'
+     */
+    setDoseSettings({ criterion, exchangeRate, threshold }, preset) {
+        this.elements.selectDosePreset.value = preset;
+        this.elements.inputDoseCriterion.value = criterion;
+        this.elements.selectDoseExchange.value = String(exchangeRate);
+        this.elements.inputDoseThreshold.value = threshold;
+    }
+
+    /**
+     * Reflect whether the noise dose is being measured
+     * @param {boolean} running - Whether exposure is integrated
+     */
+    setDoseRunning(running) {
+        this.elements.btnDoseToggle.textContent = running ? MESSAGES.dose.stop : MESSAGES.dose.start;
+        this.elements.doseIndicator.classList.toggle('hidden', !running);
+    }
+
+    /**
+     * Show noise dose results in the dialog and the indicator
+     * @param {Object} results - Results from NoiseDosimeter.getResults()
+     * @param {string} unit - Unit label of the measured levels
+     */
+    updateDose(results, unit) {
+        const dose = `${results.dose.toFixed(1)}%`;
+        let timeTo100 = '--';
+        if (results.timeTo100 === 0) {
+            timeTo100 = MESSAGES.dose.reached;
+        } else if (results.timeTo100 !== null) {
+            timeTo100 = formatDuration(results.timeTo100);
+        }
+
+        this.elements.doseValue.textContent = dose;
+        this.elements.doseTwa.textContent = `${formatLevel(results.twa)} ${unit}`;
+        this.elements.doseProjected.textContent = `${formatLevel(results.projectedTwa)} ${unit} (${results.projectedDose.toFixed(0)}%)`;
+        this.elements.doseLex.textContent = `${formatLevel(results.lex8h)} ${unit}`;
+        this.elements.doseTimeTo100.textContent = timeTo100;
+        this.elements.doseDuration.textContent = formatDuration(results.duration);
+        this.elements.doseLeq.textContent = formatLevel(results.leq);
+        this.elements.doseLmax.textContent = formatLevel(results.lmax);
+        this.elements.doseLpeak.textContent = formatLevel(results.lpeak);
+
+        this.elements.doseIndicatorText.textContent = `${MESSAGES.dose.indicator} ${dose}`;
+        this.elements.doseIndicator.classList.toggle('over', results.dose >= 100);
+    }
+
     /**
      * Set recording UI state
      * @param {boolean} isRecording - Recording state
@@ -154,16 +1393,16 @@ export class UIController {
      * @param {string} type - Toast type (success, error, or empty)
      */
     showToast(message, type = '') {
-        // Add FA icon based on type
-        let icon = '';
-        if (type === 'success') {
-            icon = '<i class="fa-solid fa-circle-check"></i> ';
-        } else if (type === 'error') {
-            icon = '<i class="fa-solid fa-circle-xmark"></i> ';
+        // Add FA icon based on type. The message is text: it can hold names the user typed.
+        const toast = this.elements.toast;
+        toast.textContent = '';
+        if (type === 'success' || type === 'error') {
+            const icon = document.createElement('i');
+            icon.className = type === 'success' ? 'fa-solid fa-circle-check' : 'fa-solid fa-circle-xmark';
+            toast.append(icon, ' ');
         }
-
-        this.elements.toast.innerHTML = icon + message;
-        this.elements.toast.className = type;
+        toast.append(message);
+        toast.className = type;
 
         setTimeout(() => {
             this.elements.toast.classList.add('hidden');
@@ -178,6 +1417,100 @@ export class UIController {
         this.elements.camera.srcObject = stream;
     }
 
+    /**
+     * Fill the microphone list
+     * @param {{deviceId: string, label: string}[]} microphones - Audio inputs
+     * @param {string} selectedId - Selected device id, '' for the browser default
+     */
+    setMicrophones(microphones, selectedId) {
+        const select = this.elements.selectMicrophone;
+        select.innerHTML = '';
+        select.appendChild(new Option(MESSAGES.devices.defaultMicrophone, ''));
+        for (const { deviceId, label } of microphones) {
+            select.appendChild(new Option(label, deviceId));
+        }
+        // A stored device that is not connected shows as the default
+        select.value = microphones.some(m => m.deviceId === selectedId) ? selectedId : '';
+    }
+
+    /**
+     * Fill the camera list
+     * @param {{deviceId: string, label: string}[]} cameras - Video inputs
+     * @param {string} selectedId - Selected device id, '' when the facing mode decides
+     */
+    setCameras(cameras, selectedId) {
+        const select = this.elements.selectCamera;
+        select.innerHTML = '';
+        select.appendChild(new Option(MESSAGES.devices.defaultCamera, ''));
+        for (const { deviceId, label } of cameras) {
+            select.appendChild(new Option(label, deviceId));
+        }
+        select.value = cameras.some(c => c.deviceId === selectedId) ? selectedId : '';
+    }
+
+    /**
+     * Reflect the camera format in the settings
+     * @param {Object} format
+     * @param {string} format.resolution - Key of CAMERA_CONFIG.resolutions
+     * @param {number} format.frameRate - Frames per second
+     */
+    setCameraFormat({ resolution, frameRate }) {
+        this.elements.selectResolution.value = resolution;
+        this.elements.selectFrameRate.value = String(frameRate);
+    }
+
+    /**
+     * Show which voice processing the browser kept on
+     * @param {string[]} active - Names from DEVICE_CONFIG.audioProcessing, empty to hide the warning
+     */
+    setMicrophoneWarning(active) {
+        const warning = this.elements.microphoneWarning;
+        warning.classList.toggle('hidden', active.length === 0);
+        warning.textContent = active.length
+            ? `${MESSAGES.devices.processingActive} (${active.map(name => MESSAGES.devices.processing[name]).join(', ')})`
+            : '';
+    }
+
+    /**
+     * Switch between the camera view and the full-screen audio-only layout
+     * @param {boolean} enabled - Whether the camera is not used
+     */
+    setAudioOnly(enabled) {
+        document.body.classList.toggle('audio-only', enabled);
+        this.elements.checkAudioOnly.checked = enabled;
+    }
+
+    /**
+     * Fill the language list
+     * @param {{code: string, name: string}[]} locales - Available locales
+     * @param {string} selected - Active locale code
+     */
+    setLanguages(locales, selected) {
+        const select = this.elements.selectLanguage;
+        select.innerHTML = '';
+        for (const { code, name } of locales) {
+            select.appendChild(new Option(name, code));
+        }
+        select.value = selected;
+    }
+
+    /**
+     * Replace the static page texts marked with data-i18n (text), data-i18n-title
+     * and data-i18n-placeholder. Elements whose key is missing keep their text.
+     * @param {Function} getText - Returns the text for a key, or null
+     */
+    translatePage(getText) {
+        const translate = (attribute, apply) => {
+            for (const element of document.querySelectorAll(`[${attribute}]`)) {
+                const text = getText(element.getAttribute(attribute));
+                if (text !== null) apply(element, text);
+            }
+        };
+        translate('data-i18n', (element, text) => { element.textContent = text; });
+        translate('data-i18n-title', (element, text) => { element.title = text; });
+        translate('data-i18n-placeholder', (element, text) => { element.placeholder = text; });
+    }
+
     /**
      * Clean up
      */
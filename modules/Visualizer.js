@@ -3,12 +3,89 @@
  * Handles real-time audio visualization on the web canvas
  */
 
-import { VISUALIZER_CONFIG } from './constants.js';
+import { VISUALIZER_CONFIG, BAND_CONFIG } from './constants.js';
+import { clamp } from '../utils/helpers.js';
+import { drawSpectrogram } from './Spectrogram.js';
+
+/**
+ * Draw octave band levels as bars with Leq and max hold markers.
+ * Shared by the on-screen visualizer and CanvasOverlay.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Chart width
+ * @param {number} height - Chart height
+ * @param {Object[]} bands - Bands from OctaveBandAnalyzer.getBands()
+ * @param {number} [scale] - Scale for line widths and text
+ */
+export function drawBandLevels(ctx, x, y, width, height, bands, scale = 1) {
+    if (!bands || bands.length === 0) return;
+
+    const { minLevel, maxLevel, colors } = BAND_CONFIG;
+    const fontSize = Math.max(8, 9 * scale);
+    const labelHeight = fontSize * 1.4;
+    const chartHeight = height - labelHeight;
+    const slot = width / bands.length;
+    const barWidth = Math.max(1, slot - VISUALIZER_CONFIG.barSpacing * scale);
+    const toHeight = (level) => (clamp(level, minLevel, maxLevel) - minLevel) / (maxLevel - minLevel) * chartHeight;
+
+    // Gradient over the full level range, so bar color follows level
+    const gradient = ctx.createLinearGradient(0, y + chartHeight, 0, y);
+    VISUALIZER_CONFIG.colors.barGradient.forEach(({ stop, color }) => {
+        gradient.addColorStop(stop, color);
+    });
+
+    // Label every band for octaves, every octave for third-octaves
+    const labelStep = bands.length > 12 ? 3 : 1;
+
+    ctx.font = `${fontSize}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    bands.forEach((band, i) => {
+        const barX = x + i * slot;
+
+        if (band.level !== null) {
+            const barHeight = toHeight(band.level);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(barX, y + chartHeight - barHeight, barWidth, barHeight);
+        }
+        if (band.leq !== null) {
+            ctx.fillStyle = colors.leq;
+            ctx.fillRect(barX, y + chartHeight - toHeight(band.leq) - scale, barWidth, 2 * scale);
+        }
+        if (band.max !== null) {
+            ctx.fillStyle = colors.max;
+            ctx.fillRect(barX, y + chartHeight - toHeight(band.max) - scale, barWidth, 2 * scale);
+        }
+
+        if (i % labelStep === 0) {
+            ctx.fillStyle = colors.label;
+            ctx.fillText(band.label, barX + barWidth / 2, y + height);
+        }
+    });
+}
 
 export class Visualizer {
     constructor(canvasElement) {
         this.canvas = canvasElement;
         this.ctx = this.canvas.getContext('2d');
+        this.mode = VISUALIZER_CONFIG.defaultMode;
+    }
+
+    /**
+     * Select what is drawn: waveform with FFT bars or octave bands, or a spectrogram
+     * @param {string} mode - 'bars' (FFT), 'octave', 'third' or 'spectrogram'
+     */
+    setMode(mode) {
+        this.mode = mode;
+    }
+
+    /**
+     * Get the visualizer mode
+     * @returns {string}
+     */
+    getMode() {
+        return this.mode;
     }
 
     /**
@@ -22,12 +99,14 @@ export class Visualizer {
     }
 
     /**
-     * Draw the visualizer (waveform + frequency bars)
+     * Draw the visualizer (waveform + frequency bars or octave bands, or a spectrogram)
      * @param {Uint8Array} timeDataArray - Time domain data
      * @param {Uint8Array} dataArray - Frequency data
      * @param {string} color - Waveform color
+     * @param {Object[]} [bands] - Octave band levels (band modes)
+     * @param {Spectrogram} [spectrogram] - Spectrogram (spectrogram mode)
      */
-    draw(timeDataArray, dataArray, color) {
+    draw(timeDataArray, dataArray, color, bands = null, spectrogram = null) {
         if (!timeDataArray || !dataArray) return;
 
         const width = this.canvas.width / window.devicePixelRatio;
@@ -37,11 +116,21 @@ export class Visualizer {
         this.ctx.fillStyle = VISUALIZER_CONFIG.colors.background;
         this.ctx.fillRect(0, 0, width, height);
 
+        // The spectrogram fills the canvas, a waveform on top would hide it
+        if (this.mode === 'spectrogram' && spectrogram) {
+            drawSpectrogram(this.ctx, 0, 0, width, height, spectrogram);
+            return;
+        }
+
         // Draw waveform
         this.drawWaveform(timeDataArray, width, height, color);
 
-        // Draw frequency bars
-        this.drawFrequencyBars(dataArray, width, height);
+        // Draw frequency bars or band levels
+        if (bands) {
+            drawBandLevels(this.ctx, 0, 0, width, height, bands);
+        } else {
+            this.drawFrequencyBars(dataArray, width, height);
+        }
     }
 
     /**
@@ -3,28 +3,233 @@
  * Centralized configuration for the entire application
  */
 
+import { vi } from './locales/vi.js';
+
+// ===== Application Info =====
+export const APP_INFO = {
+    name: 'DBA Noise Meter',
+    version: '2.1.0'
+};
+
 // ===== DBA Level Configuration =====
+// Bands of the general profile; replaced in place by the bands of the active standards profile
 export const DBA_LEVELS = [
-    { max: 40, text: 'Rất yên tĩnh', class: 'level-quiet', color: '#00ff88' },
-    { max: 60, text: 'Yên tĩnh', class: 'level-quiet', color: '#00ff88' },
-    { max: 70, text: 'Vừa phải', class: 'level-moderate', color: '#ffff00' },
-    { max: 85, text: 'Ồn', class: 'level-loud', color: '#ff9900' },
-    { max: Infinity, text: 'Rất ồn - Có hại!', class: 'level-very-loud', color: '#ff4444' }
+    { max: 40, text: vi.messages.levels[0], class: 'level-quiet', color: '#00ff88' },
+    { max: 60, text: vi.messages.levels[1], class: 'level-quiet', color: '#00ff88' },
+    { max: 70, text: vi.messages.levels[2], class: 'level-moderate', color: '#ffff00' },
+    { max: 85, text: vi.messages.levels[3], class: 'level-loud', color: '#ff9900' },
+    { max: Infinity, text: vi.messages.levels[4], class: 'level-very-loud', color: '#ff4444' }
 ];
 
 // ===== Audio Analysis Configuration =====
 export const AUDIO_CONFIG = {
     fftSize: 2048,
     smoothingTimeConstant: 0.8,
-    dbaSmoothing: 0.92,          // Weight for previous value
-    dbaOffset: 100,               // Offset for dBA calculation (adjusted based on user feedback)
+    dbaOffset: 100,               // Default offset for uncalibrated microphones (see CALIBRATION_CONFIG)
     minDBA: 20,
     maxDBA: 140,
-    displayUpdateInterval: 500   // ms between display updates
+    displayUpdateInterval: 500,  // ms between display updates
+    meterReportInterval: 0.125   // s between level reports from the measurement worklet
+};
+
+// ===== Calibration Configuration =====
+export const CALIBRATION_CONFIG = {
+    storageKey: 'dba-noise-meter.calibration',
+    measureDuration: 5,           // s of signal averaged during calibration
+    minReferenceLevel: 30,
+    maxReferenceLevel: 140
+};
+
+// ===== Session Logging Configuration =====
+export const SESSION_CONFIG = {
+    dbName: 'dba-noise-meter',
+    dbVersion: 3,                // 2: events store for alarm markers, 3: photos store for reports
+    defaultInterval: 1000,       // ms between logged samples
+    flushInterval: 2000,         // ms between IndexedDB writes
+    activeSessionKey: 'dba-noise-meter.activeSession'
+};
+
+// ===== File Analysis Configuration =====
+export const FILE_ANALYSIS_CONFIG = {
+    sampleRate: 48000,           // Decoded files are resampled to this rate
+    chunkDuration: 60,           // s rendered per OfflineAudioContext (bounds the render buffers only)
+    warmUp: 1,                   // s rendered before each chunk so the filters have settled
+    integrationStep: 0.001,      // s per time weighting step
+    // The whole file is decoded at once into 32-bit samples (48000 × 4 bytes per second
+    // and channel, ≈ 460 MB for 20 min of stereo), so the length is capped
+    maxDuration: 20 * 60,        // s
+    maxFileSize: 256 * 1024 * 1024,
+    maxUnprobedSize: 20 * 1024 * 1024, // Largest file accepted when its duration cannot be read
+    probeTimeout: 10000          // ms to read the duration from the file's metadata
+};
+
+// ===== Alarm Configuration =====
+export const ALARM_CONFIG = {
+    storageKey: 'dba-noise-meter.alarms',
+    // Values a rule can watch
+    metrics: ['level', 'leq1m'],
+    defaultRule: {
+        metric: 'level',
+        threshold: 85,
+        duration: 10,            // s above threshold before the alarm triggers
+        hysteresis: 3,           // dB below threshold before the alarm clears
+        followLimit: false,      // Use the limit of the active standards profile as threshold
+        enabled: true
+    },
+    defaultActions: {
+        toast: true,
+        vibrate: true,
+        beep: false,
+        notification: false
+    },
+    vibratePattern: [300, 100, 300],
+    beep: {
+        frequency: 880,          // Hz
+        duration: 0.4,           // s
+        gain: 0.3
+    }
+};
+
+// ===== Noise Standards Configuration =====
+export const STANDARDS_CONFIG = {
+    storageKey: 'dba-noise-meter.standards',
+    defaultProfile: 'general',
+    periods: ['day', 'evening', 'night'],
+    updateInterval: 60000,       // ms between checks for a new period
+    // Level bands around the limit of the current period (upper bound relative to the limit)
+    limitBands: [
+        { offset: -5, name: 'below', class: 'level-quiet', color: '#00ff88' },
+        { offset: 0, name: 'near', class: 'level-moderate', color: '#ffff00' },
+        { offset: 10, name: 'over', class: 'level-loud', color: '#ff9900' },
+        { offset: Infinity, name: 'farOver', class: 'level-very-loud', color: '#ff4444' }
+    ],
+    // periods: start hour of each period, which lasts until the next one starts
+    // limits: dB per period
+    profiles: {
+        // No limit, the DBA_LEVELS bands
+        general: { periods: { day: 0 }, limits: { day: null } },
+        // QCVN 26:2010/BTNMT, hospitals, schools, libraries, places of worship
+        qcvn26Special: { periods: { day: 6, night: 21 }, limits: { day: 55, night: 45 } },
+        // QCVN 26:2010/BTNMT, residential areas, hotels, offices
+        qcvn26Normal: { periods: { day: 6, night: 21 }, limits: { day: 70, night: 55 } },
+        // WHO Guidelines for Community Noise (1999), outdoor living areas and outside bedrooms
+        who: { periods: { day: 7, evening: 19, night: 23 }, limits: { day: 55, evening: 55, night: 45 } },
+        // OSHA permissible exposure limit, 8 h TWA
+        osha: { periods: { day: 0 }, limits: { day: 90 } },
+        // NIOSH recommended exposure limit, 8 h TWA
+        niosh: { periods: { day: 0 }, limits: { day: 85 } },
+        // EU END (2002/49/EC) reporting thresholds: Lden 55 (5 dB evening penalty), Lnight 50
+        euEnd: { periods: { day: 7, evening: 19, night: 23 }, limits: { day: 55, evening: 50, night: 50 } }
+    },
+    customDefaults: { periods: { day: 6, evening: 18, night: 22 }, limits: { day: 70, evening: 65, night: 55 } }
+};
+
+// ===== Noise Dosimeter Configuration =====
+export const DOSIMETER_CONFIG = {
+    storageKey: 'dba-noise-meter.dosimeter',
+    criterionTime: 8 * 3600,     // s, exposure time allowed at the criterion level (8 h shift)
+    binWidth: 0.1,               // dB, resolution of the stored exposure histogram
+    saveInterval: 10000,         // ms between saves while measuring
+    maxMinutes: 24 * 60,         // Per-minute levels kept for exports
+    exchangeRates: [3, 5],
+    defaultPreset: 'niosh',
+    // criterion: dB for 100% dose over criterionTime
+    // exchangeRate: dB that doubles (or halves) the allowed time
+    // threshold: dB below which levels add no dose (0 counts everything)
+    presets: {
+        // NIOSH recommended exposure limit
+        niosh: { criterion: 85, exchangeRate: 3, threshold: 80 },
+        // OSHA permissible exposure limit (29 CFR 1910.95)
+        oshaPel: { criterion: 90, exchangeRate: 5, threshold: 90 },
+        // OSHA hearing conservation amendment (action level 85 dBA TWA)
+        oshaHc: { criterion: 90, exchangeRate: 5, threshold: 80 }
+    }
+};
+
+// ===== Day-Evening-Night Indicators Configuration =====
+export const INDICATORS_CONFIG = {
+    storageKey: 'dba-noise-meter.indicators',
+    // Start hour of each period, which lasts until the next one starts (EU END defaults: 07-19, 19-23, 23-07)
+    periods: { day: 7, evening: 19, night: 23 },
+    // dB added to the evening and night levels in Lden (the night one also in Ldn)
+    penalties: { evening: 5, night: 10 },
+    maxPenalty: 20
+};
+
+// ===== Report Configuration =====
+export const REPORT_CONFIG = {
+    chartWidth: 1200,            // px of the level-vs-time chart image
+    chartHeight: 360,
+    // Photos are embedded as downscaled JPEG data URLs, the rest are only counted
+    maxPhotos: 24,
+    photoMaxSize: 800,           // px of the longer side
+    photoQuality: 0.8,
+    // Map link of the measurement location
+    mapUrl: 'https://www.openstreetmap.org/?mlat={lat}&mlon={lon}#map=17/{lat}/{lon}'
+};
+
+// ===== Frequency Weighting Configuration =====
+export const WEIGHTING_CONFIG = {
+    default: 'A',
+    types: {
+        A: { label: 'dBA' },
+        C: { label: 'dBC' },   // Low-frequency noise (HVAC, bass)
+        Z: { label: 'dBZ' }    // Flat, unweighted
+    }
+};
+
+// ===== Time Weighting Configuration (IEC 61672) =====
+export const TIME_WEIGHTING_CONFIG = {
+    default: 'F',
+    types: {
+        // Time constants in seconds for rising and decaying levels
+        F: { label: 'Fast', rise: 0.125, decay: 0.125 },
+        S: { label: 'Slow', rise: 1, decay: 1 },
+        I: { label: 'Impulse', rise: 0.035, decay: 1.5 }
+    }
+};
+
+// ===== Statistics Configuration =====
+export const STATISTICS_CONFIG = {
+    // Rolling windows in ms (the whole session is always available as 'session')
+    windows: {
+        '1m': 60 * 1000,
+        '15m': 15 * 60 * 1000,
+        '1h': 60 * 60 * 1000
+    },
+    defaultWindow: 'session',
+    histogramResolution: 0.1,    // dB per histogram bin
+    histogramRange: 160,         // dB covered by the histogram
+    displayUpdateInterval: 1000  // ms between panel updates
+};
+
+// ===== Level History Chart Configuration =====
+export const HISTORY_CONFIG = {
+    // Selectable chart spans in ms
+    spans: {
+        '30s': 30 * 1000,
+        '5m': 5 * 60 * 1000,
+        '1h': 60 * 60 * 1000
+    },
+    defaultSpan: '5m',
+    maxDuration: 60 * 60 * 1000, // ms of history kept in memory
+    minSampleSpacing: 100,       // ms, limits the rate of fallback (per-frame) blocks
+    minLevel: 20,                // dB at the bottom of the chart
+    maxLevel: 120,               // dB at the top of the chart
+    gridStep: 20,                // dB between grid lines
+    drawInterval: 250,           // ms between on-screen redraws
+    colors: {
+        background: 'rgba(0, 0, 0, 0.5)',
+        grid: 'rgba(255, 255, 255, 0.12)',
+        text: 'rgba(255, 255, 255, 0.7)',
+        lmax: '#ffffff',
+        cursor: '#00ccff'
+    }
 };
 
 // ===== Visualizer Configuration =====
 export const VISUALIZER_CONFIG = {
+    defaultMode: 'bars',         // 'bars' (FFT), 'octave' or 'third' (see BAND_CONFIG), 'spectrogram'
     barCount: 64,
     barCountMobile: 32,
     barSpacing: 2,
@@ -39,6 +244,65 @@ export const VISUALIZER_CONFIG = {
     }
 };
 
+// ===== Octave Band Analyzer Configuration (IEC 61260-1, base 10) =====
+export const BAND_CONFIG = {
+    fftSize: 16384,              // Enough resolution for the 31.5 Hz third-octave band
+    updateInterval: 100,         // ms between band updates
+    // Nominal mid-band frequencies, 31.5 Hz - 16 kHz
+    labels: {
+        octave: ['31.5', '63', '125', '250', '500', '1k', '2k', '4k', '8k', '16k'],
+        third: [
+            '31.5', '40', '50', '63', '80', '100', '125', '160', '200', '250',
+            '315', '400', '500', '630', '800', '1k', '1.25k', '1.6k', '2k', '2.5k',
+            '3.15k', '4k', '5k', '6.3k', '8k', '10k', '12.5k', '16k'
+        ]
+    },
+    // Exponent of the first band: fm = 1000 · 10^(3k / 10b) with b bands per octave
+    firstIndex: { octave: -5, third: -15 },
+    bandsPerOctave: { octave: 1, third: 3 },
+    minLevel: 0,                 // dB at the bottom of the band chart
+    maxLevel: 110,               // dB at the top of the band chart
+    colors: {
+        leq: '#00ccff',
+        max: '#ffffff',
+        label: 'rgba(255, 255, 255, 0.7)'
+    }
+};
+
+// ===== Spectrogram Configuration =====
+export const SPECTROGRAM_CONFIG = {
+    updateInterval: 100,         // ms between columns
+    columns: 300,                // Columns kept (300 × 100 ms = 30 s)
+    rows: 160,                   // Log-spaced frequency rows
+    minFrequency: 20,            // Hz at the bottom
+    maxFrequency: 20000,         // Hz at the top (limited to Nyquist)
+    minLevel: 20,                // Default dB mapped to the first color
+    maxLevel: 100,               // Default dB mapped to the last color
+    levelLimits: { min: -20, max: 160 },
+    frequencyLabels: [
+        { frequency: 50, label: '50' },
+        { frequency: 100, label: '100' },
+        { frequency: 250, label: '250' },
+        { frequency: 500, label: '500' },
+        { frequency: 1000, label: '1k' },
+        { frequency: 2000, label: '2k' },
+        { frequency: 4000, label: '4k' },
+        { frequency: 8000, label: '8k' },
+        { frequency: 16000, label: '16k' }
+    ],
+    defaultColorMap: 'inferno',
+    // Evenly spaced color stops from low to high level
+    colorMaps: {
+        inferno: ['#000004', '#420a68', '#932667', '#dd513a', '#fca50a', '#fcffa4'],
+        viridis: ['#440154', '#414487', '#2a788e', '#22a884', '#7ad151', '#fde725'],
+        grayscale: ['#000000', '#ffffff']
+    },
+    colors: {
+        label: 'rgba(255, 255, 255, 0.8)',
+        tick: 'rgba(255, 255, 255, 0.4)'
+    }
+};
+
 // ===== Canvas Overlay Configuration =====
 export const OVERLAY_CONFIG = {
     // Scale factors
@@ -53,8 +317,6 @@ export const OVERLAY_CONFIG = {
         heightPortrait: 120,
         heightLandscape: 140,
         borderRadius: 15,
-        background: 'rgba(0, 0, 0, 0.8)',
-        borderColor: 'rgba(255, 255, 255, 0.25)',
         borderWidth: 2
     },
 
@@ -67,6 +329,13 @@ export const OVERLAY_CONFIG = {
         borderRadius: 12
     },
 
+    // Statistics Box (below the DBA box)
+    statsBox: {
+        gap: 10,
+        borderRadius: 12,
+        rowHeightRatio: 1.35    // Row height relative to font size
+    },
+
     // Recording Indicator
     recIndicator: {
         widthPortrait: 60,
@@ -87,10 +356,36 @@ export const OVERLAY_CONFIG = {
         maxWidthRatio: 0.5,
         maxWidth: 180,
         borderRadius: 10,
-        background: 'rgba(0, 0, 0, 0.7)',
         innerPadding: 6
     },
 
+    // Level History Chart (above the mini visualizer, optional)
+    historyChart: {
+        heightPortrait: 90,
+        heightLandscape: 140,
+        widthRatioPortrait: 0.9,
+        widthRatioLandscape: 0.4,
+        maxWidth: 900,
+        gap: 10,
+        borderRadius: 10
+    },
+
+    // Widget themes (panel colors and text)
+    themes: {
+        dark: { background: 'rgba(0, 0, 0, 0.8)', border: 'rgba(255, 255, 255, 0.25)', text: '#ffffff', muted: '#aaaaaa' },
+        light: { background: 'rgba(255, 255, 255, 0.85)', border: 'rgba(0, 0, 0, 0.2)', text: '#111111', muted: '#555555' },
+        glass: { background: 'rgba(0, 0, 0, 0.35)', border: 'rgba(255, 255, 255, 0.4)', text: '#ffffff', muted: '#dddddd' },
+        none: { background: 'rgba(0, 0, 0, 0)', border: 'rgba(0, 0, 0, 0)', text: '#ffffff', muted: '#eeeeee' }
+    },
+
+    // Synthetic background of audio-only captures (no camera frame)
+    background: {
+        top: '#0b2233',
+        bottom: '#000000',
+        gridColor: 'rgba(255, 255, 255, 0.05)',
+        gridStep: 40
+    },
+
     // Watermark
     watermark: {
         text: 'DBA Noise Meter',
@@ -99,9 +394,27 @@ export const OVERLAY_CONFIG = {
     }
 };
 
+// ===== Overlay Layout Configuration =====
+export const OVERLAY_LAYOUT_CONFIG = {
+    storageKey: 'dba-noise-meter.overlayLayout',
+    previewKey: 'dba-noise-meter.overlayPreview',
+    // Widgets as listed in the layout editor
+    widgets: ['dba', 'levelPill', 'stats', 'datetime', 'location', 'calibration', 'rec', 'chart', 'visualizer', 'watermark'],
+    // Widgets drawn in fixed colors, without a theme
+    unthemed: ['levelPill', 'rec', 'watermark'],
+    // x/y are fractions of the free space inside the frame padding; null places the widget automatically
+    defaultWidget: { visible: true, x: null, y: null, size: 1, theme: 'dark' },
+    minSize: 0.5,
+    maxSize: 2.5,
+    sizeStep: 0.1,
+    screenPadding: 20,           // px kept free around dragged widgets of the on-screen overlay
+    handleSize: 24,              // px of the resize handle in the editor preview
+    selectionColor: '#00ccff'
+};
+
 // ===== Video Recording Configuration =====
 export const RECORDING_CONFIG = {
-    frameRate: 30,
+    frameRate: 30,    // Until a camera framerate is selected
     timeslice: 1000,  // ms between data chunks
 
     // iOS mime types (prioritize mp4)
@@ -128,11 +441,46 @@ export const RECORDING_CONFIG = {
     defaultHeight: 720
 };
 
+// ===== Video Sidecar Configuration =====
+export const SIDECAR_CONFIG = {
+    defaultFormat: 'vtt',        // 'off', 'vtt' (WebVTT metadata track) or 'json'
+    digits: 1                    // Decimals of levels in the sidecar file
+};
+
+// ===== Event Recording Configuration (armed auto-recording) =====
+export const EVENT_RECORDING_CONFIG = {
+    threshold: 85,               // dB that starts a clip
+    preRoll: 5,                  // s kept before the trigger (at least; up to twice as much).
+                                 // Triggers are ignored until that much is recorded (after arming and each clip)
+    postRoll: 5,                 // s below threshold before the clip ends
+    maxDuration: 300,            // s, a clip is closed after this even if still loud
+    minPreRoll: 1,
+    maxPreRoll: 30
+};
+
 // ===== Camera Configuration =====
 export const CAMERA_CONFIG = {
     defaultFacingMode: 'environment',
-    idealWidth: 1920,
-    idealHeight: 1080
+
+    // Selectable capture formats (ideal values, the camera may deliver less)
+    resolutions: {
+        '480p': { width: 640, height: 480 },
+        '720p': { width: 1280, height: 720 },
+        '1080p': { width: 1920, height: 1080 },
+        '2160p': { width: 3840, height: 2160 }
+    },
+    defaultResolution: '1080p',
+    frameRates: [15, 24, 30, 60],
+    defaultFrameRate: 30,
+
+    audioOnlyKey: 'dba-noise-meter.audioOnly'   // Measure with the microphone only
+};
+
+// ===== Input Device Configuration =====
+export const DEVICE_CONFIG = {
+    storageKey: 'dba-noise-meter.devices',
+    // Browser voice processing that distorts levels; all of it is requested off
+    audioProcessing: ['echoCancellation', 'noiseSuppression', 'autoGainControl']
 };
 
 // ===== Geolocation Configuration =====
@@ -149,38 +497,15 @@ export const GEOLOCATION_CONFIG = {
 export const UI_CONFIG = {
     toastDuration: 3000,
     dateTimeUpdateInterval: 1000,
-    locale: 'vi-VN'
-};
-
-// ===== Messages (Vietnamese) =====
-export const MESSAGES = {
-    geolocation: {
-        loading: 'Đang lấy vị trí...',
-        loadingNetwork: 'Đang lấy vị trí (mạng)...',
-        retrying: 'Đang thử lại...',
-        permissionDenied: 'Quyền vị trí bị từ chối',
-        unavailable: 'Vị trí không khả dụng',
-        timeout: 'Hết thời gian chờ',
-        notSupported: 'GPS không khả dụng',
-        error: 'Không lấy được vị trí',
-        na: 'N/A'
-    },
-    recording: {
-        started: 'Đang quay video...',
-        saved: 'Đã lưu video',
-        noData: 'Không có dữ liệu video',
-        empty: 'Video rỗng (0 bytes)',
-        error: 'Không thể bắt đầu quay video'
-    },
-    capture: {
-        saved: 'Đã lưu ảnh'
-    },
-    camera: {
-        switched: 'Đã đổi camera',
-        error: 'Không thể đổi camera'
-    },
-    permission: {
-        error: 'Không thể truy cập camera/microphone'
-    }
+    locale: vi.dateLocale   // Date format of the active locale
+};
+
+// ===== Internationalization =====
+export const I18N_CONFIG = {
+    storageKey: 'dba-noise-meter.language',
+    locales: ['vi', 'en', 'fr'],
+    fallback: 'en'          // When no browser language matches
 };
 
+// ===== Messages (active locale, replaced in place by I18n) =====
+export const MESSAGES = { ...vi.messages };
@@ -0,0 +1,420 @@
+/**
+ * DBA Noise Meter - English Locale
+ * Messages (level names included) and page texts in English
+ */
+
+export const en = {
+    name: 'English',
+    dateLocale: 'en-GB',
+    messages: {
+        levels: ['Very quiet', 'Quiet', 'Moderate', 'Loud', 'Very loud - Harmful!'],
+        geolocation: {
+            loading: 'Getting location...',
+            loadingNetwork: 'Getting location (network)...',
+            retrying: 'Retrying...',
+            permissionDenied: 'Location permission denied',
+            unavailable: 'Location unavailable',
+            timeout: 'Timed out',
+            notSupported: 'GPS not available',
+            error: 'Could not get location',
+            na: 'N/A'
+        },
+        recording: {
+            started: 'Recording video...',
+            saved: 'Video saved',
+            noData: 'No video data',
+            empty: 'Empty video (0 bytes)',
+            error: 'Could not start recording'
+        },
+        capture: {
+            saved: 'Photo saved'
+        },
+        overlay: {
+            rec: 'REC',
+            calibration: 'CAL'
+        },
+        replay: {
+            missingFiles: 'Choose a video and its .vtt/.json data file',
+            invalidTrack: 'Invalid sound level data file',
+            error: 'Could not play the video'
+        },
+        camera: {
+            switched: 'Camera switched',
+            error: 'Could not switch camera',
+            unavailable: 'Camera unavailable, switching to audio-only mode',
+            audioOnly: 'Switched to audio-only mode',
+            enabled: 'Camera enabled'
+        },
+        permission: {
+            error: 'Could not access camera/microphone'
+        },
+        devices: {
+            defaultMicrophone: 'Default microphone',
+            microphone: 'Microphone',
+            microphoneChanged: 'Microphone changed',
+            microphoneMissing: 'Selected microphone not found, using the default microphone',
+            microphoneError: 'Could not open the selected microphone',
+            defaultCamera: 'Default camera',
+            camera: 'Camera',
+            cameraChanged: 'Camera format changed',
+            cameraMissing: 'Selected camera not found, using the default camera',
+            processingActive: 'The browser keeps audio processing on, readings may be off',
+            processing: {
+                echoCancellation: 'Echo cancellation',
+                noiseSuppression: 'Noise suppression',
+                autoGainControl: 'Automatic gain control'
+            }
+        },
+        weighting: {
+            outOfTolerance: 'The weighting filter is outside the class 1 tolerance at this sample rate, readings may be off'
+        },
+        spectrogram: {
+            invalidRange: 'Invalid level range'
+        },
+        calibration: {
+            started: 'Calibrating, keep the reference source steady...',
+            done: 'Calibrated',
+            failed: 'Calibration failed: no signal',
+            invalidReference: 'Invalid reference level',
+            notReady: 'Microphone not ready',
+            reset: 'Calibration cleared',
+            none: 'Not calibrated'
+        },
+        session: {
+            started: 'Session logging started',
+            stopped: 'Session saved',
+            resumed: 'Session logging resumed',
+            deleted: 'Session deleted',
+            confirmDelete: 'Delete this session and all its data?',
+            interrupted: 'The previous session was interrupted, open "Sessions" to resume',
+            error: 'Could not save the session',
+            empty: 'No sessions yet',
+            start: 'Start logging',
+            stop: 'Stop logging',
+            resume: 'Resume',
+            delete: 'Delete',
+            exportCsv: 'CSV',
+            exportJson: 'JSON',
+            indicators: 'Lden',
+            report: 'Report',
+            reportPdf: 'PDF',
+            exported: 'Data exported',
+            samples: 'samples',
+            status: {
+                active: 'Logging',
+                completed: 'Completed',
+                interrupted: 'Interrupted'
+            }
+        },
+        fileAnalysis: {
+            analyze: 'Analyze audio/video file...',
+            progress: 'Analyzing',
+            done: 'File analyzed',
+            error: 'Could not analyze the file (unsupported format or file too large)',
+            tooLarge: 'The file is too long or too large to analyze in the browser',
+            unsupported: 'The browser cannot analyze files',
+            file: 'File'
+        },
+        eventRecording: {
+            armed: 'Event recording enabled',
+            disarmed: 'Event recording disabled',
+            triggered: 'Event detected, recording...',
+            saved: 'Event clip saved',
+            error: 'Could not enable event recording',
+            arm: 'Enable event recording',
+            disarm: 'Disable event recording',
+            waiting: 'WAITING FOR EVENT',
+            capturing: 'RECORDING EVENT',
+            event: 'Event clip'
+        },
+        layout: {
+            widgets: {
+                dba: 'Sound level',
+                levelPill: 'Level label',
+                stats: 'Statistics',
+                datetime: 'Date and time',
+                location: 'Location',
+                calibration: 'Calibration',
+                rec: 'REC indicator',
+                chart: 'History chart',
+                visualizer: 'Spectrum / waveform',
+                watermark: 'Watermark'
+            },
+            themes: {
+                dark: 'Dark',
+                light: 'Light',
+                glass: 'Glass',
+                none: 'No background'
+            },
+            visible: 'Show',
+            size: 'Size',
+            theme: 'Theme',
+            auto: 'Automatic position',
+            choosePreset: '— Choose a layout —',
+            saved: 'Layout saved',
+            deleted: 'Layout deleted',
+            loaded: 'Layout applied',
+            reset: 'Default layout restored',
+            invalidName: 'Enter a name for the layout'
+        },
+        standards: {
+            profiles: {
+                general: 'General (no limit)',
+                qcvn26Special: 'QCVN 26:2010 - Special areas',
+                qcvn26Normal: 'QCVN 26:2010 - Normal areas',
+                who: 'WHO - Community noise',
+                osha: 'OSHA PEL - Occupational (8 h)',
+                niosh: 'NIOSH REL - Occupational (8 h)',
+                euEnd: 'EU END - Lden/Lnight thresholds'
+            },
+            periods: {
+                day: 'Day',
+                evening: 'Evening',
+                night: 'Night'
+            },
+            bands: {
+                below: 'Below limit',
+                near: 'Near limit',
+                over: 'Over limit',
+                farOver: 'Far over limit!'
+            },
+            limit: 'limit',
+            noLimit: 'No time-of-day limit',
+            saved: 'Standard saved',
+            deleted: 'Standard deleted',
+            invalid: 'Enter a name, start hours (0–23, all different) and limits for at least one period'
+        },
+        alarm: {
+            triggered: 'Alarm',
+            cleared: 'Alarm cleared',
+            empty: 'No alarm rules yet',
+            notificationDenied: 'The browser blocked notifications',
+            limit: 'standard limit',
+            during: 'for',
+            metrics: {
+                level: 'Sound level',
+                leq1m: 'Leq 1 minute'
+            },
+            fields: {
+                metric: 'Value',
+                threshold: 'Threshold (dB)',
+                duration: 'Duration (s)',
+                hysteresis: 'Hysteresis (dB)',
+                followLimit: 'Follow standard',
+                enabled: 'On'
+            },
+            delete: 'Delete'
+        },
+        indicators: {
+            invalid: 'Start hours must be 0–23 and all different, penalties 0–20 dB'
+        },
+        report: {
+            title: 'Noise measurement report',
+            generated: 'Generated',
+            measurement: 'Measurement',
+            timeRange: 'Time range',
+            duration: 'Duration',
+            location: 'Location',
+            map: 'Show map',
+            weighting: 'Weighting',
+            microphone: 'Microphone',
+            sampleRate: 'Sample rate',
+            browser: 'Browser',
+            calibration: 'Calibration',
+            reference: 'reference',
+            samples: 'Samples',
+            chart: 'Level over time',
+            statistics: 'Statistics',
+            comparison: 'Comparison with the limit',
+            standard: 'Standard',
+            period: 'Period',
+            start: 'Start',
+            limit: 'Limit',
+            overLimit: 'Time over limit',
+            result: 'Result',
+            pass: 'Pass',
+            fail: 'Exceeded',
+            noData: 'No data',
+            events: 'Events',
+            time: 'Time',
+            type: 'Type',
+            description: 'Description',
+            value: 'Level',
+            eventTypes: {
+                alarm: 'Alarm',
+                recording: 'Recording',
+                photo: 'Photo'
+            },
+            photos: 'Photos taken during the session',
+            noPhotos: 'No photos were taken during the session',
+            morePhotos: 'Photos not included in the report',
+            print: 'Print / Save as PDF',
+            saved: 'Report saved',
+            error: 'Could not build the report'
+        },
+        dose: {
+            started: 'Noise dose measurement started',
+            stopped: 'Noise dose measurement paused',
+            resumed: 'Continuing the previous noise dose measurement',
+            start: 'Start dose measurement',
+            stop: 'Pause dose measurement',
+            indicator: 'DOSE',
+            reached: '100% reached',
+            invalid: 'Invalid criterion level or threshold',
+            empty: 'No dose data yet',
+            confirmReset: 'Clear the current noise dose results?',
+            weightingStopped: 'Frequency weighting changed, the dose measurement was paused',
+            weightingMismatch: 'The dose was measured with another weighting, select it again or clear the results'
+        }
+    },
+    page: {
+        title: 'DBA Noise Meter - Sound Level Meter',
+        overlay: {
+            initializing: 'Initializing...',
+            stats: 'Statistics:'
+        },
+        controls: {
+            capture: 'Photo',
+            captureTitle: 'Take photo',
+            record: 'Record',
+            recordTitle: 'Record video',
+            switch: 'Switch',
+            switchTitle: 'Switch camera',
+            buy: 'Devices',
+            buyTitle: 'Buy a device',
+            settings: 'Settings'
+        },
+        permission: {
+            title: 'Permission required',
+            text: 'The app needs camera and microphone access to measure noise. Without a camera it can still measure with the microphone only.',
+            grant: 'Allow access',
+            grantAudio: 'Microphone only'
+        },
+        settings: {
+            title: 'Measurement settings',
+            language: 'Language',
+            weighting: 'Frequency weighting',
+            weightingC: 'C (dBC) - low-frequency noise',
+            weightingZ: 'Z (dBZ) - unweighted',
+            timeWeighting: 'Time weighting',
+            timeWeightingI: 'Impulse (35 ms / 1.5 s)',
+            standard: 'Noise standard',
+            standardsOpen: 'Custom standards...',
+            statsWindow: 'Statistics window',
+            windowSession: 'Whole session',
+            minute1: '1 minute',
+            minutes15: '15 minutes',
+            hour1: '1 hour',
+            statsReset: 'Reset statistics',
+            visualizer: 'Spectrum display',
+            visualizerBars: 'FFT spectrum',
+            visualizerOctave: '1/1 octave bands',
+            visualizerThird: '1/3 octave bands',
+            visualizerSpectrogram: 'Spectrogram',
+            colorMap: 'Spectrogram colours',
+            grayscale: 'Grayscale',
+            levelRange: 'Level range (dB)',
+            history: 'History chart',
+            off: 'Off',
+            seconds30: '30 seconds',
+            minutes5: '5 minutes',
+            historyOverlay: 'Draw the chart on photos/videos',
+            layout: 'Photo/video layout',
+            layoutOpen: 'Photo/video layout...',
+            overlayPreview: 'Preview exactly as captured',
+            logging: 'Data logging',
+            sessionsOpen: 'Sessions...',
+            alarms: 'Threshold alarms',
+            alarmsOpen: 'Alarms...',
+            dose: 'Noise exposure dose',
+            doseOpen: 'Dosimeter...',
+            eventRecording: 'Event-triggered recording',
+            eventOpen: 'Event recording...',
+            microphone: 'Measurement microphone',
+            camera: 'Camera',
+            audioOnly: 'Audio only (no camera)',
+            sidecar: 'Sound level data with videos',
+            replayOpen: 'Replay a recorded video...',
+            calibration: 'Microphone calibration',
+            calibrationOpen: 'Calibrate...'
+        },
+        close: 'Close',
+        calibration: {
+            title: 'Microphone calibration',
+            text: 'Put the microphone in a sound calibrator (94/114 dB) or next to a reference meter, enter the reference level and start. The signal is averaged over a few seconds.',
+            microphone: 'Microphone',
+            current: 'Current calibration',
+            reference: 'Reference level (dB)',
+            start: 'Start calibration',
+            reset: 'Clear calibration'
+        },
+        sessions: {
+            title: 'Sessions',
+            interval: 'Logging interval',
+            second1: '1 second',
+            seconds10: '10 seconds'
+        },
+        analysis: {
+            title: 'File analysis results'
+        },
+        indicators: {
+            title: 'Day-evening-night indicators',
+            measured: 'Measured day / evening / night',
+            text: 'Ld, Le and Ln are the Leq of the logged samples in each period (all days together). Lden adds the evening and night penalties; Ldn merges the evening into the day and only adds the night penalty. Indicators of periods without data stay empty.',
+            starts: 'Day / evening / night start hour',
+            penalties: 'Evening / night penalty (dB)'
+        },
+        alarms: {
+            title: 'Threshold alarms',
+            actions: 'Alarm actions',
+            toast: 'On-screen message',
+            vibrate: 'Vibrate',
+            beep: 'Beep',
+            notification: 'System notification',
+            add: 'Add rule'
+        },
+        dose: {
+            title: 'Noise exposure dose',
+            text: 'Integrates exposure over a work shift. 100% dose is the criterion level for 8 hours; each exchange rate step above it halves the allowed time. Levels below the threshold add no dose. Measure with A weighting; results are kept when the page is reloaded.',
+            preset: 'Criterion',
+            custom: 'Custom',
+            criterion: 'Criterion level (dB)',
+            exchangeRate: 'Exchange rate',
+            threshold: 'Threshold (dB, 0 = none)',
+            dose: 'Dose',
+            projected: 'Projected 8 h TWA',
+            timeTo100: 'Time to 100%',
+            duration: 'Measured time',
+            reset: 'Clear results'
+        },
+        event: {
+            title: 'Event-triggered recording',
+            text: 'When the level goes over the threshold, a video with the overlay is recorded automatically, including a few seconds before the crossing. The clip ends once the level has stayed below the threshold long enough.',
+            threshold: 'Trigger threshold (dB)',
+            preRoll: 'Pre-roll (seconds)',
+            postRoll: 'Stop after quiet for (seconds)'
+        },
+        layout: {
+            title: 'Photo/video layout',
+            hint: 'Drag a widget to move it, drag the bottom right corner or scroll to resize it.',
+            preset: 'Layout preset',
+            delete: 'Delete',
+            save: 'Save preset',
+            reset: 'Restore defaults',
+            name: 'Preset name'
+        },
+        standards: {
+            title: 'Custom standards',
+            text: 'Each period starts at the entered hour and lasts until the next period starts. Leave unused periods (e.g. evening) empty. Saving under an existing name updates that standard.',
+            name: 'Name',
+            namePlaceholder: 'Standard name',
+            start: 'Start hour',
+            limit: 'Limit (dB)',
+            save: 'Save standard',
+            delete: 'Delete'
+        },
+        replay: {
+            title: 'Video replay'
+        }
+    }
+};
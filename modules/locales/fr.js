@@ -0,0 +1,420 @@
+/**
+ * DBA Noise Meter - French Locale
+ * Messages (level names included) and page texts in French
+ */
+
+export const fr = {
+    name: 'Français',
+    dateLocale: 'fr-FR',
+    messages: {
+        levels: ['Très calme', 'Calme', 'Modéré', 'Bruyant', 'Très bruyant - Nocif !'],
+        geolocation: {
+            loading: 'Localisation...',
+            loadingNetwork: 'Localisation (réseau)...',
+            retrying: 'Nouvel essai...',
+            permissionDenied: 'Accès à la position refusé',
+            unavailable: 'Position indisponible',
+            timeout: 'Délai dépassé',
+            notSupported: 'GPS indisponible',
+            error: 'Impossible d\'obtenir la position',
+            na: 'N/D'
+        },
+        recording: {
+            started: 'Enregistrement vidéo...',
+            saved: 'Vidéo enregistrée',
+            noData: 'Aucune donnée vidéo',
+            empty: 'Vidéo vide (0 octet)',
+            error: 'Impossible de démarrer l\'enregistrement'
+        },
+        capture: {
+            saved: 'Photo enregistrée'
+        },
+        overlay: {
+            rec: 'REC',
+            calibration: 'CAL'
+        },
+        replay: {
+            missingFiles: 'Choisissez une vidéo et son fichier de données .vtt/.json',
+            invalidTrack: 'Fichier de niveaux sonores invalide',
+            error: 'Impossible de lire la vidéo'
+        },
+        camera: {
+            switched: 'Caméra changée',
+            error: 'Impossible de changer de caméra',
+            unavailable: 'Caméra indisponible, passage en mode audio seul',
+            audioOnly: 'Passage en mode audio seul',
+            enabled: 'Caméra activée'
+        },
+        permission: {
+            error: 'Impossible d\'accéder à la caméra/au microphone'
+        },
+        devices: {
+            defaultMicrophone: 'Microphone par défaut',
+            microphone: 'Microphone',
+            microphoneChanged: 'Microphone changé',
+            microphoneMissing: 'Microphone choisi introuvable, utilisation du microphone par défaut',
+            microphoneError: 'Impossible d\'ouvrir le microphone choisi',
+            defaultCamera: 'Caméra par défaut',
+            camera: 'Caméra',
+            cameraChanged: 'Format de caméra changé',
+            cameraMissing: 'Caméra choisie introuvable, utilisation de la caméra par défaut',
+            processingActive: 'Le navigateur garde le traitement audio actif, les mesures peuvent être faussées',
+            processing: {
+                echoCancellation: 'Annulation d\'écho',
+                noiseSuppression: 'Réduction de bruit',
+                autoGainControl: 'Contrôle automatique du gain'
+            }
+        },
+        weighting: {
+            outOfTolerance: "Le filtre de pondération sort de la tolérance de classe 1 à cette fréquence d'échantillonnage, les mesures peuvent être faussées"
+        },
+        spectrogram: {
+            invalidRange: 'Plage de niveaux invalide'
+        },
+        calibration: {
+            started: 'Étalonnage, gardez la source de référence stable...',
+            done: 'Étalonné',
+            failed: 'Échec de l\'étalonnage : aucun signal',
+            invalidReference: 'Niveau de référence invalide',
+            notReady: 'Microphone pas prêt',
+            reset: 'Étalonnage effacé',
+            none: 'Non étalonné'
+        },
+        session: {
+            started: 'Enregistrement de la session démarré',
+            stopped: 'Session enregistrée',
+            resumed: 'Enregistrement de la session repris',
+            deleted: 'Session supprimée',
+            confirmDelete: 'Supprimer cette session et toutes ses données ?',
+            interrupted: 'La session précédente a été interrompue, ouvrez « Sessions » pour la reprendre',
+            error: 'Impossible d\'enregistrer la session',
+            empty: 'Aucune session',
+            start: 'Démarrer',
+            stop: 'Arrêter',
+            resume: 'Reprendre',
+            delete: 'Supprimer',
+            exportCsv: 'CSV',
+            exportJson: 'JSON',
+            indicators: 'Lden',
+            report: 'Rapport',
+            reportPdf: 'PDF',
+            exported: 'Données exportées',
+            samples: 'mesures',
+            status: {
+                active: 'En cours',
+                completed: 'Terminée',
+                interrupted: 'Interrompue'
+            }
+        },
+        fileAnalysis: {
+            analyze: 'Analyser un fichier audio/vidéo...',
+            progress: 'Analyse',
+            done: 'Fichier analysé',
+            error: 'Impossible d\'analyser le fichier (format non pris en charge ou fichier trop volumineux)',
+            tooLarge: 'Le fichier est trop long ou trop volumineux pour être analysé dans le navigateur',
+            unsupported: 'Le navigateur ne peut pas analyser de fichiers',
+            file: 'Fichier'
+        },
+        eventRecording: {
+            armed: 'Enregistrement sur événement activé',
+            disarmed: 'Enregistrement sur événement désactivé',
+            triggered: 'Événement détecté, enregistrement...',
+            saved: 'Clip d\'événement enregistré',
+            error: 'Impossible d\'activer l\'enregistrement sur événement',
+            arm: 'Activer l\'enregistrement',
+            disarm: 'Désactiver l\'enregistrement',
+            waiting: 'EN ATTENTE',
+            capturing: 'ÉVÉNEMENT',
+            event: 'Clip d\'événement'
+        },
+        layout: {
+            widgets: {
+                dba: 'Niveau sonore',
+                levelPill: 'Étiquette de niveau',
+                stats: 'Statistiques',
+                datetime: 'Date et heure',
+                location: 'Position',
+                calibration: 'Étalonnage',
+                rec: 'Indicateur REC',
+                chart: 'Historique',
+                visualizer: 'Spectre / forme d\'onde',
+                watermark: 'Filigrane'
+            },
+            themes: {
+                dark: 'Sombre',
+                light: 'Clair',
+                glass: 'Verre',
+                none: 'Sans fond'
+            },
+            visible: 'Afficher',
+            size: 'Taille',
+            theme: 'Thème',
+            auto: 'Position automatique',
+            choosePreset: '— Choisir une mise en page —',
+            saved: 'Mise en page enregistrée',
+            deleted: 'Mise en page supprimée',
+            loaded: 'Mise en page appliquée',
+            reset: 'Mise en page par défaut restaurée',
+            invalidName: 'Saisissez un nom pour la mise en page'
+        },
+        standards: {
+            profiles: {
+                general: 'Général (sans limite)',
+                qcvn26Special: 'QCVN 26:2010 - Zones spéciales',
+                qcvn26Normal: 'QCVN 26:2010 - Zones ordinaires',
+                who: 'OMS - Bruit communautaire',
+                osha: 'OSHA PEL - Professionnel (8 h)',
+                niosh: 'NIOSH REL - Professionnel (8 h)',
+                euEnd: 'UE END - Seuils Lden/Lnight'
+            },
+            periods: {
+                day: 'Jour',
+                evening: 'Soirée',
+                night: 'Nuit'
+            },
+            bands: {
+                below: 'Sous la limite',
+                near: 'Proche de la limite',
+                over: 'Au-dessus de la limite',
+                farOver: 'Très au-dessus de la limite !'
+            },
+            limit: 'limite',
+            noLimit: 'Pas de limite horaire',
+            saved: 'Norme enregistrée',
+            deleted: 'Norme supprimée',
+            invalid: 'Saisissez un nom, des heures de début (0–23, toutes différentes) et des limites pour au moins une période'
+        },
+        alarm: {
+            triggered: 'Alarme',
+            cleared: 'Fin d\'alarme',
+            empty: 'Aucune règle d\'alarme',
+            notificationDenied: 'Le navigateur a bloqué les notifications',
+            limit: 'limite de la norme',
+            during: 'pendant',
+            metrics: {
+                level: 'Niveau sonore',
+                leq1m: 'Leq 1 minute'
+            },
+            fields: {
+                metric: 'Valeur',
+                threshold: 'Seuil (dB)',
+                duration: 'Durée (s)',
+                hysteresis: 'Hystérésis (dB)',
+                followLimit: 'Suivre la norme',
+                enabled: 'Active'
+            },
+            delete: 'Supprimer'
+        },
+        indicators: {
+            invalid: 'Les heures de début doivent être entre 0 et 23 et toutes différentes, les pénalités entre 0 et 20 dB'
+        },
+        report: {
+            title: 'Rapport de mesure du bruit',
+            generated: 'Établi le',
+            measurement: 'Mesure',
+            timeRange: 'Période de mesure',
+            duration: 'Durée',
+            location: 'Emplacement',
+            map: 'Voir la carte',
+            weighting: 'Pondération',
+            microphone: 'Microphone',
+            sampleRate: "Fréquence d'échantillonnage",
+            browser: 'Navigateur',
+            calibration: 'Étalonnage',
+            reference: 'référence',
+            samples: 'Échantillons',
+            chart: 'Niveau en fonction du temps',
+            statistics: 'Statistiques',
+            comparison: 'Comparaison avec la limite',
+            standard: 'Norme',
+            period: 'Période',
+            start: 'Début',
+            limit: 'Limite',
+            overLimit: 'Temps de dépassement',
+            result: 'Résultat',
+            pass: 'Conforme',
+            fail: 'Dépassé',
+            noData: 'Aucune donnée',
+            events: 'Événements',
+            time: 'Heure',
+            type: 'Type',
+            description: 'Description',
+            value: 'Niveau',
+            eventTypes: {
+                alarm: 'Alarme',
+                recording: 'Enregistrement',
+                photo: 'Photo'
+            },
+            photos: 'Photos prises pendant la session',
+            noPhotos: "Aucune photo n'a été prise pendant la session",
+            morePhotos: 'Photos non incluses dans le rapport',
+            print: 'Imprimer / Enregistrer en PDF',
+            saved: 'Rapport enregistré',
+            error: 'Impossible de créer le rapport'
+        },
+        dose: {
+            started: 'Mesure de la dose démarrée',
+            stopped: 'Mesure de la dose en pause',
+            resumed: 'Reprise de la mesure de dose précédente',
+            start: 'Démarrer la dosimétrie',
+            stop: 'Mettre la dosimétrie en pause',
+            indicator: 'DOSE',
+            reached: '100 % atteints',
+            invalid: 'Niveau de critère ou seuil invalide',
+            empty: 'Aucune donnée de dose',
+            confirmReset: 'Effacer les résultats de dose actuels ?',
+            weightingStopped: 'Pondération fréquentielle modifiée, la mesure de dose est en pause',
+            weightingMismatch: 'La dose a été mesurée avec une autre pondération, sélectionnez-la à nouveau ou effacez les résultats'
+        }
+    },
+    page: {
+        title: 'DBA Noise Meter - Sonomètre',
+        overlay: {
+            initializing: 'Initialisation...',
+            stats: 'Statistiques :'
+        },
+        controls: {
+            capture: 'Photo',
+            captureTitle: 'Prendre une photo',
+            record: 'Vidéo',
+            recordTitle: 'Enregistrer une vidéo',
+            switch: 'Changer',
+            switchTitle: 'Changer de caméra',
+            buy: 'Appareils',
+            buyTitle: 'Acheter un appareil',
+            settings: 'Réglages'
+        },
+        permission: {
+            title: 'Autorisation requise',
+            text: 'L\'application a besoin de la caméra et du microphone pour mesurer le bruit. Sans caméra, la mesure reste possible avec le microphone seul.',
+            grant: 'Autoriser l\'accès',
+            grantAudio: 'Microphone seul'
+        },
+        settings: {
+            title: 'Réglages de mesure',
+            language: 'Langue',
+            weighting: 'Pondération fréquentielle',
+            weightingC: 'C (dBC) - bruit basse fréquence',
+            weightingZ: 'Z (dBZ) - sans pondération',
+            timeWeighting: 'Pondération temporelle',
+            timeWeightingI: 'Impulse (35 ms / 1,5 s)',
+            standard: 'Norme de bruit',
+            standardsOpen: 'Normes personnalisées...',
+            statsWindow: 'Fenêtre statistique',
+            windowSession: 'Toute la session',
+            minute1: '1 minute',
+            minutes15: '15 minutes',
+            hour1: '1 heure',
+            statsReset: 'Réinitialiser les statistiques',
+            visualizer: 'Affichage du spectre',
+            visualizerBars: 'Spectre FFT',
+            visualizerOctave: 'Bandes d\'octave',
+            visualizerThird: 'Bandes de tiers d\'octave',
+            visualizerSpectrogram: 'Spectrogramme',
+            colorMap: 'Couleurs du spectrogramme',
+            grayscale: 'Niveaux de gris',
+            levelRange: 'Plage de niveaux (dB)',
+            history: 'Historique',
+            off: 'Désactivé',
+            seconds30: '30 secondes',
+            minutes5: '5 minutes',
+            historyOverlay: 'Dessiner l\'historique sur les photos/vidéos',
+            layout: 'Mise en page photo/vidéo',
+            layoutOpen: 'Mise en page...',
+            overlayPreview: 'Aperçu identique à la capture',
+            logging: 'Enregistrement des données',
+            sessionsOpen: 'Sessions...',
+            alarms: 'Alarmes de seuil',
+            alarmsOpen: 'Alarmes...',
+            dose: 'Dose d\'exposition au bruit',
+            doseOpen: 'Dosimètre...',
+            eventRecording: 'Enregistrement sur événement',
+            eventOpen: 'Enregistrement sur événement...',
+            microphone: 'Microphone de mesure',
+            camera: 'Caméra',
+            audioOnly: 'Audio seul (sans caméra)',
+            sidecar: 'Niveaux sonores avec les vidéos',
+            replayOpen: 'Relire une vidéo enregistrée...',
+            calibration: 'Étalonnage du microphone',
+            calibrationOpen: 'Étalonner...'
+        },
+        close: 'Fermer',
+        calibration: {
+            title: 'Étalonnage du microphone',
+            text: 'Placez le microphone dans un calibreur acoustique (94/114 dB) ou à côté d\'un sonomètre de référence, saisissez le niveau de référence puis démarrez. Le signal est moyenné sur quelques secondes.',
+            microphone: 'Microphone',
+            current: 'Étalonnage actuel',
+            reference: 'Niveau de référence (dB)',
+            start: 'Démarrer l\'étalonnage',
+            reset: 'Effacer l\'étalonnage'
+        },
+        sessions: {
+            title: 'Sessions',
+            interval: 'Intervalle d\'enregistrement',
+            second1: '1 seconde',
+            seconds10: '10 secondes'
+        },
+        analysis: {
+            title: 'Résultats de l\'analyse'
+        },
+        indicators: {
+            title: 'Indicateurs jour-soir-nuit',
+            measured: 'Mesuré jour / soir / nuit',
+            text: 'Ld, Le et Ln sont les Leq des échantillons enregistrés dans chaque période (tous les jours réunis). Lden ajoute les pénalités du soir et de la nuit ; Ldn regroupe le soir avec le jour et n\'ajoute que la pénalité de nuit. Les indicateurs des périodes sans données restent vides.',
+            starts: 'Heure de début jour / soir / nuit',
+            penalties: 'Pénalité soir / nuit (dB)'
+        },
+        alarms: {
+            title: 'Alarmes de seuil',
+            actions: 'Actions d\'alarme',
+            toast: 'Message à l\'écran',
+            vibrate: 'Vibration',
+            beep: 'Bip',
+            notification: 'Notification système',
+            add: 'Ajouter une règle'
+        },
+        dose: {
+            title: 'Dose d\'exposition au bruit',
+            text: 'Cumule l\'exposition sur un poste de travail. Une dose de 100 % correspond au niveau de critère pendant 8 heures ; chaque palier du facteur d\'échange au-dessus divise par deux la durée admise. Les niveaux sous le seuil ne comptent pas. Mesurez en pondération A ; les résultats sont conservés au rechargement de la page.',
+            preset: 'Critère',
+            custom: 'Personnalisé',
+            criterion: 'Niveau de critère (dB)',
+            exchangeRate: 'Facteur d\'échange',
+            threshold: 'Seuil (dB, 0 = aucun)',
+            dose: 'Dose',
+            projected: 'TWA 8 h projeté',
+            timeTo100: 'Temps avant 100 %',
+            duration: 'Durée mesurée',
+            reset: 'Effacer les résultats'
+        },
+        event: {
+            title: 'Enregistrement sur événement',
+            text: 'Quand le niveau dépasse le seuil, une vidéo avec l\'incrustation est enregistrée automatiquement, avec quelques secondes avant le dépassement. Le clip se termine quand le niveau reste sous le seuil assez longtemps.',
+            threshold: 'Seuil de déclenchement (dB)',
+            preRoll: 'Pré-enregistrement (secondes)',
+            postRoll: 'Arrêt après un calme de (secondes)'
+        },
+        layout: {
+            title: 'Mise en page photo/vidéo',
+            hint: 'Faites glisser un élément pour le déplacer, le coin inférieur droit ou la molette pour le redimensionner.',
+            preset: 'Modèle',
+            delete: 'Supprimer',
+            save: 'Enregistrer le modèle',
+            reset: 'Rétablir les valeurs par défaut',
+            name: 'Nom du modèle'
+        },
+        standards: {
+            title: 'Normes personnalisées',
+            text: 'Chaque période commence à l\'heure saisie et dure jusqu\'au début de la suivante. Laissez vides les périodes inutilisées (par ex. la soirée). Enregistrer sous un nom existant met à jour cette norme.',
+            name: 'Nom',
+            namePlaceholder: 'Nom de la norme',
+            start: 'Heure de début',
+            limit: 'Limite (dB)',
+            save: 'Enregistrer la norme',
+            delete: 'Supprimer'
+        },
+        replay: {
+            title: 'Relecture vidéo'
+        }
+    }
+};
@@ -0,0 +1,420 @@
+/**
+ * DBA Noise Meter - Vietnamese Locale
+ * Messages (level names included) and page texts in Vietnamese
+ */
+
+export const vi = {
+    name: 'Tiếng Việt',
+    dateLocale: 'vi-VN',
+    messages: {
+        levels: ['Rất yên tĩnh', 'Yên tĩnh', 'Vừa phải', 'Ồn', 'Rất ồn - Có hại!'],
+        geolocation: {
+            loading: 'Đang lấy vị trí...',
+            loadingNetwork: 'Đang lấy vị trí (mạng)...',
+            retrying: 'Đang thử lại...',
+            permissionDenied: 'Quyền vị trí bị từ chối',
+            unavailable: 'Vị trí không khả dụng',
+            timeout: 'Hết thời gian chờ',
+            notSupported: 'GPS không khả dụng',
+            error: 'Không lấy được vị trí',
+            na: 'N/A'
+        },
+        recording: {
+            started: 'Đang quay video...',
+            saved: 'Đã lưu video',
+            noData: 'Không có dữ liệu video',
+            empty: 'Video rỗng (0 bytes)',
+            error: 'Không thể bắt đầu quay video'
+        },
+        capture: {
+            saved: 'Đã lưu ảnh'
+        },
+        overlay: {
+            rec: 'REC',
+            calibration: 'CAL'
+        },
+        replay: {
+            missingFiles: 'Chọn một video và tệp dữ liệu .vtt/.json đi kèm',
+            invalidTrack: 'Tệp dữ liệu mức âm không hợp lệ',
+            error: 'Không thể phát lại video'
+        },
+        camera: {
+            switched: 'Đã đổi camera',
+            error: 'Không thể đổi camera',
+            unavailable: 'Không dùng được camera, chuyển sang chế độ chỉ đo âm thanh',
+            audioOnly: 'Đã chuyển sang chế độ chỉ đo âm thanh',
+            enabled: 'Đã bật camera'
+        },
+        permission: {
+            error: 'Không thể truy cập camera/microphone'
+        },
+        devices: {
+            defaultMicrophone: 'Micro mặc định',
+            microphone: 'Micro',
+            microphoneChanged: 'Đã đổi micro',
+            microphoneMissing: 'Không tìm thấy micro đã chọn, dùng micro mặc định',
+            microphoneError: 'Không thể mở micro đã chọn',
+            defaultCamera: 'Camera mặc định',
+            camera: 'Camera',
+            cameraChanged: 'Đã đổi định dạng camera',
+            cameraMissing: 'Không tìm thấy camera đã chọn, dùng camera mặc định',
+            processingActive: 'Trình duyệt không cho tắt xử lý âm thanh, mức đo có thể sai lệch',
+            processing: {
+                echoCancellation: 'Khử tiếng vọng',
+                noiseSuppression: 'Khử ồn',
+                autoGainControl: 'Tự động điều chỉnh độ lợi'
+            }
+        },
+        weighting: {
+            outOfTolerance: 'Bộ lọc trọng số vượt dung sai cấp 1 ở tần số lấy mẫu này, kết quả đo có thể sai'
+        },
+        spectrogram: {
+            invalidRange: 'Dải mức không hợp lệ'
+        },
+        calibration: {
+            started: 'Đang hiệu chuẩn, giữ nguồn chuẩn ổn định...',
+            done: 'Đã hiệu chuẩn',
+            failed: 'Hiệu chuẩn thất bại: không có tín hiệu',
+            invalidReference: 'Mức tham chiếu không hợp lệ',
+            notReady: 'Micro chưa sẵn sàng',
+            reset: 'Đã xóa hiệu chuẩn',
+            none: 'Chưa hiệu chuẩn'
+        },
+        session: {
+            started: 'Bắt đầu ghi phiên đo',
+            stopped: 'Đã lưu phiên đo',
+            resumed: 'Tiếp tục ghi phiên đo',
+            deleted: 'Đã xóa phiên đo',
+            confirmDelete: 'Xóa phiên đo này và toàn bộ dữ liệu?',
+            interrupted: 'Phiên đo trước bị gián đoạn, mở "Phiên đo" để tiếp tục',
+            error: 'Không thể lưu phiên đo',
+            empty: 'Chưa có phiên đo nào',
+            start: 'Bắt đầu ghi',
+            stop: 'Dừng ghi',
+            resume: 'Tiếp tục',
+            delete: 'Xóa',
+            exportCsv: 'CSV',
+            exportJson: 'JSON',
+            indicators: 'Lden',
+            report: 'Báo cáo',
+            reportPdf: 'PDF',
+            exported: 'Đã xuất dữ liệu',
+            samples: 'mẫu',
+            status: {
+                active: 'Đang ghi',
+                completed: 'Hoàn tất',
+                interrupted: 'Bị gián đoạn'
+            }
+        },
+        fileAnalysis: {
+            analyze: 'Phân tích tệp ghi âm/video...',
+            progress: 'Đang phân tích',
+            done: 'Đã phân tích tệp',
+            error: 'Không thể phân tích tệp (định dạng không hỗ trợ hoặc tệp quá lớn)',
+            tooLarge: 'Tệp quá dài hoặc quá lớn để phân tích trong trình duyệt',
+            unsupported: 'Trình duyệt không hỗ trợ phân tích tệp',
+            file: 'Tệp'
+        },
+        eventRecording: {
+            armed: 'Đã bật tự động quay theo sự kiện',
+            disarmed: 'Đã tắt tự động quay',
+            triggered: 'Phát hiện sự kiện, đang quay...',
+            saved: 'Đã lưu clip sự kiện',
+            error: 'Không thể bật tự động quay',
+            arm: 'Bật tự động quay',
+            disarm: 'Tắt tự động quay',
+            waiting: 'CHỜ SỰ KIỆN',
+            capturing: 'QUAY SỰ KIỆN',
+            event: 'Clip sự kiện'
+        },
+        layout: {
+            widgets: {
+                dba: 'Mức âm',
+                levelPill: 'Nhãn mức độ',
+                stats: 'Thống kê',
+                datetime: 'Ngày giờ',
+                location: 'Vị trí',
+                calibration: 'Hiệu chuẩn',
+                rec: 'Biểu tượng REC',
+                chart: 'Biểu đồ lịch sử',
+                visualizer: 'Phổ / sóng âm',
+                watermark: 'Watermark'
+            },
+            themes: {
+                dark: 'Tối',
+                light: 'Sáng',
+                glass: 'Trong mờ',
+                none: 'Không nền'
+            },
+            visible: 'Hiện',
+            size: 'Cỡ',
+            theme: 'Giao diện',
+            auto: 'Vị trí tự động',
+            choosePreset: '— Chọn bố cục —',
+            saved: 'Đã lưu bố cục',
+            deleted: 'Đã xóa bố cục',
+            loaded: 'Đã áp dụng bố cục',
+            reset: 'Đã khôi phục bố cục mặc định',
+            invalidName: 'Nhập tên cho bố cục'
+        },
+        standards: {
+            profiles: {
+                general: 'Chung (không có giới hạn)',
+                qcvn26Special: 'QCVN 26:2010 - Khu vực đặc biệt',
+                qcvn26Normal: 'QCVN 26:2010 - Khu vực thông thường',
+                who: 'WHO - Tiếng ồn cộng đồng',
+                osha: 'OSHA PEL - Nghề nghiệp (8 giờ)',
+                niosh: 'NIOSH REL - Nghề nghiệp (8 giờ)',
+                euEnd: 'EU END - Ngưỡng Lden/Lnight'
+            },
+            periods: {
+                day: 'Ngày',
+                evening: 'Tối',
+                night: 'Đêm'
+            },
+            bands: {
+                below: 'Dưới giới hạn',
+                near: 'Gần giới hạn',
+                over: 'Vượt giới hạn',
+                farOver: 'Vượt xa giới hạn!'
+            },
+            limit: 'giới hạn',
+            noLimit: 'Không có giới hạn theo giờ',
+            saved: 'Đã lưu tiêu chuẩn',
+            deleted: 'Đã xóa tiêu chuẩn',
+            invalid: 'Nhập tên, giờ bắt đầu (0–23, không trùng nhau) và giới hạn cho ít nhất một khoảng thời gian'
+        },
+        alarm: {
+            triggered: 'Cảnh báo',
+            cleared: 'Hết cảnh báo',
+            empty: 'Chưa có quy tắc cảnh báo',
+            notificationDenied: 'Trình duyệt đã chặn thông báo',
+            limit: 'giới hạn tiêu chuẩn',
+            during: 'trong',
+            metrics: {
+                level: 'Mức âm',
+                leq1m: 'Leq 1 phút'
+            },
+            fields: {
+                metric: 'Giá trị',
+                threshold: 'Ngưỡng (dB)',
+                duration: 'Thời gian (s)',
+                hysteresis: 'Trễ (dB)',
+                followLimit: 'Theo tiêu chuẩn',
+                enabled: 'Bật'
+            },
+            delete: 'Xóa'
+        },
+        indicators: {
+            invalid: 'Giờ bắt đầu phải từ 0 đến 23 và khác nhau, hiệu chỉnh từ 0 đến 20 dB'
+        },
+        report: {
+            title: 'Báo cáo đo tiếng ồn',
+            generated: 'Lập lúc',
+            measurement: 'Thông tin đo',
+            timeRange: 'Thời gian',
+            duration: 'Thời lượng',
+            location: 'Vị trí',
+            map: 'Xem bản đồ',
+            weighting: 'Trọng số',
+            microphone: 'Micro',
+            sampleRate: 'Tần số lấy mẫu',
+            browser: 'Trình duyệt',
+            calibration: 'Hiệu chuẩn',
+            reference: 'mức chuẩn',
+            samples: 'Số mẫu',
+            chart: 'Mức ồn theo thời gian',
+            statistics: 'Thống kê',
+            comparison: 'So sánh với giới hạn',
+            standard: 'Tiêu chuẩn',
+            period: 'Khung giờ',
+            start: 'Bắt đầu',
+            limit: 'Giới hạn',
+            overLimit: 'Thời gian vượt',
+            result: 'Kết quả',
+            pass: 'Đạt',
+            fail: 'Vượt',
+            noData: 'Không có dữ liệu',
+            events: 'Sự kiện',
+            time: 'Thời điểm',
+            type: 'Loại',
+            description: 'Mô tả',
+            value: 'Mức',
+            eventTypes: {
+                alarm: 'Cảnh báo',
+                recording: 'Ghi âm',
+                photo: 'Ảnh chụp'
+            },
+            photos: 'Ảnh chụp trong phiên',
+            noPhotos: 'Không có ảnh nào được chụp trong phiên',
+            morePhotos: 'Số ảnh không được đưa vào báo cáo',
+            print: 'In / Lưu PDF',
+            saved: 'Đã lưu báo cáo',
+            error: 'Không thể tạo báo cáo'
+        },
+        dose: {
+            started: 'Bắt đầu đo liều',
+            stopped: 'Đã tạm dừng đo liều',
+            resumed: 'Tiếp tục đo liều tiếp xúc từ lần trước',
+            start: 'Bắt đầu đo liều',
+            stop: 'Tạm dừng đo liều',
+            indicator: 'LIỀU',
+            reached: 'Đã đạt 100%',
+            invalid: 'Mức tiêu chí và ngưỡng không hợp lệ',
+            empty: 'Chưa có dữ liệu liều',
+            confirmReset: 'Xóa kết quả đo liều hiện tại?',
+            weightingStopped: 'Đã đổi trọng số tần số, đo liều đã tạm dừng',
+            weightingMismatch: 'Kết quả liều được đo với trọng số khác, hãy chọn lại trọng số đó hoặc xóa kết quả'
+        }
+    },
+    page: {
+        title: 'DBA Noise Meter - Đo Độ Ồn',
+        overlay: {
+            initializing: 'Đang khởi tạo...',
+            stats: 'Thống kê:'
+        },
+        controls: {
+            capture: 'Chụp',
+            captureTitle: 'Chụp ảnh',
+            record: 'Quay',
+            recordTitle: 'Quay video',
+            switch: 'Đổi',
+            switchTitle: 'Đổi camera',
+            buy: 'Thiết bị',
+            buyTitle: 'Mua thiết bị',
+            settings: 'Cài đặt'
+        },
+        permission: {
+            title: 'Cần quyền truy cập',
+            text: 'Ứng dụng cần quyền truy cập camera và microphone để đo độ ồn. Không có camera vẫn có thể đo chỉ với microphone.',
+            grant: 'Cho phép truy cập',
+            grantAudio: 'Chỉ dùng microphone'
+        },
+        settings: {
+            title: 'Cài đặt đo',
+            language: 'Ngôn ngữ',
+            weighting: 'Trọng số tần số',
+            weightingC: 'C (dBC) - tiếng ồn tần số thấp',
+            weightingZ: 'Z (dBZ) - không trọng số',
+            timeWeighting: 'Trọng số thời gian',
+            timeWeightingI: 'Impulse (35 ms / 1,5 s)',
+            standard: 'Tiêu chuẩn đánh giá',
+            standardsOpen: 'Tiêu chuẩn tùy chỉnh...',
+            statsWindow: 'Khoảng thống kê',
+            windowSession: 'Cả phiên',
+            minute1: '1 phút',
+            minutes15: '15 phút',
+            hour1: '1 giờ',
+            statsReset: 'Đặt lại thống kê',
+            visualizer: 'Hiển thị phổ',
+            visualizerBars: 'Phổ FFT',
+            visualizerOctave: 'Dải 1/1 octave',
+            visualizerThird: 'Dải 1/3 octave',
+            visualizerSpectrogram: 'Phổ đồ (spectrogram)',
+            colorMap: 'Bảng màu phổ đồ',
+            grayscale: 'Đen trắng',
+            levelRange: 'Dải mức (dB)',
+            history: 'Biểu đồ lịch sử',
+            off: 'Tắt',
+            seconds30: '30 giây',
+            minutes5: '5 phút',
+            historyOverlay: 'Vẽ biểu đồ vào ảnh/video',
+            layout: 'Bố cục ảnh/video',
+            layoutOpen: 'Bố cục ảnh/video...',
+            overlayPreview: 'Xem trước đúng như ảnh/video',
+            logging: 'Ghi dữ liệu',
+            sessionsOpen: 'Phiên đo...',
+            alarms: 'Cảnh báo ngưỡng',
+            alarmsOpen: 'Cảnh báo...',
+            dose: 'Liều tiếp xúc tiếng ồn',
+            doseOpen: 'Đo liều...',
+            eventRecording: 'Tự động quay theo sự kiện',
+            eventOpen: 'Tự động quay...',
+            microphone: 'Micro đo',
+            camera: 'Camera',
+            audioOnly: 'Chỉ đo âm thanh (không dùng camera)',
+            sidecar: 'Dữ liệu mức âm kèm video',
+            replayOpen: 'Phát lại video đã quay...',
+            calibration: 'Hiệu chuẩn micro',
+            calibrationOpen: 'Hiệu chuẩn...'
+        },
+        close: 'Đóng',
+        calibration: {
+            title: 'Hiệu chuẩn micro',
+            text: 'Đặt micro vào bộ hiệu chuẩn âm (94/114 dB) hoặc cạnh máy đo chuẩn, nhập mức tham chiếu rồi bắt đầu. Tín hiệu được lấy trung bình trong vài giây.',
+            microphone: 'Micro',
+            current: 'Hiệu chuẩn hiện tại',
+            reference: 'Mức tham chiếu (dB)',
+            start: 'Bắt đầu hiệu chuẩn',
+            reset: 'Xóa hiệu chuẩn'
+        },
+        sessions: {
+            title: 'Phiên đo',
+            interval: 'Chu kỳ ghi',
+            second1: '1 giây',
+            seconds10: '10 giây'
+        },
+        analysis: {
+            title: 'Kết quả phân tích tệp'
+        },
+        indicators: {
+            title: 'Chỉ số ngày-tối-đêm',
+            measured: 'Đã đo ngày / tối / đêm',
+            text: 'Ld, Le và Ln là Leq của các mẫu đã ghi trong từng khoảng (gộp mọi ngày). Lden cộng thêm hiệu chỉnh buổi tối và ban đêm; Ldn gộp buổi tối vào ban ngày và chỉ cộng hiệu chỉnh ban đêm. Chỉ số của khoảng chưa có dữ liệu để trống.',
+            starts: 'Giờ bắt đầu ngày / tối / đêm',
+            penalties: 'Hiệu chỉnh tối / đêm (dB)'
+        },
+        alarms: {
+            title: 'Cảnh báo ngưỡng',
+            actions: 'Hình thức cảnh báo',
+            toast: 'Thông báo trên màn hình',
+            vibrate: 'Rung',
+            beep: 'Tiếng bíp',
+            notification: 'Thông báo hệ thống',
+            add: 'Thêm quy tắc'
+        },
+        dose: {
+            title: 'Đo liều tiếp xúc tiếng ồn',
+            text: 'Tích lũy mức tiếp xúc trong ca làm việc. Liều 100% là mức tiêu chí trong 8 giờ; mỗi khi mức tăng thêm một hệ số trao đổi, thời gian cho phép giảm một nửa. Mức dưới ngưỡng không tính vào liều. Nên đo với trọng số A, kết quả được giữ lại khi tải lại trang.',
+            preset: 'Tiêu chí',
+            custom: 'Tùy chỉnh',
+            criterion: 'Mức tiêu chí (dB)',
+            exchangeRate: 'Hệ số trao đổi',
+            threshold: 'Ngưỡng (dB, 0 = không có)',
+            dose: 'Liều',
+            projected: 'TWA 8 giờ dự kiến',
+            timeTo100: 'Thời gian đến 100%',
+            duration: 'Thời gian đo',
+            reset: 'Xóa kết quả'
+        },
+        event: {
+            title: 'Tự động quay theo sự kiện',
+            text: 'Khi mức âm vượt ngưỡng, video có overlay được quay tự động, kèm vài giây trước thời điểm vượt ngưỡng. Clip kết thúc khi mức âm ở dưới ngưỡng đủ lâu.',
+            threshold: 'Ngưỡng kích hoạt (dB)',
+            preRoll: 'Quay trước sự kiện (giây)',
+            postRoll: 'Dừng sau khi yên tĩnh (giây)'
+        },
+        layout: {
+            title: 'Bố cục ảnh/video',
+            hint: 'Kéo thành phần để di chuyển, kéo góc dưới bên phải hoặc cuộn chuột để đổi cỡ.',
+            preset: 'Mẫu bố cục',
+            delete: 'Xóa',
+            save: 'Lưu mẫu',
+            reset: 'Khôi phục mặc định',
+            name: 'Tên mẫu'
+        },
+        standards: {
+            title: 'Tiêu chuẩn tùy chỉnh',
+            text: 'Mỗi khoảng thời gian bắt đầu từ giờ đã nhập và kéo dài đến khi khoảng sau bắt đầu. Để trống khoảng không dùng (ví dụ buổi tối). Lưu với tên đã có để cập nhật tiêu chuẩn đó.',
+            name: 'Tên',
+            namePlaceholder: 'Tên tiêu chuẩn',
+            start: 'Giờ bắt đầu',
+            limit: 'Giới hạn (dB)',
+            save: 'Lưu tiêu chuẩn',
+            delete: 'Xóa'
+        },
+        replay: {
+            title: 'Phát lại video'
+        }
+    }
+};
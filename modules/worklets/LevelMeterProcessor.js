@@ -0,0 +1,98 @@
+/**
+ * DBA Noise Meter - Level Meter AudioWorklet Processor
+ * Integrates every sample of the weighted signals off the main thread
+ * and posts mean-square levels at a fixed interval
+ */
+
+import { TIME_WEIGHTING_CONFIG } from '../constants.js';
+
+class LevelMeterProcessor extends AudioWorkletProcessor {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.processorOptions.weightings - Weighting of each input, in input order
+     * @param {number} options.processorOptions.reportInterval - Seconds between reports
+     */
+    constructor(options) {
+        super();
+        const { weightings, reportInterval } = options.processorOptions;
+
+        this.weightings = weightings;
+        this.reportSamples = Math.max(128, Math.round(reportInterval * sampleRate));
+
+        // Per-sample smoothing coefficients for each time weighting
+        this.coefficients = {};
+        for (const [type, { rise, decay }] of Object.entries(TIME_WEIGHTING_CONFIG.types)) {
+            this.coefficients[type] = {
+                rise: 1 - Math.exp(-1 / (rise * sampleRate)),
+                decay: 1 - Math.exp(-1 / (decay * sampleRate))
+            };
+        }
+
+        this.state = weightings.map(() => ({
+            sum: 0,
+            peak: 0,
+            timeWeighted: Object.fromEntries(Object.keys(this.coefficients).map(type => [type, 0]))
+        }));
+        this.count = 0;
+    }
+
+    process(inputs) {
+        // All inputs carry the same number of frames; disconnected inputs have no channels
+        const frames = inputs.reduce((n, input) => Math.max(n, input[0] ? input[0].length : 0), 0);
+        if (frames === 0) return true;
+
+        for (let i = 0; i < this.weightings.length; i++) {
+            const channel = inputs[i] && inputs[i][0];
+            const state = this.state[i];
+
+            for (let n = 0; n < frames; n++) {
+                const x = channel ? channel[n] : 0;
+                const square = x * x;
+
+                state.sum += square;
+                const magnitude = Math.abs(x);
+                if (magnitude > state.peak) state.peak = magnitude;
+
+                for (const type in this.coefficients) {
+                    const previous = state.timeWeighted[type];
+                    const { rise, decay } = this.coefficients[type];
+                    state.timeWeighted[type] = previous + (square - previous) * (square > previous ? rise : decay);
+                }
+            }
+        }
+
+        this.count += frames;
+        if (this.count >= this.reportSamples) {
+            this.report();
+        }
+
+        return true;
+    }
+
+    /**
+     * Post the levels of the elapsed interval and start a new one
+     * @private
+     */
+    report() {
+        const levels = {};
+        this.weightings.forEach((type, i) => {
+            const state = this.state[i];
+            levels[type] = {
+                meanSquare: state.sum / this.count,
+                peak: state.peak,
+                timeWeighted: { ...state.timeWeighted }
+            };
+            state.sum = 0;
+            state.peak = 0;
+        });
+
+        this.port.postMessage({
+            audioTime: currentTime,
+            duration: this.count / sampleRate,
+            levels
+        });
+        this.count = 0;
+    }
+}
+
+registerProcessor('level-meter-processor', LevelMeterProcessor);
@@ -29,6 +29,37 @@ export function clamp(value, min, max) {
     return Math.max(min, Math.min(max, value));
 }
 
+/**
+ * Format a level for display with one decimal
+ * @param {number|null} value - Level in dB
+ * @returns {string} Formatted level, or '--' when unavailable
+ */
+export function formatLevel(value) {
+    return Number.isFinite(value) ? value.toFixed(1) : '--';
+}
+
+/**
+ * Format a calibration offset with explicit sign
+ * @param {number} offset - Offset in dB
+ * @returns {string} Formatted offset (e.g. '+98.4 dB')
+ */
+export function formatOffset(offset) {
+    return `${offset >= 0 ? '+' : ''}${offset.toFixed(1)} dB`;
+}
+
+/**
+ * Format a duration as H:MM:SS
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
 /**
  * Format date for display
  * @param {Date} date - Date object
@@ -65,17 +96,31 @@ export function formatDateTimeForOverlay(date, locale = 'vi-VN') {
     });
 }
 
+/**
+ * Format date only for overlay
+ * @param {Date} date - Date object
+ * @param {string} locale - Locale string
+ * @returns {string} Formatted date string
+ */
+export function formatDateForOverlay(date, locale = 'vi-VN') {
+    return date.toLocaleDateString(locale, {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric'
+    });
+}
+
 /**
  * Generate filename with date and optional location
  * @param {string} prefix - Filename prefix (e.g., 'IMG', 'VID')
  * @param {string} extension - File extension
  * @param {string|null} latitude - Latitude
  * @param {string|null} longitude - Longitude
+ * @param {Date} date - Date in the filename (defaults to now)
  * @returns {string} Generated filename
  */
-export function generateFilename(prefix, extension, latitude = null, longitude = null) {
-    const now = new Date();
-    const dateStr = now.toISOString().slice(0, 19).replace(/[-:T]/g, '');
+export function generateFilename(prefix, extension, latitude = null, longitude = null, date = new Date()) {
+    const dateStr = date.toISOString().slice(0, 19).replace(/[-:T]/g, '');
     const locationStr = latitude && longitude
         ? `_${latitude}_${longitude}`.replace(/\./g, '-')
         : '';
@@ -92,6 +137,20 @@ export function isIOSDevice() {
         (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
 }
 
+/**
+ * Pick the first MIME type supported by MediaRecorder
+ * @param {string[]} mimeTypes - Candidates in order of preference ('' means browser default)
+ * @returns {string} Supported MIME type or ''
+ */
+export function selectSupportedMimeType(mimeTypes) {
+    for (const type of mimeTypes) {
+        if (type === '' || MediaRecorder.isTypeSupported(type)) {
+            return type;
+        }
+    }
+    return '';
+}
+
 /**
  * Download blob as file
  * @param {Blob} blob - Blob to download